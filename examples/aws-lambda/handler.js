@@ -29,9 +29,10 @@ function validateSite(site) {
 /**
  * Lambda function to analyse an auscultation recording
  * @param {Object} event - API Gateway event
+ * @param {Object} context - Lambda context
  * @returns {Object} - API Gateway response
  */
-exports.analyse = async (event) => {
+exports.analyse = async (event, context) => {
   let client = null;
   
   try {
@@ -81,13 +82,13 @@ exports.analyse = async (event) => {
     }
 
     // Get Theodor client
-    client = getTheodorClient();
+    client = getTheodorClient(context);
 
-    // Submit base64 audio for analysis (do not wait for results in Lambda)
-    const result = await client.analyzeBase64({
-      data: body.audioData,
-      mimeType: body.mimeType,
-      size: Buffer.from(body.audioData, 'base64').length,
+    // Upload the decoded audio as a file (do not wait for results in Lambda)
+    const result = await client.analyzeRecording({
+      buffer: Buffer.from(body.audioData, 'base64'),
+      filename: body.filename,
+      contentType: body.mimeType,
       site: body.site || 'heart',
       enhanced: !!body.enhanced,
       waitForPrediction: false
@@ -120,9 +121,10 @@ exports.analyse = async (event) => {
 /**
  * Lambda function to fetch analysis results
  * @param {Object} event - API Gateway event
+ * @param {Object} context - Lambda context
  * @returns {Object} - API Gateway response
  */
-exports.fetchResults = async (event) => {
+exports.fetchResults = async (event, context) => {
   let client = null;
   
   try {
@@ -137,7 +139,7 @@ exports.fetchResults = async (event) => {
     const recordingId = event.pathParameters.id;
     
     // Get Theodor client
-    client = getTheodorClient();
+    client = getTheodorClient(context);
 
     try {
       // Get the recording data
@@ -156,7 +158,7 @@ exports.fetchResults = async (event) => {
         client.close();
       }
       
-      if (error.status === 404) {
+      if (error.code === 'NOT_FOUND') {
         return formatResponse(404, {
           error: `Recording with ID ${recordingId} not found`,
           code: 'RECORDING_NOT_FOUND'
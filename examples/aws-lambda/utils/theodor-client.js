@@ -1,10 +1,30 @@
 const TheodorClient = require('./theodor-sdk');
 
+// HTTP status returned to API Gateway for each SDK error code
+const STATUS_BY_ERROR_CODE = {
+  VALIDATION_ERROR:      400,
+  BAD_REQUEST:           400,
+  AUTHENTICATION_ERROR:  502, // Our API key was rejected, not the caller's credentials
+  PERMISSION_DENIED:     502,
+  NOT_FOUND:             404,
+  RATE_LIMITED:          429,
+  SERVER_ERROR:          502,
+  NETWORK_ERROR:         504,
+  ECONNABORTED:          504, // Request timed out before the Lambda deadline
+  REQUEST_TIMEOUT:       504,
+  PREDICTION_TIMEOUT:    504,
+  CLASSIFICATION_FAILED: 422
+};
+
+// Time kept in reserve to build the response before Lambda kills the invocation
+const DEADLINE_MARGIN = 2000; // 2 seconds
+
 /**
  * Creates and returns a configured Theodor client instance
+ * @param {Object} [context] - Lambda context; requests are cut off before the invocation deadline
  * @returns {TheodorClient} - Configured Theodor client
  */
-function getTheodorClient() {
+function getTheodorClient(context) {
   if (!process.env.THEODOR_API_KEY) {
     throw new Error('THEODOR_API_KEY environment variable is not set');
   }
@@ -12,7 +32,8 @@ function getTheodorClient() {
   // For Lambda, disable WebSocket by default since we don't need real-time updates
   return new TheodorClient({
     apiKey: process.env.THEODOR_API_KEY,
-    debug: process.env.DEBUG === 'true'
+    debug: process.env.DEBUG === 'true',
+    timeout: context ? Math.max(1, context.getRemainingTimeInMillis() - DEADLINE_MARGIN) : 0
   });
 }
 
@@ -42,9 +63,11 @@ function formatResponse(statusCode, body, headers = {}) {
  * @returns {Object} - Formatted API Gateway error response
  */
 function formatErrorResponse(error) {
-  // Determine status code
+  // Determine status code from the stable SDK error code
   let statusCode = error.statusCode || 500;
-  if (error.isTheodorError && error.status) {
+  if (STATUS_BY_ERROR_CODE[error.code]) {
+    statusCode = STATUS_BY_ERROR_CODE[error.code];
+  } else if (error.status) {
     statusCode = error.status;
   }
   
@@ -1,6 +1,16 @@
 const axios = require('axios');
 const FormData = require('form-data');
 
+// Same stable error codes as the full SDK uses
+const ERROR_CODES_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'AUTHENTICATION_ERROR',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  422: 'BAD_REQUEST',
+  429: 'RATE_LIMITED'
+};
+
 /**
  * Simplified TheodorClient for AWS Lambda
  */
@@ -14,6 +24,7 @@ class TheodorClient {
     this.apiVersion = options.apiVersion || 'v4';
     this.apiKey = options.apiKey;
     this.debug = options.debug || false;
+    this.timeout = options.timeout || 0; // Per-request timeout in milliseconds, 0 means none
   }
 
   /**
@@ -66,7 +77,65 @@ class TheodorClient {
       const response = await axios.post(
         `${this.baseURL}/api/${this.apiVersion}/recordings/analyseBase64`,
         body,
-        { headers }
+        { headers, timeout: this.timeout }
+      );
+
+      this.log('Analysis submitted successfully', { id: response.data.id });
+
+      if (waitForPrediction) {
+        return this.waitForPrediction(response.data.id);
+      }
+
+      return response.data;
+    } catch (error) {
+      this.log('Error analyzing audio', error);
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Analyzes audio held in memory, uploaded as multipart form data like the full SDK does
+   * @param {Object} options - Analysis options
+   * @param {Buffer} options.buffer - Audio data
+   * @param {string} [options.filename='recording.wav'] - Filename sent with the upload
+   * @param {string} [options.contentType='audio/wav'] - MIME type of the audio
+   * @returns {Promise<Object>} - Analysis result
+   */
+  async analyzeRecording(options) {
+    if (!this.apiKey) {
+      throw new Error('API key is required');
+    }
+
+    const {
+      buffer,
+      filename = 'recording.wav',
+      contentType = 'audio/wav',
+      site = 'heart',
+      enhanced = false,
+      waitForPrediction = false
+    } = options;
+
+    const form = new FormData();
+    form.append('upload_file', buffer, { filename, contentType, knownLength: buffer.length });
+    form.append('site', site);
+
+    if (enhanced) {
+      form.append('enhanced', 'true');
+    }
+
+    try {
+      this.log('Analyzing audio', { filename, contentType, size: buffer.length, site, enhanced });
+
+      const response = await axios.post(
+        `${this.baseURL}/api/${this.apiVersion}/recordings/analyse`,
+        form,
+        {
+          headers: {
+            ...form.getHeaders(),
+            'Authorization': `Bearer ${this.apiKey}`
+          },
+          timeout: this.timeout
+        }
       );
 
       this.log('Analysis submitted successfully', { id: response.data.id });
@@ -101,7 +170,7 @@ class TheodorClient {
       
       const response = await axios.get(
         `${this.baseURL}/api/${this.apiVersion}/recordings/${recordingId}`,
-        { headers }
+        { headers, timeout: this.timeout }
       );
 
       this.log('Got recording details', { id: recordingId });
@@ -172,6 +241,8 @@ class TheodorClient {
       const formattedError = new Error(message);
       formattedError.status = status;
       formattedError.data = data;
+      formattedError.code = ERROR_CODES_BY_STATUS[status] || (status >= 500 ? 'SERVER_ERROR' : 'API_ERROR');
+      formattedError.requestId = data.request_id;
       formattedError.isTheodorError = true;
       
       return formattedError;
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const path          = require('path');
 const TheodorClient = require('theodor-sdk');
+const { TheodorApiError, NetworkError } = TheodorClient;
 
 // Initialize client with API key from environment variable
 const client = new TheodorClient({
@@ -70,12 +71,15 @@ async function analyse() {
   } catch (error) {
     console.error('Error analyzing auscultation file:');
     
-    if (error.isTheodorError) {
-      console.error(`API Error (${error.status}):`, error.data);
-      if (error.data.detailed_error) {
-        console.error('Detailed error:', error.data.detailed_error);
+    if (error instanceof TheodorApiError) {
+      console.error(`API Error (${error.status}, ${error.code}):`, error.data);
+      if (error.detailedError) {
+        console.error('Detailed error:', error.detailedError);
       }
-    } else if (error.isNetworkError) {
+      if (error.requestId) {
+        console.error('Request ID:', error.requestId);
+      }
+    } else if (error instanceof NetworkError) {
       console.error('Network error - check your internet connection');
     } else {
       console.error(error);
@@ -132,9 +132,11 @@ document.addEventListener('DOMContentLoaded', () => {
 		
 		// If still processing, poll again after a delay
 		if (analysis.status === 'processing') {
+		  // Poll faster while the file is still being uploaded to Theodor
+		  const uploading = analysis.uploadProgress !== undefined && analysis.uploadProgress < 100;
 		  setTimeout(() => {
 			pollAnalysisStatus(analysisId);
-		  }, 5000); // Poll every 5 seconds
+		  }, uploading ? 1000 : 5000);
 		}
 		
 	  } catch (error) {
@@ -167,6 +169,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	  content.innerHTML = `
 		<p><strong>Site:</strong> ${analysis.site}</p>
 		<p><strong>Created:</strong> ${createdDate}</p>
+		${uploadProgressText(analysis)}
 		${analysis.completedAt ? `<p><strong>Completed:</strong> ${new Date(analysis.completedAt).toLocaleString()}</p>` : ''}
 	  `;
 	  
@@ -188,10 +191,10 @@ document.addEventListener('DOMContentLoaded', () => {
 	  if (analysis.status === 'completed') {
 		const viewButton = document.createElement('button');
 		viewButton.className = 'btn-view';
-		viewButton.textContent = 'View Predictions';
+		viewButton.textContent = 'View Report';
 		viewButton.dataset.analysisId = analysis.analysisId;
 		viewButton.addEventListener('click', function() {
-		  viewPredictions(this.dataset.analysisId);
+		  viewReport(this.dataset.analysisId);
 		});
 		
 		actions.appendChild(viewButton);
@@ -237,6 +240,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	  content.innerHTML = `
 		<p><strong>Site:</strong> ${analysis.site}</p>
 		<p><strong>Created:</strong> ${createdDate}</p>
+		${uploadProgressText(analysis)}
 		${analysis.completedAt ? `<p><strong>Completed:</strong> ${new Date(analysis.completedAt).toLocaleString()}</p>` : ''}
 	  `;
 	  
@@ -258,10 +262,10 @@ document.addEventListener('DOMContentLoaded', () => {
 	  if (analysis.status === 'completed') {
 		const viewButton = document.createElement('button');
 		viewButton.className = 'btn-view';
-		viewButton.textContent = 'View Predictions';
+		viewButton.textContent = 'View Report';
 		viewButton.dataset.analysisId = analysis.analysisId;
 		viewButton.addEventListener('click', function() {
-		  viewPredictions(this.dataset.analysisId);
+		  viewReport(this.dataset.analysisId);
 		});
 		
 		actions.appendChild(viewButton);
@@ -273,6 +277,23 @@ document.addEventListener('DOMContentLoaded', () => {
 	  card.appendChild(actions);
 	}
 	
+	/**
+	 * Describe how far the upload to Theodor has progressed
+	 * @param {Object} analysis - Analysis object
+	 * @returns {string} - HTML snippet, empty once the upload is done
+	 */
+	function uploadProgressText(analysis) {
+	  if (analysis.status !== 'processing' || analysis.uploadProgress === undefined) {
+		return '';
+	  }
+	  
+	  if (analysis.uploadProgress < 100) {
+		return `<p><strong>Uploading:</strong> ${analysis.uploadProgress}%</p>`;
+	  }
+	  
+	  return '<p><strong>Uploaded</strong>, waiting for analysis...</p>';
+	}
+	
 	/**
 	 * Show status message
 	 * @param {string} message - Status message
@@ -285,163 +306,10 @@ document.addEventListener('DOMContentLoaded', () => {
 	}
 	
 	/**
-	 * View predictions for an analysis
+	 * Open the printable report for an analysis
 	 * @param {string} analysisId - Analysis ID
 	 */
-	async function viewPredictions(analysisId) {
-	  try {
-		const response = await fetch(`${API_BASE_URL}/analysis/${analysisId}/predictions`);
-		
-		if (!response.ok) {
-		  throw new Error('Failed to get predictions');
-		}
-		
-		const result = await response.json();
-		const predictions = result.data;
-		
-		// Create modal to display predictions
-		const modal = document.createElement('div');
-		modal.className = 'modal';
-		
-		const modalContent = document.createElement('div');
-		modalContent.className = 'modal-content';
-		
-		// Create title
-		const title = document.createElement('h3');
-		title.textContent = `Predictions for Analysis ${analysisId.substring(0, 8)}...`;
-		modalContent.appendChild(title);
-		
-		// Create definition list for predictions
-		const dl = document.createElement('dl');
-		
-		// Add prediction data
-		addDefinitionItem(dl, 'Murmur', predictions.murmur);
-		addDefinitionItem(dl, 'Murmur Certainty', predictions.murmur_certainty);
-		addDefinitionItem(dl, 'Rhythm', predictions.rhythm);
-		addDefinitionItem(dl, 'Heart Rate', `${predictions.heart_rate} BPM`);
-		
-		modalContent.appendChild(dl);
-		
-		// Add findings if available
-		if (predictions.findings && predictions.findings.length > 0) {
-		  const findingsTitle = document.createElement('h4');
-		  findingsTitle.textContent = 'Findings';
-		  modalContent.appendChild(findingsTitle);
-		  
-		  const findingsList = document.createElement('ul');
-		  predictions.findings.forEach(finding => {
-			const listItem = document.createElement('li');
-			listItem.textContent = finding;
-			findingsList.appendChild(listItem);
-		  });
-		  
-		  modalContent.appendChild(findingsList);
-		}
-		
-		// Add close button
-		const closeButton = document.createElement('button');
-		closeButton.className = 'btn-close';
-		closeButton.textContent = 'Close';
-		closeButton.addEventListener('click', () => {
-		  document.body.removeChild(modal);
-		});
-		
-		modalContent.appendChild(closeButton);
-		modal.appendChild(modalContent);
-		
-		// Add modal to document
-		document.body.appendChild(modal);
-		
-		// Close modal when clicking outside content
-		modal.addEventListener('click', (e) => {
-		  if (e.target === modal) {
-			document.body.removeChild(modal);
-		  }
-		});
-		
-		// Add CSS for modal
-		addModalStyles();
-		
-	  } catch (error) {
-		showStatus(`Error: ${error.message}`, 'error');
-	  }
-	}
-	
-	/**
-	 * Helper function to add definition term and description to a definition list
-	 */
-	function addDefinitionItem(dl, term, description) {
-	  const dt = document.createElement('dt');
-	  dt.textContent = term;
-	  
-	  const dd = document.createElement('dd');
-	  dd.textContent = description || 'N/A';
-	  
-	  dl.appendChild(dt);
-	  dl.appendChild(dd);
-	}
-	
-	/**
-	 * Add modal styles to the document
-	 */
-	function addModalStyles() {
-	  // Check if styles already exist
-	  if (document.getElementById('modal-styles')) {
-		return;
-	  }
-	  
-	  const style = document.createElement('style');
-	  style.id = 'modal-styles';
-	  style.textContent = `
-		.modal {
-		  position: fixed;
-		  top: 0;
-		  left: 0;
-		  width: 100%;
-		  height: 100%;
-		  background-color: rgba(0, 0, 0, 0.5);
-		  display: flex;
-		  justify-content: center;
-		  align-items: center;
-		  z-index: 1000;
-		}
-		
-		.modal-content {
-		  background-color: white;
-		  padding: 30px;
-		  border-radius: 8px;
-		  max-width: 500px;
-		  width: 100%;
-		  max-height: 80vh;
-		  overflow-y: auto;
-		}
-		
-		.modal h3 {
-		  margin-top: 0;
-		  color: var(--secondary-color);
-		}
-		
-		.modal dl {
-		  display: grid;
-		  grid-template-columns: 150px 1fr;
-		  gap: 10px;
-		  margin-bottom: 20px;
-		}
-		
-		.modal dt {
-		  font-weight: 600;
-		  color: var(--secondary-color);
-		}
-		
-		.modal ul {
-		  margin-left: 20px;
-		}
-		
-		.btn-close {
-		  margin-top: 20px;
-		}
-	  `;
-	  
-	  document.head.appendChild(style);
+	function viewReport(analysisId) {
+	  window.open(`${API_BASE_URL}/analysis/${analysisId}/report`, '_blank', 'noopener');
 	}
   });
\ No newline at end of file
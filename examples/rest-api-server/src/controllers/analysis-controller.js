@@ -1,53 +1,43 @@
 const uuid = require('uuid');
-const path = require('path');
-const fs = require('fs');
+const { renderReport } = require('theodor-sdk');
 const { theodorService } = require('../services/theodor-service');
 const { ApiResponse } = require('../utils/api-response');
 const { StorageManager } = require('../utils/storage-manager');
 
 const storage = new StorageManager();
 
-// Set up event listeners for theodorService events
-theodorService.on('recording_classified', async (data) => {
+/**
+ * Follow the events of a submitted recording and keep its analysis metadata up to date
+ * @param {Object} metadata - Analysis metadata with the recording ID
+ */
+const followRecording = async (metadata) => {
   try {
-    // Find the metadata associated with this recording
-    const allMetadata = await storage.getAllMetadataByRecordingId(data.id);
-    
-    if (allMetadata.length > 0) {
-      for (const metadata of allMetadata) {
-        // Update status and result
+    for await (const event of theodorService.watchRecording(metadata.recordingId)) {
+      if (event.type === 'classified') {
         metadata.status = 'completed';
         metadata.completedAt = new Date().toISOString();
-        metadata.result = data;
-        await storage.saveMetadata(metadata.id, metadata);
-        console.log(`Updated metadata for analysis ${metadata.id} with classification results`);
-      }
-    }
-  } catch (error) {
-    console.error('Error handling recording_classified event:', error);
-  }
-});
-
-theodorService.on('recording_classification_failure', async (data) => {
-  try {
-    // Find the metadata associated with this recording
-    const allMetadata = await storage.getAllMetadataByRecordingId(data.id);
-    
-    if (allMetadata.length > 0) {
-      for (const metadata of allMetadata) {
-        // Update status and error
+        metadata.result = event.data;
+      } else if (event.type === 'failed') {
         metadata.status = 'error';
-        metadata.error = data.message || 'Classification failed';
-        metadata.errorDetail = data;
-        await storage.saveMetadata(metadata.id, metadata);
-        console.log(`Updated metadata for analysis ${metadata.id} with classification failure`);
+        metadata.error = event.data.message || 'Classification failed';
+        metadata.errorDetail = event.data;
+      } else if (event.type === 'deleted') {
+        metadata.status = 'error';
+        metadata.error = 'The recording was deleted';
+      } else {
+        // created, uploaded, spectrogram, enhanced
+        metadata.stage = event.type;
       }
+      
+      await storage.saveMetadata(metadata.id, metadata);
+      console.log(`Analysis ${metadata.id}: recording ${event.type}`);
     }
   } catch (error) {
-    console.error('Error handling recording_classification_failure event:', error);
+    console.error(`Error following recording of analysis ${metadata.id}:`, error);
   }
-});
+};
 
+// Set up event listeners for theodorService events
 theodorService.on('analysis_error', async (data) => {
   try {
     if (!data.analysisId) return;
@@ -69,20 +59,6 @@ theodorService.on('analysis_error', async (data) => {
   }
 });
 
-/**
- * Safely delete a file without throwing exceptions
- * @param {string} filePath - Path to the file to delete
- */
-const safeDeleteFile = (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  } catch (error) {
-    console.error(`Error deleting file ${filePath}:`, error);
-  }
-};
-
 /**
  * Validate audio file
  * @param {Object} file - Uploaded file object
@@ -120,17 +96,14 @@ const analysisController = {
       // Validate the audio file
       const validationError = validateAudioFile(req.file);
       if (validationError) {
-        safeDeleteFile(req.file.path);
         return ApiResponse.badRequest(res, validationError);
       }
 
       const { site = 'heart', examId, enhanced = false } = req.body;
-      const filePath = req.file.path;
       const analysisId = uuid.v4();
       
       // Validate the site parameter
       if (!['heart', 'lung', 'abdomen'].includes(site)) {
-        safeDeleteFile(filePath);
         return ApiResponse.badRequest(res, 'Invalid site. Must be one of: heart, lung, abdomen');
       }
       
@@ -152,22 +125,36 @@ const analysisController = {
       
       await storage.saveMetadata(analysisId, metadata);
 
-      // Submit the file for analysis (don't wait for results)
+      // Record upload progress in 10% steps so the web UI can show it while polling
+      let lastSavedPercent = -1;
+      const onUploadProgress = ({ percent }) => {
+        if (percent === null || (percent < 100 && percent - lastSavedPercent < 10)) {
+          return;
+        }
+        lastSavedPercent = percent;
+        metadata.uploadProgress = percent;
+        storage.saveMetadata(analysisId, metadata).catch((error) => {
+          console.error(`Error saving upload progress for analysis ${analysisId}:`, error);
+        });
+      };
+
+      // Submit the uploaded file straight from memory (don't wait for results)
       theodorService.analyzeRecording({
-        filePath,
+        buffer: req.file.buffer,
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
         site,
         examId,
         analysisId,
-        enhanced: !!enhanced
+        enhanced: !!enhanced,
+        onUploadProgress
       })
       .then(async (result) => {
         // Update metadata with recording ID
         metadata.recordingId = result.id;
         metadata.status = 'submitted';
         await storage.saveMetadata(analysisId, metadata);
-        
-        // Delete the temporary file
-        safeDeleteFile(filePath);
+        followRecording(metadata);
       })
       .catch(async (error) => {
         console.error('Analysis error:', error);
@@ -179,9 +166,6 @@ const analysisController = {
           timestamp: new Date().toISOString()
         };
         await storage.saveMetadata(analysisId, metadata);
-        
-        // Delete the temporary file
-        safeDeleteFile(filePath);
       });
 
       return ApiResponse.created(res, {
@@ -190,10 +174,6 @@ const analysisController = {
         estimatedProcessingTime: '30-60 seconds'
       });
     } catch (error) {
-      // Clean up the file if one was uploaded
-      if (req.file) {
-        safeDeleteFile(req.file.path);
-      }
       next(error);
     }
   },
@@ -269,6 +249,7 @@ const analysisController = {
         metadata.recordingId = result.id;
         metadata.status = 'submitted';
         await storage.saveMetadata(analysisId, metadata);
+        followRecording(metadata);
       })
       .catch(async (error) => {
         console.error('Analysis error:', error);
@@ -338,9 +319,11 @@ const analysisController = {
       const response = {
         analysisId: id,
         status: metadata.status,
+        stage: metadata.stage,
         createdAt: metadata.createdAt,
         site: metadata.site,
         enhanced: metadata.enhanced || false,
+        uploadProgress: metadata.uploadProgress,
         completedAt: metadata.completedAt
       };
       
@@ -435,6 +418,44 @@ const analysisController = {
       next(error);
     }
   },
+
+  /**
+   * Get a printable report for a specific analysis
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getReport(req, res, next) {
+    try {
+      const { id } = req.params;
+      const format = req.query.format || 'html';
+
+      // Get analysis metadata
+      const metadata = await storage.getMetadata(id);
+
+      if (!metadata) {
+        return ApiResponse.notFound(res, 'Analysis not found');
+      }
+
+      if (metadata.status !== 'completed' || !metadata.result) {
+        return ApiResponse.badRequest(res, 'Analysis not yet completed');
+      }
+
+      const report = await renderReport(metadata.result, {
+        format,
+        locale: req.query.locale || req.acceptsLanguages('en', 'de') || 'en'
+      });
+
+      if (format === 'pdf') {
+        res.set('Content-Disposition', `inline; filename="report-${id}.pdf"`);
+        return res.type('application/pdf').send(report);
+      }
+
+      return res.type('html').send(report);
+    } catch (error) {
+      next(error);
+    }
+  },
   
   /**
    * Retry a failed analysis
@@ -1,3 +1,4 @@
+const { ErrorCode } = require('theodor-sdk');
 const { ApiResponse } = require('../utils/api-response');
 const config = require('../config');
 
@@ -17,43 +18,45 @@ const errorHandler = (err, req, res, next) => {
     console.error('Stack:', err.stack);
   }
   
-  // Handle Theodor-specific errors
-  if (err.isTheodorError) {
-    console.error('Theodor API Error:', err.status, err.data);
-    
-    if (err.status === 400 || err.status === 422) {
-      // Bad request or validation error
-      return ApiResponse.badRequest(res, err.data.detailed_error || err.data.message || err.message);
-    }
-    
-    if (err.status === 401 || err.status === 403) {
-      // Authentication or authorization error
-      return ApiResponse.unauthorized(res, err.data.message || err.message);
-    }
-    
-    if (err.status === 404) {
-      // Not found
-      return ApiResponse.notFound(res, err.data.message || err.message);
-    }
-    
-    if (err.status >= 500) {
-      // Server error
-      const message = config.isDevelopment 
-        ? (err.data.detailed_error || err.data.message || err.message)
-        : 'A server error occurred. Please try again later.';
-      return ApiResponse.serverError(res, message);
-    }
-  }
-  
-  // Handle network errors
-  if (err.isNetworkError) {
-    console.error('Network Error:', err.message);
-    return ApiResponse.serverError(res, 'Unable to connect to the analysis service. Please try again later.');
-  }
-  
-  // Handle audio file errors
-  if (err.code === 'INVALID_AUDIO' || err.message.includes('audio file') || err.message.includes('file format')) {
-    return ApiResponse.badRequest(res, err.userMessage || err.message);
+  // Handle Theodor-specific errors by their stable error code
+  switch (err.code) {
+    case ErrorCode.VALIDATION_ERROR:
+    case ErrorCode.INVALID_AUDIO:
+    case ErrorCode.BAD_REQUEST:
+      return ApiResponse.badRequest(res, err.detailedError || err.userMessage || err.message);
+      
+    case ErrorCode.AUTHENTICATION_ERROR:
+      return ApiResponse.unauthorized(res, err.message);
+      
+    case ErrorCode.PERMISSION_DENIED:
+      return ApiResponse.forbidden(res, err.message);
+      
+    case ErrorCode.NOT_FOUND:
+      return ApiResponse.notFound(res, err.message);
+      
+    case ErrorCode.RATE_LIMITED:
+      return ApiResponse.tooManyRequests(res, 'The analysis service is busy. Please try again later.');
+      
+    case ErrorCode.SERVER_ERROR:
+      console.error('Theodor API Error:', err.status, err.requestId, err.data);
+      return ApiResponse.serverError(res, config.isDevelopment
+        ? (err.detailedError || err.message)
+        : 'A server error occurred. Please try again later.');
+      
+    case ErrorCode.NETWORK_ERROR:
+      console.error('Network Error:', err.message);
+      return ApiResponse.serverError(res, 'Unable to connect to the analysis service. Please try again later.');
+
+    case ErrorCode.REQUEST_TIMEOUT:
+      console.error('Request Timeout:', err.message);
+      return ApiResponse.serverError(res, 'The analysis service did not respond in time. Please try again later.');
+
+    case ErrorCode.ABORTED:
+      return ApiResponse.serverError(res, 'The request to the analysis service was cancelled.');
+
+    case ErrorCode.PREDICTION_TIMEOUT:
+    case ErrorCode.CLASSIFICATION_FAILED:
+      return ApiResponse.serverError(res, err.userMessage || err.message);
   }
   
   // Handle standard error types
@@ -36,6 +36,11 @@ const schemas = {
   
   idParam: Joi.object({
     id: Joi.string().uuid().required()
+  }),
+
+  reportQuery: Joi.object({
+    format: Joi.string().valid('html', 'pdf').default('html'),
+    locale: Joi.string().max(35).optional()
   })
 };
 
@@ -1,24 +1,13 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const { analysisController } = require('../controllers/analysis-controller');
 const { validate, schemas } = require('../middlewares/validation-middleware');
 const { optionalAuth } = require('../middlewares/auth-middleware');
-const config = require('../config');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, config.storagePath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'audio-' + uniqueSuffix + ext);
-  }
-});
+// Keep uploads in memory, the SDK sends the buffer to Theodor without a temporary file
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage,
@@ -70,6 +59,13 @@ router.get('/:id/predictions',
   analysisController.getPredictions
 );
 
+router.get('/:id/report',
+  optionalAuth,
+  validate(schemas.idParam, 'params'),
+  validate(schemas.reportQuery, 'query'),
+  analysisController.getReport
+);
+
 router.get('/',
   optionalAuth,
   analysisController.getAllAnalyses
@@ -1,8 +1,21 @@
 const TheodorClient = require('theodor-sdk');
+const { TheodorError, ErrorCode } = TheodorClient;
 
 const config = require('../config');
 const EventEmitter = require('events');
 
+// User-facing messages for SDK error codes
+const USER_MESSAGES = {
+  [ErrorCode.VALIDATION_ERROR]:      'The audio file could not be processed. Please check the format and try again.',
+  [ErrorCode.BAD_REQUEST]:           'The audio file could not be processed. Please check the format and try again.',
+  [ErrorCode.INVALID_AUDIO]:         'The recording is too short, too long, incomplete or in an unsupported format. Please record again.',
+  [ErrorCode.NETWORK_ERROR]:         'Connection to the analysis service failed. Please try again later.',
+  [ErrorCode.SERVER_ERROR]:          'Connection to the analysis service failed. Please try again later.',
+  [ErrorCode.RATE_LIMITED]:          'The analysis service is busy. Please try again later.',
+  [ErrorCode.PREDICTION_TIMEOUT]:    'The analysis is taking longer than expected. Please check back later.',
+  [ErrorCode.CLASSIFICATION_FAILED]: 'The audio could not be analyzed. Please record again.'
+};
+
 class TheodorService extends EventEmitter {
   constructor() {
     super();
@@ -119,10 +132,15 @@ class TheodorService extends EventEmitter {
     try {
       const result = await this.client.analyzeRecording({
         filePath: options.filePath,
+        buffer: options.buffer,
+        filename: options.filename,
+        contentType: options.contentType,
         site: options.site,
         examId: options.examId,
         waitForPrediction: false,
-        enhanced: options.enhanced || false
+        enhanced: options.enhanced || false,
+        validate: true,
+        onUploadProgress: options.onUploadProgress
       });
       
       // Emit event with additional metadata
@@ -187,7 +205,7 @@ class TheodorService extends EventEmitter {
     });
     
     // Check if we need to reinitialize the client
-    if (error.isNetworkError) {
+    if (error.code === ErrorCode.NETWORK_ERROR) {
       console.warn('Network error occurred during analysis, checking connection...');
       
       // Try to ping the service - if it fails, we'll reinitialize
@@ -224,29 +242,18 @@ class TheodorService extends EventEmitter {
    * @private
    */
   enhanceError(error) {
-    if (error.isTheodorError || error.isNetworkError || error.isRequestError) {
-      // Already enhanced by the client
+    if (error instanceof TheodorError) {
+      // Already typed by the client, just add a user-friendly message
+      if (!error.userMessage) {
+        error.userMessage = USER_MESSAGES[error.code] || 'An error occurred while analyzing the audio.';
+      }
       return error;
     }
     
-    // Add user-friendly message and categorization
     const enhancedError = new Error(`Theodor Service Error: ${error.message}`);
     enhancedError.originalError = error;
-    
-    if (error.message.includes('Cannot read audio file') || 
-        error.message.includes('file format') ||
-        error.message.includes('Invalid audio')) {
-      enhancedError.code = 'INVALID_AUDIO';
-      enhancedError.userMessage = 'The audio file could not be processed. Please check the format and try again.';
-    } else if (error.message.includes('connection') || 
-               error.message.includes('network') || 
-               error.message.includes('timeout')) {
-      enhancedError.code = 'CONNECTION_ERROR';
-      enhancedError.userMessage = 'Connection to the analysis service failed. Please try again later.';
-    } else {
-      enhancedError.code = 'SERVICE_ERROR';
-      enhancedError.userMessage = 'An error occurred while analyzing the audio.';
-    }
+    enhancedError.code = 'SERVICE_ERROR';
+    enhancedError.userMessage = 'An error occurred while analyzing the audio.';
     
     return enhancedError;
   }
@@ -265,13 +272,26 @@ class TheodorService extends EventEmitter {
       return await this.client.getRecording(recordingId);
     } catch (error) {
       // For 404 errors, return null instead of throwing
-      if (error.status === 404) {
+      if (error.code === ErrorCode.NOT_FOUND) {
         return null;
       }
       throw this.enhanceError(error);
     }
   }
   
+  /**
+   * Watch the events of a recording
+   * @param {string} recordingId - Recording ID
+   * @returns {EventStream} - Events of the recording, ending once it is classified
+   */
+  watchRecording(recordingId) {
+    if (!this.client) {
+      throw new Error('Theodor client not initialized');
+    }
+    
+    return this.client.watchRecording(recordingId);
+  }
+  
   /**
    * Wait for prediction results
    * @param {string} recordingId - Recording ID
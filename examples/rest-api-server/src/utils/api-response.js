@@ -84,6 +84,19 @@ class ApiResponse {
 	  });
 	}
 	
+	/**
+	 * Send a too many requests error response (429 Too Many Requests)
+	 * @param {Object} res - Express response object
+	 * @param {string} message - Error message
+	 * @returns {Object} Express response
+	 */
+	static tooManyRequests(res, message = 'Too many requests') {
+	  return res.status(429).json({
+		status: 'error',
+		message
+	  });
+	}
+	
 	/**
 	 * Send a server error response (500 Internal Server Error)
 	 * @param {Object} res - Express response object
@@ -0,0 +1,98 @@
+/**
+ * Theodor.ai SDK Authentication
+ * Strategies that supply the token the client authenticates with
+ */
+const { ValidationError } = require('./errors');
+
+/**
+ * Authentication strategies
+ * @enum {string}
+ */
+const AuthStrategy = {
+  STATIC:      'static',      // fixed API key
+  CREDENTIALS: 'credentials', // username and password, logged in with login()
+  PROVIDER:    'provider'     // async callback returning the current token
+};
+
+/**
+ * @typedef {Object} AuthToken
+ * @property {string} token - Token sent as Bearer authorization
+ * @property {string} [refreshToken] - Refresh token for the refresh endpoint
+ * @property {Date|number|string} [expiresAt] - Expiry time; the token is renewed shortly before
+ * @property {number} [expiresIn] - Seconds until expiry, instead of expiresAt
+ */
+
+/**
+ * @typedef {Object} AuthOptions
+ * @property {string} [apiKey] - Static API key
+ * @property {string} [loginId] - Username or email (also accepted as username)
+ * @property {string} [password] - Password
+ * @property {function(): Promise<string|AuthToken>} [tokenProvider] - Called on startup and whenever the token
+ *   has expired; resolves to a token or an AuthToken
+ */
+
+/**
+ * Normalizes the `auth` client option
+ * @param {string|Function|AuthOptions} auth - API key, token provider or strategy options
+ * @returns {{type: string, apiKey?: string, loginId?: string, password?: string, tokenProvider?: Function}} - Strategy
+ * @throws {ValidationError} - If the options match no strategy
+ */
+function createAuthStrategy(auth) {
+  if (typeof auth === 'string' && auth) {
+    return { type: AuthStrategy.STATIC, apiKey: auth };
+  }
+  if (typeof auth === 'function') {
+    return { type: AuthStrategy.PROVIDER, tokenProvider: auth };
+  }
+
+  if (auth && typeof auth === 'object') {
+    if (typeof auth.tokenProvider === 'function') {
+      return { type: AuthStrategy.PROVIDER, tokenProvider: auth.tokenProvider };
+    }
+    if (auth.apiKey) {
+      return { type: AuthStrategy.STATIC, apiKey: auth.apiKey };
+    }
+
+    const loginId = auth.loginId || auth.username;
+    if (loginId && auth.password) {
+      return { type: AuthStrategy.CREDENTIALS, loginId, password: auth.password };
+    }
+  }
+
+  throw new ValidationError('auth must be an API key, a token provider, or { loginId, password }', { field: 'auth' });
+}
+
+/**
+ * Normalizes a login, refresh or token provider response
+ * @param {string|AuthToken|AuthResponse} result - Token, or object with token (or accessToken) and expiry
+ * @returns {{token: string, refreshToken: string|null, expiresAt: number|null}} - Token with expiry in
+ *   milliseconds since the epoch
+ * @throws {ValidationError} - If there is no token
+ */
+function normalizeToken(result) {
+  const data  = typeof result === 'string' ? { token: result } : result || {};
+  const token = data.token || data.accessToken;
+
+  if (typeof token !== 'string' || !token) {
+    throw new ValidationError('Authentication did not return a token', { field: 'auth' });
+  }
+
+  let expiresAt = null;
+  if (data.expiresAt !== undefined && data.expiresAt !== null) {
+    expiresAt = new Date(data.expiresAt).getTime();
+  } else if (typeof data.expiresIn === 'number') {
+    expiresAt = Date.now() + data.expiresIn * 1000;
+  }
+
+  return {
+    token,
+    refreshToken: data.refreshToken || null,
+    expiresAt:    Number.isFinite(expiresAt) ? expiresAt : null
+  };
+}
+
+module.exports = {
+  AuthStrategy,
+  createAuthStrategy,
+  normalizeToken
+};
@@ -0,0 +1,462 @@
+/**
+ * Theodor.ai SDK Entities
+ * Model classes that normalize the snake_case, camelCase and PascalCase shapes returned by the API
+ */
+const { MurmurClassification } = require('./constants');
+const { parseSegmentation } = require('./segmentation');
+
+/**
+ * Returns the first value that is present under any of the given keys
+ * @param {Object} raw - Payload
+ * @param {...string} keys - Candidate keys, in order of preference
+ * @returns {*} - Value, or undefined
+ * @private
+ */
+function pick(raw, ...keys) {
+  for (const key of keys) {
+    if (raw[key] !== undefined && raw[key] !== null) {
+      return raw[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parses a number that may have been serialized as a string
+ * @param {*} value - Value
+ * @returns {number|null} - Number, or null if absent or invalid
+ * @private
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Converts a Unix timestamp (seconds or milliseconds) or a date string to a Date
+ * @param {number|string|Date} value - Timestamp
+ * @returns {Date|null} - Date, or null if absent, zero or invalid
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (value === undefined || value === null || value === '' || value === 0) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    // Timestamps before 1973 in milliseconds are indistinguishable from seconds, and do not occur here
+    return new Date(number < 1e11 ? number * 1000 : number);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses murmur_average_predictions, e.g. "[71.952, 0.338, 27.71]"
+ * @param {string|Array<number|string>} value - Predictions
+ * @returns {Array<number>} - Confidence scores, empty if absent or invalid
+ */
+function parsePredictions(value) {
+  if (Array.isArray(value)) {
+    return value.map(toNumber).filter(number => number !== null);
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) {
+      return parsePredictions(parsed);
+    }
+  } catch (error) {
+    // Not JSON, fall back to a plain list of numbers
+  }
+
+  return parsePredictions(value.replace(/[[\]]/g, '').split(/[\s,;]+/));
+}
+
+/**
+ * Converts a key such as "finding:HeartRate", "HeartRate" or "heartRate" to "heart_rate"
+ * @param {string} key - Key
+ * @returns {string} - snake_case key without namespace
+ * @private
+ */
+function toSnakeKey(key) {
+  return String(key)
+    .replace(/^.*:/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * Converts the keys of a plain object to camelCase (one level deep)
+ * @param {Object} raw - Object
+ * @returns {Object} - Object with camelCase keys
+ * @private
+ */
+function camelizeKeys(raw) {
+  const result = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    result[key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase())] = value;
+  }
+  return result;
+}
+
+/**
+ * Stores the raw payload without making it part of JSON output
+ * @param {Object} target - Model instance
+ * @param {Object} raw - Raw payload
+ * @private
+ */
+function defineRaw(target, raw) {
+  Object.defineProperty(target, 'raw', { value: raw, enumerable: false });
+}
+
+/**
+ * Checks whether a key identifies a finding or vital parameter
+ * @param {Object} item - Finding or vital parameter
+ * @param {string} key - Key as sent by the API ("finding:HeartRate") or normalized ("heart_rate")
+ * @returns {boolean} - True if it matches
+ * @private
+ */
+function matchesKey(item, key) {
+  return item.key === key || item.normalizedKey === toSnakeKey(key);
+}
+
+/**
+ * Summary or detailed finding of a report
+ */
+class Finding {
+  /**
+   * @param {ExamAudioEntryFinding|ExamAudioEntryDetailedFinding|DetailedFinding} raw - Finding payload
+   */
+  constructor(raw = {}) {
+    defineRaw(this, raw);
+
+    /** @type {string} */
+    this.key              = raw.key;
+    /** @type {string} Key without namespace in snake_case, e.g. "systolic_murmur" */
+    this.normalizedKey    = raw.key ? toSnakeKey(raw.key) : undefined;
+    /** @type {string} */
+    this.name             = raw.name;
+    /** @type {string} */
+    this.professionalName = pick(raw, 'professionalName', 'professional_name');
+    /** @type {string|undefined} */
+    this.message          = raw.message;
+    /** @type {Array<string>} */
+    this.codes            = Array.isArray(raw.codes) ? raw.codes : [];
+    /** @type {string|undefined} Confidence code, e.g. "high_conf" */
+    this.confidenceCode   = pick(raw, 'confidenceCode', 'confidence_code');
+    /** @type {string|undefined} Confidence level, e.g. "High Confidence" */
+    this.confidence       = raw.confidence;
+    /** @type {number|null} Confidence score (0-100) */
+    this.confidenceScore  = toNumber(pick(raw, 'conf', 'confidenceScore'));
+  }
+}
+
+/**
+ * Vital parameter of a report, e.g. heart rate
+ */
+class VitalParameter {
+  /**
+   * @param {ExamAudioEntryVitalParameter|VitalParameter} raw - Vital parameter payload
+   */
+  constructor(raw = {}) {
+    defineRaw(this, raw);
+
+    /** @type {string} Key as sent by the API, e.g. "finding:HeartRate" */
+    this.key           = raw.key;
+    /** @type {string} Key without namespace in snake_case, e.g. "heart_rate" (see VitalParameterKey) */
+    this.normalizedKey = raw.key ? toSnakeKey(raw.key) : undefined;
+    /** @type {number|null} */
+    this.value         = toNumber(raw.value);
+    /** @type {string|undefined} Medical code, e.g. UMLS "C0018810" */
+    this.code          = raw.code;
+  }
+}
+
+/**
+ * Report generated for a recording
+ */
+class Report {
+  /**
+   * @param {ExamAudioEntryReport|RecordingReport} raw - Report payload
+   */
+  constructor(raw = {}) {
+    defineRaw(this, raw);
+
+    const vitals = pick(raw, 'vitalParameters', 'vital_parameters') || [];
+
+    this.language        = raw.language;
+    this.status          = raw.status;
+    /** @type {Date|null} */
+    this.date            = toDate(raw.date);
+    this.device          = raw.device;
+    this.message         = raw.message;
+    /** @type {Array<string>} */
+    this.events          = Array.isArray(raw.events) ? raw.events : [];
+    /** @type {Array<Finding>} */
+    this.summary         = (raw.summary || []).map(finding => new Finding(finding));
+    /** @type {Array<Finding>} */
+    this.findings        = (raw.findings || []).map(finding => new Finding(finding));
+    /** @type {Array<VitalParameter>} */
+    this.vitalParameters = vitals.map(vital => new VitalParameter(vital));
+    this.signalType      = pick(raw, 'signalType', 'signal_type');
+    /** @type {number|null} Background noise level (0-5) */
+    this.backgroundNoise = toNumber(pick(raw, 'backgroundNoise', 'background_noise'));
+    /** @type {number|null} Sound quality score (0-5) */
+    this.soundQuality    = toNumber(pick(raw, 'soundQuality', 'sound_quality'));
+  }
+
+  /**
+   * Creates a report, or returns the argument if it already is one
+   * @param {Object|string|Report|null} raw - Report payload, possibly JSON-encoded
+   * @returns {Report|null} - Report, or null if there is none or it cannot be decoded
+   */
+  static from(raw) {
+    if (!raw) {
+      return null;
+    }
+    if (raw instanceof Report) {
+      return raw;
+    }
+
+    if (typeof raw === 'string') {
+      try {
+        raw = JSON.parse(raw);
+      } catch (error) {
+        return null;
+      }
+    }
+    return raw && typeof raw === 'object' ? new Report(raw) : null;
+  }
+
+  /**
+   * Finds a finding by key; detailed findings take precedence over summary findings
+   * @param {string} key - Key as sent by the API or normalized (e.g. "systolic_murmur")
+   * @returns {Finding|null} - Finding, or null if absent
+   */
+  getFinding(key) {
+    return this.findings.find(finding => matchesKey(finding, key)) ||
+      this.summary.find(finding => matchesKey(finding, key)) ||
+      null;
+  }
+
+  /**
+   * Finds a vital parameter by key
+   * @param {string} key - Key as sent by the API ("finding:HeartRate") or normalized ("heart_rate")
+   * @returns {VitalParameter|null} - Vital parameter, or null if absent
+   */
+  getVital(key) {
+    return this.vitalParameters.find(vital => matchesKey(vital, key)) || null;
+  }
+}
+
+/**
+ * Audio recording with its classification results
+ */
+class Recording {
+  /**
+   * @param {Recording|ExamAudioEntry|RecordingClassifiedEvent} raw - Recording payload
+   */
+  constructor(raw = {}) {
+    defineRaw(this, raw);
+
+    const metadata = raw.metadata || {};
+
+    this.id                       = pick(raw, 'id', 'audio_id', 'recordingId');
+    this.examId                   = pick(raw, 'examId', 'exam_id');
+    this.userId                   = pick(raw, 'userId', 'user_id');
+    this.filename                 = raw.filename;
+    this.file                     = raw.file;
+    /** @type {Array<string>} */
+    this.filenames                = Array.isArray(raw.filenames) ? raw.filenames : [];
+    this.status                   = pick(raw, 'status', 'classification_status', 'classificationStatus');
+
+    /** @type {string|undefined} Murmur classification (see MurmurClassification) */
+    this.murmur                   = raw.murmur;
+    /** @type {Array<number>} Average murmur predictions, e.g. [71.952, 0.338, 27.71] */
+    this.murmurAveragePredictions = parsePredictions(pick(raw, 'murmurAveragePredictions', 'murmur_average_predictions'));
+    /** @type {number|null} */
+    this.murmurCertainty          = toNumber(pick(raw, 'murmurCertainty', 'murmur_certainty'));
+    /** @type {string|undefined} Rhythm classification (see RhythmClassification) */
+    this.rhythm                   = raw.rhythm;
+
+    /** @type {number|null} Heart rate (bpm) */
+    this.heartRate                = toNumber(pick(raw, 'heartRate', 'hr', 'heart_rate'));
+    this.heartToneTimeVariance    = toNumber(pick(raw, 'heartToneTimeVariance', 'heart_tone_time_variance'));
+    // Exam audio entries spell these "S1_durarion"
+    this.s1Duration               = toNumber(pick(raw, 's1Duration', 's1_duration', 'S1_duration', 'S1_durarion'));
+    this.s2Duration               = toNumber(pick(raw, 's2Duration', 's2_duration', 'S2_duration', 'S2_durarion'));
+    this.stdS1                    = toNumber(pick(raw, 'stdS1', 'std_s1'));
+    this.stdS2                    = toNumber(pick(raw, 'stdS2', 'std_s2'));
+    this.avgSystole               = toNumber(pick(raw, 'avgSystole', 'avg_systole'));
+    this.avgDiastole              = toNumber(pick(raw, 'avgDiastole', 'avg_diastole'));
+    this.ibi                      = toNumber(raw.ibi);
+    this.sdnn                     = toNumber(raw.sdnn);
+
+    /** @type {string|Object|undefined} Segmentation payload, see getSegmentation() */
+    this.segmentation             = raw.segmentation;
+    /** @type {number|null} Sound quality score (0-5) */
+    this.soundQuality             = toNumber(pick(raw, 'soundQuality', 'sound_quality'));
+    /** @type {number|null} Processing time (ms) */
+    this.processingTime           = toNumber(pick(raw, 'processingTime', 'processing_time'));
+    /** @type {number|null} Prediction time (ms) */
+    this.predictionTime           = toNumber(pick(raw, 'predictionTime', 'pred_time'));
+
+    this.size                     = toNumber(raw.size);
+    this.location                 = raw.location;
+    this.device                   = raw.device;
+    this.country                  = raw.country;
+    this.site                     = raw.site;
+    /** @type {Date|null} */
+    this.timestamp                = toDate(raw.timestamp);
+    /** @type {Date|null} */
+    this.createdAt                = toDate(pick(raw, 'createdAt', 'created_at', 'create_at'));
+    /** @type {Date|null} */
+    this.updatedAt                = toDate(pick(raw, 'updatedAt', 'updated_at', 'update_at'));
+
+    /** @type {Array<AudioFileMetadata>} Files with camelCase keys and Date timestamps */
+    this.files                    = (metadata.files || []).map(file => {
+      const camel = camelizeKeys(file);
+      return { ...camel, createAt: toDate(camel.createAt), updateAt: toDate(camel.updateAt), deleteAt: toDate(camel.deleteAt) };
+    });
+    /** @type {Report|null} */
+    this.report                   = Report.from(raw.report);
+    this.predictionReport         = pick(raw, 'predictionReport', 'prediction_report');
+  }
+
+  /**
+   * Creates a recording, or returns the argument if it already is one
+   * @param {Object|Recording} raw - Recording payload
+   * @returns {Recording} - Recording
+   */
+  static from(raw) {
+    return raw instanceof Recording ? raw : new Recording(raw);
+  }
+
+  /**
+   * Checks whether a murmur was detected
+   * @returns {boolean} - True if the murmur classification is "murmur"
+   */
+  hasMurmur() {
+    return this.murmur === MurmurClassification.PRESENT;
+  }
+
+  /**
+   * Checks whether classification results are available
+   * @returns {boolean} - True if classified
+   */
+  isClassified() {
+    return this.status === 'classified' || (Boolean(this.murmur) && this.murmur !== 'pending');
+  }
+
+  /**
+   * Parses the segmentation into a timeline of sound events
+   * @returns {SoundTimeline} - Events sorted by start time
+   */
+  getSegmentation() {
+    return parseSegmentation(this.segmentation);
+  }
+
+  /**
+   * Finds a finding of the report by key
+   * @param {string} key - Key as sent by the API or normalized
+   * @returns {Finding|null} - Finding, or null if absent
+   */
+  getFinding(key) {
+    return this.report ? this.report.getFinding(key) : null;
+  }
+
+  /**
+   * Finds a vital parameter of the report by key, falling back to the recording's heart rate
+   * @param {string} key - Key as sent by the API ("finding:HeartRate") or normalized ("heart_rate")
+   * @returns {VitalParameter|null} - Vital parameter, or null if absent
+   */
+  getVital(key) {
+    const vital = this.report ? this.report.getVital(key) : null;
+
+    if (!vital && toSnakeKey(key) === 'heart_rate' && this.heartRate !== null) {
+      return new VitalParameter({ key: 'heart_rate', value: this.heartRate });
+    }
+    return vital;
+  }
+}
+
+/**
+ * Exam grouping the recordings of one patient visit
+ */
+class Exam {
+  /**
+   * @param {Exam} raw - Exam payload (PascalCase as returned by the API, or snake/camelCase)
+   */
+  constructor(raw = {}) {
+    defineRaw(this, raw);
+
+    const entries = pick(raw, 'ExamAudioEntries', 'exam_audio_entries', 'examAudioEntries', 'recordings') || [];
+
+    this.id            = pick(raw, 'Id', 'id');
+    this.userId        = pick(raw, 'UserId', 'user_id', 'userId');
+    /** @type {Date|null} */
+    this.visitDate     = toDate(pick(raw, 'VisitDate', 'visit_date', 'visitDate'));
+    this.patientId     = pick(raw, 'PatientId', 'patient_id', 'patientId');
+    /** @type {number|null} */
+    this.age           = toNumber(pick(raw, 'Age', 'age'));
+    this.sex           = pick(raw, 'Sex', 'sex');
+    this.diagnosis     = pick(raw, 'Diagnosis', 'diagnosis');
+    this.complaint     = pick(raw, 'Complaint', 'complaint');
+    this.history       = pick(raw, 'History', 'history');
+    this.echoDiagnoses = pick(raw, 'EchoDiagnoses', 'echo_diagnoses', 'echoDiagnoses');
+    /** @type {Date|null} */
+    this.createdAt     = toDate(pick(raw, 'CreatedAt', 'created_at', 'createdAt'));
+    /** @type {Date|null} */
+    this.updatedAt     = toDate(pick(raw, 'UpdatedAt', 'updated_at', 'updatedAt'));
+    /** @type {Array<Recording>} */
+    this.recordings    = entries.map(entry => Recording.from(entry));
+  }
+
+  /**
+   * Creates an exam, or returns the argument if it already is one
+   * @param {Object|Exam} raw - Exam payload
+   * @returns {Exam} - Exam
+   */
+  static from(raw) {
+    return raw instanceof Exam ? raw : new Exam(raw);
+  }
+
+  /**
+   * Finds a recording of the exam by ID
+   * @param {string} recordingId - Recording ID
+   * @returns {Recording|null} - Recording, or null if absent
+   */
+  getRecording(recordingId) {
+    return this.recordings.find(recording => recording.id === recordingId) || null;
+  }
+
+  /**
+   * Checks whether a murmur was detected in any recording of the exam
+   * @returns {boolean} - True if any recording has a murmur
+   */
+  hasMurmur() {
+    return this.recordings.some(recording => recording.hasMurmur());
+  }
+}
+
+module.exports = {
+  Finding,
+  VitalParameter,
+  Report,
+  Recording,
+  Exam,
+  toDate,
+  parsePredictions
+};
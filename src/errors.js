@@ -0,0 +1,363 @@
+/**
+ * Theodor.ai SDK Errors
+ * Error classes thrown by the Theodor.ai client
+ */
+
+/**
+ * Stable error codes carried by every SDK error
+ * @enum {string}
+ */
+const ErrorCode = {
+  THEODOR_ERROR:         'THEODOR_ERROR',
+  API_ERROR:             'API_ERROR',
+  BAD_REQUEST:           'BAD_REQUEST',
+  AUTHENTICATION_ERROR:  'AUTHENTICATION_ERROR',
+  PERMISSION_DENIED:     'PERMISSION_DENIED',
+  NOT_FOUND:             'NOT_FOUND',
+  RATE_LIMITED:          'RATE_LIMITED',
+  SERVER_ERROR:          'SERVER_ERROR',
+  NETWORK_ERROR:         'NETWORK_ERROR',
+  REQUEST_TIMEOUT:       'REQUEST_TIMEOUT',
+  ABORTED:               'ABORTED',
+  REQUEST_ERROR:         'REQUEST_ERROR',
+  VALIDATION_ERROR:      'VALIDATION_ERROR',
+  INVALID_AUDIO:         'INVALID_AUDIO',
+  PREDICTION_TIMEOUT:    'PREDICTION_TIMEOUT',
+  CLASSIFICATION_FAILED: 'CLASSIFICATION_FAILED',
+  CLIENT_CLOSED:         'CLIENT_CLOSED',
+  FHIR_ERROR:            'FHIR_ERROR',
+  HL7_REJECTED:          'HL7_REJECTED',
+  LIMIT_EXCEEDED:        'LIMIT_EXCEEDED'
+};
+
+/**
+ * Base class for all errors thrown by the SDK
+ */
+class TheodorError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code=ErrorCode.THEODOR_ERROR] - Stable error code
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || ErrorCode.THEODOR_ERROR;
+
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * The server responded with a non-2xx status code
+ */
+class TheodorApiError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status code
+   * @param {ErrorResponse} [options.data] - Response body
+   * @param {Object} [options.headers] - Response headers
+   * @param {string} [options.code=ErrorCode.API_ERROR] - Stable error code
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { code: options.code || ErrorCode.API_ERROR, cause: options.cause });
+    const data = options.data || {};
+
+    this.status        = options.status;
+    this.data          = data;
+    this.raw           = options.data; // Complete raw response body
+    this.headers       = options.headers || {};
+    this.errorId       = data.id;
+    this.requestId     = data.request_id || this.headers['x-request-id'];
+    this.detailedError = data.detailed_error;
+  }
+
+  /**
+   * Kept for code written against the pre-1.0 decorated errors
+   * @type {boolean}
+   */
+  get isTheodorError() {
+    return true;
+  }
+
+  /**
+   * Creates the most specific API error for a response
+   * @param {Object} response - Axios response
+   * @param {Error} [cause] - Underlying error
+   * @returns {TheodorApiError} - API error
+   */
+  static fromResponse(response, cause) {
+    const status  = response.status;
+    const data    = response.data && typeof response.data === 'object' ? response.data : {};
+    const detail  = data.message || data.detailed_error || data.error || (cause && cause.message) || 'Unknown error';
+    const message = `Theodor API Error (${status}): ${detail}`;
+    const options = { status, data: response.data, headers: response.headers, cause };
+
+    switch (status) {
+      case 400:
+      case 422:
+        return new TheodorApiError(message, { ...options, code: ErrorCode.BAD_REQUEST });
+      case 401:
+        return new AuthenticationError(message, options);
+      case 403:
+        return new AuthenticationError(message, { ...options, code: ErrorCode.PERMISSION_DENIED });
+      case 404:
+        return new NotFoundError(message, options);
+      case 429:
+        return new RateLimitError(message, options);
+      default:
+        if (status >= 500) {
+          return new TheodorApiError(message, { ...options, code: ErrorCode.SERVER_ERROR });
+        }
+        return new TheodorApiError(message, options);
+    }
+  }
+}
+
+/**
+ * The request was rejected because of missing, invalid or insufficient credentials (401/403)
+ */
+class AuthenticationError extends TheodorApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: options.code || ErrorCode.AUTHENTICATION_ERROR });
+  }
+}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class NotFoundError extends TheodorApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ErrorCode.NOT_FOUND });
+  }
+}
+
+/**
+ * Too many requests (429)
+ */
+class RateLimitError extends TheodorApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ErrorCode.RATE_LIMITED });
+
+    const retryAfter = Number(this.headers['retry-after']);
+    /** @type {number|null} Seconds to wait before retrying, when the server said so */
+    this.retryAfter = Number.isFinite(retryAfter) ? retryAfter : null;
+  }
+}
+
+/**
+ * The request was sent but no response was received
+ */
+class NetworkError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Object} [options.request] - Underlying request
+   * @param {string} [options.code=ErrorCode.NETWORK_ERROR] - Stable error code
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { code: options.code || ErrorCode.NETWORK_ERROR, cause: options.cause });
+    this.request = options.request;
+  }
+
+  get isNetworkError() {
+    return true;
+  }
+}
+
+/**
+ * No response was received within the request timeout
+ */
+class RequestTimeoutError extends NetworkError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {Object} [options.request] - Underlying request
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ErrorCode.REQUEST_TIMEOUT });
+    this.timeout = options.timeout;
+  }
+}
+
+/**
+ * The operation was cancelled through an AbortSignal
+ */
+class AbortError extends TheodorError {
+  constructor(message = 'The operation was aborted', options = {}) {
+    super(message, { code: ErrorCode.ABORTED, cause: options.cause });
+  }
+}
+
+/**
+ * The request could not be set up
+ */
+class RequestError extends TheodorError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.REQUEST_ERROR, cause: options.cause });
+  }
+
+  get isRequestError() {
+    return true;
+  }
+}
+
+/**
+ * Invalid arguments were passed to the client; nothing was sent to the server
+ */
+class ValidationError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.field] - Name of the offending option
+   * @param {string} [options.code=ErrorCode.VALIDATION_ERROR] - Stable error code
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { code: options.code || ErrorCode.VALIDATION_ERROR, cause: options.cause });
+    this.field = options.field;
+  }
+}
+
+/**
+ * A recording failed client-side inspection; nothing was uploaded
+ */
+class InvalidAudioError extends ValidationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.reason] - Machine-readable reason, e.g. 'not_wav', 'truncated' or 'too_short'
+   * @param {Array<Object>} [options.problems] - Every problem found, as `{ reason, message }`
+   * @param {Object} [options.audio] - Result of inspectAudio, when the header could be read
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { field: 'audio', code: ErrorCode.INVALID_AUDIO, cause: options.cause });
+    this.reason   = options.reason;
+    this.problems = options.problems || (options.reason ? [{ reason: options.reason, message }] : []);
+    this.audio    = options.audio;
+  }
+}
+
+/**
+ * No prediction arrived for a recording within the allowed time
+ */
+class PredictionTimeoutError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.recordingId] - Recording ID
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.PREDICTION_TIMEOUT });
+    this.recordingId = options.recordingId;
+    this.timeout     = options.timeout;
+  }
+}
+
+/**
+ * The server failed to classify a recording
+ */
+class ClassificationFailedError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.recordingId] - Recording ID
+   * @param {Object} [options.data] - Recording or event payload describing the failure
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.CLASSIFICATION_FAILED });
+    this.recordingId = options.recordingId;
+    this.data        = options.data;
+  }
+}
+
+/**
+ * A FHIR server rejected a request
+ */
+class FhirError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status code
+   * @param {Object} [options.outcome] - OperationOutcome returned by the server
+   * @param {Object} [options.headers] - Response headers
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.FHIR_ERROR, cause: options.cause });
+    this.status  = options.status;
+    this.outcome = options.outcome;
+    this.headers = options.headers || {};
+
+    const issues = options.outcome && Array.isArray(options.outcome.issue) ? options.outcome.issue : [];
+    /** @type {Array<string>} Diagnostics of every issue in the OperationOutcome */
+    this.issues = issues.map(issue => issue.diagnostics || (issue.details && issue.details.text) || issue.code);
+  }
+}
+
+/**
+ * An HL7 v2 receiver answered with a negative acknowledgment (AE or AR)
+ */
+class Hl7Error extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.ackCode] - Acknowledgment code (MSA-1), e.g. "AE" or "AR"
+   * @param {string} [options.controlId] - Control ID of the rejected message (MSA-2)
+   * @param {string} [options.ack] - Raw acknowledgment message
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.HL7_REJECTED, cause: options.cause });
+    this.ackCode   = options.ackCode;
+    this.controlId = options.controlId;
+    this.ack       = options.ack;
+  }
+}
+
+/**
+ * A listing returned more items than the caller allowed
+ */
+class LimitExceededError extends TheodorError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.limit] - Maximum number of items
+   * @param {number} [options.total] - Total number of items reported by the server, if known
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.LIMIT_EXCEEDED });
+    this.limit = options.limit;
+    this.total = options.total;
+  }
+}
+
+module.exports = {
+  ErrorCode,
+  TheodorError,
+  TheodorApiError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  RequestTimeoutError,
+  AbortError,
+  RequestError,
+  ValidationError,
+  InvalidAudioError,
+  PredictionTimeoutError,
+  ClassificationFailedError,
+  FhirError,
+  Hl7Error,
+  LimitExceededError
+};
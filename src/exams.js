@@ -0,0 +1,271 @@
+/**
+ * Theodor.ai SDK Exams
+ * Pagination over the exams of the account
+ */
+const { Exam, toDate } = require('./entities');
+const { LimitExceededError, TheodorApiError, ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_MAX_ITEMS = 10000;
+
+// Exam fields matched by a free-text query when the server does not search
+const QUERY_FIELDS = ['id', 'patientId', 'diagnosis', 'complaint', 'history', 'echoDiagnoses'];
+
+/**
+ * Lowercases a value for case-insensitive matching
+ * @param {*} value - Value
+ * @returns {string} - Lowercase text, empty for missing values
+ * @private
+ */
+function lower(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return (Array.isArray(value) ? value.join(' ') : String(value)).toLowerCase();
+}
+
+/**
+ * Builds a predicate for the search criteria
+ * @param {Object} criteria - Search criteria, see ExamsApi#search
+ * @param {boolean} serverSearched - Whether the server already applied the query
+ * @returns {function(Exam): boolean} - Predicate on normalized exams
+ * @private
+ */
+function examMatcher(criteria, serverSearched) {
+  const query     = serverSearched ? '' : lower(criteria.query);
+  const diagnosis = lower(criteria.diagnosis);
+  const site      = lower(criteria.site);
+  const from      = criteria.from ? toDate(criteria.from) : null;
+  const to        = criteria.to ? toDate(criteria.to) : null;
+
+  return exam => {
+    if (criteria.patientId && String(exam.patientId) !== String(criteria.patientId)) {
+      return false;
+    }
+    if (query && !QUERY_FIELDS.some(field => lower(exam[field]).includes(query))) {
+      return false;
+    }
+    if (diagnosis && !lower(exam.diagnosis).includes(diagnosis) && !lower(exam.echoDiagnoses).includes(diagnosis)) {
+      return false;
+    }
+    if (from || to) {
+      const date = exam.visitDate || exam.createdAt;
+      if (!date || (from && date < from) || (to && date > to)) {
+        return false;
+      }
+    }
+    if (site && !exam.recordings.some(recording => lower(recording.site) === site)) {
+      return false;
+    }
+    if (typeof criteria.hasMurmur === 'boolean' && exam.hasMurmur() !== criteria.hasMurmur) {
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Exam listing helpers, available as `client.exams`
+ */
+class ExamsApi {
+  /**
+   * @param {TheodorClient} client - Client used for the requests
+   */
+  constructor(client) {
+    this.client = client;
+    /** @type {boolean|null} False once the server rejected a search query, null while unknown */
+    this.serverSearch = null;
+  }
+
+  /**
+   * Fetches pages of exams until the listing is exhausted
+   * @param {Object} [options] - Query options
+   * @param {number} [options.pageSize=100] - Exams per request
+   * @param {string} [options.orderBy='created_at'] - Order by field
+   * @param {number} [options.orderDirection=0] - Order direction (0: desc, 1: asc)
+   * @param {number} [options.startPage=0] - First page to fetch
+   * @param {AbortSignal} [options.signal] - Signal that aborts the iteration
+   * @param {number} [options.timeout] - Timeout in milliseconds for each request
+   * @returns {AsyncGenerator<ExamsResponse>} - Responses, one per page
+   */
+  async* pages(options = {}) {
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    let page       = options.startPage || 0;
+    let next       = undefined;
+    let seen       = 0;
+
+    for (;;) {
+      const response = await this.client.getExams({ ...options, page, pageSize, next });
+      const exams    = (response && response.exams) || [];
+
+      if (exams.length === 0) {
+        return;
+      }
+
+      yield response;
+      seen += exams.length;
+
+      // The server's total and next token are authoritative; without them a short page is the last one
+      const total = typeof response.Total === 'number' ? response.Total : null;
+      next        = response.next || undefined;
+      if ((total !== null && page * pageSize + exams.length >= total) || (!next && exams.length < pageSize)) {
+        return;
+      }
+
+      page++;
+      this.client._log('Fetching next page of exams', { page, seen, total });
+    }
+  }
+
+  /**
+   * Iterates over all exams, fetching pages as they are consumed
+   * @param {Object} [options] - Query options, see pages()
+   * @returns {AsyncGenerator<Exam>} - Exams as returned by the API
+   *
+   * @example
+   * for await (const exam of client.exams.iterate({ pageSize: 50 })) {
+   *   console.log(exam.Id, exam.PatientId);
+   * }
+   */
+  async* iterate(options = {}) {
+    for await (const response of this.pages(options)) {
+      yield* response.exams;
+    }
+  }
+
+  /**
+   * Fetches all exams into an array
+   * @param {Object} [options] - Query options, see pages()
+   * @param {number} [options.maxItems=10000] - Safety cap on the number of exams
+   * @param {boolean} [options.truncate=false] - Return the first maxItems exams instead of throwing when there are more
+   * @returns {Promise<Array<Exam>>} - Exams as returned by the API
+   * @throws {LimitExceededError} - If there are more than maxItems exams and truncate is not set
+   */
+  async listAll(options = {}) {
+    const maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+    const exams    = [];
+
+    for await (const response of this.pages(options)) {
+      for (const exam of response.exams) {
+        if (exams.length === maxItems) {
+          if (options.truncate) {
+            return exams;
+          }
+          throw new LimitExceededError(`More than ${maxItems} exams; iterate() over them or raise maxItems`, {
+            limit: maxItems,
+            total: typeof response.Total === 'number' ? response.Total : undefined
+          });
+        }
+        exams.push(exam);
+      }
+    }
+
+    return exams;
+  }
+
+  /**
+   * Completes an exam from a listing with its recordings. Some list responses omit the audio entries;
+   * the exam fetched by its ID always has them.
+   * @param {Object} exam - Exam as returned in a listing
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object>} - Exam with ExamAudioEntries, as returned by the API
+   */
+  async withRecordings(exam, options = {}) {
+    if (Array.isArray(exam.ExamAudioEntries)) {
+      return exam;
+    }
+
+    const details = await this.client.getExam(exam.Id || exam.id, { signal: options.signal, timeout: options.timeout });
+    return details || exam;
+  }
+
+  /**
+   * Iterates over the exams matching the criteria. The query (or the patient ID) is sent to the server as
+   * search query; all criteria are then also checked on each exam, so the results are the same whether or
+   * not the server supports searching.
+   * @param {Object} [criteria] - Search criteria; all given criteria must match
+   * @param {string} [criteria.query] - Free text, matched case-insensitively against ID, patient ID, diagnosis,
+   *   complaint, history and echo diagnoses
+   * @param {string} [criteria.patientId] - Exact patient ID
+   * @param {Date|string|number} [criteria.from] - Only exams visited at or after this time
+   * @param {Date|string|number} [criteria.to] - Only exams visited at or before this time
+   * @param {string} [criteria.diagnosis] - Text contained in the diagnosis or echo diagnoses
+   * @param {boolean} [criteria.hasMurmur] - Only exams with (true) or without (false) a detected murmur
+   * @param {string} [criteria.site] - Only exams with a recording at this site (e.g. "aortic")
+   * @param {string} [criteria.mode] - Search mode, passed to the server as is
+   * @param {number} [criteria.pageSize=100] - Exams per request
+   * @param {AbortSignal} [criteria.signal] - Signal that aborts the search
+   * @param {number} [criteria.timeout] - Timeout in milliseconds for each request
+   * @returns {AsyncGenerator<Exam>} - Matching exams as returned by the API
+   * @throws {ValidationError} - If a date is invalid
+   *
+   * @example
+   * const sixMonthsAgo = new Date(Date.now() - 182 * 24 * 60 * 60 * 1000);
+   * for await (const exam of client.exams.search({ patientId: 'P-1042', from: sixMonthsAgo })) {
+   *   console.log(exam.Id, exam.VisitDate);
+   * }
+   */
+  async* search(criteria = {}) {
+    for (const field of ['from', 'to']) {
+      if (criteria[field] !== undefined && criteria[field] !== null && !toDate(criteria[field])) {
+        throw new ValidationError(`Invalid date for ${field}: ${criteria[field]}`, { field });
+      }
+    }
+
+    const needsRecordings = Boolean(criteria.site) || typeof criteria.hasMurmur === 'boolean';
+    const options         = { ...criteria, searchQuery: criteria.query || criteria.patientId || undefined };
+    let matches           = null;
+
+    for await (const response of this._searchPages(options)) {
+      // The server echoes the request; an echoed query means it did the text search itself
+      if (!matches) {
+        const request = response.Request || {};
+        matches = examMatcher(criteria, Boolean(criteria.query) && request.SearchQuery === criteria.query);
+      }
+
+      for (const raw of response.exams) {
+        const exam = needsRecordings ? await this.withRecordings(raw, criteria) : raw;
+
+        if (matches(Exam.from(exam))) {
+          yield exam;
+        }
+      }
+    }
+  }
+
+  /**
+   * Pages for a search, without the server-side query if the server rejects it
+   * @param {Object} options - Query options, see pages()
+   * @returns {AsyncGenerator<ExamsResponse>} - Responses, one per page
+   * @private
+   */
+  async* _searchPages(options) {
+    if (!options.searchQuery || this.serverSearch === false) {
+      yield* this.pages({ ...options, searchQuery: undefined });
+      return;
+    }
+
+    let first = true;
+    try {
+      for await (const response of this.pages(options)) {
+        first = false;
+        yield response;
+      }
+    } catch (error) {
+      if (!first || !(error instanceof TheodorApiError) || error.status !== 400) {
+        throw error;
+      }
+
+      // Remember for the lifetime of the client and filter everything locally
+      this.serverSearch = false;
+      this.client._log('Server rejected the search query, filtering exams locally', { status: error.status });
+      yield* this.pages({ ...options, searchQuery: undefined });
+    }
+  }
+}
+
+module.exports = {
+  ExamsApi
+};
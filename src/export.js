@@ -0,0 +1,313 @@
+/**
+ * Theodor.ai SDK Export
+ * Flattens exams and their recordings into rows and writes them as CSV, NDJSON or Parquet
+ */
+const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const { Exam, toDate } = require('./entities');
+const { ParquetWriter } = require('./parquet');
+const { ValidationError } = require('./errors');
+
+const FORMATS = ['csv', 'ndjson', 'parquet'];
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Built-in export columns. `value` receives the normalized recording and its exam.
+ */
+const EXPORT_COLUMNS = {
+  exam_id:                  { type: 'string', value: (recording, exam) => exam.id },
+  patient_id:               { type: 'string', value: (recording, exam) => exam.patientId },
+  age:                      { type: 'number', value: (recording, exam) => exam.age },
+  sex:                      { type: 'string', value: (recording, exam) => exam.sex },
+  visit_date:               { type: 'date',   value: (recording, exam) => exam.visitDate },
+  diagnosis:                { type: 'string', value: (recording, exam) => exam.diagnosis },
+  recording_id:             { type: 'string', value: recording => recording.id },
+  timestamp:                { type: 'date',   value: recording => recordingDate(recording) },
+  site:                     { type: 'string', value: recording => recording.site },
+  location:                 { type: 'string', value: recording => recording.location },
+  device:                   { type: 'string', value: recording => recording.device },
+  country:                  { type: 'string', value: recording => recording.country },
+  status:                   { type: 'string', value: recording => recording.status },
+  murmur:                   { type: 'string', value: recording => recording.murmur },
+  murmur_certainty:         { type: 'number', value: recording => recording.murmurCertainty },
+  rhythm:                   { type: 'string', value: recording => recording.rhythm },
+  hr:                       { type: 'number', value: recording => recording.heartRate },
+  respiratory_rate:         { type: 'number', value: recording => vitalValue(recording, 'respiratory_rate') },
+  sound_quality:            { type: 'number', value: recording => recording.soundQuality },
+  background_noise:         { type: 'number', value: recording => (recording.report ? recording.report.backgroundNoise : null) },
+  s1_duration:              { type: 'number', value: recording => recording.s1Duration },
+  s2_duration:              { type: 'number', value: recording => recording.s2Duration },
+  std_s1:                   { type: 'number', value: recording => recording.stdS1 },
+  std_s2:                   { type: 'number', value: recording => recording.stdS2 },
+  avg_systole:              { type: 'number', value: recording => recording.avgSystole },
+  avg_diastole:             { type: 'number', value: recording => recording.avgDiastole },
+  ibi:                      { type: 'number', value: recording => recording.ibi },
+  sdnn:                     { type: 'number', value: recording => recording.sdnn },
+  heart_tone_time_variance: { type: 'number', value: recording => recording.heartToneTimeVariance },
+  findings:                 { type: 'string', value: recording => findingsOf(recording).map(finding => finding.normalizedKey).join(';') },
+  finding_codes:            { type: 'string', value: recording => [...new Set(findingsOf(recording).flatMap(finding => finding.codes))].join(';') }
+};
+
+const DEFAULT_COLUMNS = Object.keys(EXPORT_COLUMNS);
+
+/**
+ * Detailed findings of a recording's report
+ * @param {Recording} recording - Recording
+ * @returns {Array<Finding>} - Findings
+ * @private
+ */
+function findingsOf(recording) {
+  return recording.report ? recording.report.findings : [];
+}
+
+/**
+ * Value of a vital parameter
+ * @param {Recording} recording - Recording
+ * @param {string} key - Vital parameter key
+ * @returns {number|null} - Value, null if absent
+ * @private
+ */
+function vitalValue(recording, key) {
+  const vital = recording.getVital(key);
+  return vital ? vital.value : null;
+}
+
+/**
+ * Date a recording was made
+ * @param {Recording} recording - Recording
+ * @returns {Date|null} - Recording time, falling back to the creation time
+ * @private
+ */
+function recordingDate(recording) {
+  return recording.timestamp || recording.createdAt;
+}
+
+/**
+ * Resolves the requested columns to definitions
+ * @param {Array<string|Object>} columns - Column names, `finding:<key>` for the confidence of one finding,
+ *   or `{ name, type, value(recording, exam) }` for custom columns
+ * @returns {Array<{name: string, type: string, value: Function}>} - Column definitions
+ * @private
+ * @throws {ValidationError} - If a column is unknown
+ */
+function resolveColumns(columns) {
+  return columns.map(column => {
+    if (column && typeof column === 'object') {
+      if (!column.name || typeof column.value !== 'function') {
+        throw new ValidationError('Custom columns need a name and a value function', { field: 'columns' });
+      }
+      return { type: 'string', ...column };
+    }
+
+    if (EXPORT_COLUMNS[column]) {
+      return { name: column, ...EXPORT_COLUMNS[column] };
+    }
+
+    // Confidence of a single finding, e.g. "finding:SystolicMurmur" or "finding:systolic_murmur"
+    if (typeof column === 'string' && column.startsWith('finding:')) {
+      return {
+        name:  column,
+        type:  'number',
+        value: recording => {
+          const finding = recording.getFinding(column);
+          return finding ? finding.confidenceScore : null;
+        }
+      };
+    }
+
+    throw new ValidationError(`Unknown export column: ${column}`, { field: 'columns' });
+  });
+}
+
+/**
+ * Walks all exams page by page and yields each one with its recordings
+ * @param {TheodorClient} client - Client
+ * @param {Object} [options] - Options
+ * @param {number} [options.pageSize=100] - Exams per request
+ * @param {AbortSignal} [options.signal] - Signal that aborts the export
+ * @returns {AsyncGenerator<Exam>} - Exams
+ * @private
+ */
+async function* walkExams(client, options = {}) {
+  // Oldest first, so exams created during the export are appended instead of shifting the pages
+  const exams = client.exams.iterate({
+    pageSize:       options.pageSize || DEFAULT_PAGE_SIZE,
+    orderBy:        'created_at',
+    orderDirection: 1,
+    signal:         options.signal
+  });
+
+  for await (const raw of exams) {
+    yield Exam.from(await client.exams.withRecordings(raw, { signal: options.signal }));
+  }
+}
+
+/**
+ * Reads the from and to options
+ * @param {Object} options - Export options
+ * @returns {{from: Date|null, to: Date|null}} - Bounds of the recording time, null where open
+ * @private
+ * @throws {ValidationError} - If a date is invalid
+ */
+function resolveDateRange(options) {
+  const range = { from: null, to: null };
+  for (const field of ['from', 'to']) {
+    if (options[field] === undefined || options[field] === null) {
+      continue;
+    }
+    // Dropping an unreadable bound would export the whole account
+    range[field] = toDate(options[field]);
+    if (!range[field]) {
+      throw new ValidationError(`Invalid date for ${field}: ${options[field]}`, { field });
+    }
+  }
+  return range;
+}
+
+/**
+ * Yields one flattened row per recording
+ * @param {TheodorClient} client - Client
+ * @param {Object} [options] - Export options, see createExportStream
+ * @returns {AsyncGenerator<Object>} - Rows with values by column name
+ * @throws {ValidationError} - If a column is unknown or a date is invalid, before any request is made
+ */
+async function* exportRows(client, options = {}) {
+  const columns      = resolveColumns(options.columns || DEFAULT_COLUMNS);
+  const { from, to } = resolveDateRange(options);
+
+  for await (const exam of walkExams(client, options)) {
+    for (const recording of exam.recordings) {
+      const date = recordingDate(recording);
+      if ((from && (!date || date < from)) || (to && (!date || date > to))) {
+        continue;
+      }
+
+      const row = {};
+      for (const column of columns) {
+        const value = column.value(recording, exam);
+        row[column.name] = value === undefined ? null : value;
+      }
+      yield row;
+    }
+  }
+}
+
+/**
+ * Formats a value for a CSV cell
+ * @param {*} value - Value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Cell text
+ * @private
+ */
+function csvCell(value, delimiter) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes a row for NDJSON
+ * @param {Object} row - Row
+ * @returns {string} - JSON line
+ * @private
+ */
+function ndjsonLine(row) {
+  return JSON.stringify(row) + '\n';
+}
+
+/**
+ * Encodes rows in the requested format
+ * @param {AsyncIterable<Object>} rows - Rows
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Object} options - Export options
+ * @returns {AsyncGenerator<Buffer|string>} - File contents, chunk by chunk
+ * @private
+ */
+async function* encodeRows(rows, columns, options) {
+  if (options.format === 'ndjson') {
+    for await (const row of rows) {
+      yield ndjsonLine(row);
+    }
+    return;
+  }
+
+  if (options.format === 'parquet') {
+    const writer = new ParquetWriter(columns, { rowGroupSize: options.rowGroupSize });
+    yield writer.start();
+    for await (const row of rows) {
+      const chunk = writer.write(row);
+      if (chunk) {
+        yield chunk;
+      }
+    }
+    yield writer.end();
+    return;
+  }
+
+  const delimiter = options.delimiter || ',';
+  yield columns.map(column => csvCell(column.name, delimiter)).join(delimiter) + '\r\n';
+  for await (const row of rows) {
+    yield columns.map(column => csvCell(row[column.name], delimiter)).join(delimiter) + '\r\n';
+  }
+}
+
+/**
+ * Creates a stream of exported recordings. Exams are fetched page by page as the stream is read,
+ * so the export never holds more than one page of exams (and one Parquet row group) in memory.
+ * @param {TheodorClient} client - Client
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='csv'] - Output format: 'csv', 'ndjson' or 'parquet'
+ * @param {Array<string|Object>} [options.columns] - Columns to export (default: all built-in columns).
+ *   Use `finding:<key>` for the confidence of a finding, or `{ name, type, value(recording, exam) }` for custom columns
+ * @param {Date|string|number} [options.from] - Only recordings made at or after this time
+ * @param {Date|string|number} [options.to] - Only recordings made at or before this time
+ * @param {number} [options.pageSize=100] - Exams per request
+ * @param {string} [options.delimiter=','] - CSV field delimiter
+ * @param {number} [options.rowGroupSize=10000] - Rows per Parquet row group
+ * @param {AbortSignal} [options.signal] - Signal that aborts the export
+ * @returns {Readable} - File contents
+ * @throws {ValidationError} - If the format or a column is unknown or a date is invalid
+ */
+function createExportStream(client, options = {}) {
+  const format = String(options.format || 'csv').toLowerCase();
+
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid export format. Must be one of: ${FORMATS.join(', ')}`, { field: 'format' });
+  }
+
+  const columns = resolveColumns(options.columns || DEFAULT_COLUMNS);
+  resolveDateRange(options);
+  return Readable.from(encodeRows(exportRows(client, options), columns, { ...options, format }), { objectMode: false });
+}
+
+/**
+ * Exports all recordings to a file or writable stream
+ * @param {TheodorClient} client - Client
+ * @param {string|Writable} destination - File path or writable stream
+ * @param {Object} [options] - Export options, see createExportStream; the format defaults to the file extension
+ * @returns {Promise<void>} - Resolves when everything has been written
+ * @throws {ValidationError} - If the format or a column is unknown or a date is invalid
+ * @throws {TheodorError} - If fetching exams fails
+ */
+function exportRecordings(client, destination, options = {}) {
+  // Without an explicit format, a file path's extension decides
+  const extension = typeof destination === 'string' ? destination.split('.').pop().toLowerCase() : null;
+  const format    = options.format || (FORMATS.includes(extension) ? extension : 'csv');
+  const source    = createExportStream(client, { ...options, format });
+  const target    = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+
+  return new Promise((resolve, reject) => {
+    pipeline(source, target, error => (error ? reject(error) : resolve()));
+  });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  exportRows,
+  createExportStream,
+  exportRecordings
+};
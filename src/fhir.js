@@ -0,0 +1,518 @@
+/**
+ * Theodor.ai SDK FHIR Export
+ * Maps analysis results to FHIR R4 resources and pushes them to a FHIR server
+ */
+const axios = require('axios');
+
+const { Recording } = require('./entities');
+const { VitalParameterKey } = require('./constants');
+const { FhirError, NetworkError, RequestTimeoutError, AbortError, ValidationError } = require('./errors');
+const { createLogger } = require('./logger');
+const { RetryPolicy, generateIdempotencyKey: randomUuid } = require('./retry');
+
+const THEODOR_SYSTEM = 'https://theodor.ai/fhir';
+const UCUM_SYSTEM    = 'http://unitsofmeasure.org';
+const UMLS_SYSTEM    = 'http://www.nlm.nih.gov/research/umls';
+
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const MEDIA_TYPE_SYSTEM           = 'http://terminology.hl7.org/CodeSystem/media-type';
+
+/**
+ * Code systems recognized by the prefix of a code, e.g. "SNOMED:60573004"
+ */
+const CODE_SYSTEM_PREFIXES = {
+  UMLS:   UMLS_SYSTEM,
+  CUI:    UMLS_SYSTEM,
+  SNOMED: 'http://snomed.info/sct',
+  SCT:    'http://snomed.info/sct',
+  LOINC:  'http://loinc.org',
+  ICD10:  'http://hl7.org/fhir/sid/icd-10',
+  ICD:    'http://hl7.org/fhir/sid/icd-10'
+};
+
+/**
+ * LOINC codes and UCUM units of the vital parameters reported by Theodor
+ */
+const VITAL_SIGNS = {
+  [VitalParameterKey.HEART_RATE]:       { loinc: '8867-4', display: 'Heart rate', unit: 'beats/minute', ucum: '/min' },
+  [VitalParameterKey.RESPIRATORY_RATE]: { loinc: '9279-1', display: 'Respiratory rate', unit: 'breaths/minute', ucum: '/min' }
+};
+
+/**
+ * @typedef {Object} FhirOptions
+ * @property {string|Object} patientRef - Patient reference, e.g. "Patient/123" or `{ reference, display }`
+ * @property {string|Object} [encounterRef] - Encounter reference, e.g. "Encounter/456"
+ * @property {string} [status='preliminary'] - Status of the report and observations; results of automated
+ *   analysis are preliminary until a clinician reviews them
+ * @property {string} [mediaUrl] - URL of the audio file (defaults to the recording's download link, if any)
+ * @property {string} [identifierSystem='https://theodor.ai/fhir/recording'] - System of the identifiers given to every resource
+ */
+
+/**
+ * @typedef {Object} FhirResources
+ * @property {Object} diagnosticReport - DiagnosticReport referencing the observations and the media
+ * @property {Array<Object>} observations - One Observation per finding and vital parameter
+ * @property {Object|null} media - Media describing the audio, null if the recording has no file information
+ */
+
+/**
+ * Normalizes a reference given as a string or a Reference object
+ * @param {string|Object} [ref] - Reference
+ * @returns {Object|undefined} - FHIR Reference
+ * @private
+ */
+function toReference(ref) {
+  if (!ref) {
+    return undefined;
+  }
+  return typeof ref === 'string' ? { reference: ref } : ref;
+}
+
+/**
+ * Maps a code from a finding's `codes` array to a Coding
+ * @param {string} code - Code, optionally prefixed with its system ("SNOMED:60573004")
+ * @returns {Object} - FHIR Coding
+ * @private
+ */
+function toCoding(code) {
+  const match = /^([A-Za-z0-9]+)[:|](.+)$/.exec(code);
+  if (match && CODE_SYSTEM_PREFIXES[match[1].toUpperCase()]) {
+    return { system: CODE_SYSTEM_PREFIXES[match[1].toUpperCase()], code: match[2] };
+  }
+
+  // Unprefixed codes are UMLS concept IDs (e.g. C0018810)
+  if (/^C\d{7}$/.test(code)) {
+    return { system: UMLS_SYSTEM, code };
+  }
+  return { system: `${THEODOR_SYSTEM}/CodeSystem/code`, code };
+}
+
+/**
+ * Formats a date as a FHIR dateTime
+ * @param {Date|null} date - Date
+ * @returns {string|undefined} - ISO 8601 date time
+ * @private
+ */
+function toDateTime(date) {
+  return date ? date.toISOString() : undefined;
+}
+
+/**
+ * Creates a bundle entry placeholder ID that references between new resources can use
+ * @returns {string} - urn:uuid URI
+ * @private
+ */
+function newFullUrl() {
+  return `urn:uuid:${randomUuid()}`;
+}
+
+/**
+ * Creates an Observation for a report finding
+ * @param {Finding} finding - Finding
+ * @param {Object} context - Shared resource fields
+ * @returns {Object} - FHIR Observation
+ * @private
+ */
+function findingObservation(finding, context) {
+  const observation = {
+    resourceType: 'Observation',
+    identifier:   [{ system: context.identifierSystem, value: `${context.recordingId}/finding/${finding.normalizedKey}` }],
+    status:       context.status,
+    category:     [{ coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: 'exam', display: 'Exam' }] }],
+    code: {
+      coding: [
+        { system: `${THEODOR_SYSTEM}/CodeSystem/finding`, code: finding.key, display: finding.name },
+        ...finding.codes.map(toCoding)
+      ],
+      text: finding.professionalName || finding.name
+    },
+    subject:           context.subject,
+    encounter:         context.encounter,
+    effectiveDateTime: context.effectiveDateTime,
+    valueBoolean:      true
+  };
+
+  if (finding.confidenceScore !== null) {
+    observation.component = [{
+      code:          { coding: [{ system: `${THEODOR_SYSTEM}/CodeSystem/observation`, code: 'confidence', display: 'Confidence' }] },
+      valueQuantity: { value: finding.confidenceScore, unit: '%', system: UCUM_SYSTEM, code: '%' }
+    }];
+  }
+
+  if (finding.confidence || finding.confidenceCode) {
+    observation.interpretation = [{
+      coding: finding.confidenceCode ? [{ system: `${THEODOR_SYSTEM}/CodeSystem/confidence`, code: finding.confidenceCode }] : undefined,
+      text:   finding.confidence || finding.confidenceCode
+    }];
+  }
+
+  if (finding.message) {
+    observation.note = [{ text: finding.message }];
+  }
+
+  return observation;
+}
+
+/**
+ * Creates a vital signs Observation for a vital parameter
+ * @param {VitalParameter} vital - Vital parameter
+ * @param {Object} context - Shared resource fields
+ * @returns {Object} - FHIR Observation
+ * @private
+ */
+function vitalObservation(vital, context) {
+  const sign   = VITAL_SIGNS[vital.normalizedKey];
+  const coding = [];
+
+  if (sign) {
+    coding.push({ system: 'http://loinc.org', code: sign.loinc, display: sign.display });
+  }
+  if (vital.code) {
+    coding.push(toCoding(vital.code));
+  }
+  coding.push({ system: `${THEODOR_SYSTEM}/CodeSystem/vital`, code: vital.key });
+
+  return {
+    resourceType:      'Observation',
+    identifier:        [{ system: context.identifierSystem, value: `${context.recordingId}/vital/${vital.normalizedKey}` }],
+    status:            context.status,
+    category:          [{ coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: 'vital-signs', display: 'Vital Signs' }] }],
+    code:              { coding, text: sign ? sign.display : vital.key },
+    subject:           context.subject,
+    encounter:         context.encounter,
+    effectiveDateTime: context.effectiveDateTime,
+    valueQuantity:     sign
+      ? { value: vital.value, unit: sign.unit, system: UCUM_SYSTEM, code: sign.ucum }
+      : { value: vital.value }
+  };
+}
+
+/**
+ * Creates the Media resource describing the recorded audio
+ * @param {Recording} recording - Recording
+ * @param {Object} context - Shared resource fields
+ * @param {string} [url] - URL of the audio file
+ * @returns {Object|null} - FHIR Media, or null if nothing is known about the audio
+ * @private
+ */
+function audioMedia(recording, context, url) {
+  const file  = recording.files[0] || {};
+  const title = file.name || recording.filename;
+
+  if (!title && !url) {
+    return null;
+  }
+
+  const media = {
+    resourceType:    'Media',
+    identifier:      [{ system: context.identifierSystem, value: `${context.recordingId}/media` }],
+    status:          'completed',
+    type:            { coding: [{ system: MEDIA_TYPE_SYSTEM, code: 'audio', display: 'Audio' }] },
+    subject:         context.subject,
+    encounter:       context.encounter,
+    createdDateTime: context.effectiveDateTime,
+    bodySite:        recording.location || recording.site ? { text: recording.location || recording.site } : undefined,
+    deviceName:      file.device || recording.device,
+    duration:        typeof file.seconds === 'number' ? file.seconds : undefined,
+    content: {
+      contentType: file.mimeType || 'audio/wav',
+      url,
+      size:        file.size || recording.size || undefined,
+      title
+    }
+  };
+
+  return media;
+}
+
+/**
+ * Removes undefined fields so resources serialize cleanly
+ * @param {*} value - Value
+ * @returns {*} - Value without undefined fields
+ * @private
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, field] of Object.entries(value)) {
+      if (field !== undefined) {
+        result[key] = compact(field);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Maps a recording's results to FHIR R4 resources
+ * @param {Object|Recording} recording - Recording payload or model
+ * @param {FhirOptions} options - Mapping options
+ * @returns {FhirResources} - DiagnosticReport, Observations and Media, linked through urn:uuid fullUrls
+ *   (each resource has a non-enumerable `fullUrl`)
+ * @throws {ValidationError} - If the recording has no ID or no patient reference was given
+ */
+function toFhir(recording, options = {}) {
+  const model = Recording.from(recording);
+
+  if (!model.id) {
+    throw new ValidationError('Recording ID is required', { field: 'recording' });
+  }
+  if (!options.patientRef) {
+    throw new ValidationError('Patient reference is required', { field: 'patientRef' });
+  }
+
+  const report  = model.report;
+  const context = {
+    recordingId:       model.id,
+    identifierSystem:  options.identifierSystem || `${THEODOR_SYSTEM}/recording`,
+    status:            options.status || 'preliminary',
+    subject:           toReference(options.patientRef),
+    encounter:         toReference(options.encounterRef),
+    effectiveDateTime: toDateTime(model.timestamp || model.createdAt)
+  };
+
+  const vitals = report ? [...report.vitalParameters] : [];
+  if (!vitals.some(vital => vital.normalizedKey === VitalParameterKey.HEART_RATE)) {
+    const heartRate = model.getVital(VitalParameterKey.HEART_RATE);
+    if (heartRate) {
+      vitals.push(heartRate);
+    }
+  }
+
+  const observations = [
+    ...(report ? report.findings : []).map(finding => findingObservation(finding, context)),
+    ...vitals.filter(vital => vital.value !== null).map(vital => vitalObservation(vital, context))
+  ].map(compact);
+
+  const raw      = model.raw || {};
+  const mediaUrl = options.mediaUrl || raw.downloadLink || raw.link;
+  const media    = audioMedia(model, context, mediaUrl);
+
+  const withFullUrl = (resource) => {
+    Object.defineProperty(resource, 'fullUrl', { value: newFullUrl(), enumerable: false });
+    return resource;
+  };
+
+  observations.forEach(withFullUrl);
+  const mediaResource = media ? withFullUrl(compact(media)) : null;
+
+  const summary = report ? report.summary : [];
+  const diagnosticReport = withFullUrl(compact({
+    resourceType: 'DiagnosticReport',
+    identifier:   [{ system: context.identifierSystem, value: model.id }],
+    status:       context.status,
+    category:     [{ text: 'Digital auscultation' }],
+    code: {
+      coding: [{ system: `${THEODOR_SYSTEM}/CodeSystem/report`, code: 'auscultation-analysis', display: 'Theodor.ai auscultation analysis' }],
+      text:   'Auscultation analysis'
+    },
+    subject:           context.subject,
+    encounter:         context.encounter,
+    effectiveDateTime: context.effectiveDateTime,
+    issued:            toDateTime(report && report.date) || new Date().toISOString(),
+    performer:         [{ display: 'Theodor.ai' }],
+    result:            observations.map(observation => ({ reference: observation.fullUrl })),
+    media:             mediaResource ? [{ comment: 'Recorded audio', link: { reference: mediaResource.fullUrl } }] : undefined,
+    conclusion:        summary.length > 0 ? summary.map(finding => finding.professionalName || finding.name).join('; ') : undefined,
+    conclusionCode:    summary.length > 0
+      ? summary.map(finding => ({
+        coding: [{ system: `${THEODOR_SYSTEM}/CodeSystem/finding`, code: finding.key, display: finding.name }],
+        text:   finding.professionalName || finding.name
+      }))
+      : undefined
+  }));
+
+  return { diagnosticReport, observations, media: mediaResource };
+}
+
+/**
+ * Wraps a recording's FHIR resources in a transaction bundle. Every entry is a conditional create on its
+ * identifier, so pushing the same recording twice does not duplicate resources.
+ * @param {Object|Recording} recording - Recording payload or model
+ * @param {FhirOptions} options - Mapping options
+ * @returns {Object} - FHIR transaction Bundle
+ * @throws {ValidationError} - If the recording has no ID or no patient reference was given
+ */
+function toFhirBundle(recording, options = {}) {
+  const { diagnosticReport, observations, media } = toFhir(recording, options);
+  const resources = [...observations, ...(media ? [media] : []), diagnosticReport];
+
+  return {
+    resourceType: 'Bundle',
+    type:         'transaction',
+    entry:        resources.map(resource => {
+      const identifier = resource.identifier[0];
+      return {
+        fullUrl:  resource.fullUrl,
+        resource,
+        request: {
+          method:      'POST',
+          url:         resource.resourceType,
+          ifNoneExist: `identifier=${encodeURIComponent(identifier.system)}|${encodeURIComponent(identifier.value)}`
+        }
+      };
+    })
+  };
+}
+
+/**
+ * Pushes analysis results to a FHIR server as transaction bundles
+ */
+class FhirPusher {
+  /**
+   * Creates a new FHIR pusher
+   * @param {Object} options - Pusher options
+   * @param {string} options.baseUrl - FHIR base URL, e.g. "https://ehr.example.org/fhir"
+   * @param {string} [options.token] - Bearer token
+   * @param {Object} [options.headers] - Additional request headers
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+   * @param {RetryOptions|boolean} [options.retry] - Retry policy (see RetryPolicy)
+   * @param {Logger|LoggerLike|Object|false} [options.logger] - Logger
+   * @param {FhirOptions} [options.defaults] - Mapping options applied to every push
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new ValidationError('FHIR base URL is required', { field: 'baseUrl' });
+    }
+
+    this.baseUrl     = options.baseUrl.replace(/\/+$/, '');
+    this.defaults    = options.defaults || {};
+    this.logger      = createLogger(options);
+    this.retryPolicy = options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry);
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      timeout: options.timeout !== undefined ? options.timeout : 30000,
+      headers: {
+        'Content-Type': 'application/fhir+json',
+        'Accept':       'application/fhir+json',
+        ...(options.token ? { 'Authorization': `Bearer ${options.token}` } : {}),
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * Maps a recording to FHIR and pushes it in one transaction
+   * @param {Object|Recording} recording - Recording payload or model
+   * @param {FhirOptions & {signal: AbortSignal}} [options] - Mapping options, merged over the defaults
+   * @returns {Promise<Object>} - Transaction-response Bundle
+   * @throws {FhirError} - If the server rejected the transaction
+   */
+  async push(recording, options = {}) {
+    const { signal, ...mapping } = options;
+    const bundle = toFhirBundle(recording, { ...this.defaults, ...mapping });
+
+    this.logger.debug('Pushing FHIR bundle', { recordingId: Recording.from(recording).id, entries: bundle.entry.length });
+    return this.pushBundle(bundle, { signal });
+  }
+
+  /**
+   * Posts a transaction or batch bundle to the FHIR base URL
+   * @param {Object} bundle - FHIR Bundle
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request and the wait between attempts
+   * @returns {Promise<Object>} - Response Bundle
+   * @throws {FhirError} - If the server rejected the bundle
+   * @throws {AbortError} - If the signal was aborted
+   */
+  async pushBundle(bundle, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client.post('', bundle, { signal: options.signal });
+        return response.data;
+      } catch (caught) {
+        const error = this._toError(caught);
+
+        if (error instanceof AbortError || !this.retryPolicy.shouldRetry(error, attempt)) {
+          throw error;
+        }
+
+        const delay = this.retryPolicy.getDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        this.logger.debug('FHIR request failed, retrying', { delay, attempt, status: error.status, code: error.code });
+        await this._sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Waits for a delay, rejecting early if the signal is aborted
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new AbortError());
+      };
+
+      const timeoutId = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Converts an axios error to a typed SDK error
+   * @param {Error} error - Axios error
+   * @returns {TheodorError} - Typed error
+   * @private
+   */
+  _toError(error) {
+    if (axios.isCancel(error)) {
+      return new AbortError(undefined, { cause: error });
+    }
+
+    if (error.response) {
+      const outcome = error.response.data && error.response.data.resourceType === 'OperationOutcome'
+        ? error.response.data
+        : undefined;
+      const fhirError = new FhirError(`FHIR server error (${error.response.status})`, {
+        status:  error.response.status,
+        outcome,
+        headers: error.response.headers,
+        cause:   error
+      });
+
+      if (fhirError.issues.length > 0) {
+        fhirError.message += `: ${fhirError.issues.join('; ')}`;
+      }
+      return fhirError;
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new RequestTimeoutError(`FHIR request timed out: ${error.message}`, { request: error.request, cause: error });
+    }
+    return new NetworkError(`FHIR network error: ${error.message}`, { request: error.request, cause: error });
+  }
+}
+
+module.exports = {
+  VITAL_SIGNS,
+  toFhir,
+  toFhirBundle,
+  FhirPusher
+};
@@ -0,0 +1,733 @@
+/**
+ * Theodor.ai SDK HL7 v2
+ * ORU^R01 result messages and a minimal MLLP client and server
+ */
+const net          = require('net');
+const EventEmitter = require('events');
+
+const { Recording, Exam } = require('./entities');
+const { VitalParameterKey } = require('./constants');
+const { Hl7Error, NetworkError, RequestTimeoutError, ValidationError } = require('./errors');
+const { createLogger } = require('./logger');
+const { generateIdempotencyKey: randomUuid } = require('./retry');
+
+const HL7_VERSION             = '2.5.1';
+const SEGMENT_END             = '\r';
+const MLLP_START              = 0x0b; // Vertical tab
+const MLLP_END                = 0x1c; // File separator
+const MLLP_END_CR             = 0x0d;
+const MAX_CONTROL_ID          = 20;   // MSH-10 is at most 20 characters
+const DEFAULT_TIMEOUT         = 10000; // 10 seconds to wait for an acknowledgment
+const DEFAULT_CONNECT_TIMEOUT = 10000; // 10 seconds to open the connection
+
+/**
+ * Acknowledgment codes (MSA-1)
+ * @enum {string}
+ */
+const AckCode = {
+  ACCEPT: 'AA',
+  ERROR:  'AE',
+  REJECT: 'AR'
+};
+
+/**
+ * LOINC codes of the observations that have one
+ */
+const LOINC = {
+  [VitalParameterKey.HEART_RATE]:       { code: '8867-4', text: 'Heart rate', unit: '/min^beats per minute^UCUM' },
+  [VitalParameterKey.RESPIRATORY_RATE]: { code: '9279-1', text: 'Respiratory rate', unit: '/min^breaths per minute^UCUM' },
+  age:                                  { code: '30525-0', text: 'Age', unit: 'a^year^UCUM' }
+};
+
+/**
+ * Escapes the HL7 delimiters in a field value
+ * @param {*} value - Value
+ * @returns {string} - Escaped value, empty for null and undefined
+ */
+function escapeHl7(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value)
+    .replace(/\\/g, '\\E\\')
+    .replace(/\|/g, '\\F\\')
+    .replace(/\^/g, '\\S\\')
+    .replace(/&/g, '\\T\\')
+    .replace(/~/g, '\\R\\')
+    .replace(/\r\n|\r|\n/g, '\\.br\\');
+}
+
+/**
+ * Reverses escapeHl7
+ * @param {string} value - Escaped value
+ * @returns {string} - Value
+ */
+function unescapeHl7(value) {
+  return String(value).replace(/\\(E|F|S|T|R|\.br)\\/g, (match, code) => ({
+    E: '\\', F: '|', S: '^', T: '&', R: '~', '.br': '\r'
+  })[code]);
+}
+
+/**
+ * Formats a date as an HL7 DTM (UTC)
+ * @param {Date} date - Date
+ * @returns {string} - e.g. "20240529162640+0000"
+ */
+function formatHl7Date(date) {
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}+0000`;
+}
+
+/**
+ * Builds a composite field from already escaped components
+ * @param {...*} components - Components
+ * @returns {string} - Components joined with "^", trailing empty components removed
+ * @private
+ */
+function composite(...components) {
+  return components.map(component => (component === undefined || component === null ? '' : component))
+    .join('^')
+    .replace(/\^+$/, '');
+}
+
+/**
+ * Builds a segment from its fields
+ * @param {string} name - Segment name
+ * @param {Array<string>} fields - Fields, already escaped
+ * @returns {string} - Segment
+ * @private
+ */
+function segment(name, fields) {
+  return [name, ...fields].join('|').replace(/\|+$/, '');
+}
+
+/**
+ * Parses an HL7 v2 message
+ * @param {string} message - Message with segments separated by CR (LF is tolerated)
+ * @returns {Array<Array<string>>} - Segments as lists of fields; index 0 is the segment name. For MSH, index 1 is
+ *   the field separator so that indices match the HL7 field numbers
+ * @throws {ValidationError} - If the message does not start with an MSH segment
+ */
+function parseHl7(message) {
+  const segments = String(message).split(/\r\n|\r|\n/).filter(line => line.length > 0);
+
+  if (segments.length === 0 || !segments[0].startsWith('MSH')) {
+    throw new ValidationError('HL7 message must start with an MSH segment', { field: 'message' });
+  }
+
+  const separator = segments[0][3];
+  return segments.map(line => {
+    const fields = line.split(separator);
+    if (fields[0] === 'MSH') {
+      fields.splice(1, 0, separator);
+    }
+    return fields;
+  });
+}
+
+/**
+ * Returns the first segment with a given name
+ * @param {Array<Array<string>>} segments - Parsed message
+ * @param {string} name - Segment name
+ * @returns {Array<string>|undefined} - Segment fields
+ * @private
+ */
+function findSegment(segments, name) {
+  return segments.find(fields => fields[0] === name);
+}
+
+/**
+ * Generates a message control ID
+ * @returns {string} - Control ID of at most 20 characters
+ * @private
+ */
+function newControlId() {
+  return randomUuid().replace(/-/g, '').slice(0, MAX_CONTROL_ID);
+}
+
+/**
+ * Maps the exam's sex to HL7 administrative sex (table 0001)
+ * @param {string} [sex] - Sex
+ * @returns {string} - "M", "F", "O" or "U"
+ * @private
+ */
+function administrativeSex(sex) {
+  const value = String(sex || '').trim().toLowerCase();
+  if (['m', 'male', 'man'].includes(value)) {
+    return 'M';
+  }
+  if (['f', 'female', 'woman'].includes(value)) {
+    return 'F';
+  }
+  if (['o', 'other'].includes(value)) {
+    return 'O';
+  }
+  return 'U';
+}
+
+/**
+ * Builds the patient name (PID-5, XPN)
+ * @param {string|Object} [name] - Family name, or `{ family, given, middle }`
+ * @returns {string} - Name, "^" (present but empty) if unknown, since PID-5 is required
+ * @private
+ */
+function patientName(name) {
+  const parts = typeof name === 'string' ? { family: name } : name || {};
+  const value = composite(escapeHl7(parts.family), escapeHl7(parts.given), escapeHl7(parts.middle));
+  return value || '^';
+}
+
+/**
+ * Builds the MSH segment
+ * @param {Object} options - Message options
+ * @param {string} messageType - MSH-9, e.g. "ORU^R01^ORU_R01"
+ * @param {string} controlId - MSH-10
+ * @returns {string} - MSH segment
+ * @private
+ */
+function headerSegment(options, messageType, controlId) {
+  return [
+    'MSH',
+    '^~\\&',
+    escapeHl7(options.sendingApplication || 'THEODOR'),
+    escapeHl7(options.sendingFacility),
+    escapeHl7(options.receivingApplication),
+    escapeHl7(options.receivingFacility),
+    formatHl7Date(options.timestamp || new Date()),
+    '',
+    messageType,
+    escapeHl7(controlId),
+    options.processingId || 'P',
+    HL7_VERSION
+  ].join('|');
+}
+
+/**
+ * @typedef {Object} OruOptions
+ * @property {string} [sendingApplication='THEODOR'] - MSH-3
+ * @property {string} [sendingFacility] - MSH-4
+ * @property {string} [receivingApplication] - MSH-5
+ * @property {string} [receivingFacility] - MSH-6
+ * @property {string} [messageControlId] - MSH-10 (generated if omitted)
+ * @property {string} [processingId='P'] - MSH-11: "P" production, "T" training, "D" debugging
+ * @property {Date} [timestamp] - MSH-7 (defaults to now)
+ * @property {string} [patientId] - PID-3, overrides the exam's PatientId
+ * @property {string} [assigningAuthority] - Assigning authority of the patient ID (PID-3.4)
+ * @property {string|{family: string, given: string, middle: string}} [patientName] - PID-5; a string is the family
+ *   name. Exams carry no name, so an empty name is sent when omitted
+ * @property {string} [resultStatus='P'] - OBR-25 and OBX-11: "P" preliminary or "F" final
+ */
+
+/**
+ * Serializes a classified recording as an HL7 v2.5.1 ORU^R01 message
+ * @param {Object|Recording} recording - Recording payload or model, as returned by getRecording
+ * @param {Object|Exam} [exam] - Exam payload or model, providing the patient ID, age and sex
+ * @param {OruOptions} [options] - Message options
+ * @returns {string} - Message with CR-separated segments
+ * @throws {ValidationError} - If the recording has no ID or no patient ID is known
+ */
+function toOruR01(recording, exam, options = {}) {
+  const model   = Recording.from(recording);
+  const patient = exam ? Exam.from(exam) : null;
+  const status  = options.resultStatus || 'P';
+
+  const patientId = options.patientId || (patient && patient.patientId);
+
+  if (!model.id) {
+    throw new ValidationError('Recording ID is required', { field: 'recording' });
+  }
+  if (!patientId) {
+    throw new ValidationError('Patient ID is required, from the exam or the patientId option', { field: 'patientId' });
+  }
+
+  const controlId    = options.messageControlId || newControlId();
+  const observedAt   = model.timestamp || model.createdAt;
+  const observedTime = observedAt ? formatHl7Date(observedAt) : '';
+  const segments     = [
+    headerSegment(options, 'ORU^R01^ORU_R01', controlId),
+    segment('PID', [
+      '1',
+      '',
+      composite(escapeHl7(patientId), '', '', escapeHl7(options.assigningAuthority)),
+      '',
+      patientName(options.patientName),
+      '',
+      '',
+      administrativeSex(patient && patient.sex)
+    ]),
+    segment('OBR', [
+      '1',
+      '',
+      composite(escapeHl7(model.id), 'THEODOR'),
+      composite('auscultation-analysis', 'Auscultation analysis', 'L'),
+      '',
+      '',
+      observedTime,
+      ...new Array(14).fill(''),
+      formatHl7Date(options.timestamp || new Date()), // OBR-22 results reported
+      '',
+      '',
+      status // OBR-25
+    ])
+  ];
+
+  let setId = 0;
+  const observation = (type, identifier, value, units, subId) => {
+    setId++;
+    segments.push(segment('OBX', [
+      String(setId),
+      type,
+      identifier,
+      subId === undefined ? '' : String(subId),
+      value,
+      units || '',
+      '',
+      '',
+      '',
+      '',
+      status,
+      '',
+      '',
+      observedTime
+    ]));
+  };
+
+  if (model.murmur) {
+    observation('CWE', composite('murmur', 'Murmur', 'L'), composite(escapeHl7(model.murmur), escapeHl7(model.murmur), 'L'));
+  }
+  if (model.murmurCertainty !== null) {
+    observation('NM', composite('murmur_certainty', 'Murmur certainty', 'L'), String(model.murmurCertainty), composite('%', 'percent', 'UCUM'));
+  }
+  if (model.rhythm) {
+    observation('CWE', composite('rhythm', 'Rhythm', 'L'), composite(escapeHl7(model.rhythm), escapeHl7(model.rhythm), 'L'));
+  }
+
+  for (const key of [VitalParameterKey.HEART_RATE, VitalParameterKey.RESPIRATORY_RATE]) {
+    const vital = model.getVital(key);
+    if (vital && vital.value !== null) {
+      observation('NM', composite(LOINC[key].code, LOINC[key].text, 'LN'), String(vital.value), LOINC[key].unit);
+    }
+  }
+
+  if (patient && patient.age !== null) {
+    observation('NM', composite(LOINC.age.code, LOINC.age.text, 'LN'), String(patient.age), LOINC.age.unit);
+  }
+
+  const findings = model.report ? model.report.findings : [];
+  findings.forEach((finding, index) => {
+    const subId = index + 1;
+    // The first code of the finding, if any, is sent as the alternate identifier
+    const [alternate] = finding.codes;
+
+    observation('CWE', composite('finding', 'Finding', 'L'), composite(
+      escapeHl7(finding.key),
+      escapeHl7(finding.professionalName || finding.name),
+      'L',
+      escapeHl7(alternate),
+      alternate ? escapeHl7(finding.name) : '',
+      alternate ? (/^C\d{7}$/.test(alternate) ? 'UML' : '99THEODOR') : ''
+    ), undefined, subId);
+
+    if (finding.confidenceScore !== null) {
+      observation('NM', composite('confidence', 'Confidence', 'L'), String(finding.confidenceScore), composite('%', 'percent', 'UCUM'), subId);
+    }
+  });
+
+  return segments.join(SEGMENT_END) + SEGMENT_END;
+}
+
+/**
+ * Builds an acknowledgment for a received message
+ * @param {string} message - Received message
+ * @param {string} [code='AA'] - Acknowledgment code (see AckCode)
+ * @param {string} [text] - MSA-3 text, e.g. the reason of a rejection
+ * @returns {string} - ACK message
+ */
+function buildAck(message, code = AckCode.ACCEPT, text) {
+  let msh = [];
+  try {
+    msh = findSegment(parseHl7(message), 'MSH') || [];
+  } catch (error) {
+    // Unparseable messages are still acknowledged, with the header fields left empty
+  }
+
+  // ACK^<trigger event of the message>^ACK; the trigger is R01 for the ORU messages handled here
+  const trigger = String(msh[9] || '').split('^')[1] || 'R01';
+
+  // The ACK goes back to the sender, so sending and receiving parties are swapped
+  const header = [
+    'MSH',
+    '^~\\&',
+    msh[5] || '',
+    msh[6] || '',
+    msh[3] || '',
+    msh[4] || '',
+    formatHl7Date(new Date()),
+    '',
+    `ACK^${trigger}^ACK`,
+    escapeHl7(newControlId()),
+    msh[11] || 'P',
+    msh[12] || HL7_VERSION
+  ].join('|');
+
+  return [header, segment('MSA', [code, msh[10] || '', escapeHl7(text)])].join(SEGMENT_END) + SEGMENT_END;
+}
+
+/**
+ * Reads the acknowledgment code and text of an ACK
+ * @param {string} ack - ACK message
+ * @returns {{code: string, controlId: string, text: string}} - MSA fields
+ * @throws {ValidationError} - If the message has no MSA segment
+ */
+function parseAck(ack) {
+  const msa = findSegment(parseHl7(ack), 'MSA');
+  if (!msa) {
+    throw new ValidationError('Acknowledgment has no MSA segment', { field: 'ack' });
+  }
+  return { code: msa[1], controlId: msa[2] || '', text: msa[3] ? unescapeHl7(msa[3]) : '' };
+}
+
+/**
+ * Wraps a message in an MLLP frame
+ * @param {string} message - HL7 message
+ * @returns {Buffer} - Framed message
+ */
+function frameMllp(message) {
+  return Buffer.concat([Buffer.from([MLLP_START]), Buffer.from(message, 'utf8'), Buffer.from([MLLP_END, MLLP_END_CR])]);
+}
+
+/**
+ * Splits incoming MLLP data into messages
+ * @private
+ */
+class MllpDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Adds received data
+   * @param {Buffer} chunk - Data
+   * @returns {Array<string>} - Messages completed by this chunk
+   */
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const messages = [];
+
+    for (;;) {
+      const start = this.buffer.indexOf(MLLP_START);
+      if (start === -1) {
+        this.buffer = Buffer.alloc(0);
+        break;
+      }
+
+      const end = this.buffer.indexOf(MLLP_END, start + 1);
+      if (end === -1 || end + 1 >= this.buffer.length) {
+        this.buffer = this.buffer.subarray(start);
+        break;
+      }
+
+      messages.push(this.buffer.toString('utf8', start + 1, end));
+      this.buffer = this.buffer.subarray(end + (this.buffer[end + 1] === MLLP_END_CR ? 2 : 1));
+    }
+
+    return messages;
+  }
+}
+
+/**
+ * Sends HL7 messages over MLLP and waits for their acknowledgments
+ */
+class MllpClient {
+  /**
+   * Creates a new MLLP client; the connection is opened on the first send and kept open
+   * @param {Object} options - Client options
+   * @param {string} options.host - Receiver host
+   * @param {number} options.port - Receiver port
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for an acknowledgment
+   * @param {number} [options.connectTimeout=10000] - Milliseconds to wait for the connection to open
+   * @param {Logger|LoggerLike|Object|false} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    if (!options.host || !options.port) {
+      throw new ValidationError('MLLP host and port are required', { field: options.host ? 'port' : 'host' });
+    }
+
+    this.host           = options.host;
+    this.port           = options.port;
+    this.timeout        = options.timeout || DEFAULT_TIMEOUT;
+    this.connectTimeout = options.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+    this.logger         = createLogger(options);
+    this.socket         = null;
+    this.queue          = Promise.resolve();
+    this.pending        = null;
+    this.decoder        = new MllpDecoder();
+  }
+
+  /**
+   * Sends a message; messages are sent one at a time, each waiting for its acknowledgment
+   * @param {string} message - HL7 message
+   * @returns {Promise<{code: string, controlId: string, text: string, ack: string}>} - Positive acknowledgment
+   * @throws {Hl7Error} - If the receiver answered AE or AR
+   * @throws {RequestTimeoutError} - If the connection did not open or no acknowledgment arrived in time
+   * @throws {NetworkError} - If the connection failed
+   */
+  send(message) {
+    const result = this.queue.then(() => this._send(message));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Sends one message
+   * @param {string} message - HL7 message
+   * @returns {Promise<Object>} - Positive acknowledgment
+   * @private
+   */
+  async _send(message) {
+    const socket = await this._connect();
+
+    const ack = await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pending = null;
+        // The late ACK would be taken for the answer to the next message, so the connection is dropped
+        this._destroy();
+        reject(new RequestTimeoutError(`No HL7 acknowledgment within ${this.timeout}ms`, { timeout: this.timeout }));
+      }, this.timeout);
+
+      this.pending = {
+        resolve: (value) => {
+          clearTimeout(timeoutId);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timeoutId);
+          reject(error);
+        }
+      };
+
+      socket.write(frameMllp(message));
+    });
+
+    const parsed = { ...parseAck(ack), ack };
+    this.logger.debug('HL7 acknowledgment received', { code: parsed.code, controlId: parsed.controlId });
+
+    if (parsed.code !== AckCode.ACCEPT && parsed.code !== 'CA') {
+      throw new Hl7Error(`HL7 message rejected (${parsed.code})${parsed.text ? `: ${parsed.text}` : ''}`, {
+        ackCode:   parsed.code,
+        controlId: parsed.controlId,
+        ack
+      });
+    }
+    return parsed;
+  }
+
+  /**
+   * Opens the connection if it is not open yet
+   * @returns {Promise<net.Socket>} - Connected socket
+   * @private
+   * @throws {RequestTimeoutError} - If the connection did not open within connectTimeout
+   */
+  _connect() {
+    if (this.socket) {
+      return Promise.resolve(this.socket);
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+
+      // Without a limit a receiver that drops the SYN leaves send() waiting for the OS timeout
+      const timeoutId = setTimeout(() => {
+        socket.destroy();
+        reject(new RequestTimeoutError(
+          `MLLP connection to ${this.host}:${this.port} not opened within ${this.connectTimeout}ms`,
+          { timeout: this.connectTimeout }
+        ));
+      }, this.connectTimeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timeoutId);
+        this.socket = socket;
+        this.logger.debug('MLLP connection opened', { host: this.host, port: this.port });
+        resolve(socket);
+      });
+
+      socket.on('data', (chunk) => {
+        for (const ack of this.decoder.push(chunk)) {
+          if (this.pending) {
+            const { resolve: resolveAck } = this.pending;
+            this.pending = null;
+            resolveAck(ack);
+          }
+        }
+      });
+
+      socket.on('error', (error) => {
+        const networkError = new NetworkError(`MLLP connection error: ${error.message}`, { cause: error });
+        if (this.socket !== socket) {
+          clearTimeout(timeoutId);
+          reject(networkError);
+        } else if (this.pending) {
+          this.pending.reject(networkError);
+          this.pending = null;
+        }
+      });
+
+      socket.on('close', () => {
+        // A socket ended by close() can finish closing while the next message waits on a new one
+        if (this.socket !== socket) {
+          return;
+        }
+        this.socket  = null;
+        this.decoder = new MllpDecoder();
+        if (this.pending) {
+          this.pending.reject(new NetworkError('MLLP connection closed before the acknowledgment arrived'));
+          this.pending = null;
+        }
+      });
+    });
+  }
+
+  /**
+   * Drops the connection
+   * @private
+   */
+  _destroy() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket  = null;
+      this.decoder = new MllpDecoder();
+    }
+  }
+
+  /**
+   * Closes the connection
+   */
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket  = null;
+      // The close event ignores sockets that are no longer current, so a partial frame is dropped here
+      this.decoder = new MllpDecoder();
+    }
+  }
+}
+
+/**
+ * Receives HL7 messages over MLLP and acknowledges them.
+ * Emits `message` with `(message, segments)` for every message received and `error` on connection errors.
+ */
+class MllpServer extends EventEmitter {
+  /**
+   * Creates a new MLLP server
+   * @param {Object} [options] - Server options
+   * @param {Function} [options.handler] - `async (message, segments) => void`; the message is acknowledged with AA
+   *   when it resolves and AE with the error message when it throws. Unparseable messages are rejected with AR.
+   * @param {Logger|LoggerLike|Object|false} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super();
+    this.handler = options.handler || null;
+    this.logger  = createLogger(options);
+    this.sockets = new Set();
+    this.server  = net.createServer(socket => this._handleConnection(socket));
+  }
+
+  /**
+   * Starts listening
+   * @param {number} [port=0] - Port (0 picks a free one)
+   * @param {string} [host] - Interface to bind
+   * @returns {Promise<{port: number, address: string}>} - Bound address
+   */
+  listen(port = 0, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stops listening and closes open connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Handles a client connection
+   * @param {net.Socket} socket - Client socket
+   * @private
+   */
+  _handleConnection(socket) {
+    const decoder = new MllpDecoder();
+    let queue     = Promise.resolve();
+
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', error => {
+      this.logger.warn('MLLP connection error', { error });
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+
+    socket.on('data', (chunk) => {
+      for (const message of decoder.push(chunk)) {
+        // Acknowledgments are sent in the order the messages arrived
+        queue = queue.then(() => this._handleMessage(message)).then(ack => {
+          if (!socket.destroyed) {
+            socket.write(frameMllp(ack));
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Processes one message
+   * @param {string} message - HL7 message
+   * @returns {Promise<string>} - ACK message
+   * @private
+   */
+  async _handleMessage(message) {
+    let segments;
+    try {
+      segments = parseHl7(message);
+    } catch (error) {
+      return buildAck(message, AckCode.REJECT, error.message);
+    }
+
+    try {
+      this.emit('message', message, segments);
+      if (this.handler) {
+        await this.handler(message, segments);
+      }
+      return buildAck(message, AckCode.ACCEPT);
+    } catch (error) {
+      this.logger.warn('HL7 message handler failed', { error });
+      return buildAck(message, AckCode.ERROR, error.message);
+    }
+  }
+}
+
+module.exports = {
+  AckCode,
+  escapeHl7,
+  unescapeHl7,
+  formatHl7Date,
+  parseHl7,
+  toOruR01,
+  buildAck,
+  parseAck,
+  frameMllp,
+  MllpClient,
+  MllpServer
+};
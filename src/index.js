@@ -4,4 +4,38 @@
  */
 
 const TheodorClient = require('./theodor');
-module.exports = TheodorClient;
\ No newline at end of file
+const errors        = require('./errors');
+const constants     = require('./constants');
+const { LogLevel, Logger, createLogger } = require('./logger');
+const { BackoffStrategy, JitterMode, RetryPolicy } = require('./retry');
+const { AuthStrategy } = require('./auth');
+const { RecordingEvent } = require('./subscriptions');
+const { WavFormat, inspectAudio, validateAudio, findAudioProblems, toAnalysisWav } = require('./audio');
+const { assessQuality } = require('./quality');
+const { SOUND_EVENT_COLORS, SoundTimeline, parseSegmentation } = require('./segmentation');
+const { Recording, Report, Finding, VitalParameter, Exam } = require('./entities');
+const { toFhir, toFhirBundle, FhirPusher } = require('./fhir');
+const { AckCode, toOruR01, parseHl7, buildAck, parseAck, MllpClient, MllpServer } = require('./hl7');
+const { renderReport } = require('./report');
+const { EXPORT_COLUMNS, exportRows, createExportStream, exportRecordings } = require('./export');
+const { SPECTROGRAM_DEFAULTS, computeSpectrogram, renderSpectrogramPng } = require('./spectrogram');
+const { renderPhonocardiogram } = require('./phonocardiogram');
+
+module.exports = TheodorClient;
+module.exports.TheodorClient = TheodorClient;
+Object.assign(module.exports, errors);
+Object.assign(module.exports, constants);
+Object.assign(module.exports, { LogLevel, Logger, createLogger });
+Object.assign(module.exports, { BackoffStrategy, JitterMode, RetryPolicy });
+Object.assign(module.exports, { AuthStrategy });
+Object.assign(module.exports, { RecordingEvent });
+Object.assign(module.exports, { WavFormat, inspectAudio, validateAudio, findAudioProblems, toAnalysisWav });
+Object.assign(module.exports, { assessQuality });
+Object.assign(module.exports, { SOUND_EVENT_COLORS, SoundTimeline, parseSegmentation });
+Object.assign(module.exports, { Recording, Report, Finding, VitalParameter, Exam });
+Object.assign(module.exports, { toFhir, toFhirBundle, FhirPusher });
+Object.assign(module.exports, { AckCode, toOruR01, parseHl7, buildAck, parseAck, MllpClient, MllpServer });
+Object.assign(module.exports, { renderReport });
+Object.assign(module.exports, { EXPORT_COLUMNS, exportRows, createExportStream, exportRecordings });
+Object.assign(module.exports, { SPECTROGRAM_DEFAULTS, computeSpectrogram, renderSpectrogramPng });
+Object.assign(module.exports, { renderPhonocardiogram });
@@ -0,0 +1,257 @@
+/**
+ * Theodor.ai SDK Logger
+ * Minimal leveled, structured logger used by the client and its WebSocket connection
+ */
+const { ValidationError } = require('./errors');
+
+/**
+ * Log levels, ordered by severity
+ * @enum {number}
+ */
+const LogLevel = {
+  DEBUG:  10,
+  INFO:   20,
+  WARN:   30,
+  ERROR:  40,
+  SILENT: 100
+};
+
+const LEVEL_NAMES = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * @typedef {Object} LoggerLike
+ * @property {Function} debug - Logs a debug message
+ * @property {Function} info - Logs an info message
+ * @property {Function} warn - Logs a warning
+ * @property {Function} error - Logs an error
+ * @property {Function} [child] - Creates a logger with additional bound fields
+ */
+
+/**
+ * Resolves a level name or number to its numeric value
+ * @param {string|number} level - Level name ('debug', 'info', 'warn', 'error', 'silent') or number
+ * @returns {number} - Numeric level
+ * @throws {ValidationError} - If the level name is unknown
+ * @private
+ */
+function resolveLevel(level) {
+  if (typeof level === 'number') {
+    return level;
+  }
+
+  const value = LogLevel[String(level).toUpperCase()];
+  if (value === undefined) {
+    throw new ValidationError(`Unknown log level: ${level}`, { field: 'level' });
+  }
+  return value;
+}
+
+/**
+ * Makes field values safe to serialize (errors lose their properties in JSON.stringify)
+ * @param {Object} fields - Log fields
+ * @returns {Object} - Serializable fields
+ * @private
+ */
+function serializeFields(fields) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      result[key] = {
+        name:    value.name,
+        message: value.message,
+        code:    value.code,
+        status:  value.status
+      };
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Structured logger writing either human-readable lines or JSON lines
+ */
+class Logger {
+  /**
+   * Creates a new logger
+   * @param {Object} [options] - Logger options
+   * @param {string|number} [options.level='warn'] - Minimum level to write
+   * @param {boolean} [options.json=false] - Write one JSON object per line instead of text
+   * @param {string} [options.name='theodor-sdk'] - Logger name included in every record
+   * @param {Object} [options.fields] - Fields bound to every record
+   * @param {Function} [options.write] - Receives each record; defaults to stdout/stderr
+   * @throws {ValidationError} - If the level is unknown
+   */
+  constructor(options = {}) {
+    this.level  = resolveLevel(options.level || 'warn');
+    this.json   = options.json || false;
+    this.name   = options.name || 'theodor-sdk';
+    this.fields = options.fields || {};
+    this.write  = options.write || null;
+  }
+
+  /**
+   * Creates a logger that adds the given fields to every record
+   * @param {Object} fields - Fields to bind
+   * @returns {Logger} - Child logger
+   */
+  child(fields) {
+    return new Logger({
+      level:  this.level,
+      json:   this.json,
+      name:   this.name,
+      fields: { ...this.fields, ...fields },
+      write:  this.write
+    });
+  }
+
+  /**
+   * Checks whether records at a level would be written
+   * @param {string|number} level - Level to check
+   * @returns {boolean} - True if enabled
+   */
+  isLevelEnabled(level) {
+    return resolveLevel(level) >= this.level;
+  }
+
+  /**
+   * Writes a record
+   * @param {string} level - Level name
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Additional fields
+   * @private
+   */
+  _emit(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const record = {
+      level,
+      time: new Date().toISOString(),
+      name: this.name,
+      msg:  message,
+      ...serializeFields({ ...this.fields, ...fields })
+    };
+
+    if (this.write) {
+      this.write(record);
+      return;
+    }
+
+    const stream = resolveLevel(level) >= LogLevel.WARN ? process.stderr : process.stdout;
+
+    if (this.json) {
+      stream.write(JSON.stringify(record) + '\n');
+      return;
+    }
+
+    const { level: _level, time, name, msg, ...rest } = record;
+    const suffix = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase()} ${name}: ${msg}${suffix}\n`);
+  }
+
+  debug(message, fields) {
+    this._emit('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._emit('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._emit('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._emit('error', message, fields);
+  }
+}
+
+/**
+ * Adapts a third-party logger (pino, winston, bunyan, console...) that may lack
+ * `child()` or expect a different argument order
+ * @private
+ */
+class LoggerAdapter {
+  constructor(target, fields = {}) {
+    this.target = target;
+    this.fields = fields;
+  }
+
+  child(fields) {
+    if (typeof this.target.child === 'function' && Object.keys(this.fields).length === 0) {
+      return new LoggerAdapter(this.target.child(fields));
+    }
+    return new LoggerAdapter(this.target, { ...this.fields, ...fields });
+  }
+
+  isLevelEnabled(level) {
+    return typeof this.target.isLevelEnabled === 'function' ? this.target.isLevelEnabled(level) : true;
+  }
+
+  _emit(level, message, fields) {
+    const method = typeof this.target[level] === 'function' ? level : 'log';
+    const merged = serializeFields({ ...this.fields, ...fields });
+
+    // pino and bunyan take the fields first, winston and console take the message first
+    if (this.target.levels && typeof this.target.levels === 'object' && this.target.levels.values) {
+      this.target[method](merged, message);
+    } else {
+      this.target[method](message, merged);
+    }
+  }
+
+  debug(message, fields) {
+    this._emit('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._emit('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._emit('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._emit('error', message, fields);
+  }
+}
+
+/**
+ * Creates the logger used by a client from its options
+ * @param {Object} [options] - Client options
+ * @param {Logger|LoggerLike|Object|false} [options.logger] - Logger instance, logger options, or false to disable logging
+ * @param {boolean} [options.debug=false] - Shortcut for `{ level: 'debug' }`
+ * @returns {Logger|LoggerAdapter} - Logger
+ */
+function createLogger(options = {}) {
+  const logger = options.logger;
+
+  if (logger === false) {
+    return new Logger({ level: 'silent' });
+  }
+
+  if (logger instanceof Logger || logger instanceof LoggerAdapter) {
+    return logger;
+  }
+
+  if (logger && LEVEL_NAMES.every(level => typeof logger[level] === 'function')) {
+    return new LoggerAdapter(logger);
+  }
+
+  return new Logger({
+    level: options.debug ? 'debug' : 'warn',
+    ...(logger || {})
+  });
+}
+
+module.exports = {
+  LogLevel,
+  Logger,
+  createLogger
+};
@@ -228,6 +228,14 @@
  * @property {string} next - Next page token
  */
 
+/**
+ * @typedef {Object} RecordingsResponse
+ * @property {Array<Recording>} recordings - List of recordings
+ * @property {number} Total - Total number of recordings
+ * @property {RequestParams} Request - Request parameters
+ * @property {string} next - Next page token
+ */
+
 /**
  * @typedef {Object} RequestParams
  * @property {number} Page - Page number
@@ -385,10 +393,10 @@
 
 /**
  * @typedef {Object} SoundEvent
- * @property {string} type - Event type
- * @property {number} start - Start time
- * @property {number} end - End time
- * @property {string} label - Event label
+ * @property {string} type - Event type (see SegmentationType)
+ * @property {number} start - Start time (seconds)
+ * @property {number} end - End time (seconds)
+ * @property {string} label - Event label (e.g. "S1", "Inspiration")
  */
 
 // Export for different module systems
@@ -0,0 +1,358 @@
+/**
+ * Theodor.ai SDK Parquet Writer
+ * Minimal streaming Apache Parquet writer: flat schema, optional columns, PLAIN encoding, no compression
+ */
+
+const MAGIC = Buffer.from('PAR1', 'latin1');
+
+const DEFAULT_ROW_GROUP_SIZE = 10000;
+
+// Parquet physical types
+const Type = { BOOLEAN: 0, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+
+// Parquet logical (converted) types
+const ConvertedType = { UTF8: 0, TIMESTAMP_MILLIS: 9 };
+
+const Encoding = { PLAIN: 0, RLE: 3 };
+
+const OPTIONAL = 1;
+
+/**
+ * Physical and converted type per column type
+ */
+const COLUMN_TYPES = {
+  string:  { physicalType: Type.BYTE_ARRAY, convertedType: ConvertedType.UTF8 },
+  number:  { physicalType: Type.DOUBLE },
+  date:    { physicalType: Type.INT64, convertedType: ConvertedType.TIMESTAMP_MILLIS },
+  boolean: { physicalType: Type.BOOLEAN }
+};
+
+// Thrift compact protocol type IDs
+const Thrift = { TRUE: 1, FALSE: 2, I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+/**
+ * Writes Thrift structures in the compact protocol, which Parquet uses for its metadata.
+ * Structs are given as arrays of `[fieldId, thriftType, value]`, in ascending field order.
+ * @private
+ */
+class ThriftWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    // Numbers instead of BigInt; file offsets and counts stay far below 2^53
+    while (value >= 128) {
+      this.bytes.push((value % 128) | 128);
+      value = Math.floor(value / 128);
+    }
+    this.bytes.push(value);
+  }
+
+  zigzag(value) {
+    this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  value(type, value) {
+    switch (type) {
+      case Thrift.I32:
+      case Thrift.I64:
+        this.zigzag(value);
+        break;
+      case Thrift.BINARY: {
+        const buffer = Buffer.from(value, 'utf8');
+        this.varint(buffer.length);
+        this.bytes.push(...buffer);
+        break;
+      }
+      case Thrift.LIST: {
+        const [elementType, items] = value;
+        if (items.length < 15) {
+          this.bytes.push((items.length << 4) | elementType);
+        } else {
+          this.bytes.push(0xf0 | elementType);
+          this.varint(items.length);
+        }
+        items.forEach(item => this.value(elementType, item));
+        break;
+      }
+      case Thrift.STRUCT:
+        this.struct(value);
+        break;
+    }
+  }
+
+  struct(fields) {
+    let lastId = 0;
+    for (const [id, type, value] of fields) {
+      if (value === undefined) {
+        continue;
+      }
+
+      // Booleans are encoded in the field type
+      const fieldType = type === Thrift.TRUE ? (value ? Thrift.TRUE : Thrift.FALSE) : type;
+      if (id > lastId && id - lastId <= 15) {
+        this.bytes.push(((id - lastId) << 4) | fieldType);
+      } else {
+        this.bytes.push(fieldType);
+        this.zigzag(id);
+      }
+      lastId = id;
+
+      if (type !== Thrift.TRUE) {
+        this.value(type, value);
+      }
+    }
+    this.bytes.push(0);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Encodes a struct with the Thrift compact protocol
+ * @param {Array<Array>} fields - `[fieldId, thriftType, value]` entries
+ * @returns {Buffer} - Encoded struct
+ * @private
+ */
+function thrift(fields) {
+  const writer = new ThriftWriter();
+  writer.struct(fields);
+  return writer.toBuffer();
+}
+
+/**
+ * Encodes definition levels (0 = null, 1 = present) as RLE runs, prefixed with their length
+ * @param {Array<*>} values - Column values
+ * @returns {Buffer} - Encoded levels
+ * @private
+ */
+function encodeDefinitionLevels(values) {
+  const writer = new ThriftWriter();
+  let index = 0;
+
+  while (index < values.length) {
+    const defined = values[index] !== null;
+    let run = 1;
+    while (index + run < values.length && (values[index + run] !== null) === defined) {
+      run++;
+    }
+    writer.varint(run * 2);
+    writer.bytes.push(defined ? 1 : 0);
+    index += run;
+  }
+
+  const levels = writer.toBuffer();
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(levels.length, 0);
+  return Buffer.concat([length, levels]);
+}
+
+/**
+ * Encodes the non-null values of a column with PLAIN encoding
+ * @param {number} type - Physical type
+ * @param {Array<*>} values - Non-null values
+ * @returns {Buffer} - Encoded values
+ * @private
+ */
+function encodePlain(type, values) {
+  switch (type) {
+    case Type.DOUBLE: {
+      const buffer = Buffer.alloc(values.length * 8);
+      values.forEach((value, index) => buffer.writeDoubleLE(value, index * 8));
+      return buffer;
+    }
+    case Type.INT64: {
+      const buffer = Buffer.alloc(values.length * 8);
+      values.forEach((value, index) => {
+        const high = Math.floor(value / 0x100000000);
+        buffer.writeUInt32LE(value - high * 0x100000000, index * 8);
+        buffer.writeInt32LE(high, index * 8 + 4);
+      });
+      return buffer;
+    }
+    case Type.BOOLEAN: {
+      const buffer = Buffer.alloc(Math.ceil(values.length / 8));
+      values.forEach((value, index) => {
+        if (value) {
+          buffer[index >> 3] |= 1 << (index & 7);
+        }
+      });
+      return buffer;
+    }
+    default: {
+      const parts = [];
+      for (const value of values) {
+        const bytes  = Buffer.from(value, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length, 0);
+        parts.push(length, bytes);
+      }
+      return Buffer.concat(parts);
+    }
+  }
+}
+
+/**
+ * Converts a value to what the column type stores
+ * @param {string} columnType - 'string', 'number', 'date' or 'boolean'
+ * @param {*} value - Value
+ * @returns {*} - Converted value, null if missing or invalid
+ * @private
+ */
+function convertValue(columnType, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (columnType) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'date': {
+      const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+      return Number.isFinite(time) ? time : null;
+    }
+    case 'boolean':
+      return Boolean(value);
+    default:
+      return value instanceof Date ? value.toISOString() : String(value);
+  }
+}
+
+/**
+ * Writes rows as a Parquet file, chunk by chunk. Rows are buffered per row group,
+ * so memory use is bounded by the row group size rather than the file size.
+ */
+class ParquetWriter {
+  /**
+   * @param {Array<{name: string, type: string}>} columns - Columns; type is 'string', 'number', 'date' or 'boolean'
+   * @param {Object} [options] - Writer options
+   * @param {number} [options.rowGroupSize=10000] - Rows per row group
+   * @param {string} [options.createdBy='theodor-sdk'] - Writer name stored in the file
+   */
+  constructor(columns, options = {}) {
+    this.columns      = columns.map(column => {
+      const kind = COLUMN_TYPES[column.type] ? column.type : 'string';
+      return { name: column.name, kind, ...COLUMN_TYPES[kind] };
+    });
+    this.rowGroupSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE;
+    this.createdBy    = options.createdBy || 'theodor-sdk';
+    this.rowGroups    = [];
+    this.rows         = [];
+    this.numRows      = 0;
+    this.offset       = 0;
+  }
+
+  /**
+   * Starts the file
+   * @returns {Buffer} - File header
+   */
+  start() {
+    this.offset = MAGIC.length;
+    return MAGIC;
+  }
+
+  /**
+   * Adds a row
+   * @param {Object} row - Values by column name
+   * @returns {Buffer|null} - Encoded row group once it is full, otherwise null
+   */
+  write(row) {
+    this.rows.push(row);
+    return this.rows.length >= this.rowGroupSize ? this._flush() : null;
+  }
+
+  /**
+   * Finishes the file
+   * @returns {Buffer} - Remaining rows and the file footer
+   */
+  end() {
+    const rows   = this.rows.length > 0 ? this._flush() : Buffer.alloc(0);
+    const footer = thrift([
+      [1, Thrift.I32, 1],
+      [2, Thrift.LIST, [Thrift.STRUCT, [
+        [[4, Thrift.BINARY, 'schema'], [5, Thrift.I32, this.columns.length]],
+        ...this.columns.map(column => [
+          [1, Thrift.I32, column.physicalType],
+          [3, Thrift.I32, OPTIONAL],
+          [4, Thrift.BINARY, column.name],
+          [6, Thrift.I32, column.convertedType]
+        ])
+      ]]],
+      [3, Thrift.I64, this.numRows],
+      [4, Thrift.LIST, [Thrift.STRUCT, this.rowGroups]],
+      [6, Thrift.BINARY, this.createdBy]
+    ]);
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(footer.length, 0);
+    return Buffer.concat([rows, footer, length, MAGIC]);
+  }
+
+  /**
+   * Encodes the buffered rows as a row group with one data page per column
+   * @returns {Buffer} - Encoded row group
+   * @private
+   */
+  _flush() {
+    const rows     = this.rows;
+    const chunks   = [];
+    const metadata = [];
+    let groupSize  = 0;
+
+    this.rows = [];
+
+    for (const column of this.columns) {
+      const values  = rows.map(row => convertValue(column.kind, row[column.name]));
+      const present = values.filter(value => value !== null);
+      const body    = Buffer.concat([encodeDefinitionLevels(values), encodePlain(column.physicalType, present)]);
+      const header  = thrift([
+        [1, Thrift.I32, 0],
+        [2, Thrift.I32, body.length],
+        [3, Thrift.I32, body.length],
+        [5, Thrift.STRUCT, [
+          [1, Thrift.I32, values.length],
+          [2, Thrift.I32, Encoding.PLAIN],
+          [3, Thrift.I32, Encoding.RLE],
+          [4, Thrift.I32, Encoding.RLE]
+        ]]
+      ]);
+
+      const size = header.length + body.length;
+      metadata.push([
+        [2, Thrift.I64, this.offset],
+        [3, Thrift.STRUCT, [
+          [1, Thrift.I32, column.physicalType],
+          [2, Thrift.LIST, [Thrift.I32, [Encoding.PLAIN, Encoding.RLE]]],
+          [3, Thrift.LIST, [Thrift.BINARY, [column.name]]],
+          [4, Thrift.I32, 0],
+          [5, Thrift.I64, values.length],
+          [6, Thrift.I64, size],
+          [7, Thrift.I64, size],
+          [9, Thrift.I64, this.offset]
+        ]]
+      ]);
+
+      chunks.push(header, body);
+      this.offset += size;
+      groupSize   += size;
+    }
+
+    this.rowGroups.push([
+      [1, Thrift.LIST, [Thrift.STRUCT, metadata]],
+      [2, Thrift.I64, groupSize],
+      [3, Thrift.I64, rows.length]
+    ]);
+    this.numRows += rows.length;
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  ParquetWriter
+};
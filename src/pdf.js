@@ -0,0 +1,286 @@
+/**
+ * Theodor.ai SDK PDF Writer
+ * Minimal PDF 1.4 generator for text, lines, rectangles and polylines, using the standard Helvetica fonts
+ */
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+  A4:     [595.28, 841.89],
+  LETTER: [612, 792]
+};
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold:    { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Average glyph width of Helvetica relative to the font size; good enough for line wrapping
+const AVERAGE_CHAR_WIDTH = { regular: 0.5, bold: 0.55 };
+
+/**
+ * Converts a CSS hex color to PDF RGB components
+ * @param {string} color - Color, e.g. "#1a73e8" or "#333"
+ * @returns {string} - "r g b" with components between 0 and 1
+ * @private
+ */
+function rgb(color) {
+  let hex = String(color || '#000000').replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(char => char + char).join('');
+  }
+  const value = parseInt(hex, 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Formats a coordinate
+ * @param {number} value - Coordinate
+ * @returns {string} - Number with at most two decimals
+ * @private
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Encodes text as a PDF string in WinAnsiEncoding; characters outside Latin-1 become "?"
+ * @param {string} text - Text
+ * @returns {string} - PDF literal string including the parentheses
+ * @private
+ */
+function pdfString(text) {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      result += `\\${char}`;
+    } else if (code >= 32 && code < 127) {
+      result += char;
+    } else if (code >= 160 && code <= 255) {
+      result += `\\${code.toString(8).padStart(3, '0')}`;
+    } else if (char === '–' || char === '—') {
+      result += '-';
+    } else {
+      result += '?';
+    }
+  }
+  return `(${result})`;
+}
+
+/**
+ * Builds a PDF document page by page. Coordinates are in points with the origin at the top left.
+ */
+class PdfDocument {
+  /**
+   * @param {Object} [options] - Document options
+   * @param {string} [options.size='A4'] - Page size: 'A4' or 'LETTER'
+   * @param {string} [options.title] - Document title
+   */
+  constructor(options = {}) {
+    [this.width, this.height] = PAGE_SIZES[String(options.size || 'A4').toUpperCase()] || PAGE_SIZES.A4;
+    this.title = options.title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Starts a new page; subsequent drawing goes to it
+   */
+  addPage() {
+    this.operations = [];
+    this.pages.push(this.operations);
+  }
+
+  /**
+   * Estimates the width of text
+   * @param {string} text - Text
+   * @param {number} size - Font size
+   * @param {string} [font='regular'] - 'regular' or 'bold'
+   * @returns {number} - Width in points
+   */
+  textWidth(text, size, font = 'regular') {
+    return String(text).length * size * AVERAGE_CHAR_WIDTH[font];
+  }
+
+  /**
+   * Splits text into lines that fit a width
+   * @param {string} text - Text
+   * @param {number} width - Available width in points
+   * @param {number} size - Font size
+   * @param {string} [font='regular'] - 'regular' or 'bold'
+   * @returns {Array<string>} - Lines
+   */
+  wrapText(text, width, size, font = 'regular') {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && this.textWidth(candidate, size, font) > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draws a line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline
+   * @param {Object} [style] - Text style
+   * @param {number} [style.size=10] - Font size
+   * @param {string} [style.font='regular'] - 'regular' or 'bold'
+   * @param {string} [style.color='#000000'] - Color
+   * @param {string} [style.align='left'] - 'left' or 'right' (x is then the right edge)
+   */
+  text(text, x, y, style = {}) {
+    const size = style.size || 10;
+    const font = style.font || 'regular';
+    const left = style.align === 'right' ? x - this.textWidth(text, size, font) : x;
+
+    this.operations.push(
+      `BT /${FONTS[font].resource} ${num(size)} Tf ${rgb(style.color)} rg ${num(left)} ${num(this.height - y)} Td ${pdfString(text)} Tj ET`
+    );
+  }
+
+  /**
+   * Draws a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} [style] - Rectangle style
+   * @param {string} [style.fill] - Fill color
+   * @param {string} [style.stroke] - Stroke color
+   * @param {number} [style.opacity] - Fill opacity (0-1), drawn as a lighter color over white
+   */
+  rect(x, y, width, height, style = {}) {
+    const fill = style.fill && style.opacity !== undefined ? blend(style.fill, style.opacity) : style.fill;
+    const path = `${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`;
+
+    if (fill && style.stroke) {
+      this.operations.push(`${rgb(fill)} rg ${rgb(style.stroke)} RG ${path} B`);
+    } else if (fill) {
+      this.operations.push(`${rgb(fill)} rg ${path} f`);
+    } else {
+      this.operations.push(`${rgb(style.stroke)} RG ${path} S`);
+    }
+  }
+
+  /**
+   * Draws a line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} [style] - Line style
+   * @param {string} [style.color='#000000'] - Color
+   * @param {number} [style.width=1] - Line width
+   */
+  line(x1, y1, x2, y2, style = {}) {
+    this.polyline([[x1, y1], [x2, y2]], style);
+  }
+
+  /**
+   * Draws connected line segments
+   * @param {Array<Array<number>>} points - `[x, y]` points
+   * @param {Object} [style] - Line style
+   * @param {string} [style.color='#000000'] - Color
+   * @param {number} [style.width=1] - Line width
+   */
+  polyline(points, style = {}) {
+    if (points.length < 2) {
+      return;
+    }
+    const path = points.map(([x, y], index) => `${num(x)} ${num(this.height - y)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+    this.operations.push(`${num(style.width || 1)} w ${rgb(style.color)} RG ${path} S`);
+  }
+
+  /**
+   * Serializes the document
+   * @returns {Buffer} - PDF file contents
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId   = add(null);
+    const fontIds   = {};
+    for (const font of Object.values(FONTS)) {
+      fontIds[font.resource] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+    }
+    const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+
+    const pageIds = this.pages.map(operations => {
+      const content   = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contentId = add(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1]   = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< /Producer (Theodor.ai SDK)${this.title ? ` /Title ${pdfString(this.title)}` : ''} >>`);
+
+    const chunks  = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length    = chunks[0].length;
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+
+    chunks.push(Buffer.from(xref + '\n', 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * Mixes a color with white
+ * @param {string} color - Color
+ * @param {number} opacity - Share of the color (0-1)
+ * @returns {string} - Hex color
+ * @private
+ */
+function blend(color, opacity) {
+  const [r, g, b] = rgb(color).split(' ').map(Number);
+  const mix = channel => Math.round((channel * opacity + (1 - opacity)) * 255).toString(16).padStart(2, '0');
+  return `#${mix(r)}${mix(g)}${mix(b)}`;
+}
+
+module.exports = {
+  PdfDocument
+};
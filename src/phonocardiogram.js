@@ -0,0 +1,224 @@
+/**
+ * Theodor.ai SDK Phonocardiogram
+ * Draws the waveform of a recording as SVG, with the segmented sound events shaded
+ */
+const { loadAudio, decodeWav, remix } = require('./audio');
+const { Recording } = require('./entities');
+const { SOUND_EVENT_LABELS, SOUND_EVENT_COLORS, parseSegmentation } = require('./segmentation');
+const { SegmentationType } = require('./constants');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_WIDTH  = 1000;
+const DEFAULT_HEIGHT = 200;
+
+const LEGEND_HEIGHT = 18;
+const AXIS_HEIGHT   = 18;
+
+// Tick spacings for the time axis, in seconds
+const TICK_STEPS = [0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60];
+const MAX_TICKS  = 12;
+
+/**
+ * Computes a min/max envelope of a signal for drawing
+ * @param {Float32Array} samples - Samples in the range -1..1
+ * @param {number} points - Number of envelope points
+ * @returns {{min: Array<number>, max: Array<number>}} - Minimum and maximum per point
+ */
+function waveformEnvelope(samples, points) {
+  const count = Math.max(1, Math.min(points, samples.length));
+  const min   = new Array(count).fill(0);
+  const max   = new Array(count).fill(0);
+
+  for (let point = 0; point < count; point++) {
+    const from = Math.floor(point * samples.length / count);
+    const to   = Math.max(from + 1, Math.floor((point + 1) * samples.length / count));
+    let low = Infinity, high = -Infinity;
+    for (let i = from; i < to; i++) {
+      if (samples[i] < low) low = samples[i];
+      if (samples[i] > high) high = samples[i];
+    }
+    min[point] = Number.isFinite(low) ? low : 0;
+    max[point] = Number.isFinite(high) ? high : 0;
+  }
+
+  return { min, max };
+}
+
+/**
+ * Decodes audio and computes the envelope of a time window, scaled to its loudest sample
+ * @param {string|Buffer|Uint8Array|Readable|Object} input - File path, buffer, stream or analyzeRecording options
+ * @param {Object} [options] - Options
+ * @param {number} [options.points=1000] - Number of envelope points
+ * @param {number} [options.start=0] - Window start in seconds
+ * @param {number} [options.end] - Window end in seconds (default: end of the recording)
+ * @returns {Promise<{envelope: Object, start: number, end: number, duration: number}>} - Envelope, window and
+ *   duration of the whole recording in seconds
+ * @throws {InvalidAudioError} - If the input is not a WAV file or its encoding is not supported
+ */
+async function loadWaveform(input, options = {}) {
+  const { buffer } = await loadAudio(input);
+  const decoded    = decodeWav(buffer);
+  const [samples]  = remix(decoded.channelData, 1);
+  const duration   = samples.length / decoded.sampleRate;
+
+  const start = Math.min(duration, Math.max(0, options.start || 0));
+  const end   = Math.min(duration, options.end !== undefined ? options.end : duration);
+
+  const section  = samples.subarray(Math.floor(start * decoded.sampleRate), Math.ceil(end * decoded.sampleRate));
+  const envelope = waveformEnvelope(section, options.points || DEFAULT_WIDTH);
+
+  // Scale to the loudest sample so that quiet recordings remain visible
+  const peak = Math.max(...envelope.max, ...envelope.min.map(Math.abs)) || 1;
+  envelope.min = envelope.min.map(value => value / peak);
+  envelope.max = envelope.max.map(value => value / peak);
+
+  return { envelope, start, end, duration };
+}
+
+/**
+ * Escapes text for XML
+ * @param {*} value - Value
+ * @returns {string} - Escaped text
+ * @private
+ */
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a coordinate
+ * @param {number} value - Coordinate
+ * @returns {string} - Number with at most one decimal
+ * @private
+ */
+function num(value) {
+  return Number(value.toFixed(1)).toString();
+}
+
+/**
+ * Draws a waveform envelope and sound events as SVG
+ * @param {Object} waveform - What to draw
+ * @param {{min: Array<number>, max: Array<number>}|null} waveform.envelope - Envelope scaled to -1..1, or null to
+ *   draw only the events
+ * @param {number} waveform.start - Window start in seconds
+ * @param {number} waveform.end - Window end in seconds
+ * @param {Array<SoundEvent>} waveform.events - Sound events
+ * @param {Object} [options] - Drawing options
+ * @param {number} [options.width=1000] - Width in pixels
+ * @param {number} [options.height=200] - Height in pixels, including legend and axis
+ * @param {boolean} [options.legend=true] - Draw a legend of the event types shown
+ * @param {boolean} [options.axis=true] - Draw a time axis
+ * @returns {string} - SVG document
+ */
+function phonocardiogramSvg(waveform, options = {}) {
+  const width  = options.width || DEFAULT_WIDTH;
+  const height = options.height || DEFAULT_HEIGHT;
+  const legend = options.legend !== false;
+  const axis   = options.axis !== false;
+
+  const top      = legend ? LEGEND_HEIGHT : 0;
+  const plot     = Math.max(10, height - top - (axis ? AXIS_HEIGHT : 0));
+  const middle   = top + plot / 2;
+  const span     = Math.max(waveform.end - waveform.start, 1e-6);
+  const toX      = time => (time - waveform.start) / span * width;
+  const events   = waveform.events.filter(event => event.end > waveform.start && event.start < waveform.end);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ` +
+      'font-family="Helvetica, Arial, sans-serif" font-size="11" role="img">',
+    `<rect x="0" y="${top}" width="${width}" height="${num(plot)}" fill="#ffffff" stroke="#e0e0e0"/>`
+  ];
+
+  for (const event of events) {
+    const x1 = Math.max(0, toX(event.start));
+    const x2 = Math.min(width, toX(event.end));
+    parts.push(`<rect x="${num(x1)}" y="${top}" width="${num(Math.max(1, x2 - x1))}" height="${num(plot)}" ` +
+      `fill="${SOUND_EVENT_COLORS[event.type] || '#999999'}" fill-opacity="0.3">` +
+      `<title>${escapeXml(event.label)} ${event.start.toFixed(3)}-${event.end.toFixed(3)} s</title></rect>`);
+  }
+
+  if (waveform.envelope) {
+    const { min, max } = waveform.envelope;
+    const step   = width / Math.max(1, max.length - 1);
+    const scale  = plot / 2 * 0.9;
+    const upper  = max.map((value, i) => `${num(i * step)},${num(middle - value * scale)}`);
+    const lower  = min.map((value, i) => `${num(i * step)},${num(middle - value * scale)}`).reverse();
+    parts.push(`<polygon points="${upper.concat(lower).join(' ')}" fill="#37474f" stroke="#37474f" stroke-width="0.5"/>`);
+  } else {
+    parts.push(`<line x1="0" y1="${num(middle)}" x2="${width}" y2="${num(middle)}" stroke="#b0bec5"/>`);
+  }
+
+  if (axis) {
+    const tick  = TICK_STEPS.find(candidate => span / candidate <= MAX_TICKS) || TICK_STEPS[TICK_STEPS.length - 1];
+    const first = Math.ceil(waveform.start / tick - 1e-9) * tick;
+    const y     = top + plot;
+    for (let time = first; time <= waveform.end + 1e-9; time += tick) {
+      const x = toX(time);
+      parts.push(`<line x1="${num(x)}" y1="${num(y)}" x2="${num(x)}" y2="${num(y + 4)}" stroke="#757575"/>`);
+      parts.push(`<text x="${num(Math.min(width - 2, Math.max(2, x)))}" y="${num(y + 15)}" fill="#757575" ` +
+        `text-anchor="${x < 10 ? 'start' : x > width - 10 ? 'end' : 'middle'}">${Number(time.toFixed(2))} s</text>`);
+    }
+  }
+
+  if (legend) {
+    let x = 0;
+    for (const type of Object.values(SegmentationType)) {
+      if (!events.some(event => event.type === type)) {
+        continue;
+      }
+      const label = SOUND_EVENT_LABELS[type];
+      parts.push(`<rect x="${x}" y="3" width="10" height="10" fill="${SOUND_EVENT_COLORS[type]}" fill-opacity="0.6"/>`);
+      parts.push(`<text x="${x + 14}" y="12" fill="#424242">${escapeXml(label)}</text>`);
+      x += 30 + label.length * 6;
+    }
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+/**
+ * Renders the waveform of a recording as a phonocardiogram, with the sound events from its segmentation shaded
+ * @param {string|Buffer|Uint8Array|Readable|Object|null} audio - WAV file path, buffer or stream; null to draw only the events
+ * @param {Recording|Object|null} recording - Recording with a segmentation, as returned by the API; null to draw only the waveform
+ * @param {Object} [options] - Render options
+ * @param {number} [options.width=1000] - Width in pixels
+ * @param {number} [options.height=200] - Height in pixels
+ * @param {{start: number, end: number}} [options.window] - Time window to show, in seconds (default: the whole recording)
+ * @param {boolean} [options.legend=true] - Draw a legend of the event types shown
+ * @param {boolean} [options.axis=true] - Draw a time axis
+ * @returns {Promise<string>} - SVG document
+ * @throws {InvalidAudioError} - If the audio is not a WAV file or its encoding is not supported
+ * @throws {ValidationError} - If the window is invalid or there is nothing to draw
+ */
+async function renderPhonocardiogram(audio, recording, options = {}) {
+  const window = options.window || {};
+
+  if ((window.start !== undefined && !(window.start >= 0)) ||
+      (window.end !== undefined && !(window.end > (window.start || 0)))) {
+    throw new ValidationError('window must have 0 <= start < end, in seconds', { field: 'window' });
+  }
+  if (!audio && !recording) {
+    throw new ValidationError('Audio or a recording is required', { field: 'audio' });
+  }
+
+  const events = recording ? parseSegmentation(Recording.from(recording).segmentation) : [];
+  const width  = options.width || DEFAULT_WIDTH;
+
+  let waveform;
+  if (audio) {
+    waveform = await loadWaveform(audio, { ...window, points: width });
+  } else {
+    const start = window.start || 0;
+    waveform = { envelope: null, start, end: window.end !== undefined ? window.end : Math.max(start + 1, events.duration) };
+  }
+
+  return phonocardiogramSvg({ ...waveform, events }, { ...options, width });
+}
+
+module.exports = {
+  waveformEnvelope,
+  loadWaveform,
+  phonocardiogramSvg,
+  renderPhonocardiogram
+};
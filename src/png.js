@@ -0,0 +1,82 @@
+/**
+ * Theodor.ai SDK PNG Encoder
+ * Encodes 8-bit RGB images as PNG files
+ */
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Computes the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC-32
+ * @private
+ */
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk
+ * @param {string} type - Chunk type, e.g. "IHDR"
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Length, type, data and CRC
+ * @private
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc  = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes an RGB image as PNG
+ * @param {Uint8Array} pixels - Pixels row by row from the top, 3 bytes (R, G, B) per pixel
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} - PNG file contents
+ */
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8]  = 8;  // Bit depth
+  header[9]  = 2;  // Color type: RGB
+  header[10] = 0;  // Compression: deflate
+  header[11] = 0;  // Filter method
+  header[12] = 0;  // No interlacing
+
+  // Each scanline starts with its filter type; 0 leaves the row unfiltered
+  const stride = width * 3;
+  const raw    = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  encodePng
+};
@@ -0,0 +1,304 @@
+/**
+ * Theodor.ai SDK Signal Quality
+ * Local estimate of recording quality, on the same 0-5 scale as the server's sound_quality
+ */
+const { loadAudio, decodeWav, remix } = require('./audio');
+const { ValidationError } = require('./errors');
+
+/**
+ * Frequency band carrying the sounds of each recording site, and the SNR below which a
+ * recording of that site is considered noisy
+ */
+const SITE_PROFILES = {
+  heart:   { lowFrequency: 20,  highFrequency: 600,  minSnr: 10 },
+  lung:    { lowFrequency: 100, highFrequency: 2000, minSnr: 6 },
+  abdomen: { lowFrequency: 100, highFrequency: 1000, minSnr: 6 }
+};
+
+const CLIPPING_LEVEL      = 0.99;  // Absolute sample value treated as clipped
+const SILENCE_LEVEL_DB    = -60;   // Frames quieter than this (dBFS) are silent
+const MIN_SILENT_SEGMENT  = 1;     // Shortest silent segment in seconds; shorter gaps are normal between heart sounds
+const SILENCE_FRAME       = 0.1;   // Frame length for silence detection, in seconds
+const SNR_FRAME           = 0.05;  // Frame length for SNR estimation, in seconds
+const SNR_PERCENTILE      = 0.2;   // Share of loudest/quietest frames taken as signal/noise
+const MAX_SNR_DB          = 60;
+const MIN_DB              = -120;  // Level reported for digital silence
+
+/**
+ * @typedef {Object} QualityMetrics
+ * @property {number} duration - Duration in seconds
+ * @property {number} clippingRatio - Share of samples at or near full scale (0-1)
+ * @property {number} silenceRatio - Share of the recording inside silent segments (0-1)
+ * @property {Array<{start: number, end: number}>} silentSegments - Silent stretches of at least one second, in seconds
+ * @property {number} rmsDb - Overall RMS level in dBFS
+ * @property {number} snrDb - Estimated signal-to-noise ratio in the site's frequency band, in dB
+ * @property {number} bandEnergyRatio - Share of the signal energy inside the site's frequency band (0-1)
+ */
+
+/**
+ * @typedef {Object} QualityAssessment
+ * @property {number} score - Estimated sound quality (0-5, higher is better), comparable to the report's sound_quality
+ * @property {number} backgroundNoise - Estimated background noise (0-5, higher is noisier), comparable to background_noise
+ * @property {boolean} acceptable - True if the score is 3 or more
+ * @property {Array<string>} reasons - Human-readable reasons for every point deducted from the score
+ * @property {string} site - Recording site the assessment was made for
+ * @property {QualityMetrics} metrics - Measured values
+ */
+
+/**
+ * Converts a power ratio to decibels
+ * @param {number} value - Power ratio
+ * @returns {number} - Decibels, at least MIN_DB
+ * @private
+ */
+function toDb(value) {
+  return value > 0 ? Math.max(MIN_DB, 10 * Math.log10(value)) : MIN_DB;
+}
+
+/**
+ * Applies a second-order (RBJ biquad) high-pass or low-pass filter
+ * @param {Float32Array} samples - Input samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} frequency - Cutoff frequency (Hz)
+ * @param {string} type - 'highpass' or 'lowpass'
+ * @returns {Float32Array} - Filtered samples
+ * @private
+ */
+function biquad(samples, sampleRate, frequency, type) {
+  const w0    = 2 * Math.PI * frequency / sampleRate;
+  const cos   = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const a0    = 1 + alpha;
+
+  const b0 = (type === 'highpass' ? (1 + cos) / 2 : (1 - cos) / 2) / a0;
+  const b1 = (type === 'highpass' ? -(1 + cos) : 1 - cos) / a0;
+  const b2 = b0;
+  const a1 = -2 * cos / a0;
+  const a2 = (1 - alpha) / a0;
+
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    output[i] = y;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+  }
+
+  return output;
+}
+
+/**
+ * Band-limits a signal with fourth-order high-pass and low-pass filters
+ * @param {Float32Array} samples - Input samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} lowFrequency - Lower edge of the band (Hz)
+ * @param {number} highFrequency - Upper edge of the band (Hz)
+ * @returns {Float32Array} - Filtered samples
+ */
+function bandpass(samples, sampleRate, lowFrequency, highFrequency) {
+  let output = samples;
+  const high = Math.min(highFrequency, sampleRate * 0.45);
+
+  for (let pass = 0; pass < 2; pass++) {
+    output = biquad(output, sampleRate, lowFrequency, 'highpass');
+    output = biquad(output, sampleRate, high, 'lowpass');
+  }
+
+  return output;
+}
+
+/**
+ * Computes the mean power of consecutive frames
+ * @param {Float32Array} samples - Input samples
+ * @param {number} frameLength - Frame length in samples
+ * @returns {Array<number>} - Mean power per frame
+ * @private
+ */
+function framePowers(samples, frameLength) {
+  const powers = [];
+
+  for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+    let sum = 0;
+    for (let i = start; i < start + frameLength; i++) {
+      sum += samples[i] * samples[i];
+    }
+    powers.push(sum / frameLength);
+  }
+
+  return powers;
+}
+
+/**
+ * Computes the mean power of a signal
+ * @param {Float32Array} samples - Input samples
+ * @returns {number} - Mean power
+ * @private
+ */
+function meanPower(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? sum / samples.length : 0;
+}
+
+/**
+ * Measures clipping, silence, level and band-limited SNR of decoded audio
+ * @param {Array<Float32Array>} channelData - Samples per channel
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {string} site - Recording site
+ * @returns {QualityMetrics} - Measured values
+ */
+function measureQuality(channelData, sampleRate, site) {
+  const profile = SITE_PROFILES[site];
+
+  // Clipping is counted on every channel, before downmixing can hide it
+  let clipped = 0;
+  let total   = 0;
+  for (const channel of channelData) {
+    for (let i = 0; i < channel.length; i++) {
+      if (Math.abs(channel[i]) >= CLIPPING_LEVEL) {
+        clipped++;
+      }
+    }
+    total += channel.length;
+  }
+
+  const mono     = remix(channelData, 1)[0];
+  const duration = mono.length / sampleRate;
+
+  // Silence
+  const silenceFrame   = Math.max(1, Math.round(SILENCE_FRAME * sampleRate));
+  const silentSegments = [];
+  let segmentStart     = null;
+
+  framePowers(mono, silenceFrame).forEach((power, index, powers) => {
+    const silent = toDb(power) < SILENCE_LEVEL_DB;
+    if (silent && segmentStart === null) {
+      segmentStart = index;
+    }
+    if (segmentStart !== null && (!silent || index === powers.length - 1)) {
+      const end = silent ? index + 1 : index;
+      if ((end - segmentStart) * silenceFrame / sampleRate >= MIN_SILENT_SEGMENT) {
+        silentSegments.push({ start: segmentStart * silenceFrame / sampleRate, end: end * silenceFrame / sampleRate });
+      }
+      segmentStart = null;
+    }
+  });
+
+  // SNR in the site's band: the loudest frames are taken as signal (e.g. S1/S2), the quietest as noise floor
+  const band      = bandpass(mono, sampleRate, profile.lowFrequency, profile.highFrequency);
+  const powers    = framePowers(band, Math.max(1, Math.round(SNR_FRAME * sampleRate))).sort((a, b) => a - b);
+  const count     = Math.max(1, Math.floor(powers.length * SNR_PERCENTILE));
+  const average   = values => values.reduce((sum, value) => sum + value, 0) / Math.max(1, values.length);
+  const noise     = average(powers.slice(0, count));
+  const signal    = average(powers.slice(-count));
+  const snrDb     = noise > 0 ? Math.min(MAX_SNR_DB, toDb(signal / noise)) : (signal > 0 ? MAX_SNR_DB : 0);
+
+  // DC offset is not part of the signal's energy
+  const dcFree      = biquad(mono, sampleRate, 5, 'highpass');
+  const totalPower  = meanPower(dcFree);
+  const silenceTime = silentSegments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+
+  return {
+    duration,
+    clippingRatio:   total > 0 ? clipped / total : 0,
+    silenceRatio:    duration > 0 ? silenceTime / duration : 0,
+    silentSegments,
+    rmsDb:           toDb(meanPower(mono)),
+    snrDb,
+    bandEnergyRatio: totalPower > 0 ? Math.min(1, meanPower(band) / totalPower) : 0
+  };
+}
+
+/**
+ * Turns measured values into a 0-5 score with reasons
+ * @param {QualityMetrics} metrics - Measured values
+ * @param {string} site - Recording site
+ * @returns {QualityAssessment} - Assessment
+ */
+function scoreQuality(metrics, site) {
+  const profile = SITE_PROFILES[site];
+  const reasons = [];
+  let score     = 5;
+
+  const deduct = (points, reason) => {
+    score -= points;
+    reasons.push(reason);
+  };
+
+  const percent = ratio => `${(ratio * 100).toFixed(1)}%`;
+
+  if (metrics.clippingRatio > 0.01) {
+    deduct(2, `Heavy clipping (${percent(metrics.clippingRatio)} of samples at full scale); reduce the input gain`);
+  } else if (metrics.clippingRatio > 0.001) {
+    deduct(1, `Some clipping (${percent(metrics.clippingRatio)} of samples at full scale)`);
+  }
+
+  if (metrics.silenceRatio > 0.5) {
+    deduct(2, `Mostly silent (${percent(metrics.silenceRatio)}); check that the stethoscope is in contact with the skin`);
+  } else if (metrics.silenceRatio > 0.2) {
+    deduct(1, `Long silent segments (${percent(metrics.silenceRatio)} of the recording)`);
+  }
+
+  if (metrics.rmsDb < -45) {
+    deduct(2, `Very low level (${metrics.rmsDb.toFixed(1)} dBFS); increase the gain or press the chest piece more firmly`);
+  } else if (metrics.rmsDb < -35) {
+    deduct(1, `Low level (${metrics.rmsDb.toFixed(1)} dBFS)`);
+  }
+
+  if (metrics.snrDb < profile.minSnr / 2) {
+    deduct(2, `High background noise (SNR ${metrics.snrDb.toFixed(1)} dB in the ${site} band); record in a quieter room`);
+  } else if (metrics.snrDb < profile.minSnr) {
+    deduct(1, `Noticeable background noise (SNR ${metrics.snrDb.toFixed(1)} dB in the ${site} band)`);
+  }
+
+  if (metrics.bandEnergyRatio < 0.25) {
+    deduct(1, `Most of the energy (${percent(1 - metrics.bandEnergyRatio)}) is outside the ${site} sound band`);
+  }
+
+  score = Math.max(0, score);
+
+  return {
+    score,
+    // 0 (none) at 30 dB SNR or better, 5 (severe) at 0 dB or worse
+    backgroundNoise: Math.max(0, Math.min(5, Math.round(5 - metrics.snrDb / 6))),
+    acceptable:      score >= 3,
+    reasons,
+    site,
+    metrics
+  };
+}
+
+/**
+ * Estimates the quality of a WAV recording locally, before it is uploaded
+ * @param {string|Buffer|Uint8Array|Readable|Object} input - File path, buffer, stream or analyzeRecording options
+ * @param {Object} [options] - Assessment options
+ * @param {string} [options.site='heart'] - Recording site ('heart', 'lung', or 'abdomen'); selects the frequency band
+ * @returns {Promise<QualityAssessment>} - Score, reasons and measured values
+ * @throws {InvalidAudioError} - If the input is not a WAV file or its encoding is not supported
+ * @throws {ValidationError} - If the site is unknown
+ */
+async function assessQuality(input, options = {}) {
+  const site = options.site || 'heart';
+
+  if (!SITE_PROFILES[site]) {
+    throw new ValidationError('Invalid recording site. Must be one of: heart, lung, abdomen', { field: 'site' });
+  }
+
+  const { buffer } = await loadAudio(input);
+  const decoded    = decodeWav(buffer);
+
+  return scoreQuality(measureQuality(decoded.channelData, decoded.sampleRate, site), site);
+}
+
+module.exports = {
+  SITE_PROFILES,
+  bandpass,
+  measureQuality,
+  scoreQuality,
+  assessQuality
+};
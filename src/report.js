@@ -0,0 +1,631 @@
+/**
+ * Theodor.ai SDK Report Rendering
+ * Renders recordings as printable HTML or PDF documents for clinical review
+ */
+const { Recording, Exam } = require('./entities');
+const { loadWaveform, phonocardiogramSvg } = require('./phonocardiogram');
+const { SOUND_EVENT_LABELS, SOUND_EVENT_COLORS } = require('./segmentation');
+const { PdfDocument } = require('./pdf');
+const { MurmurClassification, RhythmClassification } = require('./constants');
+const { ValidationError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const FORMATS = ['html', 'pdf'];
+
+const DEFAULT_BRANDING = {
+  title:        null,
+  organization: null,
+  logo:         null,
+  primaryColor: '#1a73e8',
+  footer:       null
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Number of min/max pairs in the waveform thumbnail
+const WAVEFORM_POINTS = 600;
+
+// Quality scores are 0-5; below this the result should not be relied on
+const LOW_QUALITY_SCORE = 3;
+
+// Background noise is 0-5, higher is noisier
+const HIGH_NOISE_LEVEL = 3;
+
+/**
+ * Report texts per language; missing languages and keys fall back to English
+ */
+const STRINGS = {
+  en: {
+    title:              'Auscultation Report',
+    patient:            'Patient',
+    patientId:          'Patient ID',
+    age:                'Age',
+    sex:                'Sex',
+    visitDate:          'Visit date',
+    diagnosis:          'Diagnosis',
+    complaint:          'Complaint',
+    recording:          'Recording',
+    recordingId:        'Recording ID',
+    recordedAt:         'Recorded',
+    site:               'Site',
+    location:           'Location',
+    device:             'Device',
+    duration:           'Duration',
+    summary:            'Summary',
+    findings:           'Findings',
+    finding:            'Finding',
+    confidence:         'Confidence',
+    codes:              'Codes',
+    noFindings:         'No findings reported.',
+    vitals:             'Vital parameters',
+    classification:     'Classification',
+    murmur:             'Murmur',
+    murmurCertainty:    'Murmur certainty',
+    rhythm:             'Rhythm',
+    heart_rate:         'Heart rate',
+    respiratory_rate:   'Respiratory rate',
+    waveform:           'Waveform',
+    quality:            'Signal quality',
+    soundQuality:       'Sound quality',
+    backgroundNoise:    'Background noise',
+    notes:              'Notes',
+    signature:          'Reviewed by (name, date, signature)',
+    generated:          'Generated',
+    page:               'Page',
+    sexes:              { male: 'Male', female: 'Female', other: 'Other', unknown: 'Unknown' },
+    sites:              { heart: 'Heart', lung: 'Lung', abdomen: 'Abdomen' },
+    murmurs: {
+      [MurmurClassification.ABSENT]:    'No murmur',
+      [MurmurClassification.PRESENT]:   'Murmur detected',
+      [MurmurClassification.NO_SIGNAL]: 'No usable signal'
+    },
+    rhythms: {
+      [RhythmClassification.REGULAR]:      'Regular',
+      [RhythmClassification.IRREGULAR]:    'Irregular',
+      [RhythmClassification.INCONCLUSIVE]: 'Inconclusive',
+      [RhythmClassification.NO_SIGNAL]:    'No usable signal'
+    },
+    disclaimers: {
+      general:       'This report was generated by automated analysis. It is not a diagnosis and must be reviewed by a qualified clinician.',
+      lowQuality:    'The recording quality is low. Results may be unreliable; consider repeating the recording.',
+      highNoise:     'The recording contains considerable background noise, which may mask or mimic findings.',
+      notClassified: 'The analysis of this recording is not complete. Findings may be missing.'
+    }
+  },
+  de: {
+    title:              'Auskultationsbefund',
+    patient:            'Patient',
+    patientId:          'Patienten-ID',
+    age:                'Alter',
+    sex:                'Geschlecht',
+    visitDate:          'Untersuchungsdatum',
+    diagnosis:          'Diagnose',
+    complaint:          'Beschwerden',
+    recording:          'Aufnahme',
+    recordingId:        'Aufnahme-ID',
+    recordedAt:         'Aufgenommen',
+    site:               'Region',
+    location:           'Position',
+    device:             'Gerät',
+    duration:           'Dauer',
+    summary:            'Zusammenfassung',
+    findings:           'Befunde',
+    finding:            'Befund',
+    confidence:         'Konfidenz',
+    codes:              'Codes',
+    noFindings:         'Keine Befunde gemeldet.',
+    vitals:             'Vitalparameter',
+    classification:     'Klassifikation',
+    murmur:             'Herzgeräusch',
+    murmurCertainty:    'Sicherheit Herzgeräusch',
+    rhythm:             'Rhythmus',
+    heart_rate:         'Herzfrequenz',
+    respiratory_rate:   'Atemfrequenz',
+    waveform:           'Signalverlauf',
+    quality:            'Signalqualität',
+    soundQuality:       'Tonqualität',
+    backgroundNoise:    'Hintergrundrauschen',
+    notes:              'Hinweise',
+    signature:          'Geprüft von (Name, Datum, Unterschrift)',
+    generated:          'Erstellt',
+    page:               'Seite',
+    sexes:              { male: 'Männlich', female: 'Weiblich', other: 'Divers', unknown: 'Unbekannt' },
+    sites:              { heart: 'Herz', lung: 'Lunge', abdomen: 'Abdomen' },
+    murmurs: {
+      [MurmurClassification.ABSENT]:    'Kein Herzgeräusch',
+      [MurmurClassification.PRESENT]:   'Herzgeräusch erkannt',
+      [MurmurClassification.NO_SIGNAL]: 'Kein verwertbares Signal'
+    },
+    rhythms: {
+      [RhythmClassification.REGULAR]:      'Regelmäßig',
+      [RhythmClassification.IRREGULAR]:    'Unregelmäßig',
+      [RhythmClassification.INCONCLUSIVE]: 'Nicht eindeutig',
+      [RhythmClassification.NO_SIGNAL]:    'Kein verwertbares Signal'
+    },
+    disclaimers: {
+      general:       'Dieser Bericht wurde automatisch erstellt. Er ist keine Diagnose und muss von einer qualifizierten Fachkraft geprüft werden.',
+      lowQuality:    'Die Aufnahmequalität ist gering. Die Ergebnisse sind möglicherweise unzuverlässig; eine erneute Aufnahme wird empfohlen.',
+      highNoise:     'Die Aufnahme enthält deutliches Hintergrundrauschen, das Befunde überdecken oder vortäuschen kann.',
+      notClassified: 'Die Analyse dieser Aufnahme ist nicht abgeschlossen. Befunde können fehlen.'
+    }
+  }
+};
+
+/**
+ * Selects the texts for a locale
+ * @param {string} locale - BCP 47 locale, e.g. "de-CH"
+ * @returns {Object} - Texts
+ * @private
+ */
+function stringsFor(locale) {
+  const language = String(locale || 'en').toLowerCase().split('-')[0];
+  return { ...STRINGS.en, ...(STRINGS[language] || {}) };
+}
+
+/**
+ * Creates the number and date formats of a locale
+ * @param {string} locale - BCP 47 locale
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {{numberFormat: Intl.NumberFormat, dateFormat: Intl.DateTimeFormat}} - Formats
+ * @throws {ValidationError} - If the locale or the time zone is invalid
+ * @private
+ */
+function createFormats(locale, timeZone) {
+  let numberFormat;
+  try {
+    numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+  } catch (error) {
+    throw new ValidationError(`Invalid locale: ${locale}`, { field: 'locale', cause: error });
+  }
+
+  try {
+    const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone });
+    return { numberFormat, dateFormat };
+  } catch (error) {
+    throw new ValidationError(`Invalid time zone: ${timeZone}`, { field: 'timeZone', cause: error });
+  }
+}
+
+/**
+ * Collects everything shown in a report, formatted for the locale
+ * @param {Recording} recording - Recording
+ * @param {Object} options - Render options as passed to renderReport
+ * @param {Logger|LoggerAdapter} logger - Logger for parts of the recording that are left out
+ * @returns {Promise<Object>} - Report model
+ * @private
+ */
+async function buildReportModel(recording, options, logger) {
+  const locale   = options.locale || 'en';
+  const text     = stringsFor(locale);
+  const exam     = options.exam ? Exam.from(options.exam) : null;
+  const report   = recording.report;
+
+  const { numberFormat, dateFormat } = createFormats(locale, options.timeZone);
+  const waveform = options.audio ? await loadWaveform(options.audio, { points: WAVEFORM_POINTS }) : null;
+
+  const formatNumber = value => (value === null || value === undefined ? null : numberFormat.format(value));
+  const formatDate   = value => (value ? dateFormat.format(value) : null);
+  const rows         = entries => entries.filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  const sex = exam && exam.sex ? String(exam.sex).toLowerCase() : null;
+  const sexKey = { m: 'male', male: 'male', f: 'female', female: 'female', o: 'other', other: 'other', u: 'unknown' }[sex];
+
+  const patient = exam ? rows([
+    [text.patientId, exam.patientId],
+    [text.age, formatNumber(exam.age)],
+    [text.sex, sexKey ? text.sexes[sexKey] : exam.sex],
+    [text.visitDate, formatDate(exam.visitDate)],
+    [text.diagnosis, exam.diagnosis],
+    [text.complaint, exam.complaint]
+  ]) : [];
+
+  const duration = waveform ? waveform.duration : null;
+
+  const details = rows([
+    [text.recordingId, recording.id],
+    [text.recordedAt, formatDate(recording.timestamp || recording.createdAt)],
+    [text.site, text.sites[recording.site] || recording.site],
+    [text.location, recording.location],
+    [text.device, recording.device || (report && report.device)],
+    [text.duration, duration === null ? null : `${formatNumber(duration)} s`]
+  ]);
+
+  const findings = (report ? report.findings : []).map(finding => ({
+    name:       finding.professionalName || finding.name || finding.key,
+    message:    finding.message,
+    confidence: finding.confidenceScore !== null ? `${formatNumber(finding.confidenceScore)} %` : finding.confidence || '',
+    codes:      finding.codes.join(', ')
+  }));
+
+  const summary = (report ? report.summary : [])
+    .map(finding => finding.message || finding.professionalName || finding.name)
+    .filter(Boolean);
+
+  const classification = rows([
+    [text.murmur, text.murmurs[recording.murmur] || recording.murmur],
+    [text.murmurCertainty, recording.murmurCertainty === null ? null : `${formatNumber(recording.murmurCertainty)} %`],
+    [text.rhythm, text.rhythms[recording.rhythm] || recording.rhythm]
+  ]);
+
+  const vitalParameters = report ? [...report.vitalParameters] : [];
+  const heartRate = recording.getVital('heart_rate');
+  if (heartRate && !vitalParameters.includes(heartRate)) {
+    vitalParameters.unshift(heartRate);
+  }
+  const vitals = rows(vitalParameters.map(vital => [
+    text[vital.normalizedKey] || vital.key,
+    vital.value === null ? null : `${formatNumber(vital.value)} /min`
+  ]));
+
+  const soundQuality    = recording.soundQuality !== null ? recording.soundQuality : (report ? report.soundQuality : null);
+  const backgroundNoise = report ? report.backgroundNoise : null;
+  const quality = rows([
+    [text.soundQuality, soundQuality === null ? null : `${formatNumber(soundQuality)} / 5`],
+    [text.backgroundNoise, backgroundNoise === null ? null : `${formatNumber(backgroundNoise)} / 5`]
+  ]);
+
+  const disclaimers = [text.disclaimers.general];
+  if (!recording.isClassified()) {
+    disclaimers.push(text.disclaimers.notClassified);
+  }
+  if (soundQuality !== null && soundQuality < LOW_QUALITY_SCORE) {
+    disclaimers.push(text.disclaimers.lowQuality);
+  }
+  if (backgroundNoise !== null && backgroundNoise >= HIGH_NOISE_LEVEL) {
+    disclaimers.push(text.disclaimers.highNoise);
+  }
+  if (options.quality && Array.isArray(options.quality.reasons)) {
+    disclaimers.push(...options.quality.reasons);
+  }
+
+  // A malformed segmentation costs the timeline, not the whole report
+  let events;
+  try {
+    events = recording.getSegmentation();
+  } catch (error) {
+    logger.warn('Leaving out the sound event timeline, the segmentation cannot be read', { recordingId: recording.id, error });
+    events = [];
+  }
+
+  return {
+    text,
+    title:     text.title,
+    generated: formatDate(new Date()),
+    patient,
+    details,
+    summary,
+    findings,
+    classification,
+    vitals,
+    quality,
+    disclaimers,
+    waveform:  waveform || events.length > 0
+      ? {
+        envelope: waveform ? waveform.envelope : null,
+        start:    0,
+        end:      waveform ? waveform.duration : events.duration,
+        events
+      }
+      : null
+  };
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value
+ * @returns {string} - Escaped text
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the report model as a self-contained HTML document
+ * @param {Object} model - Report model
+ * @param {Object} branding - Branding options
+ * @param {string} locale - Document language
+ * @returns {string} - HTML document
+ * @private
+ */
+function renderHtml(model, branding, locale) {
+  const { text } = model;
+  const color    = branding.primaryColor;
+  const title    = branding.title || model.title;
+
+  const table = (rows) => `<table class="rows">${rows.map(([label, value]) =>
+    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+
+  const section = (heading, body) => `<section><h2>${escapeHtml(heading)}</h2>${body}</section>`;
+
+  const findings = model.findings.length > 0
+    ? `<table class="findings"><thead><tr><th>${escapeHtml(text.finding)}</th><th>${escapeHtml(text.confidence)}</th>` +
+      `<th>${escapeHtml(text.codes)}</th></tr></thead><tbody>${model.findings.map(finding =>
+        `<tr><td><strong>${escapeHtml(finding.name)}</strong>${finding.message && finding.message !== finding.name
+          ? `<br><span class="muted">${escapeHtml(finding.message)}</span>` : ''}</td>` +
+        `<td>${escapeHtml(finding.confidence)}</td><td>${escapeHtml(finding.codes)}</td></tr>`).join('')}</tbody></table>`
+    : `<p class="muted">${escapeHtml(text.noFindings)}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 11pt; color: #212121; max-width: 800px; margin: 24px auto; }
+  header { display: flex; align-items: center; justify-content: space-between; border-bottom: 3px solid ${color}; padding-bottom: 8px; }
+  header img { max-height: 48px; }
+  h1 { font-size: 18pt; margin: 0; color: ${color}; }
+  h2 { font-size: 12pt; margin: 18px 0 6px; color: ${color}; border-bottom: 1px solid #e0e0e0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 3px 6px; }
+  table.rows th { width: 35%; font-weight: 600; color: #555; }
+  table.findings thead th { border-bottom: 1px solid #bdbdbd; }
+  table.findings td { border-bottom: 1px solid #eeeeee; }
+  .columns { display: flex; gap: 24px; }
+  .columns > section { flex: 1; }
+  .muted { color: #757575; font-size: 9.5pt; }
+  section svg { width: 100%; height: auto; }
+  .disclaimers { background: #fff8e1; border-left: 4px solid #ffb300; padding: 6px 12px; font-size: 9.5pt; }
+  .signature { margin-top: 48px; border-top: 1px solid #212121; width: 60%; padding-top: 4px; font-size: 9pt; }
+  footer { margin-top: 24px; font-size: 8.5pt; color: #757575; display: flex; justify-content: space-between; }
+</style>
+</head>
+<body>
+<header>
+  <div><h1>${escapeHtml(title)}</h1>${branding.organization ? `<div class="muted">${escapeHtml(branding.organization)}</div>` : ''}</div>
+  ${branding.logo ? `<img src="${escapeHtml(branding.logo)}" alt="">` : ''}
+</header>
+<div class="columns">
+  ${model.patient.length > 0 ? section(text.patient, table(model.patient)) : ''}
+  ${section(text.recording, table(model.details))}
+</div>
+${model.summary.length > 0 ? section(text.summary, `<ul>${model.summary.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`) : ''}
+${section(text.findings, findings)}
+<div class="columns">
+  ${model.classification.length > 0 ? section(text.classification, table(model.classification)) : ''}
+  ${model.vitals.length > 0 ? section(text.vitals, table(model.vitals)) : ''}
+</div>
+${model.waveform ? section(text.waveform, phonocardiogramSvg(model.waveform, { width: 800, height: 150 })) : ''}
+${model.quality.length > 0 ? section(text.quality, table(model.quality)) : ''}
+${section(text.notes, `<div class="disclaimers">${model.disclaimers.map(item => `<p>${escapeHtml(item)}</p>`).join('')}</div>`)}
+<div class="signature">${escapeHtml(text.signature)}</div>
+<footer><span>${escapeHtml(branding.footer || '')}</span><span>${escapeHtml(text.generated)}: ${escapeHtml(model.generated)}</span></footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the report model as a PDF document
+ * @param {Object} model - Report model
+ * @param {Object} branding - Branding options
+ * @param {Object} options - Render options
+ * @returns {Buffer} - PDF file contents
+ * @private
+ */
+function renderPdf(model, branding, options) {
+  const { text } = model;
+  const title    = branding.title || model.title;
+  const doc      = new PdfDocument({ size: options.pageSize, title });
+  const margin   = 50;
+  const width    = doc.width - 2 * margin;
+  const bottom   = doc.height - margin - 20;
+  const color    = branding.primaryColor;
+  let y          = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const heading = (label) => {
+    ensureSpace(40);
+    y += 18;
+    doc.text(label, margin, y, { size: 12, font: 'bold', color });
+    y += 5;
+    doc.line(margin, y, margin + width, y, { color: '#e0e0e0', width: 0.5 });
+    y += 14;
+  };
+
+  const paragraph = (value, style = {}) => {
+    const size = style.size || 10;
+    for (const line of doc.wrapText(value, width - (style.indent || 0), size)) {
+      ensureSpace(size + 4);
+      doc.text(line, margin + (style.indent || 0), y, { size, color: style.color });
+      y += size + 4;
+    }
+  };
+
+  const rows = (entries) => {
+    for (const [label, value] of entries) {
+      const lines = doc.wrapText(value, width * 0.62, 10);
+      ensureSpace(lines.length * 14);
+      doc.text(label, margin, y, { size: 10, font: 'bold', color: '#555555' });
+      lines.forEach((line, index) => doc.text(line, margin + width * 0.35, y + index * 14, { size: 10 }));
+      y += lines.length * 14;
+    }
+  };
+
+  // Header
+  doc.text(title, margin, y + 18, { size: 18, font: 'bold', color });
+  if (branding.organization) {
+    doc.text(branding.organization, margin + width, y + 18, { size: 10, color: '#757575', align: 'right' });
+  }
+  y += 28;
+  doc.rect(margin, y, width, 2, { fill: color });
+  y += 4;
+
+  if (model.patient.length > 0) {
+    heading(text.patient);
+    rows(model.patient);
+  }
+
+  heading(text.recording);
+  rows(model.details);
+
+  if (model.summary.length > 0) {
+    heading(text.summary);
+    model.summary.forEach(item => paragraph(`- ${item}`));
+  }
+
+  heading(text.findings);
+  if (model.findings.length === 0) {
+    paragraph(text.noFindings, { color: '#757575' });
+  } else {
+    const columns = [margin, margin + width * 0.55, margin + width * 0.72];
+    doc.text(text.finding, columns[0], y, { size: 9, font: 'bold' });
+    doc.text(text.confidence, columns[1], y, { size: 9, font: 'bold' });
+    doc.text(text.codes, columns[2], y, { size: 9, font: 'bold' });
+    y += 5;
+    doc.line(margin, y, margin + width, y, { color: '#bdbdbd', width: 0.5 });
+    y += 12;
+
+    for (const finding of model.findings) {
+      const name    = doc.wrapText(finding.name, width * 0.53, 10, 'bold');
+      const message = finding.message && finding.message !== finding.name ? doc.wrapText(finding.message, width * 0.53, 9) : [];
+      const codes   = doc.wrapText(finding.codes, width * 0.28, 9);
+      const height  = Math.max(name.length * 13 + message.length * 12, codes.length * 12);
+
+      ensureSpace(height + 6);
+      name.forEach((line, index) => doc.text(line, columns[0], y + index * 13, { size: 10, font: 'bold' }));
+      message.forEach((line, index) => doc.text(line, columns[0], y + name.length * 13 + index * 12, { size: 9, color: '#757575' }));
+      doc.text(finding.confidence, columns[1], y, { size: 10 });
+      codes.forEach((line, index) => doc.text(line, columns[2], y + index * 12, { size: 9 }));
+      y += height;
+      doc.line(margin, y - 6, margin + width, y - 6, { color: '#eeeeee', width: 0.5 });
+      y += 6;
+    }
+  }
+
+  if (model.classification.length > 0) {
+    heading(text.classification);
+    rows(model.classification);
+  }
+
+  if (model.vitals.length > 0) {
+    heading(text.vitals);
+    rows(model.vitals);
+  }
+
+  if (model.waveform) {
+    const height   = 90;
+    const duration = model.waveform.end || 1;
+    heading(text.waveform);
+    ensureSpace(height + 20);
+
+    for (const event of model.waveform.events) {
+      const x = margin + event.start / duration * width;
+      doc.rect(x, y, Math.max(0.5, (event.end - event.start) / duration * width), height,
+        { fill: SOUND_EVENT_COLORS[event.type] || '#999999', opacity: 0.3 });
+    }
+
+    const middle = y + height / 2;
+    if (model.waveform.envelope) {
+      const { min, max } = model.waveform.envelope;
+      const step = width / max.length;
+      for (let i = 0; i < max.length; i++) {
+        const x = margin + i * step;
+        doc.line(x, middle - max[i] * height * 0.45, x, middle - min[i] * height * 0.45 + 0.2, { color: '#37474f', width: step });
+      }
+    } else {
+      doc.line(margin, middle, margin + width, middle, { color: '#b0bec5', width: 0.5 });
+    }
+    doc.rect(margin, y, width, height, { stroke: '#e0e0e0' });
+    y += height + 14;
+
+    let x = margin;
+    for (const type of model.waveform.events.types()) {
+      const label = SOUND_EVENT_LABELS[type] || type;
+      doc.rect(x, y - 8, 8, 8, { fill: SOUND_EVENT_COLORS[type] || '#999999', opacity: 0.6 });
+      doc.text(label, x + 11, y, { size: 8 });
+      x += 20 + doc.textWidth(label, 8);
+    }
+    y += 6;
+  }
+
+  if (model.quality.length > 0) {
+    heading(text.quality);
+    rows(model.quality);
+  }
+
+  heading(text.notes);
+  model.disclaimers.forEach(item => paragraph(item, { size: 9 }));
+
+  ensureSpace(60);
+  y += 40;
+  doc.line(margin, y, margin + width * 0.6, y, { width: 0.5 });
+  doc.text(text.signature, margin, y + 12, { size: 8, color: '#555555' });
+
+  // Footer on every page
+  doc.pages.forEach((operations, index) => {
+    doc.operations = operations;
+    const footerY = doc.height - margin + 10;
+    if (branding.footer) {
+      doc.text(branding.footer, margin, footerY, { size: 8, color: '#757575' });
+    }
+    doc.text(`${text.generated}: ${model.generated} - ${text.page} ${index + 1}/${doc.pages.length}`,
+      margin + width, footerY, { size: 8, color: '#757575', align: 'right' });
+  });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Renders a recording as a printable, self-contained clinical report
+ * @param {Recording|Object} recording - Recording as returned by the API or a Recording model
+ * @param {Object} [options] - Render options
+ * @param {string} [options.format='html'] - Output format: 'html' or 'pdf'
+ * @param {string} [options.locale='en'] - Locale for texts, numbers and dates (texts are available in 'en' and 'de')
+ * @param {string} [options.timeZone] - Time zone for dates, e.g. 'Europe/Zurich'; defaults to the local time zone
+ * @param {Exam|Object} [options.exam] - Exam of the recording, for the patient header
+ * @param {string|Buffer|Uint8Array|Readable|Object} [options.audio] - WAV audio of the recording, for the waveform thumbnail
+ * @param {QualityAssessment} [options.quality] - Result of assessQuality(); its reasons are added to the notes
+ * @param {Object} [options.branding] - Branding
+ * @param {string} [options.branding.title] - Document title
+ * @param {string} [options.branding.organization] - Organization name shown in the header
+ * @param {string} [options.branding.logo] - Logo URL or data URI (HTML only)
+ * @param {string} [options.branding.primaryColor='#1a73e8'] - Accent color as hex (#rgb or #rrggbb)
+ * @param {string} [options.branding.footer] - Footer text
+ * @param {string} [options.pageSize='A4'] - PDF page size: 'A4' or 'LETTER'
+ * @param {Logger|LoggerLike|Object|false} [options.logger] - Logger for parts of the input that are left out
+ * @returns {Promise<string|Buffer>} - HTML document, or PDF file contents
+ * @throws {ValidationError} - If the format, locale or time zone is invalid or the recording is missing
+ * @throws {InvalidAudioError} - If the audio cannot be decoded
+ */
+async function renderReport(recording, options = {}) {
+  const format = String(options.format || 'html').toLowerCase();
+
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid report format. Must be one of: ${FORMATS.join(', ')}`, { field: 'format' });
+  }
+
+  if (!recording || typeof recording !== 'object') {
+    throw new ValidationError('Recording is required', { field: 'recording' });
+  }
+
+  const logger   = createLogger(options);
+  const branding = { ...DEFAULT_BRANDING, ...(options.branding || {}) };
+  // The color ends up in CSS and PDF operators, so only hex colors are taken
+  if (!HEX_COLOR.test(String(branding.primaryColor))) {
+    logger.warn('Ignoring primaryColor, it is not a hex color', { primaryColor: branding.primaryColor });
+    branding.primaryColor = DEFAULT_BRANDING.primaryColor;
+  }
+  const content  = await buildReportModel(Recording.from(recording), options, logger);
+
+  return format === 'pdf'
+    ? renderPdf(content, branding, options)
+    : renderHtml(content, branding, options.locale || 'en');
+}
+
+module.exports = {
+  renderReport
+};
@@ -0,0 +1,231 @@
+/**
+ * Theodor.ai SDK Retry Policy
+ * Decides whether and when failed API requests are retried
+ */
+const crypto = require('crypto');
+
+const { NetworkError, ValidationError } = require('./errors');
+
+/**
+ * Backoff strategies
+ * @enum {string}
+ */
+const BackoffStrategy = {
+  FIXED:       'fixed',
+  LINEAR:      'linear',
+  EXPONENTIAL: 'exponential'
+};
+
+/**
+ * Jitter modes
+ * @enum {string}
+ */
+const JitterMode = {
+  NONE:  'none',
+  FULL:  'full',  // random delay between 0 and the computed delay
+  EQUAL: 'equal'  // half the computed delay plus a random half
+};
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxAttempts=4] - Total attempts including the first one (1 disables retries)
+ * @property {string|Function} [backoff='exponential'] - 'fixed', 'linear', 'exponential' or `(attempt) => delayMs`
+ * @property {number} [initialDelay=1000] - Delay before the first retry in milliseconds
+ * @property {number} [maxDelay=30000] - Upper bound for a single delay in milliseconds
+ * @property {number} [factor=1.5] - Multiplier for exponential backoff
+ * @property {string|boolean} [jitter='full'] - 'none', 'full' or 'equal' (true means 'full')
+ * @property {Array<number>} [retryableStatuses=[408, 429, 500, 502, 503, 504]] - HTTP statuses that are retried
+ * @property {boolean} [retryNetworkErrors=true] - Retry when no response was received
+ * @property {boolean} [respectRetryAfter=true] - Wait for the server's Retry-After on 429/503
+ * @property {number} [maxRetryAfter=60000] - Longest Retry-After in milliseconds that is honored; longer waits fail immediately
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts:        4,
+  backoff:            BackoffStrategy.EXPONENTIAL,
+  initialDelay:       1000,
+  maxDelay:           30000,
+  factor:             1.5,
+  jitter:             JitterMode.FULL,
+  retryableStatuses:  [408, 429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+  respectRetryAfter:  true,
+  maxRetryAfter:      60000
+};
+
+/**
+ * Retry policy for API requests
+ */
+class RetryPolicy {
+  /**
+   * Creates a retry policy
+   * @param {RetryOptions|boolean} [options] - Retry options, or false to disable retries
+   * @throws {ValidationError} - If the backoff strategy or jitter mode is unknown
+   */
+  constructor(options = {}) {
+    if (options === false) {
+      options = { maxAttempts: 1 };
+    } else if (options === true || options == null) {
+      options = {};
+    }
+
+    this.options = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+    if (this.options.jitter === true) {
+      this.options.jitter = JitterMode.FULL;
+    } else if (this.options.jitter === false) {
+      this.options.jitter = JitterMode.NONE;
+    }
+
+    const { backoff, jitter } = this.options;
+    if (typeof backoff !== 'function' && !Object.values(BackoffStrategy).includes(backoff)) {
+      throw new ValidationError(`Unknown backoff strategy: ${backoff}. Must be one of: ${Object.values(BackoffStrategy).join(', ')} or a function`, {
+        field: 'retry'
+      });
+    }
+    if (!Object.values(JitterMode).includes(jitter)) {
+      throw new ValidationError(`Unknown jitter mode: ${jitter}. Must be one of: ${Object.values(JitterMode).join(', ')}`, {
+        field: 'retry'
+      });
+    }
+  }
+
+  /**
+   * Maximum number of attempts, including the first one
+   * @type {number}
+   */
+  get maxAttempts() {
+    return Math.max(1, this.options.maxAttempts);
+  }
+
+  /**
+   * Checks whether a failed attempt should be retried
+   * @param {TheodorError} error - Typed error of the failed attempt
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @param {Object} [context] - Request context
+   * @param {boolean} [context.idempotent=true] - Whether repeating the request is safe
+   * @param {boolean} [context.replayable=true] - Whether the request body can be sent again (false for consumed streams)
+   * @returns {boolean} - True if the request should be retried
+   */
+  shouldRetry(error, attempt, context = {}) {
+    if (attempt >= this.maxAttempts) {
+      return false;
+    }
+
+    // A non-idempotent request may already have been applied by the server,
+    // and a body read from a stream cannot be sent a second time
+    if (context.idempotent === false || context.replayable === false) {
+      return false;
+    }
+
+    if (error instanceof NetworkError) {
+      return this.options.retryNetworkErrors;
+    }
+
+    return Boolean(error.status) && this.options.retryableStatuses.includes(error.status);
+  }
+
+  /**
+   * Computes the delay before the next attempt
+   * @param {TheodorError} error - Typed error of the failed attempt
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @returns {number|null} - Delay in milliseconds, or null if the server asked to wait longer than allowed
+   */
+  getDelay(error, attempt) {
+    if (this.options.respectRetryAfter && (error.status === 429 || error.status === 503)) {
+      const retryAfter = parseRetryAfter(error.headers && error.headers['retry-after']);
+
+      if (retryAfter !== null) {
+        return retryAfter <= this.options.maxRetryAfter ? retryAfter : null;
+      }
+    }
+
+    return this._applyJitter(Math.min(this._backoff(attempt), this.options.maxDelay));
+  }
+
+  /**
+   * Base delay for an attempt before jitter
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @returns {number} - Delay in milliseconds
+   * @private
+   */
+  _backoff(attempt) {
+    const { backoff, initialDelay, factor } = this.options;
+
+    if (typeof backoff === 'function') {
+      return backoff(attempt);
+    }
+
+    switch (backoff) {
+      case BackoffStrategy.FIXED:
+        return initialDelay;
+      case BackoffStrategy.LINEAR:
+        return initialDelay * attempt;
+      default:
+        return initialDelay * Math.pow(factor, attempt - 1);
+    }
+  }
+
+  /**
+   * Randomizes a delay so that concurrent clients do not retry in lockstep
+   * @param {number} delay - Delay in milliseconds
+   * @returns {number} - Randomized delay in milliseconds
+   * @private
+   */
+  _applyJitter(delay) {
+    switch (this.options.jitter) {
+      case JitterMode.FULL:
+        return Math.round(Math.random() * delay);
+      case JitterMode.EQUAL:
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+      default:
+        return delay;
+    }
+  }
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or HTTP date)
+ * @param {string|number} [value] - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Generates a key that lets the server recognize a repeated request
+ * @returns {string} - Random UUID v4
+ */
+function generateIdempotencyKey() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+module.exports = {
+  BackoffStrategy,
+  JitterMode,
+  RetryPolicy,
+  parseRetryAfter,
+  generateIdempotencyKey
+};
@@ -0,0 +1,236 @@
+/**
+ * Theodor.ai SDK Segmentation
+ * Parses the segmentation of a recording into a timeline of sound events
+ */
+const { SegmentationType } = require('./constants');
+const { ValidationError } = require('./errors');
+
+/**
+ * Labels used for events that do not carry their own
+ */
+const SOUND_EVENT_LABELS = {
+  [SegmentationType.S1]:          'S1',
+  [SegmentationType.S2]:          'S2',
+  [SegmentationType.INSPIRATION]: 'Inspiration',
+  [SegmentationType.EXPIRATION]:  'Expiration',
+  [SegmentationType.MURMUR]:      'Murmur',
+  [SegmentationType.WHEEZE]:      'Wheeze',
+  [SegmentationType.CRACKLE]:     'Crackle',
+  [SegmentationType.BOWEL_SOUND]: 'Bowel sound'
+};
+
+/**
+ * Colors used when sound events are drawn over a waveform or spectrogram
+ */
+const SOUND_EVENT_COLORS = {
+  [SegmentationType.S1]:          '#d9534f',
+  [SegmentationType.S2]:          '#0275d8',
+  [SegmentationType.INSPIRATION]: '#5cb85c',
+  [SegmentationType.EXPIRATION]:  '#5bc0de',
+  [SegmentationType.MURMUR]:      '#f0ad4e',
+  [SegmentationType.WHEEZE]:      '#9b59b6',
+  [SegmentationType.CRACKLE]:     '#795548',
+  [SegmentationType.BOWEL_SOUND]: '#607d8b'
+};
+
+const KNOWN_TYPES = Object.values(SegmentationType);
+
+/**
+ * Sorted list of sound events with accessors per event type.
+ * It is a real array, so it can be iterated, indexed and serialized like one.
+ */
+class SoundTimeline extends Array {
+  // map(), filter() and friends return plain arrays
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  /**
+   * Events of one type
+   * @param {string} type - Event type (see SegmentationType)
+   * @returns {Array<SoundEvent>} - Events in chronological order
+   */
+  ofType(type) {
+    return this.filter(event => event.type === type);
+  }
+
+  /**
+   * Event types present in the timeline
+   * @returns {Array<string>} - Event types
+   */
+  types() {
+    return [...new Set(this.map(event => event.type))];
+  }
+
+  /**
+   * End of the last event, in seconds
+   * @type {number}
+   */
+  get duration() {
+    return this.reduce((max, event) => Math.max(max, event.end), 0);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get s1() {
+    return this.ofType(SegmentationType.S1);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get s2() {
+    return this.ofType(SegmentationType.S2);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get inspirations() {
+    return this.ofType(SegmentationType.INSPIRATION);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get expirations() {
+    return this.ofType(SegmentationType.EXPIRATION);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get murmurs() {
+    return this.ofType(SegmentationType.MURMUR);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get wheezes() {
+    return this.ofType(SegmentationType.WHEEZE);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get crackles() {
+    return this.ofType(SegmentationType.CRACKLE);
+  }
+
+  /** @type {Array<SoundEvent>} */
+  get bowelSounds() {
+    return this.ofType(SegmentationType.BOWEL_SOUND);
+  }
+}
+
+/**
+ * Parses a time value that may have been serialized as a string
+ * @param {number|string} value - Time
+ * @returns {number} - Time in seconds, NaN if invalid
+ * @private
+ */
+function toTime(value) {
+  return typeof value === 'number' ? value : parseFloat(value);
+}
+
+/**
+ * Creates a sound event from one segment
+ * @param {string} type - Event type
+ * @param {Array<number|string>|Object} segment - `[start, end, label?]` or `{ start, end, label? }`
+ * @returns {SoundEvent|null} - Event, or null if the segment has no valid times
+ * @private
+ */
+function toSoundEvent(type, segment) {
+  let start, end, label;
+
+  if (Array.isArray(segment)) {
+    [start, end, label] = segment;
+  } else if (segment && typeof segment === 'object') {
+    ({ start, end, label } = segment);
+    type = segment.type || type;
+  } else {
+    return null;
+  }
+
+  start = toTime(start);
+  end   = end === undefined ? start : toTime(end);
+
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+    return null;
+  }
+
+  return {
+    type,
+    start,
+    end,
+    label: typeof label === 'string' && label ? label : (SOUND_EVENT_LABELS[type] || type)
+  };
+}
+
+/**
+ * Extracts the segmentation payload from a recording, a classification event or the payload itself
+ * @param {Object|string} input - Recording, RecordingClassifiedEvent, Segmentation object or JSON string
+ * @returns {Object|Array|null} - Decoded payload, null if there is none or an object has neither segment types nor
+ *   a segmentation field
+ * @private
+ * @throws {ValidationError} - If a string payload is not valid JSON
+ */
+function decodeSegmentation(input) {
+  let payload = input;
+
+  // An object without segment types is a recording or event; its other list fields are not segments
+  if (payload && typeof payload === 'object' && !Array.isArray(payload) && !KNOWN_TYPES.some(type => type in payload)) {
+    payload = 'segmentation' in payload ? payload.segmentation : null;
+  }
+
+  // Payloads are sometimes JSON-encoded more than once on their way through the API
+  while (typeof payload === 'string') {
+    if (payload.trim() === '') {
+      return null;
+    }
+
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      throw new ValidationError(`Segmentation is not valid JSON: ${error.message}`, {
+        field: 'segmentation',
+        cause: error
+      });
+    }
+  }
+
+  return payload && typeof payload === 'object' ? payload : null;
+}
+
+/**
+ * Parses the segmentation of a recording into a sorted timeline of sound events
+ * @param {Object|string} input - Recording, RecordingClassifiedEvent, Segmentation object or JSON string.
+ *   Segments may be `[start, end, label?]` arrays or `{ start, end, label? }` objects, with times as numbers or strings;
+ *   a flat array of `{ type, start, end }` objects is accepted too. Segments without valid times are skipped.
+ * @returns {SoundTimeline} - Events sorted by start time; empty if the recording has no segmentation yet
+ * @throws {ValidationError} - If a string payload is not valid JSON
+ */
+function parseSegmentation(input) {
+  const payload  = decodeSegmentation(input);
+  const timeline = new SoundTimeline();
+
+  if (!payload) {
+    return timeline;
+  }
+
+  const entries = Array.isArray(payload)
+    ? payload.map(segment => [segment && segment.type, [segment]])
+    : Object.entries(payload).filter(([, segments]) => Array.isArray(segments));
+
+  for (const [type, segments] of entries) {
+    // A single segment may be given without the enclosing list
+    const list = segments.length > 0 && !Array.isArray(segments[0]) && typeof segments[0] !== 'object'
+      ? [segments]
+      : segments;
+
+    for (const segment of list) {
+      const event = toSoundEvent(type, segment);
+      if (event && event.type) {
+        timeline.push(event);
+      }
+    }
+  }
+
+  timeline.sort((a, b) => a.start - b.start || a.end - b.end);
+  return timeline;
+}
+
+module.exports = {
+  SOUND_EVENT_LABELS,
+  SOUND_EVENT_COLORS,
+  SoundTimeline,
+  parseSegmentation
+};
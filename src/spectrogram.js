@@ -0,0 +1,322 @@
+/**
+ * Theodor.ai SDK Spectrogram
+ * Short-time Fourier transform of recordings and rendering as PNG images
+ */
+const { loadAudio, decodeWav, remix } = require('./audio');
+const { encodePng } = require('./png');
+const { ValidationError } = require('./errors');
+
+/**
+ * Default frequency range (Hz) and analysis window length (seconds) per recording site.
+ * Heart sounds need short windows to separate S1 and S2; breath sounds reach higher frequencies.
+ */
+const SPECTROGRAM_DEFAULTS = {
+  heart:   { fMin: 20,  fMax: 1000, window: 0.064 },
+  lung:    { fMin: 100, fMax: 4000, window: 0.032 },
+  abdomen: { fMin: 50,  fMax: 2000, window: 0.064 }
+};
+
+const SCALES = ['log', 'linear'];
+
+const MIN_DB = -120;  // Level reported for digital silence
+
+const DEFAULT_DYNAMIC_RANGE = 80;  // dB shown between the loudest and the darkest pixel
+
+const MAX_DEFAULT_WIDTH = 1200;
+
+const DEFAULT_HEIGHT = 256;
+
+/**
+ * Color maps as evenly spaced RGB stops, from quiet to loud
+ */
+const COLORMAPS = {
+  viridis:   [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+  magma:     [[0, 0, 4], [81, 18, 124], [183, 55, 121], [252, 137, 97], [252, 253, 191]],
+  grayscale: [[0, 0, 0], [255, 255, 255]]
+};
+
+/**
+ * @typedef {Object} Spectrogram
+ * @property {Array<Float32Array>} data - Matrix of frames (time) by frequency bins; dBFS for the log scale, power otherwise
+ * @property {Float32Array} times - Center of each frame, in seconds
+ * @property {Float32Array} frequencies - Frequency of each bin, in Hz
+ * @property {number} sampleRate - Sample rate of the audio (Hz)
+ * @property {number} windowSize - FFT window length in samples
+ * @property {number} hop - Samples between frames
+ * @property {string} scale - 'log' or 'linear'
+ * @property {number} duration - Duration of the audio in seconds
+ */
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ * @private
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      let swap = re[i]; re[i] = re[j]; re[j] = swap;
+      swap = im[i]; im[i] = im[j]; im[j] = swap;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const wRe   = Math.cos(angle);
+    const wIm   = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let tRe = 1, tIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const xRe = re[b] * tRe - im[b] * tIm;
+        const xIm = re[b] * tIm + im[b] * tRe;
+        re[b] = re[a] - xRe;
+        im[b] = im[a] - xIm;
+        re[a] += xRe;
+        im[a] += xIm;
+        const next = tRe * wRe - tIm * wIm;
+        tIm = tRe * wIm + tIm * wRe;
+        tRe = next;
+      }
+    }
+  }
+}
+
+/**
+ * Smallest power of two not below a value
+ * @param {number} value - Value
+ * @returns {number} - Power of two
+ * @private
+ */
+function nextPowerOfTwo(value) {
+  return 2 ** Math.ceil(Math.log2(Math.max(2, value)));
+}
+
+/**
+ * Resolves the analysis parameters for a sample rate
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {Object} options - Options as passed to computeSpectrogram
+ * @returns {{windowSize: number, hop: number, fMin: number, fMax: number, scale: string}} - Parameters
+ * @private
+ * @throws {ValidationError} - If an option is invalid
+ */
+function resolveOptions(sampleRate, options) {
+  const site     = options.site || 'heart';
+  const defaults = SPECTROGRAM_DEFAULTS[site];
+
+  if (!defaults) {
+    throw new ValidationError('Invalid recording site. Must be one of: heart, lung, abdomen', { field: 'site' });
+  }
+
+  const windowSize = options.windowSize || nextPowerOfTwo(defaults.window * sampleRate);
+  if (!Number.isInteger(windowSize) || windowSize < 16 || (windowSize & (windowSize - 1)) !== 0) {
+    throw new ValidationError('windowSize must be a power of two of at least 16', { field: 'windowSize' });
+  }
+
+  const hop = options.hop || windowSize / 4;
+  if (!Number.isInteger(hop) || hop < 1) {
+    throw new ValidationError('hop must be a positive integer', { field: 'hop' });
+  }
+
+  const scale = options.scale || 'log';
+  if (!SCALES.includes(scale)) {
+    throw new ValidationError(`Invalid scale. Must be one of: ${SCALES.join(', ')}`, { field: 'scale' });
+  }
+
+  const fMin = Math.max(0, options.fMin !== undefined ? options.fMin : defaults.fMin);
+  const fMax = Math.min(sampleRate / 2, options.fMax !== undefined ? options.fMax : defaults.fMax);
+  if (!(fMax > fMin)) {
+    throw new ValidationError('fMax must be above fMin and at most half the sample rate', { field: 'fMax' });
+  }
+
+  return { windowSize, hop, fMin, fMax, scale };
+}
+
+/**
+ * Computes the spectrogram of decoded samples
+ * @param {Float32Array} samples - Mono samples in the range -1..1
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {Object} [options] - Options as passed to computeSpectrogram
+ * @returns {Spectrogram} - Spectrogram
+ * @throws {ValidationError} - If an option is invalid
+ */
+function spectrogramOf(samples, sampleRate, options = {}) {
+  const { windowSize, hop, fMin, fMax, scale } = resolveOptions(sampleRate, options);
+
+  const window = new Float64Array(windowSize);
+  let windowSum = 0;
+  for (let i = 0; i < windowSize; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / windowSize);
+    windowSum += window[i];
+  }
+  // Scales the power so that a full-scale sine reads 0 dBFS
+  const norm = 1 / (windowSum / 2) ** 2;
+
+  const firstBin = Math.ceil(fMin * windowSize / sampleRate);
+  const lastBin  = Math.floor(fMax * windowSize / sampleRate);
+  const bins     = Math.max(0, lastBin - firstBin + 1);
+  const frames   = samples.length > windowSize ? Math.floor((samples.length - windowSize) / hop) + 1 : 1;
+
+  const data        = new Array(frames);
+  const times       = new Float32Array(frames);
+  const frequencies = new Float32Array(bins).map((_, bin) => (firstBin + bin) * sampleRate / windowSize);
+  const re          = new Float64Array(windowSize);
+  const im          = new Float64Array(windowSize);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const offset = frame * hop;
+    for (let i = 0; i < windowSize; i++) {
+      // Short recordings are zero-padded to one window
+      re[i] = offset + i < samples.length ? samples[offset + i] * window[i] : 0;
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const row = new Float32Array(bins);
+    for (let bin = 0; bin < bins; bin++) {
+      const k     = firstBin + bin;
+      const power = (re[k] * re[k] + im[k] * im[k]) * norm;
+      row[bin]    = scale === 'log' ? (power > 0 ? Math.max(MIN_DB, 10 * Math.log10(power)) : MIN_DB) : power;
+    }
+
+    data[frame]  = row;
+    times[frame] = (offset + windowSize / 2) / sampleRate;
+  }
+
+  return {
+    data,
+    times,
+    frequencies,
+    sampleRate,
+    windowSize,
+    hop,
+    scale,
+    duration: samples.length / sampleRate
+  };
+}
+
+/**
+ * Computes the spectrogram of a WAV recording locally
+ * @param {string|Buffer|Uint8Array|Readable|Object} input - File path, buffer, stream or analyzeRecording options
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.site='heart'] - Recording site ('heart', 'lung', or 'abdomen'); selects the default
+ *   frequency range and window length
+ * @param {number} [options.windowSize] - FFT window length in samples, a power of two (default: about 64 ms for heart
+ *   and abdomen, 32 ms for lung)
+ * @param {number} [options.hop] - Samples between frames (default: a quarter window)
+ * @param {number} [options.fMin] - Lowest frequency to keep (Hz)
+ * @param {number} [options.fMax] - Highest frequency to keep (Hz), at most half the sample rate
+ * @param {string} [options.scale='log'] - 'log' for dBFS, 'linear' for power
+ * @returns {Promise<Spectrogram>} - Spectrogram; multi-channel recordings are mixed to mono first
+ * @throws {InvalidAudioError} - If the input is not a WAV file or its encoding is not supported
+ * @throws {ValidationError} - If an option is invalid
+ */
+async function computeSpectrogram(input, options = {}) {
+  const { buffer } = await loadAudio(input);
+  const decoded    = decodeWav(buffer);
+  const [samples]  = remix(decoded.channelData, 1);
+
+  return spectrogramOf(samples, decoded.sampleRate, options);
+}
+
+/**
+ * Interpolates a color map
+ * @param {Array<Array<number>>} stops - RGB stops
+ * @param {number} value - Position (0-1)
+ * @returns {Array<number>} - RGB color
+ * @private
+ */
+function colorAt(stops, value) {
+  const position = Math.min(1, Math.max(0, value)) * (stops.length - 1);
+  const index    = Math.min(stops.length - 2, Math.floor(position));
+  const fraction = position - index;
+  return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * fraction));
+}
+
+/**
+ * Renders a spectrogram as a PNG image, time from left to right and low frequencies at the bottom
+ * @param {Spectrogram|string|Buffer|Uint8Array|Readable|Object} input - Spectrogram from computeSpectrogram,
+ *   or audio to compute it from
+ * @param {Object} [options] - Render options; analysis options of computeSpectrogram apply when audio is given
+ * @param {number} [options.width] - Image width in pixels (default: one pixel per frame, at most 1200)
+ * @param {number} [options.height=256] - Image height in pixels
+ * @param {number} [options.dynamicRange=80] - Range in dB between the loudest and the darkest color
+ * @param {number} [options.maxDb] - Level shown in the brightest color (default: the loudest value)
+ * @param {string} [options.colormap='viridis'] - 'viridis', 'magma' or 'grayscale'
+ * @returns {Promise<Buffer>} - PNG file contents
+ * @throws {InvalidAudioError} - If the audio is not a WAV file or its encoding is not supported
+ * @throws {ValidationError} - If an option is invalid
+ */
+async function renderSpectrogramPng(input, options = {}) {
+  const spectrogram = input && Array.isArray(input.data) && input.frequencies
+    ? input
+    : await computeSpectrogram(input, options);
+
+  const stops = COLORMAPS[options.colormap || 'viridis'];
+  if (!stops) {
+    throw new ValidationError(`Invalid colormap. Must be one of: ${Object.keys(COLORMAPS).join(', ')}`, { field: 'colormap' });
+  }
+
+  const frames = spectrogram.data.length;
+  const bins   = spectrogram.frequencies.length;
+  const width  = Math.max(1, Math.round(options.width || Math.min(frames, MAX_DEFAULT_WIDTH)));
+  const height = Math.max(1, Math.round(options.height || DEFAULT_HEIGHT));
+  const toDb   = spectrogram.scale === 'linear'
+    ? value => (value > 0 ? Math.max(MIN_DB, 10 * Math.log10(value)) : MIN_DB)
+    : value => value;
+
+  // Each pixel shows the loudest cell it covers, so short events survive downscaling
+  const pixelValue = (x, y) => {
+    const frameFrom = Math.floor(x * frames / width);
+    const frameTo   = Math.max(frameFrom + 1, Math.floor((x + 1) * frames / width));
+    const binFrom   = Math.floor(y * bins / height);
+    const binTo     = Math.max(binFrom + 1, Math.floor((y + 1) * bins / height));
+    let max = -Infinity;
+    for (let frame = frameFrom; frame < frameTo; frame++) {
+      for (let bin = binFrom; bin < binTo; bin++) {
+        max = Math.max(max, spectrogram.data[frame][bin]);
+      }
+    }
+    return toDb(max);
+  };
+
+  const levels = new Float32Array(width * height);
+  let loudest  = MIN_DB;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const level = bins > 0 && frames > 0 ? pixelValue(x, height - 1 - y) : MIN_DB;
+      levels[y * width + x] = level;
+      loudest = Math.max(loudest, level);
+    }
+  }
+
+  const maxDb  = options.maxDb !== undefined ? options.maxDb : loudest;
+  const range  = options.dynamicRange || DEFAULT_DYNAMIC_RANGE;
+  const pixels = new Uint8Array(width * height * 3);
+  levels.forEach((level, index) => {
+    // Silence stays dark even when nothing louder sets the top of the range
+    const [r, g, b] = colorAt(stops, level <= MIN_DB ? 0 : (level - (maxDb - range)) / range);
+    pixels[index * 3]     = r;
+    pixels[index * 3 + 1] = g;
+    pixels[index * 3 + 2] = b;
+  });
+
+  return encodePng(pixels, width, height);
+}
+
+module.exports = {
+  SPECTROGRAM_DEFAULTS,
+  spectrogramOf,
+  computeSpectrogram,
+  renderSpectrogramPng
+};
@@ -0,0 +1,229 @@
+/**
+ * Theodor.ai SDK Event Subscriptions
+ * Filtered streams of the client's recording events, usable as emitters and async iterators
+ */
+const EventEmitter = require('events');
+const { AbortError, ValidationError } = require('./errors');
+
+/**
+ * Types of recording events, in the order a recording goes through them
+ * @enum {string}
+ */
+const RecordingEvent = {
+  CREATED:     'created',
+  UPLOADED:    'uploaded',
+  SPECTROGRAM: 'spectrogram',
+  ENHANCED:    'enhanced',
+  CLASSIFIED:  'classified',
+  FAILED:      'failed',
+  UPDATED:     'updated',
+  DELETED:     'deleted'
+};
+
+// Client event names by recording event type
+const CLIENT_EVENTS = {
+  [RecordingEvent.CREATED]:     'recording_created',
+  [RecordingEvent.UPLOADED]:    'audio_recording_uploaded',
+  [RecordingEvent.SPECTROGRAM]: 'spectrogram_generated',
+  [RecordingEvent.ENHANCED]:    'recording_enhanced',
+  [RecordingEvent.CLASSIFIED]:  'recording_classified',
+  [RecordingEvent.FAILED]:      'recording_classification_failure',
+  [RecordingEvent.UPDATED]:     'recording_updated',
+  [RecordingEvent.DELETED]:     'recording_deleted'
+};
+
+// After these a recording emits no further results
+const TERMINAL_EVENTS = [RecordingEvent.CLASSIFIED, RecordingEvent.FAILED, RecordingEvent.DELETED];
+
+/**
+ * @typedef {Object} RecordingEventData
+ * @property {string} type - RecordingEvent type
+ * @property {string|null} recordingId - ID of the recording the event is about
+ * @property {string|null} examId - ID of the recording's exam, when the payload has it
+ * @property {Object} data - Event payload, or the recording when the event was recovered by re-fetching it
+ * @property {Date} receivedAt - Time the client received the event
+ */
+
+/**
+ * Resolves event types given as RecordingEvent values or client event names
+ * @param {Array<string>} [types] - Types; all recording events when omitted
+ * @returns {Array<string>} - RecordingEvent types
+ * @throws {ValidationError} - If a type is unknown
+ */
+function resolveEventTypes(types) {
+  if (!types) {
+    return Object.values(RecordingEvent);
+  }
+
+  const names = Object.entries(CLIENT_EVENTS);
+  return [...new Set([].concat(types).map(type => {
+    if (CLIENT_EVENTS[type]) {
+      return type;
+    }
+    const entry = names.find(([, name]) => name === type);
+    if (!entry) {
+      throw new ValidationError(`Unknown event type: ${type}. Must be one of: ${Object.keys(CLIENT_EVENTS).join(', ')}`, {
+        field: 'types'
+      });
+    }
+    return entry[0];
+  }))];
+}
+
+/**
+ * Stream of recording events from a client. Each event is emitted as `event` (with a RecordingEventData)
+ * and under its type (with the payload). Iterating with `for await` buffers the events until they are
+ * consumed; breaking out of the loop closes the stream.
+ */
+class EventStream extends EventEmitter {
+  /**
+   * @param {TheodorClient} client - Client whose events are streamed
+   * @param {Object} [options] - Stream options
+   * @param {Array<string>} [options.types] - Event types to include (default: all recording events)
+   * @param {function(RecordingEventData): boolean} [options.filter] - Predicate selecting events
+   * @param {boolean} [options.endOnTerminal=false] - End after a classified, failed or deleted event
+   * @param {AbortSignal} [options.signal] - Signal that ends the stream; iteration then throws an AbortError
+   * @throws {ValidationError} - If an event type is unknown
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client        = client;
+    this.types         = resolveEventTypes(options.types);
+    this.filter        = options.filter || (() => true);
+    this.endOnTerminal = Boolean(options.endOnTerminal);
+    this.signal        = options.signal;
+    this.ended         = false;
+    this.error         = null;
+    this.buffer        = null; // Created once iterated, so emitter-only use does not accumulate events
+    this.waiting       = null;
+
+    // Listeners on the client, by client event name; `listeners` would hide EventEmitter#listeners()
+    this.clientListeners = this.types.map(type => {
+      const listener = data => this.push(type, data);
+      client.on(CLIENT_EVENTS[type], listener);
+      return [CLIENT_EVENTS[type], listener];
+    });
+
+    this.onAbort = () => this.close(new AbortError('Event stream aborted'));
+    if (this.signal) {
+      if (this.signal.aborted) {
+        this.onAbort();
+      } else {
+        this.signal.addEventListener('abort', this.onAbort, { once: true });
+      }
+    }
+  }
+
+  /**
+   * Delivers an event if it passes the filter
+   * @param {string} type - RecordingEvent type
+   * @param {Object} data - Event payload
+   * @returns {boolean} - True if the event was delivered
+   */
+  push(type, data) {
+    if (this.ended) {
+      return false;
+    }
+
+    const payload = data || {};
+    const event   = {
+      type,
+      recordingId: payload.audio_id || payload.id || null,
+      examId:      payload.exam_id || payload.examId || null,
+      data,
+      receivedAt:  new Date()
+    };
+    if (!this.filter(event)) {
+      return false;
+    }
+
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ value: event, done: false });
+    } else if (this.buffer) {
+      this.buffer.push(event);
+    }
+
+    this.emit('event', event);
+    this.emit(type, data);
+
+    if (this.endOnTerminal && TERMINAL_EVENTS.includes(type)) {
+      this.close();
+    }
+    return true;
+  }
+
+  /**
+   * Ends the stream and stops listening to the client. Buffered events are still yielded.
+   * @param {Error} [error] - Error to throw from the iterator once the buffer is drained
+   */
+  close(error) {
+    if (this.ended) {
+      return;
+    }
+
+    this.ended = true;
+    for (const [name, listener] of this.clientListeners) {
+      this.client.removeListener(name, listener);
+    }
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+
+    // The error is thrown once: to a waiting iterator now, or else by the next call after the buffer
+    if (this.waiting) {
+      const { resolve, reject } = this.waiting;
+      this.waiting = null;
+      if (error) {
+        reject(error);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    } else {
+      this.error = error || null;
+    }
+
+    this.emit('end', error || null);
+  }
+
+  /**
+   * @returns {AsyncIterator<RecordingEventData>} - Iterator over the events
+   */
+  [Symbol.asyncIterator]() {
+    if (!this.buffer) {
+      this.buffer = [];
+    }
+
+    return {
+      next: () => {
+        if (this.buffer.length > 0) {
+          return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (this.ended) {
+          const error = this.error;
+          this.error  = null;
+          return error ? Promise.reject(error) : Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+          this.waiting = { resolve, reject };
+        });
+      },
+      return: () => {
+        this.buffer.length = 0;
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+}
+
+module.exports = {
+  RecordingEvent,
+  TERMINAL_EVENTS,
+  resolveEventTypes,
+  EventStream
+};
@@ -7,22 +7,86 @@ const axios           = require('axios');
 const FormData        = require('form-data');
 const fs              = require('fs');
 const os              = require('os');
+const path            = require('path');
 const WebSocket       = require('ws');
 const EventEmitter    = require('events');
+const {
+  TheodorError,
+  TheodorApiError,
+  AuthenticationError,
+  NetworkError,
+  RequestTimeoutError,
+  AbortError,
+  RequestError,
+  ValidationError,
+  NotFoundError,
+  PredictionTimeoutError,
+  ClassificationFailedError,
+  LimitExceededError,
+  ErrorCode
+} = require('./errors');
+const { createLogger } = require('./logger');
+const { RetryPolicy, generateIdempotencyKey } = require('./retry');
+const { loadAudio, validateWavBuffer, toAnalysisWav } = require('./audio');
+const { ExamsApi } = require('./exams');
+const { AuthStrategy, createAuthStrategy, normalizeToken } = require('./auth');
+const { RecordingEvent, EventStream } = require('./subscriptions');
 
 // Constants
 const DEFAULT_BASE_URL                   = 'https://theodor.ai';
 const API_URL_SUFFIX                     = '/api/v4';  // Fixed: added leading slash
 const DEFAULT_API_VERSION                = 'v4';
 const WEBSOCKET_AUTHENTICATION_CHALLENGE = "authentication_challenge";
+const LOGIN_PATH                         = '/users/login';
+const DEFAULT_REFRESH_TOKEN_PATH         = '/users/refresh';
+const LOGOUT_PATH                        = '/users/logout';
+const CURRENT_USER_PATH                  = '/users/me';
+const TOKEN_EXPIRY_MARGIN                = 30000; // Renew tokens 30 seconds before they expire
 const MAX_WEBSOCKET_FAILS                = 7;
 const MIN_WEBSOCKET_RETRY_TIME           = 3000; // 3 sec
 const MAX_WEBSOCKET_RETRY_TIME           = 300000; // 5 mins
 const PREDICTION_POLL_INTERVAL           = 2000; // 2 seconds
 const MAX_PREDICTION_POLLS               = 60; // 2 minutes max wait time
 const PING_INTERVAL                      = 30000; // 30 seconds for heartbeat
-const ERROR_RETRY_COUNT                  = 3; // Number of retries for failed API requests
-const ERROR_RETRY_DELAY                  = 1000; // Delay between retries in milliseconds
+const DEFAULT_REQUEST_TIMEOUT            = 60000; // 60 seconds without response before a request fails
+const DEFAULT_BATCH_CONCURRENCY          = 3; // Parallel uploads per batch
+const RECONCILE_CONCURRENCY              = 4; // Parallel requests when re-fetching recordings after missed events
+const DEFAULT_UPLOAD_FILENAME            = 'recording';
+
+const AUDIO_MIME_TYPES = {
+  '.wav':  'audio/wav',
+  '.wave': 'audio/wav',
+  '.mp3':  'audio/mpeg',
+  '.ogg':  'audio/ogg',
+  '.m4a':  'audio/x-m4a'
+};
+
+// Updatable fields by accepted option name, mapped to the name the API expects
+const EXAM_UPDATE_FIELDS = {
+  diagnosis:      'Diagnosis',
+  Diagnosis:      'Diagnosis',
+  complaint:      'Complaint',
+  Complaint:      'Complaint',
+  history:        'History',
+  History:        'History',
+  echoDiagnoses:  'EchoDiagnoses',
+  echo_diagnoses: 'EchoDiagnoses',
+  EchoDiagnoses:  'EchoDiagnoses'
+};
+
+const RECORDING_UPDATE_FIELDS = {
+  location: 'location',
+  device:   'device',
+  examId:   'exam_id',
+  exam_id:  'exam_id'
+};
+
+// Classification state of a recording as far as the client knows
+const PredictionState = {
+  PENDING:    'pending',
+  CLASSIFIED: 'classified',
+  FAILED:     'failed'
+};
 
 const WebSocketEvents = {
   RECORDING_CLASSIFIED:             'audio_recording_classified',
@@ -50,51 +114,273 @@ class TheodorClient extends EventEmitter {
    * @param {string} [options.baseUrl=DEFAULT_BASE_URL] - Base URL for the API
    * @param {string} [options.apiVersion=DEFAULT_API_VERSION] - API version
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger|LoggerLike|Object|false} [options.logger] - Logger instance (pino, winston, console...),
+   *   options for the built-in logger (`{ level, json, write }`), or false to disable logging
    * @param {boolean} [options.useWebSocket=true] - Use WebSocket for real-time updates
+   * @param {RetryOptions|boolean} [options.retry] - Retry policy for failed requests, or false to disable retries
+   * @param {number} [options.timeout=60000] - Default timeout in milliseconds for each HTTP request except uploads
+   *   (0 disables it)
+   * @param {string} [options.refreshToken] - Refresh token from an earlier login, used to renew an expired token
+   * @param {string} [options.refreshTokenPath='/users/refresh'] - API path the refresh token is posted to
+   * @param {string|Function|AuthOptions} [options.auth] - Authentication strategy: an API key, a token provider,
+   *   or `{ loginId, password }`; takes precedence over apiKey
+   * @throws {ValidationError} - If the auth option matches no strategy
    */
   constructor(options = {}) {
     super();
+    this.auth               = options.auth ? createAuthStrategy(options.auth) : null;
     // Prioritize THEODOR_API_KEY from environment
-    this.apiKey             = options.apiKey || process.env.THEODOR_API_KEY || '';
+    this.apiKey             = this.auth ? this.auth.apiKey || '' : options.apiKey || process.env.THEODOR_API_KEY || '';
     this.baseUrl            = options.baseUrl || DEFAULT_BASE_URL;
     this.apiVersion         = options.apiVersion || DEFAULT_API_VERSION;
     this.apiUrl             = `${this.baseUrl}/api/${this.apiVersion}`;
     this.debug              = options.debug || false;
+    this.logger             = createLogger(options);
+    this.retryPolicy        = new RetryPolicy(options.retry);
     this.useWebSocket       = options.useWebSocket !== false;
     this.pendingPredictions = new Map();
+    /** @type {Map<string, string|null>} Last known PredictionState of recordings tracked with trackRecording(), null until seen */
+    this.trackedRecordings  = new Map();
+    this.reconciling        = null;
+    /** @type {Set<EventStream>} Open event streams, ended by close() */
+    this.eventStreams       = new Set();
+    this.batchCount         = 0;
+    this.refreshToken       = options.refreshToken || null;
+    this.refreshTokenPath   = options.refreshTokenPath || DEFAULT_REFRESH_TOKEN_PATH;
+    // Requests that authenticate themselves; a 401 from them is not answered with a refresh
+    this.authPaths          = [LOGIN_PATH, this.refreshTokenPath, LOGOUT_PATH];
+    this.refreshPromise     = null;
+    this.refreshedToken     = null;
+    this.tokenExpiresAt     = null;
+    
+    /** @type {ExamsApi} Exam pagination helpers */
+    this.exams              = new ExamsApi(this);
     
     // Initialize axios instance with default config
     this.client = axios.create({
       baseURL: this.apiUrl,
+      timeout: options.timeout !== undefined ? options.timeout : DEFAULT_REQUEST_TIMEOUT,
       headers: {
         'X-Requested-With': 'XMLHttpRequest',
         'User-Agent':       `TheodorNodeSDK/1.0.0 Node/${process.version} ${os.platform()}/${os.release()}`
       }
     });
     
+    // Requests wait for the first token of a strategy, and for a new one shortly before it expires
+    this.client.interceptors.request.use(config => this._authorizeRequest(config));
+    
+    // Log every response with the server's request ID so calls can be traced
+    this.client.interceptors.response.use((response) => {
+      this._log('API response', {
+        method:    response.config.method,
+        url:       response.config.url,
+        status:    response.status,
+        requestId: response.headers['x-request-id']
+      });
+      return response;
+    }, error => this._handleUnauthorized(error));
+    
+    // setToken also opens the WebSocket; opening it here as well would leak a second connection
     if (this.apiKey) {
       this.setToken(this.apiKey);
-      
-      if (this.useWebSocket) {
-        this._initWebSocket();
-      }
+    } else if (this._canReauthenticate()) {
+      this.refreshAuthToken().catch(() => {
+        // Reported through auth_failed; the next request tries again
+      });
     }
   }
   
   /**
-   * Logs debug messages if debug mode is enabled
+   * Logs a debug message
    * @param {string} message - Debug message
-   * @param {*} data - Optional data to log
+   * @param {Object} [fields] - Optional structured fields to log
    * @private
    */
-  _log(message, data) {
-    if (this.debug) {
-      if (data) {
-        console.log(`Theodor SDK: ${message}`, data);
-      } else {
-        console.log(`Theodor SDK: ${message}`);
+  _log(message, fields) {
+    this.logger.debug(message, fields);
+  }
+
+  /**
+   * Checks whether the auth strategy can supply a new token
+   * @returns {boolean} - True for token providers and credentials
+   * @private
+   */
+  _canReauthenticate() {
+    return Boolean(this.auth) && this.auth.type !== AuthStrategy.STATIC;
+  }
+
+  /**
+   * Obtains a token from the auth strategy before a request that needs one
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} - Request config with the current token
+   * @private
+   */
+  async _authorizeRequest(config) {
+    if (!this._canReauthenticate() || this.authPaths.includes(config.url)) {
+      return config;
+    }
+
+    const expired = this.tokenExpiresAt !== null && Date.now() >= this.tokenExpiresAt - TOKEN_EXPIRY_MARGIN;
+    if (!this.apiKey || expired || this.refreshPromise) {
+      await this.refreshAuthToken();
+      config.headers.set('Authorization', `Bearer ${this.apiKey}`);
+    }
+    return config;
+  }
+
+  /**
+   * Renews the token when a request fails with 401, then sends the request again with the new token
+   * @param {Error} error - Axios error
+   * @returns {Promise<Object>} - Response of the replayed request
+   * @private
+   * @throws {Error} - The original error if the token cannot be renewed or the request cannot be replayed
+   */
+  async _handleUnauthorized(error) {
+    const config = error.config;
+
+    if (!error.response || error.response.status !== 401 || !config || this.authPaths.includes(config.url)) {
+      throw error;
+    }
+
+    if ((!this.refreshToken && !this._canReauthenticate()) || config.authRetried) {
+      this.emit('auth_failed', this._toError(error));
+      throw error;
+    }
+
+    try {
+      await this.refreshAuthToken();
+    } catch (refreshError) {
+      throw error;
+    }
+
+    // A form or stream body has been consumed; _retryRequest builds the request again instead
+    if (config.data && typeof config.data.pipe === 'function') {
+      error.tokenRefreshed = true;
+      throw error;
+    }
+
+    this._log('Replaying request with the refreshed token', { method: config.method, url: config.url });
+    config.authRetried = true;
+    config.headers.set('Authorization', `Bearer ${this.apiKey}`);
+    return this.client.request(config);
+  }
+
+  /**
+   * Renews the token with the refresh token, or else with the auth strategy (token provider or credentials).
+   * Concurrent calls share one request to the server.
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<AuthResponse|AuthToken>} - Authentication response, or the token provider's result
+   * @throws {AuthenticationError} - If no new token can be obtained
+   */
+  refreshAuthToken(options = {}) {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._requestTokenRefresh(options).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Requests a new token and applies it to the HTTP client and the WebSocket
+   * @param {Object} [options] - Call options
+   * @returns {Promise<AuthResponse|AuthToken>} - Authentication response, or the token provider's result
+   * @private
+   * @throws {AuthenticationError} - If no new token can be obtained
+   */
+  async _requestTokenRefresh(options = {}) {
+    if (this.refreshToken) {
+      this._log('Refreshing authentication token');
+      try {
+        const response = await this.client.post(this.refreshTokenPath, {
+          refresh_token: this.refreshToken
+        }, this._requestConfig(options));
+        
+        return this._tokenRenewed(response.data);
+      } catch (caught) {
+        const error = this._toError(caught);
+        this.logger.warn('Token refresh failed', { code: error.code, status: error.status });
+        
+        if (!this._canReauthenticate()) {
+          this.emit('auth_failed', error);
+          throw error;
+        }
+        // The strategy supplies a new token, and possibly a new refresh token
+        this.refreshToken = null;
       }
     }
+    
+    if (!this._canReauthenticate()) {
+      const error = new AuthenticationError('No refresh token; log in again');
+      this.emit('auth_failed', error);
+      throw error;
+    }
+    
+    this._log('Requesting token from auth strategy', { strategy: this.auth.type });
+    try {
+      const authData = this.auth.type === AuthStrategy.CREDENTIALS
+        ? await this._requestLogin(this.auth.loginId, this.auth.password, options)
+        : await this.auth.tokenProvider();
+      
+      return this._tokenRenewed(authData);
+    } catch (caught) {
+      const error = caught instanceof TheodorError
+        ? caught
+        : new AuthenticationError(`Token provider failed: ${caught && caught.message}`, { cause: caught });
+      this.logger.warn('Authentication failed', { strategy: this.auth.type, code: error.code, status: error.status });
+      this.emit('auth_failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a renewed token and announces it
+   * @param {AuthResponse|AuthToken|string} authData - Login or refresh response, or token provider result
+   * @returns {AuthResponse|AuthToken|string} - The same authData
+   * @private
+   * @throws {ValidationError} - If authData contains no token
+   */
+  _tokenRenewed(authData) {
+    this._applyAuth(authData);
+    this.refreshedToken = this.apiKey;
+    this.emit('token_refreshed', authData);
+    return authData;
+  }
+
+  /**
+   * Stores the tokens of a login or refresh response
+   * @param {AuthResponse|AuthToken|string} authData - Authentication response
+   * @private
+   * @throws {ValidationError} - If authData contains no token
+   */
+  _applyAuth(authData) {
+    const { token, refreshToken, expiresAt } = normalizeToken(authData);
+    
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+    }
+    this.setToken(token);
+    this.tokenExpiresAt = expiresAt;
+  }
+
+  /**
+   * Clears all tokens and closes the WebSocket
+   * @private
+   */
+  _clearAuth() {
+    this.auth           = null;
+    this.apiKey         = '';
+    this.refreshToken   = null;
+    this.refreshedToken = null;
+    this.tokenExpiresAt = null;
+    delete this.client.defaults.headers.common['Authorization'];
+    
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
   }
 
   /**
@@ -107,59 +393,62 @@ class TheodorClient extends EventEmitter {
       return;
     }
     
-    this.ws = new WebSocketClient();
+    this.ws = new WebSocketClient({ logger: this.logger.child({ component: 'websocket' }) });
     this.ws.setUrlFromServerAdress(this.baseUrl);
     this.ws.setAuthToken(this.apiKey);
     
     this.ws.setEventCallback((msg) => {
-      this._log('WebSocket event received', msg);
+      // Event payloads may contain patient data, only identifiers are logged
+      const recordingId = msg.data && (msg.data.audio_id || msg.data.id);
+      this._log('WebSocket event received', { event: msg.event, seq: msg.seq, recordingId });
+      if (recordingId) {
+        this._recordingSeen(recordingId);
+      }
       
       switch (msg.event) {
         case WebSocketEvents.RECORDING_CLASSIFIED:
-          this._log('Recording classified', msg.data);
-          const audioId = msg.data.audio_id || msg.data.id;
-          if (this.pendingPredictions.has(audioId)) {
-            const { resolve } = this.pendingPredictions.get(audioId);
-            this.pendingPredictions.delete(audioId);
-            resolve(msg.data);
-          }
-          this.emit('recording_classified', msg.data);
+          this._log('Recording classified', { recordingId });
+          this._recordingClassified(recordingId, msg.data);
           break;
           
         case WebSocketEvents.RECORDING_CREATED:
-          this._log('Recording created', msg.data);
+          this._log('Recording created', { recordingId });
           this.emit('recording_created', msg.data);
           break;
           
         case WebSocketEvents.RECORDING_CLASSIFICATION_FAILURE:
-          this._log('Recording classification failed', msg.data);
-          const failedId = msg.data.audio_id || msg.data.id;
-          if (this.pendingPredictions.has(failedId)) {
-            const { reject } = this.pendingPredictions.get(failedId);
-            this.pendingPredictions.delete(failedId);
-            reject(new Error(`Classification failed for recording ${failedId}: ${msg.data.message || 'Unknown error'}`));
-          }
-          this.emit('recording_classification_failure', msg.data);
+          this._log('Recording classification failed', { recordingId });
+          this._recordingFailed(recordingId, msg.data, msg.data.message);
+          break;
+          
+        case WebSocketEvents.RECORDING_UPDATED:
+          this._log('Recording updated', { recordingId });
+          this.emit('recording_updated', msg.data);
+          break;
+          
+        case WebSocketEvents.RECORDING_DELETED:
+          this._log('Recording deleted', { recordingId });
+          this._recordingDeleted(recordingId, msg.data);
           break;
           
         case WebSocketEvents.SPECTROGRAM_GENERATED:
-          this._log('Spectrogram generated', msg.data);
+          this._log('Spectrogram generated', { recordingId });
           this.emit('spectrogram_generated', msg.data);
           break;
           
         case WebSocketEvents.RECORDING_ENHANCED:
         case WebSocketEvents.RECORDING_ENHANCEMENT_COMPLETE:
-          this._log('Recording enhanced', msg.data);
+          this._log('Recording enhanced', { recordingId });
           this.emit('recording_enhanced', msg.data);
           break;
           
         case WebSocketEvents.PROCESSING_QUEUE_STATE_CHANGED:
-          this._log('Processing queue state changed', msg.data);
+          this._log('Processing queue state changed');
           this.emit('processing_queue_state_changed', msg.data);
           break;
           
         default:
-          this._log(`Unhandled WebSocket event: ${msg.event}`, msg.data);
+          this._log(`Unhandled WebSocket event: ${msg.event}`, { recordingId });
           this.emit(msg.event, msg.data);
       }
     });
@@ -172,15 +461,39 @@ class TheodorClient extends EventEmitter {
     this.ws.setReconnectCallback(() => {
       this._log('WebSocket reconnected');
       this.emit('websocket_reconnected');
+      // Events sent while the connection was down are not replayed
+      this._reconcileAfterGap('reconnect');
+    });
+    
+    this.ws.setMissedEventCallback((gap) => {
+      this.logger.warn('WebSocket events missed', gap);
+      this.emit('missed_events', gap);
+      this._reconcileAfterGap('missed_events');
+    });
+    
+    this.ws.setAuthErrorCallback((token) => {
+      // Ignore rejections of a token that has been replaced since
+      if (token !== this.apiKey) {
+        return;
+      }
+      // A token that was just renewed and is still rejected needs a new login
+      if ((!this.refreshToken && !this._canReauthenticate()) || this.refreshedToken === token) {
+        this.emit('auth_failed', new AuthenticationError('WebSocket authentication failed'));
+        return;
+      }
+      this._log('WebSocket authentication failed, refreshing token');
+      this.refreshAuthToken().catch(() => {
+        // Already reported through auth_failed
+      });
     });
     
     this.ws.setErrorCallback((error) => {
-      this._log('WebSocket error', error);
+      this.logger.warn('WebSocket error', { error: error && error.message, type: error && error.type });
       this.emit('websocket_error', error);
     });
     
     this.ws.setCloseCallback((count) => {
-      this._log(`WebSocket closed (attempt ${count})`);
+      this._log('WebSocket closed', { attempt: count });
       this.emit('websocket_closed', count);
     });
     
@@ -188,43 +501,244 @@ class TheodorClient extends EventEmitter {
   }
   
   /**
-   * Handles API errors
+   * Notes that a recording exists on the server, from a response or an event about it
+   * @param {string} recordingId - Recording ID
+   * @private
+   */
+  _recordingSeen(recordingId) {
+    const pending = this.pendingPredictions.get(recordingId);
+    if (pending) {
+      pending.seen = true;
+    }
+    if (this.trackedRecordings.get(recordingId) === null) {
+      this.trackedRecordings.set(recordingId, PredictionState.PENDING);
+    }
+  }
+  
+  /**
+   * Checks whether a recording has been seen since it was tracked or waited for. Right after an upload the
+   * recording may not be readable yet, so a 404 only means it was deleted once it has been seen.
+   * @param {string} recordingId - Recording ID
+   * @returns {boolean} - True if the recording is known to have existed
+   * @private
+   */
+  _wasRecordingSeen(recordingId) {
+    const pending = this.pendingPredictions.get(recordingId);
+    return Boolean(pending && pending.seen) || Boolean(this.trackedRecordings.get(recordingId));
+  }
+  
+  /**
+   * Resolves the pending wait for a recording and announces its classification
+   * @param {string} recordingId - Recording ID
+   * @param {Object} data - Event payload or recording
+   * @private
+   */
+  _recordingClassified(recordingId, data) {
+    if (this.trackedRecordings.has(recordingId)) {
+      this.trackedRecordings.set(recordingId, PredictionState.CLASSIFIED);
+    }
+    if (this.pendingPredictions.has(recordingId)) {
+      const { resolve } = this.pendingPredictions.get(recordingId);
+      this.pendingPredictions.delete(recordingId);
+      resolve(data);
+    }
+    this.emit('recording_classified', data);
+  }
+  
+  /**
+   * Rejects the pending wait for a recording and announces the failed classification
+   * @param {string} recordingId - Recording ID
+   * @param {Object} data - Event payload or recording
+   * @param {string} [message] - Error message from the server
+   * @private
+   */
+  _recordingFailed(recordingId, data, message) {
+    if (this.trackedRecordings.has(recordingId)) {
+      this.trackedRecordings.set(recordingId, PredictionState.FAILED);
+    }
+    if (this.pendingPredictions.has(recordingId)) {
+      const { reject } = this.pendingPredictions.get(recordingId);
+      this.pendingPredictions.delete(recordingId);
+      reject(new ClassificationFailedError(
+        `Classification failed for recording ${recordingId}: ${message || 'Unknown error'}`,
+        { recordingId, data }
+      ));
+    }
+    this.emit('recording_classification_failure', data);
+  }
+  
+  /**
+   * Rejects the pending wait for a deleted recording, which will never be classified, and announces the deletion
+   * @param {string} recordingId - Recording ID
+   * @param {Object} data - Event payload
+   * @private
+   */
+  _recordingDeleted(recordingId, data) {
+    this.trackedRecordings.delete(recordingId);
+    if (this.pendingPredictions.has(recordingId)) {
+      const { reject } = this.pendingPredictions.get(recordingId);
+      this.pendingPredictions.delete(recordingId);
+      reject(new NotFoundError(`Recording ${recordingId} was deleted`));
+    }
+    this.emit('recording_deleted', data);
+  }
+  
+  /**
+   * Starts a reconciliation after events may have been missed, reporting failures instead of throwing
+   * @param {string} reason - What revealed the gap, for the logs
+   * @private
+   */
+  _reconcileAfterGap(reason) {
+    // A reconnect that starts a new sequence reports both; one pass covers them
+    if (this.reconciling) {
+      return;
+    }
+    
+    this.reconciling = this.reconcileRecordings({ reason })
+      .catch((error) => {
+        this.logger.warn('Reconciling recordings failed', { reason, error: error && error.message });
+      })
+      .finally(() => {
+        this.reconciling = null;
+      });
+  }
+  
+  /**
+   * Converts any error raised while talking to the API into a TheodorError
    * @param {Error} error - Error object
+   * @returns {TheodorError} - Typed SDK error
    * @private
-   * @throws {Error} - Rethrows the error with additional context
    */
-  _handleError(error) {
+  _toError(error) {
+    if (error instanceof TheodorError) {
+      return error;
+    }
+    
+    if (axios.isCancel(error)) {
+      return new AbortError('Theodor API request aborted', { cause: error });
+    }
+    
     if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
-      const errorData    = error.response.data;
-      const errorMessage = errorData.message || errorData.detailed_error || errorData.error || error.message;
-      
+      const apiError = TheodorApiError.fromResponse(error.response, error);
       this._log('API Error', {
-        status: error.response.status,
-        data:   errorData
+        status:    apiError.status,
+        code:      apiError.code,
+        requestId: apiError.requestId,
+        method:    error.config && error.config.method,
+        url:       error.config && error.config.url
       });
       
-      const enhancedError     = new Error(`Theodor API Error (${error.response.status}): ${errorMessage}`);
-      enhancedError.status    = error.response.status;
-      enhancedError.data      = errorData;
-      enhancedError.raw       = error.response.data; // Store the complete raw response
-      enhancedError.isTheodorError = true;
-      throw enhancedError;
+      return apiError;
     } else if (error.request) {
       // The request was made but no response was received
-      this._log('Network Error', error.request);
-      const networkError = new Error(`Theodor API Network Error: ${error.message}`);
-      networkError.isNetworkError = true;
-      networkError.request = error.request;
-      throw networkError;
+      this._log('Network Error', { error: error.message, url: error.config && error.config.url });
+      
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new RequestTimeoutError(`Theodor API Request Timeout: ${error.message}`, {
+          timeout: error.config && error.config.timeout,
+          request: error.request,
+          cause:   error
+        });
+      }
+      
+      return new NetworkError(`Theodor API Network Error: ${error.message}`, {
+        request: error.request,
+        cause:   error
+      });
     } else {
       // Something happened in setting up the request that triggered an Error
-      this._log('Request Error', error.message);
-      const requestError = new Error(`Theodor API Request Error: ${error.message}`);
-      requestError.isRequestError = true;
-      throw requestError;
+      this._log('Request Error', { error: error.message });
+      return new RequestError(`Theodor API Request Error: ${error.message}`, { cause: error });
+    }
+  }
+  
+  /**
+   * Handles API errors
+   * @param {Error} error - Error object
+   * @private
+   * @throws {TheodorError} - Rethrows the error as a typed SDK error
+   */
+  _handleError(error) {
+    throw this._toError(error);
+  }
+  
+  /**
+   * Builds the per-call axios config for cancellation and timeouts
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds, overriding the client default
+   * @returns {Object} - Axios request config
+   * @private
+   */
+  _requestConfig(options = {}) {
+    const config = {};
+    
+    if (options.signal) {
+      config.signal = options.signal;
     }
+    
+    if (options.timeout !== undefined) {
+      config.timeout = options.timeout;
+    }
+    
+    return config;
+  }
+  
+  /**
+   * Request timeout of an upload, which does not default to the client's timeout
+   * @param {Object} options - Analysis options
+   * @param {number} [options.requestTimeout] - Timeout in milliseconds for the upload request
+   * @returns {number} - Timeout in milliseconds, 0 for none
+   * @private
+   */
+  _uploadTimeout(options) {
+    return options.requestTimeout !== undefined ? options.requestTimeout : 0;
+  }
+  
+  /**
+   * Throws if the signal has been aborted
+   * @param {AbortSignal} [signal] - Abort signal
+   * @private
+   * @throws {AbortError} - If the signal is aborted
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new AbortError();
+    }
+  }
+  
+  /**
+   * Waits for a delay, rejecting early if the signal is aborted
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new AbortError());
+      };
+      
+      const timeoutId = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
   }
   
   /**
@@ -232,7 +746,8 @@ class TheodorClient extends EventEmitter {
    * @param {string} token - Authentication token
    */
   setToken(token) {
-    this.apiKey = token;
+    this.apiKey         = token;
+    this.tokenExpiresAt = null;
     this.client.defaults.headers.common['Authorization'] = `Bearer ${token}`;
     
     if (this.useWebSocket && this.ws) {
@@ -246,100 +761,500 @@ class TheodorClient extends EventEmitter {
    * Authenticates with username and password
    * @param {string} loginId - Username or email
    * @param {string} password - Password
-   * @returns {Promise<Object>} - Authentication response
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<AuthResponse>} - Authentication response
+   */
+  async login(loginId, password, options = {}) {
+    // The refresh token lets long-running clients renew the token when it expires
+    const authData = await this._requestLogin(loginId, password, options);
+    this._applyAuth(authData);
+    
+    return authData;
+  }
+
+  /**
+   * Sends the login request without applying its token
+   * @param {string} loginId - Username or email
+   * @param {string} password - Password
+   * @param {Object} [options] - Call options
+   * @returns {Promise<AuthResponse>} - Authentication response
+   * @private
    */
-  async login(loginId, password) {
+  async _requestLogin(loginId, password, options = {}) {
     try {
-      const response = await this.client.post('/users/login', {
+      const response = await this.client.post(LOGIN_PATH, {
         login_id: loginId,
         password: password
-      });
-      
-      const authData = response.data;
-      this.setToken(authData.token);
+      }, this._requestConfig(options));
       
-      return authData;
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Ends the session on the server and forgets all tokens. The client no longer authenticates by itself
+   * afterwards; call login() or setToken() to use it again.
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<void>} - Resolves when logged out
+   * @throws {TheodorError} - If the server could not be reached; the tokens are forgotten nonetheless
+   */
+  async logout(options = {}) {
+    try {
+      if (this.apiKey) {
+        await this.client.post(LOGOUT_PATH, {}, this._requestConfig(options));
+      }
+    } catch (caught) {
+      const error = this._toError(caught);
+      // An expired session has ended already
+      if (!(error instanceof AuthenticationError && error.status === 401)) {
+        throw error;
+      }
+    } finally {
+      this._clearAuth();
+    }
+  }
+
+  /**
+   * Gets the user the client is authenticated as
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<User>} - Current user
+   * @throws {AuthenticationError} - If the client is not authenticated
+   */
+  async getCurrentUser(options = {}) {
+    try {
+      const response = await this.client.get(CURRENT_USER_PATH, this._requestConfig(options));
+      return response.data;
     } catch (error) {
       this._handleError(error);
     }
   }
 
   /**
-   * Helper method to retry API requests
-   * @param {Function} requestFn - Function that returns a promise for the API request
-   * @param {number} [retries=ERROR_RETRY_COUNT] - Number of retries
-   * @param {number} [delay=ERROR_RETRY_DELAY] - Delay between retries in milliseconds
+   * Helper method to retry API requests according to the client's retry policy
+   * @param {Function} requestFn - Function that returns a promise for the API request; called once per attempt
+   * @param {Object} [context] - Request context
+   * @param {boolean} [context.idempotent=true] - Whether repeating the request is safe
+   * @param {boolean} [context.replayable=true] - Whether the request body can be sent again
+   * @param {AbortSignal} [context.signal] - Signal that stops further attempts
+   * @param {number} [attempt=1] - Current attempt number
    * @returns {Promise<any>} - Result of the API request
    * @private
    */
-  async _retryRequest(requestFn, retries = ERROR_RETRY_COUNT, delay = ERROR_RETRY_DELAY) {
+  async _retryRequest(requestFn, context = {}, attempt = 1) {
     try {
       return await requestFn();
-    } catch (error) {
-      // Only retry network errors, not validation or auth errors
-      if (retries > 0 && (error.isNetworkError || (error.status && error.status >= 500))) {
-        this._log(`Request failed, retrying in ${delay}ms. Retries left: ${retries}`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this._retryRequest(requestFn, retries - 1, delay * 1.5);
+    } catch (caught) {
+      const error = this._toError(caught);
+      
+      if (error instanceof AbortError || (context.signal && context.signal.aborted)) {
+        throw error instanceof AbortError ? error : new AbortError();
       }
-      throw error;
+      
+      // The token was renewed but the body could not be replayed; build the request again once
+      if (caught.tokenRefreshed && context.replayable !== false && !context.authRetried) {
+        this._log('Sending request again with the refreshed token', { attempt });
+        return this._retryRequest(requestFn, { ...context, authRetried: true }, attempt);
+      }
+      
+      if (!this.retryPolicy.shouldRetry(error, attempt, context)) {
+        throw error;
+      }
+      
+      const delay = this.retryPolicy.getDelay(error, attempt);
+      if (delay === null) {
+        // The server asked us to wait longer than the policy allows
+        throw error;
+      }
+      
+      this._log('Request failed, retrying', {
+        delay,
+        attempt,
+        maxAttempts: this.retryPolicy.maxAttempts,
+        code:        error.code,
+        requestId:   error.requestId
+      });
+      await this._sleep(delay, context.signal);
+      return this._retryRequest(requestFn, context, attempt + 1);
     }
   }
 
   /**
-   * Submits an audio file for analysis
-   * @param {Object} options - Analysis options
-   * @param {string} options.filePath - Path to the audio file
-   * @param {string} options.site - Recording site ('heart', 'lung', or 'abdomen')
-   * @param {string} [options.examId] - Exam ID to associate with the recording
-   * @param {boolean} [options.waitForPrediction=false] - Whether to wait for prediction results
-   * @param {number} [options.timeout=120000] - Timeout in milliseconds for waiting for prediction
-   * @param {boolean} [options.enhanced=false] - Whether to request enhanced audio processing
-   * @returns {Promise<Object>} - Recording object or prediction results
+   * Validates the recording site option
+   * @param {string} site - Recording site
+   * @private
+   * @throws {ValidationError} - If the site is missing or unknown
    */
-  async analyzeRecording(options) {
-    if (!options.filePath) {
-      throw new Error('File path is required');
+  _validateSite(site) {
+    if (!site) {
+      throw new ValidationError('Recording site is required', { field: 'site' });
+    }
+    
+    if (!['heart', 'lung', 'abdomen'].includes(site)) {
+      throw new ValidationError('Invalid recording site. Must be one of: heart, lung, abdomen', { field: 'site' });
+    }
+  }
+
+  /**
+   * Validates an ID and encodes it for use in a URL path
+   * @param {string} id - ID
+   * @param {string} field - Option name for the error
+   * @returns {string} - Encoded ID
+   * @private
+   * @throws {ValidationError} - If the ID is missing
+   */
+  _pathId(id, field) {
+    if ((typeof id !== 'string' && typeof id !== 'number') || id === '') {
+      throw new ValidationError(`${field} is required`, { field });
+    }
+    return encodeURIComponent(id);
+  }
+
+  /**
+   * Builds the body of an update request from the allowed fields
+   * @param {Object} fields - Fields to update
+   * @param {Object<string, string>} allowed - API field name by accepted option name
+   * @returns {Object} - Request body
+   * @private
+   * @throws {ValidationError} - If a field cannot be updated or nothing is updated
+   */
+  _updateBody(fields, allowed) {
+    const body = {};
+
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+        const names = [...new Set(Object.keys(allowed).filter(name => /^[a-z]/.test(name) && !name.includes('_')))];
+        throw new ValidationError(`Field ${key} cannot be updated. Must be one of: ${names.join(', ')}`, { field: key });
+      }
+      body[allowed[key]] = value;
+    }
+
+    if (Object.keys(body).length === 0) {
+      throw new ValidationError('No fields to update', { field: 'fields' });
+    }
+    return body;
+  }
+
+  /**
+   * Guesses the MIME type of audio from its filename or its first bytes
+   * @param {string} [filename] - Filename
+   * @param {Buffer} [buffer] - Audio data
+   * @returns {string} - MIME type
+   * @private
+   */
+  _guessContentType(filename, buffer) {
+    const byExtension = filename && AUDIO_MIME_TYPES[path.extname(filename).toLowerCase()];
+    if (byExtension) {
+      return byExtension;
+    }
+    
+    if (buffer && buffer.length >= 12) {
+      if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+        return 'audio/wav';
+      }
+      if (buffer.toString('ascii', 0, 4) === 'OggS') {
+        return 'audio/ogg';
+      }
+      if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+        return 'audio/mpeg';
+      }
     }
     
-    if (!options.site) {
-      throw new Error('Recording site is required');
+    return 'application/octet-stream';
+  }
+  
+  /**
+   * Resolves the audio given to analyzeRecording (file path, buffer or stream) into an upload source
+   * @param {Object} options - analyzeRecording options
+   * @returns {Promise<{filename: string, contentType: string, replayable: boolean, append: Function}>} - Upload source;
+   *   `append(form)` adds the audio to a multipart form
+   * @private
+   * @throws {ValidationError} - If no source, more than one source, or an unreadable source was given
+   */
+  async _resolveUploadSource(options) {
+    const sources = ['filePath', 'buffer', 'stream'].filter(key => options[key] != null);
+    
+    if (sources.length === 0) {
+      throw new ValidationError('One of filePath, buffer or stream is required', { field: 'filePath' });
     }
     
-    if (!['heart', 'lung', 'abdomen'].includes(options.site)) {
-      throw new Error('Invalid recording site. Must be one of: heart, lung, abdomen');
+    if (sources.length > 1) {
+      throw new ValidationError(`Only one of filePath, buffer or stream can be given, got ${sources.join(', ')}`, {
+        field: sources[1]
+      });
     }
     
-    try {
+    if (options.filePath) {
       // Verify file exists and is readable before proceeding
       try {
         await fs.promises.access(options.filePath, fs.constants.R_OK);
       } catch (fileError) {
-        throw new Error(`Cannot read audio file at path ${options.filePath}: ${fileError.message}`);
+        throw new ValidationError(`Cannot read audio file at path ${options.filePath}: ${fileError.message}`, {
+          field: 'filePath',
+          cause: fileError
+        });
       }
       
-      // Create form data
-      const form = new FormData();
-      form.append('upload_file', fs.createReadStream(options.filePath));
-      form.append('site', options.site);
+      const filename    = options.filename || path.basename(options.filePath);
+      const contentType = options.contentType || this._guessContentType(filename);
       
-      if (options.examId) {
-        form.append('exam_id', options.examId);
+      return {
+        filename,
+        contentType,
+        replayable: true,
+        append: (form) => form.append('upload_file', fs.createReadStream(options.filePath), { filename, contentType })
+      };
+    }
+    
+    if (options.buffer) {
+      if (!(options.buffer instanceof Uint8Array)) {
+        throw new ValidationError('Buffer must be a Buffer or Uint8Array', { field: 'buffer' });
       }
       
-      if (options.enhanced) {
-        form.append('enhanced', 'true');
+      const buffer = Buffer.isBuffer(options.buffer)
+        ? options.buffer
+        : Buffer.from(options.buffer.buffer, options.buffer.byteOffset, options.buffer.byteLength);
+      
+      if (buffer.length === 0) {
+        throw new ValidationError('Buffer is empty', { field: 'buffer' });
       }
+      
+      const contentType = options.contentType || this._guessContentType(options.filename, buffer);
+      const filename    = options.filename || `${DEFAULT_UPLOAD_FILENAME}${contentType === 'audio/wav' ? '.wav' : ''}`;
+      
+      return {
+        filename,
+        contentType,
+        replayable: true,
+        append: (form) => form.append('upload_file', buffer, { filename, contentType, knownLength: buffer.length })
+      };
+    }
+    
+    if (typeof options.stream.pipe !== 'function') {
+      throw new ValidationError('Stream must be a Readable stream', { field: 'stream' });
+    }
+    
+    const filename    = options.filename || (typeof options.stream.path === 'string'
+      ? path.basename(options.stream.path)
+      : DEFAULT_UPLOAD_FILENAME);
+    const contentType = options.contentType || this._guessContentType(filename);
+    
+    return {
+      filename,
+      contentType,
+      // A stream can only be read once, so a failed upload cannot be retried
+      replayable: false,
+      append: (form) => form.append('upload_file', options.stream, { filename, contentType, knownLength: options.size })
+    };
+  }
+  
+  /**
+   * Validates and/or normalizes the audio given to analyzeRecording before it is uploaded
+   * @param {Object} options - analyzeRecording options
+   * @param {Object} source - Upload source from _resolveUploadSource
+   * @returns {Promise<Object>} - analyzeRecording options with the (converted) audio loaded into `buffer`
+   * @private
+   * @throws {InvalidAudioError} - If the recording is not a valid WAV file, breaks a validation limit
+   *   or cannot be converted
+   */
+  async _prepareUploadAudio(options, source) {
+    let { buffer }  = await loadAudio(options);
+    let filename    = source.filename;
+    let contentType = source.contentType;
+    
+    // Only WAV files can be inspected and converted; other containers are uploaded unchanged
+    if (contentType !== 'audio/wav' && this._guessContentType(null, buffer) !== 'audio/wav') {
+      this._log('Skipping validation and normalization of non-WAV recording', { filename, contentType });
+    } else {
+      if (options.validate) {
+        const audio = validateWavBuffer(buffer, filename, typeof options.validate === 'object' ? options.validate : {});
+        this._log('Recording passed validation', { filename, seconds: audio.seconds, sampleRate: audio.sample_rate });
+      }
+      
+      if (options.normalize) {
+        const originalSize = buffer.length;
+        buffer      = await toAnalysisWav(buffer, typeof options.normalize === 'object' ? options.normalize : {});
+        filename    = `${path.basename(filename, path.extname(filename))}.wav`;
+        contentType = 'audio/wav';
+        this._log('Recording normalized', { filename, originalSize, size: buffer.length });
+      }
+    }
+    
+    // The audio is now in memory, so the upload no longer needs to read the file or stream again
+    return {
+      ...options,
+      filePath: undefined,
+      stream:   undefined,
+      buffer,
+      filename,
+      contentType
+    };
+  }
+  
+  /**
+   * Computes the length of a multipart form
+   * @param {FormData} form - Form data
+   * @returns {Promise<number|null>} - Length in bytes, or null if a part has an unknown length (e.g. a stream without size)
+   * @private
+   */
+  _getFormLength(form) {
+    if (!form.hasKnownLength()) {
+      return Promise.resolve(null);
+    }
+    
+    return new Promise((resolve) => {
+      form.getLength((error, length) => resolve(error ? null : length));
+    });
+  }
+  
+  /**
+   * @typedef {Object} UploadProgress
+   * @property {number} loaded - Bytes sent so far
+   * @property {number|null} total - Total bytes to send, if known
+   * @property {number|null} percent - Percentage sent (0-100), if the total is known
+   * @property {string} [filename] - Filename of the recording
+   * @property {string} [examId] - Exam ID the recording is associated with
+   */
 
+  /**
+   * Creates the axios upload progress handler for an analysis request, emitting `upload_progress`
+   * @param {Object} options - Analysis options
+   * @param {string} [filename] - Filename of the recording
+   * @param {number|null} contentLength - Request body length, if known
+   * @returns {Function} - Axios onUploadProgress handler; its `finish()` reports the completed upload
+   * @private
+   */
+  _createUploadProgressHandler(options, filename, contentLength) {
+    let loaded   = 0;
+    let total    = contentLength || null;
+    let finished = false;
+    
+    const report = () => {
+      const progress = {
+        loaded,
+        total,
+        percent:  total ? Math.min(100, Math.round(loaded / total * 100)) : null,
+        filename,
+        examId:   options.examId
+      };
+      
+      this.emit('upload_progress', progress);
+      if (options.onUploadProgress) {
+        options.onUploadProgress(progress);
+      }
+    };
+    
+    const handler = (event) => {
+      // Axios throttles progress events, so the last ones can arrive after the response
+      if (finished) {
+        return;
+      }
+      loaded = event.loaded;
+      total  = event.total || contentLength || null;
+      report();
+    };
+    
+    handler.finish = () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (total && loaded < total) {
+        loaded = total;
+        report();
+      }
+    };
+    
+    return handler;
+  }
+  
+  /**
+   * Submits audio for analysis as a multipart upload
+   * @param {Object} options - Analysis options
+   * @param {string} [options.filePath] - Path to the audio file
+   * @param {Buffer|Uint8Array} [options.buffer] - Audio data held in memory
+   * @param {Readable} [options.stream] - Readable stream of audio data (uploads from a stream are not retried)
+   * @param {string} [options.filename] - Filename sent with the upload (defaults to the file's basename)
+   * @param {string} [options.contentType] - MIME type of the audio (guessed from the filename or data if omitted)
+   * @param {number} [options.size] - Size of the stream in bytes, sent as its content length
+   * @param {string} options.site - Recording site ('heart', 'lung', or 'abdomen')
+   * @param {string} [options.examId] - Exam ID to associate with the recording
+   * @param {boolean} [options.waitForPrediction=false] - Whether to wait for prediction results
+   * @param {number} [options.timeout=120000] - Timeout in milliseconds for waiting for prediction
+   * @param {number} [options.requestTimeout=0] - Timeout in milliseconds for the upload request; uploads do not
+   *   use the client's default timeout, so large recordings on slow connections are not cut off (0 disables it)
+   * @param {AbortSignal} [options.signal] - Signal that aborts the upload and the wait for prediction
+   * @param {boolean} [options.enhanced=false] - Whether to request enhanced audio processing
+   * @param {string} [options.idempotencyKey] - Key identifying this upload across retries (generated if omitted)
+   * @param {Function} [options.onUploadProgress] - Called with the same payload as the `upload_progress` event
+   * @param {boolean|AudioValidationOptions} [options.validate=false] - Inspect WAV audio before uploading and
+   *   reject recordings that are truncated, too short, too long or in an unsupported encoding
+   * @param {boolean|AnalysisFormat} [options.normalize=false] - Convert WAV audio to mono 16-bit PCM at 8 kHz
+   *   (or the given format) in memory before uploading. Resampling costs about 4.5 s of CPU time per minute
+   *   of 44.1 kHz audio; it runs in chunks, but still delays other work on the same process
+   * @returns {Promise<Object>} - Recording object or prediction results
+   * @throws {InvalidAudioError} - If validation is enabled and the recording fails it, or normalization
+   *   is enabled and the recording cannot be decoded
+   */
+  async analyzeRecording(options) {
+    this._validateSite(options.site);
+    this._throwIfAborted(options.signal);
+    
+    try {
+      let source = await this._resolveUploadSource(options);
+      
+      if (options.validate || options.normalize) {
+        options = await this._prepareUploadAudio(options, source);
+        source  = await this._resolveUploadSource(options);
+      }
+      
+      // The same key is sent on every attempt so the server can discard duplicate uploads
+      const idempotencyKey = options.idempotencyKey || generateIdempotencyKey();
+      
       // Submit the recording with retry mechanism
       const recording = await this._retryRequest(async () => {
+        // A file stream can only be consumed once, so each attempt builds its own form
+        const form = new FormData();
+        source.append(form);
+        form.append('site', options.site);
+        
+        if (options.examId) {
+          form.append('exam_id', options.examId);
+        }
+        
+        if (options.enhanced) {
+          form.append('enhanced', 'true');
+        }
+        
+        // Sending the length lets the server and the progress reports know the total size
+        const contentLength = await this._getFormLength(form);
+        const headers = {
+          ...form.getHeaders(),
+          'Idempotency-Key': idempotencyKey
+        };
+        if (contentLength !== null) {
+          headers['Content-Length'] = contentLength;
+        }
+        
+        const onUploadProgress = this._createUploadProgressHandler(options, source.filename, contentLength);
         const response = await this.client.post('/recordings/analyse', form, {
-          headers: {
-            ...form.getHeaders()
-          }
+          ...this._requestConfig({ signal: options.signal, timeout: this._uploadTimeout(options) }),
+          headers,
+          onUploadProgress
         });
+        onUploadProgress.finish();
         return response.data;
-      });
+      }, { replayable: source.replayable, signal: options.signal });
       
       // If not waiting for prediction, return the recording object
       if (!options.waitForPrediction) {
@@ -347,7 +1262,7 @@ class TheodorClient extends EventEmitter {
       }
       
       // Wait for prediction results
-      return this.waitForPrediction(recording.id, options.timeout);
+      return this.waitForPrediction(recording.id, { timeout: options.timeout, signal: options.signal });
     } catch (error) {
       this._handleError(error);
     }
@@ -364,28 +1279,28 @@ class TheodorClient extends EventEmitter {
    * @param {boolean} [options.enhanced=false] - Whether to request enhanced audio processing
    * @param {boolean} [options.waitForPrediction=false] - Whether to wait for prediction results
    * @param {number} [options.timeout=120000] - Timeout in milliseconds for waiting for prediction
+   * @param {number} [options.requestTimeout=0] - Timeout in milliseconds for the upload request; uploads do not
+   *   use the client's default timeout, so large recordings on slow connections are not cut off (0 disables it)
+   * @param {AbortSignal} [options.signal] - Signal that aborts the upload and the wait for prediction
+   * @param {string} [options.idempotencyKey] - Key identifying this upload across retries (generated if omitted)
+   * @param {Function} [options.onUploadProgress] - Called with the same payload as the `upload_progress` event
    * @returns {Promise<Object>} - Recording object or prediction results
    */
   async analyzeBase64(options) {
     if (!options.data) {
-      throw new Error('Base64 data is required');
+      throw new ValidationError('Base64 data is required', { field: 'data' });
     }
     
     if (!options.mimeType) {
-      throw new Error('MIME type is required');
+      throw new ValidationError('MIME type is required', { field: 'mimeType' });
     }
     
     if (!options.size) {
-      throw new Error('Size is required');
-    }
-    
-    if (!options.site) {
-      throw new Error('Recording site is required');
+      throw new ValidationError('Size is required', { field: 'size' });
     }
     
-    if (!['heart', 'lung', 'abdomen'].includes(options.site)) {
-      throw new Error('Invalid recording site. Must be one of: heart, lung, abdomen');
-    }
+    this._validateSite(options.site);
+    this._throwIfAborted(options.signal);
     
     try {
       const payload = {
@@ -404,128 +1319,373 @@ class TheodorClient extends EventEmitter {
         payload.enhanced = true;
       }
       
-      const response = await this.client.post('/recordings/analyseBase64', payload);
+      const idempotencyKey = options.idempotencyKey || generateIdempotencyKey();
       
-      const recording = response.data;
+      const recording = await this._retryRequest(async () => {
+        const onUploadProgress = this._createUploadProgressHandler(options, options.filename, null);
+        const response = await this.client.post('/recordings/analyseBase64', payload, {
+          ...this._requestConfig({ signal: options.signal, timeout: this._uploadTimeout(options) }),
+          headers: { 'Idempotency-Key': idempotencyKey },
+          onUploadProgress
+        });
+        onUploadProgress.finish();
+        return response.data;
+      }, { signal: options.signal });
       
       // If not waiting for prediction, return the recording object
       if (!options.waitForPrediction) {
         return recording;
       }
-      
-      // Wait for prediction results
-      return this.waitForPrediction(recording.id, options.timeout);
-    } catch (error) {
-      this._handleError(error);
+      
+      // Wait for prediction results
+      return this.waitForPrediction(recording.id, { timeout: options.timeout, signal: options.signal });
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+  
+  /**
+   * @typedef {Object} BatchItemResult
+   * @property {number} index - Position of the item in the input array
+   * @property {string} status - 'fulfilled', 'rejected' or 'cancelled'
+   * @property {Object} [recording] - Recording returned by the upload
+   * @property {Object} [prediction] - Prediction results, when waiting for predictions
+   * @property {TheodorError} [error] - Error, when the item was rejected
+   */
+
+  /**
+   * @typedef {Object} BatchResult
+   * @property {string} batchId - Batch ID used in batch events
+   * @property {Array<BatchItemResult>} results - Per-item results in input order
+   * @property {number} succeeded - Number of fulfilled items
+   * @property {number} failed - Number of rejected items
+   * @property {number} cancelled - Number of items that were aborted or never started
+   */
+
+  /**
+   * Submits several recordings for analysis with a bounded number of parallel uploads.
+   * Items with `data` are sent through analyzeBase64, all others through analyzeRecording.
+   * Emits `batch_item_uploaded`, `batch_item_classified` and `batch_progress` events.
+   * @param {Array<Object>} items - Options for analyzeRecording or analyzeBase64, one per recording
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.concurrency=3] - Maximum number of items processed at once
+   * @param {boolean} [options.waitForPrediction=false] - Whether to wait for each item's prediction
+   * @param {number} [options.timeout=120000] - Timeout in milliseconds for waiting for each prediction
+   * @param {boolean} [options.stopOnError=false] - Cancel the remaining items after the first failure, aborting
+   *   the items in flight
+   * @param {string} [options.site] - Default recording site for items without one
+   * @param {string} [options.examId] - Default exam ID for items without one
+   * @param {AbortSignal} [options.signal] - Cancels the batch: items in flight are aborted and the rest never start
+   * @param {Function} [options.onProgress] - Called with the same payload as `batch_progress`
+   * @returns {Promise<BatchResult>} - Per-item results; never rejects because of a single item
+   */
+  async analyzeBatch(items, options = {}) {
+    if (!Array.isArray(items)) {
+      throw new ValidationError('Batch items must be an array', { field: 'items' });
+    }
+    
+    const concurrency = options.concurrency || DEFAULT_BATCH_CONCURRENCY;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError('Concurrency must be a positive integer', { field: 'concurrency' });
+    }
+    
+    const batchId  = `batch-${++this.batchCount}`;
+    const logger   = this.logger.child({ batchId });
+    const results  = new Array(items.length);
+    const progress = { batchId, total: items.length, uploaded: 0, classified: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    let nextIndex  = 0;
+    let stopped    = false;
+    
+    const reportProgress = () => {
+      const done = progress.succeeded + progress.failed + progress.cancelled;
+      const payload = {
+        ...progress,
+        completed: done,
+        percent:   progress.total === 0 ? 100 : Math.round(done / progress.total * 100)
+      };
+      this.emit('batch_progress', payload);
+      if (options.onProgress) {
+        options.onProgress(payload);
+      }
+    };
+    
+    // Items get the batch's own signal, so stopping on an error also aborts the uploads and waits in flight
+    const controller = new AbortController();
+    const stop = () => {
+      stopped = true;
+      controller.abort();
+    };
+    
+    if (options.signal) {
+      if (options.signal.aborted) {
+        stop();
+      } else {
+        options.signal.addEventListener('abort', stop, { once: true });
+      }
+    }
+    
+    const processItem = async (index) => {
+      const item = {
+        site:   options.site,
+        examId: options.examId,
+        ...items[index],
+        signal: controller.signal,
+        waitForPrediction: false
+      };
+      
+      try {
+        const recording = item.data ? await this.analyzeBase64(item) : await this.analyzeRecording(item);
+        progress.uploaded++;
+        logger.debug('Batch item uploaded', { index, recordingId: recording.id });
+        this.emit('batch_item_uploaded', { batchId, index, recording });
+        
+        const result = { index, status: 'fulfilled', recording };
+        
+        if (options.waitForPrediction) {
+          result.prediction = await this.waitForPrediction(recording.id, {
+            timeout: options.timeout,
+            signal:  controller.signal
+          });
+          progress.classified++;
+          logger.debug('Batch item classified', { index, recordingId: recording.id });
+          this.emit('batch_item_classified', { batchId, index, recording, prediction: result.prediction });
+        }
+        
+        results[index] = result;
+        progress.succeeded++;
+      } catch (error) {
+        if (error instanceof AbortError) {
+          logger.debug('Batch item aborted', { index });
+          results[index] = { index, status: 'cancelled', error };
+          progress.cancelled++;
+          reportProgress();
+          return;
+        }
+        
+        logger.warn('Batch item failed', { index, error });
+        results[index] = { index, status: 'rejected', error };
+        progress.failed++;
+        
+        if (options.stopOnError) {
+          stop();
+        }
+      }
+      
+      reportProgress();
+    };
+    
+    const worker = async () => {
+      while (!stopped && nextIndex < items.length) {
+        await processItem(nextIndex++);
+      }
+    };
+    
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+    
+    if (options.signal) {
+      options.signal.removeEventListener('abort', stop);
+    }
+    
+    // Items that were never started
+    for (let index = nextIndex; index < items.length; index++) {
+      results[index] = { index, status: 'cancelled' };
+      progress.cancelled++;
+    }
+    if (nextIndex < items.length) {
+      logger.debug('Batch cancelled', { cancelled: items.length - nextIndex });
+      reportProgress();
     }
+    
+    return {
+      batchId,
+      results,
+      succeeded: progress.succeeded,
+      failed:    progress.failed,
+      cancelled: progress.cancelled
+    };
   }
   
   /**
    * Waits for prediction results for a recording
    * @param {string} recordingId - Recording ID
-   * @param {number} [timeout=120000] - Timeout in milliseconds
+   * @param {number|Object} [options] - Timeout in milliseconds, or options
+   * @param {number} [options.timeout=120000] - Timeout in milliseconds
+   * @param {AbortSignal} [options.signal] - Signal that stops waiting
    * @returns {Promise<Object>} - Prediction results
    */
-  waitForPrediction(recordingId, timeout = 120000) {
+  waitForPrediction(recordingId, options = {}) {
+    if (typeof options === 'number') {
+      options = { timeout: options };
+    }
+    
+    const timeout = options.timeout || 120000;
+    const signal  = options.signal;
+    
     return new Promise((resolve, reject) => {
       let resolved = false;
       
+      // Aborts the polling loop, including its request in flight, once the wait is over, whichever way it ended
+      const poll = new AbortController();
+      
+      const onAbort = () => {
+        this._log('Waiting for prediction aborted', { recordingId });
+        handleError(new AbortError(`Waiting for prediction for recording ${recordingId} was aborted`));
+      };
+      
+      const cleanup = () => {
+        resolved = true;
+        poll.abort();
+        clearTimeout(timeoutId);
+        this.pendingPredictions.delete(recordingId);
+        
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      
       const handleResult = (result) => {
         if (!resolved) {
-          resolved = true;
-          if (this.pendingPredictions.has(recordingId)) {
-            const { timeoutId } = this.pendingPredictions.get(recordingId);
-            clearTimeout(timeoutId);
-            this.pendingPredictions.delete(recordingId);
-          }
+          cleanup();
           resolve(result);
         }
       };
       
       const handleError = (error) => {
         if (!resolved) {
-          resolved = true;
-          if (this.pendingPredictions.has(recordingId)) {
-            const { timeoutId } = this.pendingPredictions.get(recordingId);
-            clearTimeout(timeoutId);
-            this.pendingPredictions.delete(recordingId);
-          }
+          cleanup();
           reject(error);
         }
       };
 
+      if (signal && signal.aborted) {
+        reject(new AbortError(`Waiting for prediction for recording ${recordingId} was aborted`));
+        return;
+      }
+
       // Set timeout
       const timeoutId = setTimeout(() => {
         if (!resolved) {
-          handleError(new Error(`Prediction timeout for recording ${recordingId}`));
+          handleError(new PredictionTimeoutError(`Prediction timeout for recording ${recordingId}`, {
+            recordingId,
+            timeout
+          }));
         }
       }, timeout);
       
-      // If using WebSocket, register for updates
-      if (this.useWebSocket && this.ws && this.ws.Conn && this.ws.Conn.readyState === WebSocket.OPEN) {
-        this.pendingPredictions.set(recordingId, { 
-          resolve: handleResult, 
-          reject: handleError, 
-          timeoutId 
-        });
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
       }
       
+      // Register for WebSocket updates; close() also uses this to reject pending waits
+      this.pendingPredictions.set(recordingId, { 
+        resolve: handleResult, 
+        reject: handleError, 
+        timeoutId,
+        seen:    false
+      });
+      
       // Always start polling as a fallback
-      this._pollForPrediction(recordingId, 0, Math.floor(timeout / PREDICTION_POLL_INTERVAL))
+      this._pollForPrediction(recordingId, 0, Math.floor(timeout / PREDICTION_POLL_INTERVAL), poll.signal)
         .then(handleResult)
         .catch(handleError);
     });
   }
   
+  /**
+   * Determines the classification state of a recording as returned by the API
+   * @param {Object} recording - Recording
+   * @returns {string} - PredictionState
+   * @private
+   */
+  _predictionState(recording) {
+    if (recording.status === 'error' || recording.classification_status === 'error') {
+      return PredictionState.FAILED;
+    }
+    
+    // Check if prediction is complete based on different possible response structures
+    if (recording.status === 'classified' || recording.classification_status === 'classified') {
+      return PredictionState.CLASSIFIED;
+    }
+    
+    // Legacy check for murmur/rhythm fields
+    if (recording.murmur && recording.rhythm && recording.murmur !== "pending" && recording.rhythm !== "pending") {
+      return PredictionState.CLASSIFIED;
+    }
+    
+    if (recording.murmur === "normal" || recording.murmur === "murmur") {
+      return PredictionState.CLASSIFIED;
+    }
+    
+    return PredictionState.PENDING;
+  }
+  
+  /**
+   * Error message of a failed classification
+   * @param {Object} recording - Recording
+   * @returns {string} - Error message
+   * @private
+   */
+  _classificationError(recording) {
+    return recording.error_message || recording.classification_error || 'Unknown classification error';
+  }
+  
   /**
    * Polls for prediction results
    * @param {string} recordingId - Recording ID
    * @param {number} attempt - Current attempt number
    * @param {number} maxAttempts - Maximum number of attempts
-   * @returns {Promise<Object>} - Prediction results
+   * @param {AbortSignal} [signal] - Signal that ends the loop and aborts its request in flight
+   * @returns {Promise<Object|undefined>} - Prediction results, or undefined if polling was stopped
    * @private
+   * @throws {AbortError} - If the signal is aborted while polling
    */
-  async _pollForPrediction(recordingId, attempt, maxAttempts) {
+  async _pollForPrediction(recordingId, attempt, maxAttempts, signal) {
+    if (signal && signal.aborted) {
+      return undefined;
+    }
+    
     if (attempt >= maxAttempts) {
-      throw new Error(`Prediction timeout for recording ${recordingId} after ${attempt} attempts`);
+      throw new PredictionTimeoutError(`Prediction timeout for recording ${recordingId} after ${attempt} attempts`, {
+        recordingId,
+        timeout: maxAttempts * PREDICTION_POLL_INTERVAL
+      });
     }
     
     try {
       const recording = await this._retryRequest(async () => {
-        const response = await this.client.get(`/recordings/${recordingId}`);
+        const response = await this.client.get(`/recordings/${recordingId}`, this._requestConfig({ signal }));
         return response.data;
-      });
-      
-      // Enhanced check for prediction completion
-      if (recording.status === 'error' || recording.classification_status === 'error') {
-        const errorMessage = recording.error_message || recording.classification_error || 'Unknown classification error';
-        throw new Error(`Prediction failed: ${errorMessage}`);
-      }
+      }, { signal });
+      this._recordingSeen(recordingId);
       
-      // Check if prediction is complete based on different possible response structures
-      if (recording.status === 'classified' || recording.classification_status === 'classified') {
-        return recording;
-      }
-      
-      // Legacy check for murmur/rhythm fields
-      if (recording.murmur && recording.rhythm) {
-        if (recording.murmur !== "pending" && recording.rhythm !== "pending") {
-          return recording;
-        }
+      const state = this._predictionState(recording);
+      if (state === PredictionState.FAILED) {
+        throw new ClassificationFailedError(`Prediction failed: ${this._classificationError(recording)}`, {
+          recordingId,
+          data: recording
+        });
       }
-
-      if (recording.murmur === "normal" || recording.murmur === "murmur") {
+      if (state === PredictionState.CLASSIFIED) {
         return recording;
       }
       
       // Wait and try again
-      await new Promise(resolve => setTimeout(resolve, PREDICTION_POLL_INTERVAL));
-      return this._pollForPrediction(recordingId, attempt + 1, maxAttempts);
+      await this._sleep(PREDICTION_POLL_INTERVAL, signal);
+      return this._pollForPrediction(recordingId, attempt + 1, maxAttempts, signal);
     } catch (error) {
+      // A failed classification will not recover by polling again, and an aborted wait is over
+      if (error instanceof ClassificationFailedError || error instanceof AbortError) {
+        throw error;
+      }
+      
       if (error.status === 404) {
         // Recording not found yet, wait and try again
-        await new Promise(resolve => setTimeout(resolve, PREDICTION_POLL_INTERVAL));
-        return this._pollForPrediction(recordingId, attempt + 1, maxAttempts);
+        await this._sleep(PREDICTION_POLL_INTERVAL, signal);
+        return this._pollForPrediction(recordingId, attempt + 1, maxAttempts, signal);
       }
       
       // If we've had multiple attempts and still getting errors, propagate the error
@@ -534,26 +1694,314 @@ class TheodorClient extends EventEmitter {
       }
       
       // For early attempts, log the error but keep trying
-      this._log(`Error polling for prediction (attempt ${attempt})`, error);
-      await new Promise(resolve => setTimeout(resolve, PREDICTION_POLL_INTERVAL));
-      return this._pollForPrediction(recordingId, attempt + 1, maxAttempts);
+      this._log('Error polling for prediction', { recordingId, attempt, error });
+      await this._sleep(PREDICTION_POLL_INTERVAL, signal);
+      return this._pollForPrediction(recordingId, attempt + 1, maxAttempts, signal);
+    }
+  }
+  
+  /**
+   * Keeps a recording in the set that is re-fetched after missed WebSocket events, so that its classification
+   * is announced even if the event was lost. Recordings with a pending waitForPrediction() are re-fetched anyway.
+   * @param {string} recordingId - Recording ID
+   */
+  trackRecording(recordingId) {
+    if (!this.trackedRecordings.has(recordingId)) {
+      this.trackedRecordings.set(recordingId, null);
+    }
+  }
+  
+  /**
+   * Stops tracking a recording
+   * @param {string} recordingId - Recording ID
+   */
+  untrackRecording(recordingId) {
+    this.trackedRecordings.delete(recordingId);
+  }
+  
+  /**
+   * Re-fetches every recording with a pending waitForPrediction() or tracked with trackRecording(), and settles
+   * or announces the results whose events were missed. Runs by itself after a reconnect and when a gap in the
+   * event sequence is detected.
+   * @param {Object} [options] - Options
+   * @param {string} [options.reason] - Why the recordings are reconciled, for the logs
+   * @param {AbortSignal} [options.signal] - Signal that aborts the reconciliation
+   * @returns {Promise<{checked: number, recovered: number}>} - Recordings re-fetched, and results recovered
+   */
+  async reconcileRecordings(options = {}) {
+    const queue = [...new Set([...this.pendingPredictions.keys(), ...this.trackedRecordings.keys()])];
+    let checked   = 0;
+    let recovered = 0;
+    
+    if (queue.length === 0) {
+      return { checked, recovered };
+    }
+    
+    this._log('Reconciling recordings', { reason: options.reason, count: queue.length });
+    const worker = async () => {
+      while (queue.length > 0) {
+        if (await this._reconcileRecording(queue.shift(), options)) {
+          recovered++;
+        }
+        checked++;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(RECONCILE_CONCURRENCY, queue.length) }, worker));
+    
+    this._log('Recordings reconciled', { reason: options.reason, checked, recovered });
+    return { checked, recovered };
+  }
+  
+  /**
+   * Re-fetches one recording and settles or announces a result that has not been seen yet
+   * @param {string} recordingId - Recording ID
+   * @param {Object} options - Options, see reconcileRecordings()
+   * @returns {Promise<boolean>} - True if a missed result was recovered
+   * @private
+   */
+  async _reconcileRecording(recordingId, options) {
+    let recording;
+    try {
+      recording = await this.getRecording(recordingId, { signal: options.signal });
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      // The deletion event was missed, unless the recording has not become readable yet
+      if (error instanceof NotFoundError) {
+        if (!this._wasRecordingSeen(recordingId)) {
+          this._log('Recording not found yet', { recordingId });
+          return false;
+        }
+        this._recordingDeleted(recordingId, { id: recordingId });
+        return true;
+      }
+      this.logger.warn('Could not re-fetch recording', { recordingId, code: error.code });
+      return false;
+    }
+    
+    const state = this._predictionState(recording);
+    this._recordingSeen(recordingId);
+    if (state === PredictionState.PENDING ||
+        (state === this.trackedRecordings.get(recordingId) && !this.pendingPredictions.has(recordingId))) {
+      return false;
+    }
+    
+    this._log('Recovered missed result', { recordingId, state });
+    if (state === PredictionState.CLASSIFIED) {
+      this._recordingClassified(recordingId, recording);
+    } else {
+      this._recordingFailed(recordingId, recording, this._classificationError(recording));
+    }
+    return true;
+  }
+  
+  /**
+   * Streams the events of one recording, from creation to its classification. The stream ends after the
+   * classified, failed or deleted event. The recording is tracked while watched, so results whose events
+   * were missed are recovered, and its current state is fetched first in case it is already classified. A recording
+   * that is not found ends the stream with a deleted event only once the client has seen it.
+   * @param {string} recordingId - Recording ID
+   * @param {Object} [options] - Watch options
+   * @param {Array<string>} [options.types] - Event types to include (default: all, see RecordingEvent)
+   * @param {boolean} [options.checkCurrent=true] - Fetch the recording once to catch a result that is already there
+   * @param {AbortSignal} [options.signal] - Signal that ends the stream; iteration then throws an AbortError
+   * @returns {EventStream} - Emitter and async iterator of RecordingEventData
+   * @throws {ValidationError} - If the ID is missing or an event type is unknown
+   *
+   * @example
+   * for await (const event of client.watchRecording(recording.id)) {
+   *   console.log(event.type); // created, uploaded, spectrogram, enhanced, classified
+   * }
+   */
+  watchRecording(recordingId, options = {}) {
+    this._pathId(recordingId, 'recordingId');
+    
+    const stream = this._openEventStream({
+      types:         options.types,
+      signal:        options.signal,
+      endOnTerminal: true,
+      filter:        event => String(event.recordingId) === String(recordingId)
+    });
+    
+    // Leave recordings tracked by the caller tracked
+    const tracked = this.trackedRecordings.has(recordingId);
+    if (stream.ended) {
+      return stream;
+    }
+    if (!tracked) {
+      this.trackRecording(recordingId);
+      stream.once('end', () => this.untrackRecording(recordingId));
+    }
+    
+    if (options.checkCurrent !== false) {
+      this.getRecording(recordingId, { signal: options.signal })
+        .then((recording) => {
+          const state = this._predictionState(recording);
+          this._recordingSeen(recordingId);
+          if (!tracked && !stream.ended) {
+            this.trackedRecordings.set(recordingId, state);
+          }
+          if (state === PredictionState.CLASSIFIED) {
+            stream.push(RecordingEvent.CLASSIFIED, recording);
+          } else if (state === PredictionState.FAILED) {
+            stream.push(RecordingEvent.FAILED, recording);
+          }
+        })
+        .catch((error) => {
+          // A recording that was just uploaded may not be readable yet; its events still arrive
+          if (error instanceof NotFoundError && this._wasRecordingSeen(recordingId)) {
+            stream.push(RecordingEvent.DELETED, { id: recordingId });
+          } else if (error instanceof NotFoundError) {
+            this._log('Watched recording not found yet', { recordingId });
+          } else if (!(error instanceof AbortError)) {
+            this.logger.warn('Could not fetch watched recording', { recordingId, code: error.code });
+          }
+        });
+    }
+    
+    return stream;
+  }
+  
+  /**
+   * Streams recording events, optionally of some types or one exam only. The stream stays open until
+   * close() is called on it, the loop iterating over it is left, or the client is closed.
+   * @param {Object} [options] - Stream options
+   * @param {Array<string>} [options.types] - RecordingEvent types or client event names (default: all)
+   * @param {string} [options.examId] - Only events of recordings of this exam
+   * @param {AbortSignal} [options.signal] - Signal that ends the stream; iteration then throws an AbortError
+   * @returns {EventStream} - Emitter and async iterator of RecordingEventData
+   * @throws {ValidationError} - If an event type is unknown
+   *
+   * @example
+   * for await (const event of client.events({ types: ['classified', 'failed'], examId })) {
+   *   console.log(event.recordingId, event.type);
+   * }
+   */
+  events(options = {}) {
+    const examId = options.examId;
+    
+    return this._openEventStream({
+      types:  options.types,
+      signal: options.signal,
+      filter: examId === undefined ? undefined : event => String(event.examId) === String(examId)
+    });
+  }
+  
+  /**
+   * Creates an event stream that is ended when the client is closed
+   * @param {Object} options - EventStream options
+   * @returns {EventStream} - Event stream
+   * @private
+   */
+  _openEventStream(options) {
+    const stream = new EventStream(this, options);
+    
+    if (!stream.ended) {
+      this.eventStreams.add(stream);
+      stream.once('end', () => this.eventStreams.delete(stream));
     }
+    return stream;
   }
   
   /**
    * Gets a recording by ID
    * @param {string} recordingId - Recording ID
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
    * @returns {Promise<Object>} - Recording object
    */
-  async getRecording(recordingId) {
+  async getRecording(recordingId, options = {}) {
+    const id = this._pathId(recordingId, 'recordingId');
+    try {
+      const response = await this.client.get(`/recordings/${id}`, this._requestConfig(options));
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+  
+  /**
+   * Gets a list of recordings, independently of their exams
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page=0] - Page number
+   * @param {number} [options.pageSize=100] - Page size
+   * @param {string} [options.orderBy='created_at'] - Order by field
+   * @param {number} [options.orderDirection=0] - Order direction (0: desc, 1: asc)
+   * @param {string} [options.examId] - Only recordings of this exam
+   * @param {string} [options.next] - Next page token from the previous response
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<RecordingsResponse>} - Recordings response
+   */
+  async listRecordings(options = {}) {
+    try {
+      const params = {
+        page:            options.page || 0,
+        page_size:       options.pageSize || 100,
+        order_by:        options.orderBy || 'created_at',
+        order_direction: options.orderDirection || 0
+      };
+      
+      if (options.examId) {
+        params.exam_id = options.examId;
+      }
+      if (options.next) {
+        params.next = options.next;
+      }
+      
+      const response = await this.client.get('/recordings', { ...this._requestConfig(options), params });
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+  
+  /**
+   * Updates a recording, e.g. to correct its location or move it to another exam
+   * @param {string} recordingId - Recording ID
+   * @param {Object} fields - Fields to update
+   * @param {string} [fields.location] - Auscultation location (e.g. "aortic")
+   * @param {string} [fields.device] - Recording device
+   * @param {string} [fields.examId] - ID of the exam to move the recording to (also accepted as exam_id)
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object>} - Updated recording
+   * @throws {ValidationError} - If the ID is missing or a field cannot be updated
+   * @throws {NotFoundError} - If the recording or the target exam does not exist
+   */
+  async updateRecording(recordingId, fields, options = {}) {
+    const id   = this._pathId(recordingId, 'recordingId');
+    const body = this._updateBody(fields, RECORDING_UPDATE_FIELDS);
     try {
-      const response = await this.client.get(`/recordings/${recordingId}`);
+      const response = await this.client.patch(`/recordings/${id}`, body, this._requestConfig(options));
       return response.data;
     } catch (error) {
       this._handleError(error);
     }
   }
   
+  /**
+   * Deletes a recording. A pending waitForPrediction() for it is rejected once the server reports the deletion.
+   * @param {string} recordingId - Recording ID
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<void>} - Resolves when the recording has been deleted
+   * @throws {ValidationError} - If the ID is missing
+   * @throws {NotFoundError} - If the recording does not exist
+   */
+  async deleteRecording(recordingId, options = {}) {
+    const id = this._pathId(recordingId, 'recordingId');
+    try {
+      await this.client.delete(`/recordings/${id}`, this._requestConfig(options));
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+  
   /**
    * Gets a list of exams
    * @param {Object} [options] - Query options
@@ -561,7 +2009,12 @@ class TheodorClient extends EventEmitter {
    * @param {number} [options.pageSize=100] - Page size
    * @param {string} [options.orderBy='created_at'] - Order by field
    * @param {number} [options.orderDirection=0] - Order direction (0: desc, 1: asc)
-   * @returns {Promise<Object>} - Exams response
+   * @param {string} [options.next] - Next page token from the previous response
+   * @param {string} [options.searchQuery] - Server-side search query
+   * @param {string} [options.mode] - Search mode, passed to the server as is
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<ExamsResponse>} - Exams response; use `client.exams.iterate()` to walk all pages
    */
   async getExams(options = {}) {
     try {
@@ -572,21 +2025,71 @@ class TheodorClient extends EventEmitter {
         order_direction: options.orderDirection || 0
       };
       
-      const response = await this.client.get('/exams', { params });
+      if (options.next) {
+        params.next = options.next;
+      }
+      if (options.searchQuery) {
+        params.search_query = options.searchQuery;
+      }
+      if (options.mode) {
+        params.mode = options.mode;
+      }
+      
+      const response = await this.client.get('/exams', { ...this._requestConfig(options), params });
       return response.data;
     } catch (error) {
       this._handleError(error);
     }
   }
   
+  /**
+   * Finds the exams matching all given criteria. Uses the server's search where supported and filters the
+   * remaining criteria locally, page by page.
+   * @param {Object} [criteria] - Search criteria, see `client.exams.search()`
+   * @param {string} [criteria.query] - Free text in ID, patient ID, diagnosis, complaint, history or echo diagnoses
+   * @param {string} [criteria.patientId] - Exact patient ID
+   * @param {Date|string|number} [criteria.from] - Only exams visited at or after this time
+   * @param {Date|string|number} [criteria.to] - Only exams visited at or before this time
+   * @param {string} [criteria.diagnosis] - Text contained in the diagnosis or echo diagnoses
+   * @param {boolean} [criteria.hasMurmur] - Only exams with (true) or without (false) a detected murmur
+   * @param {string} [criteria.site] - Only exams with a recording at this site
+   * @param {number} [criteria.maxItems=10000] - Safety cap on the number of results
+   * @param {boolean} [criteria.truncate=false] - Return the first maxItems results instead of throwing when there are more
+   * @returns {Promise<Array<Exam>>} - Matching exams as returned by the API
+   * @throws {ValidationError} - If a date is invalid
+   * @throws {LimitExceededError} - If more than maxItems exams match and truncate is not set
+   */
+  async searchExams(criteria = {}) {
+    const maxItems = criteria.maxItems || 10000;
+    const exams    = [];
+
+    for await (const exam of this.exams.search(criteria)) {
+      if (exams.length === maxItems) {
+        if (criteria.truncate) {
+          return exams;
+        }
+        throw new LimitExceededError(`More than ${maxItems} exams match; use exams.search() or raise maxItems`, {
+          limit: maxItems
+        });
+      }
+      exams.push(exam);
+    }
+
+    return exams;
+  }
+  
   /**
    * Gets an exam by ID
    * @param {string} examId - Exam ID
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
    * @returns {Promise<Object>} - Exam object
    */
-  async getExam(examId) {
+  async getExam(examId, options = {}) {
+    const id = this._pathId(examId, 'examId');
     try {
-      const response = await this.client.get(`/exams/${examId}`);
+      const response = await this.client.get(`/exams/${id}`, this._requestConfig(options));
       return response.data;
     } catch (error) {
       this._handleError(error);
@@ -596,17 +2099,65 @@ class TheodorClient extends EventEmitter {
   /**
    * Creates a new exam
    * @param {Object} examData - Exam data
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
    * @returns {Promise<Object>} - Created exam
    */
-  async createExam(examData) {
+  async createExam(examData, options = {}) {
+    try {
+      const response = await this.client.post('/exams', examData, this._requestConfig(options));
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+  
+  /**
+   * Updates the clinical fields of an exam
+   * @param {string} examId - Exam ID
+   * @param {Object} fields - Fields to update, in camelCase or as named by the API (e.g. Diagnosis)
+   * @param {string} [fields.diagnosis] - Diagnosis
+   * @param {string} [fields.complaint] - Complaint
+   * @param {string} [fields.history] - Medical history
+   * @param {string} [fields.echoDiagnoses] - Echo diagnoses
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object>} - Updated exam
+   * @throws {ValidationError} - If the ID is missing or a field cannot be updated
+   * @throws {NotFoundError} - If the exam does not exist
+   */
+  async updateExam(examId, fields, options = {}) {
+    const id   = this._pathId(examId, 'examId');
+    const body = this._updateBody(fields, EXAM_UPDATE_FIELDS);
     try {
-      const response = await this.client.post('/exams', examData);
+      const response = await this.client.patch(`/exams/${id}`, body, this._requestConfig(options));
       return response.data;
     } catch (error) {
       this._handleError(error);
     }
   }
   
+  /**
+   * Deletes an exam
+   * @param {string} examId - Exam ID
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<void>} - Resolves when the exam has been deleted
+   * @throws {ValidationError} - If the ID is missing
+   * @throws {NotFoundError} - If the exam does not exist
+   */
+  async deleteExam(examId, options = {}) {
+    const id = this._pathId(examId, 'examId');
+    try {
+      await this.client.delete(`/exams/${id}`, this._requestConfig(options));
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+  
   /**
    * Closes the client and any open connections
    */
@@ -616,10 +2167,14 @@ class TheodorClient extends EventEmitter {
       this.ws = null;
     }
     
+    for (const stream of this.eventStreams) {
+      stream.close();
+    }
+    
     // Clear any pending predictions
     for (const [recordingId, { timeoutId, reject }] of this.pendingPredictions.entries()) {
       clearTimeout(timeoutId);
-      reject(new Error('Client closed'));
+      reject(new TheodorError('Client closed', { code: ErrorCode.CLIENT_CLOSED }));
       this.pendingPredictions.delete(recordingId);
     }
   }
@@ -629,7 +2184,12 @@ class TheodorClient extends EventEmitter {
  * WebSocket client for real-time communication
  */
 class WebSocketClient {
-  constructor() {
+  /**
+   * @param {Object} [options] - WebSocket client options
+   * @param {Logger|LoggerLike} [options.logger] - Logger, defaults to one that only writes warnings and errors
+   */
+  constructor(options = {}) {
+    this.logger           = options.logger || createLogger();
     this.Url              = null;
     this.ApiUrl           = null;
     this.ConnectUrl       = null;
@@ -643,6 +2203,7 @@ class WebSocketClient {
     this.Conn             = null;
     this.connectionUrl    = null;
     this.pingInterval     = null; // Added for ping mechanism
+    this.reconnectTimeout = null;
     
     // Callbacks
     this.eventCallback          = null;
@@ -650,6 +2211,7 @@ class WebSocketClient {
     this.firstConnectCallback   = null;
     this.reconnectCallback      = null;
     this.missedEventCallback    = null;
+    this.authErrorCallback      = null;
     this.errorCallback          = null;
     this.closeCallback          = null;
   }
@@ -665,7 +2227,7 @@ class WebSocketClient {
       wsProtocol = "wss://";
       url = url.replace("https://", "");
     } else {
-      console.error("WebSocketClient. setUrlFromServerAdress. Unknown protocol", url);
+      this.logger.error('Unknown protocol in server address', { url });
       return;
     }
     
@@ -691,7 +2253,7 @@ class WebSocketClient {
     this.ConnectUrl = baseUrl + apiSuffix + "/websocket";
     this.connectionUrl = this.ConnectUrl;
     
-    console.log("WebSocketClient. setUrl", this.Url, this.ApiUrl, this.ConnectUrl);
+    this.logger.debug('WebSocket URL set', { url: this.ConnectUrl });
   }
 
 
@@ -722,11 +2284,28 @@ class WebSocketClient {
     this.ConnectUrl = baseUrl + apiSuffix + "/websocket";
     this.connectionUrl = this.ConnectUrl;
     
-    console.log("WebSocketClient. setUrl", this.Url, this.ApiUrl, this.ConnectUrl);
+    this.logger.debug('WebSocket URL set', { url: this.ConnectUrl });
   }
   
   setAuthToken(token) {
+    const changed = token !== this.AuthToken;
     this.AuthToken = token;
+    
+    // An open connection authenticates again, so events keep flowing after a token refresh
+    if (changed && this.Conn && this.Conn.readyState === WebSocket.OPEN) {
+      this.authenticate();
+    }
+  }
+  
+  // Sends the authentication challenge; an error reply from the server goes to the auth error callback
+  authenticate() {
+    const token = this.AuthToken;
+    
+    this.sendMessage(WEBSOCKET_AUTHENTICATION_CHALLENGE, { "token": token }, (response) => {
+      if (response.error && response.seq_reply && this.authErrorCallback) {
+        this.authErrorCallback(token);
+      }
+    });
   }
   
   initialize(connectionUrl = this.connectionUrl, AuthToken = this.AuthToken) {
@@ -734,13 +2313,17 @@ class WebSocketClient {
       return;
     }
     
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = null;
+    this.AuthToken        = AuthToken;
+    
     if (connectionUrl == null) {
-      console.log('websocket must have connection url');
+      this.logger.warn('WebSocket must have connection url');
       return;
     }
     
     if (this.connectFailCount === 0) {
-      console.log('websocket connecting to ' + connectionUrl);
+      this.logger.debug('WebSocket connecting', { url: connectionUrl });
     }
     
     this.manuallyClosed = false;
@@ -759,16 +2342,14 @@ class WebSocketClient {
     this.connectionUrl = connectionUrl;
     
     this.Conn.onopen = () => {
-      console.log('WebSocket connection established');
-      
-      if (this.connectFailCount > 0) {
-        console.log('websocket re-established connection');
-      }
+      this.logger.debug('WebSocket connection established', {
+        connectionId: this.connectionId || undefined,
+        reconnect:    this.connectFailCount > 0
+      });
       
-      // Send authentication challenge
-      if (AuthToken) {
-        console.log("Sending authentication_challenge message to WebSocket");
-        this.sendMessage(WEBSOCKET_AUTHENTICATION_CHALLENGE, { "token": AuthToken });
+      // Send authentication challenge, with the token that is current by now
+      if (this.AuthToken) {
+        this.authenticate();
       }
       
       // Start ping mechanism
@@ -786,7 +2367,7 @@ class WebSocketClient {
     };
     
     this.Conn.onclose = (evt) => {
-      console.log("WebSocketClosed!", evt);
+      this.logger.debug('WebSocket closed', { code: evt && evt.code, reason: evt && evt.reason });
       
       // Clear ping interval
       this.stopPingInterval();
@@ -794,10 +2375,6 @@ class WebSocketClient {
       const wasConnected = !!this.Conn;
       this.Conn = null;
       
-      if (this.connectFailCount === 0) {
-        console.log('websocket closed');
-      }
-      
       this.connectFailCount = this.connectFailCount + 1;
       
       if (this.closeCallback) {
@@ -812,13 +2389,20 @@ class WebSocketClient {
           retryTime = MAX_WEBSOCKET_RETRY_TIME;
         }
         
-        console.log('Please check connection, Server unreachable. If issue persists, ask administrator to check WebSocket port.');
+        this.logger.warn('Server unreachable. If issue persists, ask administrator to check WebSocket port.', {
+          attempt:   this.connectFailCount,
+          retryTime
+        });
       }
       
+      // Reconnect with the current token, which may have been refreshed since this connection was opened
       if (!this.manuallyClosed) {
-        setTimeout(
+        this.reconnectTimeout = setTimeout(
           () => {
-            this.initialize(connectionUrl, AuthToken);
+            this.reconnectTimeout = null;
+            if (!this.manuallyClosed) {
+              this.initialize(connectionUrl);
+            }
           },
           retryTime
         );
@@ -827,8 +2411,7 @@ class WebSocketClient {
     
     this.Conn.onerror = (evt) => {
       if (this.connectFailCount <= 1) {
-        console.log('websocket error');
-        console.log(evt);
+        this.logger.debug('WebSocket error', { error: evt && evt.message });
       }
       
       if (this.errorCallback) {
@@ -839,13 +2422,13 @@ class WebSocketClient {
     this.Conn.onmessage = (evt) => {
       try {
         const msg = JSON.parse(evt.data);
-        console.log("WebSocket received message:", msg);
+        this.logger.debug('WebSocket message received', { event: msg.event, seq: msg.seq, seqReply: msg.seq_reply });
 
         this.handleMessage(msg);
         
         if (msg.seq_reply) {
           if (msg.error) {
-            console.error("WebSocket error response:", msg);
+            this.logger.warn('WebSocket error response', { seqReply: msg.seq_reply, status: msg.status, error: msg.error && msg.error.message });
           }
           
           if (this.responseCallbacks[msg.seq_reply]) {
@@ -853,11 +2436,24 @@ class WebSocketClient {
             delete this.responseCallbacks[msg.seq_reply];
           }
         } else if (this.eventCallback) {
-          this.serverSequence = msg.seq + 1;
+          const gap = this.detectGap(msg);
+          
+          // The server sends the connection ID in its hello event; reconnects pass it to resume the sequence
+          if (msg.event === 'hello' && msg.data && msg.data.connection_id) {
+            this.connectionId = msg.data.connection_id;
+          }
+          
+          if (typeof msg.seq === 'number') {
+            this.serverSequence = msg.seq + 1;
+          }
           this.eventCallback(msg);
+          
+          if (gap && this.missedEventCallback) {
+            this.missedEventCallback(gap);
+          }
         }
       } catch (error) {
-        console.error("Error parsing websocket message:", error, "Raw data:", evt.data);
+        this.logger.error('Error parsing WebSocket message', { error, size: evt.data && evt.data.length });
         
         // Try to recover from parsing errors
         if (this.errorCallback) {
@@ -877,7 +2473,6 @@ class WebSocketClient {
     
     this.pingInterval = setInterval(() => {
       if (this.Conn && this.Conn.readyState === WebSocket.OPEN) {
-        console.log("Sending WebSocket ping");
         this.sendMessage("ping", { timestamp: Date.now() });
       }
     }, PING_INTERVAL);
@@ -892,6 +2487,13 @@ class WebSocketClient {
   }
   
   sendMessage(action, data, responseCallback) {
+    if (this.manuallyClosed) {
+      if (responseCallback) {
+        responseCallback({ error: true, message: "WebSocket closed" });
+      }
+      return;
+    }
+    
     const msg = {
       action: action,
       data:   data,
@@ -906,9 +2508,9 @@ class WebSocketClient {
     if (this.Conn && this.Conn.readyState === WebSocket.OPEN) {
       try {
         this.Conn.send(JSON.stringify(msg));
-        console.log(`Sent ${action} message to WebSocket`);
+        this.logger.debug('WebSocket message sent', { action, seq: msg.seq });
       } catch (error) {
-        console.error("Error sending WebSocket message:", error);
+        this.logger.warn('Error sending WebSocket message', { action, error });
         
         // If there's a callback, call it with an error
         if (responseCallback) {
@@ -921,7 +2523,7 @@ class WebSocketClient {
         this.initialize();
       }
     } else if (!this.Conn || this.Conn.readyState === WebSocket.CLOSED) {
-      console.log("WebSocket not connected, queuing message", msg);
+      this.logger.debug('WebSocket not connected, reconnecting', { action, seq: msg.seq });
       
       // If there's a callback, call it with a connection error
       if (responseCallback) {
@@ -932,7 +2534,7 @@ class WebSocketClient {
       this.Conn = null;
       this.initialize();
     } else if (this.Conn.readyState === WebSocket.CONNECTING) {
-      console.log("WebSocket still connecting, waiting before sending message");
+      this.logger.debug('WebSocket still connecting, waiting before sending message', { action });
       
       // Wait for connection to be established
       setTimeout(() => {
@@ -941,8 +2543,26 @@ class WebSocketClient {
     }
   }
   
+  // Hook for subclasses; events are dispatched through the event callback
   handleMessage(msg) {
-    console.log("WS. handleMessage", msg);
+  }
+  
+  // Compares the sequence number of an event with the expected one; returns the gap, or null if there is none
+  detectGap(msg) {
+    if (typeof msg.seq !== 'number' || msg.seq === this.serverSequence) {
+      return null;
+    }
+    
+    if (msg.seq > this.serverSequence) {
+      return { expected: this.serverSequence, received: msg.seq, missed: msg.seq - this.serverSequence };
+    }
+    
+    // A new sequence means the server could not resume the connection; how many events were lost is unknown
+    if (msg.seq === 0) {
+      return { expected: this.serverSequence, received: 0, missed: null };
+    }
+    
+    return null;
   }
   
   close() {
@@ -950,14 +2570,18 @@ class WebSocketClient {
     this.connectFailCount = 0;
     this.responseSequence = 1;
     
-    // Clear ping interval
+    // Clear ping interval and any pending reconnect, which would otherwise open a new connection
     this.stopPingInterval();
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = null;
     
-    if (this.Conn && this.Conn.readyState === WebSocket.OPEN) {
+    // A connection that is still being established is aborted as well
+    if (this.Conn) {
       this.Conn.onclose = () => {};
+      this.Conn.onerror = () => {};
       this.Conn.close();
       this.Conn = null;
-      console.log('websocket closed');
+      this.logger.debug('WebSocket closed by client');
     }
   }
   
@@ -977,6 +2601,10 @@ class WebSocketClient {
     this.missedEventCallback = callback;
   }
   
+  setAuthErrorCallback(callback) {
+    this.authErrorCallback = callback;
+  }
+  
   setErrorCallback(callback) {
     this.errorCallback = callback;
   }
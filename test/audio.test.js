@@ -0,0 +1,346 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { TheodorClient } = require('../src');
+const {
+  WavFormat, parseWav, decodeWav, inspectAudio, validateAudio, findAudioProblems, resample, remix, encodeWav, convertWav,
+  toAnalysisWav
+} = require('../src/audio');
+const { InvalidAudioError, ValidationError } = require('../src/errors');
+const { tone, toneWav } = require('./fixtures/audio');
+const { startServer, sendJson } = require('./helpers/server');
+
+/**
+ * Changes the format tag and bit depth in the fmt chunk of a WAV file
+ * @param {Buffer} wav - WAV file written by encodeWav
+ * @param {number} format - Format tag
+ * @param {number} bitDepth - Bits per sample
+ * @returns {Buffer} - Modified copy
+ */
+const withEncoding = (wav, format, bitDepth) => {
+  const copy = Buffer.from(wav);
+  copy.writeUInt16LE(format, 20);
+  copy.writeUInt16LE(bitDepth, 34);
+  return copy;
+};
+
+/**
+ * Overwrites fields of the fmt chunk of a WAV file
+ * @param {Buffer} wav - WAV file written by encodeWav
+ * @param {Object} fields - { channels, sampleRate, blockAlign }
+ * @returns {Buffer} - Modified copy
+ */
+const withFmt = (wav, fields) => {
+  const copy = Buffer.from(wav);
+  if (fields.channels !== undefined) copy.writeUInt16LE(fields.channels, 22);
+  if (fields.sampleRate !== undefined) copy.writeUInt32LE(fields.sampleRate, 24);
+  if (fields.blockAlign !== undefined) copy.writeUInt16LE(fields.blockAlign, 32);
+  return copy;
+};
+
+const MALFORMED_FMT = [
+  ['no channels', { channels: 0 }],
+  ['no sample rate', { sampleRate: 0 }],
+  ['block align 0', { blockAlign: 0 }],
+  ['block align smaller than a frame', { blockAlign: 1 }],
+  ['block align larger than a frame', { blockAlign: 6 }]
+];
+
+describe('audio inspection', () => {
+  test('reads the header and amplitude of a PCM recording', async () => {
+    const audio = await inspectAudio(toneWav({ seconds: 4, sampleRate: 4000, channels: 2 }));
+
+    expect(audio).toMatchObject({
+      sample_rate: 4000,
+      channels:    2,
+      byte_rate:   16000,
+      format:      WavFormat.PCM,
+      bps:         16,
+      seconds:     4,
+      name:        'recording.wav',
+      mime_type:   'audio/wav',
+      truncated:   false,
+      supported:   true
+    });
+    expect(audio.mean).toBeCloseTo(0, 3);
+    expect(audio.std).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  });
+
+  test('inspects files and streams', async () => {
+    const file = path.join(os.tmpdir(), `theodor-audio-${process.pid}.wav`);
+    fs.writeFileSync(file, toneWav({ seconds: 3 }));
+
+    try {
+      await expect(inspectAudio(file)).resolves.toMatchObject({ name: path.basename(file), seconds: 3 });
+      await expect(inspectAudio({ filePath: file, filename: 'named.wav' })).resolves.toMatchObject({ name: 'named.wav' });
+      await expect(inspectAudio(fs.createReadStream(file))).resolves.toMatchObject({ name: path.basename(file) });
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('skips unknown chunks before the data', () => {
+    const wav   = toneWav({ seconds: 1 });
+    const list  = Buffer.concat([Buffer.from('LIST'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc'), Buffer.alloc(1)]);
+    const moved = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+
+    expect(parseWav(moved)).toMatchObject({ dataOffset: 56, dataSize: wav.length - 44, truncated: false });
+  });
+
+  test('reports a truncated file', async () => {
+    const wav   = toneWav({ seconds: 4 });
+    const audio = await inspectAudio(wav.subarray(0, 44 + 8000));
+
+    expect(audio.truncated).toBe(true);
+    expect(audio.seconds).toBe(1);
+  });
+
+  test('reads the size of streamed files from the file length', () => {
+    const wav = toneWav({ seconds: 2 });
+    wav.writeUInt32LE(0xffffffff, 40);
+
+    expect(parseWav(wav)).toMatchObject({ dataSize: wav.length - 44, truncated: false });
+  });
+
+  test('inspects encodings it cannot decode without their amplitude', async () => {
+    const audio = await inspectAudio(withEncoding(toneWav(), WavFormat.MULAW, 16));
+
+    expect(audio).toMatchObject({ format: WavFormat.MULAW, supported: false, mean: null, std: null });
+  });
+
+  test.each([
+    [Buffer.from('not a wav file at all'), 'not_wav'],
+    [toneWav().subarray(0, 36), 'truncated'],
+    [Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE'), Buffer.from('data'), Buffer.alloc(4)]), 'malformed']
+  ])('rejects files that are not readable WAV (%#)', async (buffer, reason) => {
+    const error = await inspectAudio(buffer).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(InvalidAudioError);
+    expect(error.reason).toBe(reason);
+  });
+
+  test.each(MALFORMED_FMT)('rejects a fmt chunk with %s', async (_, fields) => {
+    const wav = withFmt(toneWav({ seconds: 1, channels: 2 }), fields);
+
+    expect(() => parseWav(wav)).toThrow(expect.objectContaining({ name: 'InvalidAudioError', reason: 'malformed' }));
+    await expect(inspectAudio(wav)).rejects.toMatchObject({ name: 'InvalidAudioError', reason: 'malformed' });
+    await expect(toAnalysisWav(wav)).rejects.toMatchObject({ name: 'InvalidAudioError', reason: 'malformed' });
+  });
+});
+
+describe('audio validation', () => {
+  test('accepts a recording within the limits', async () => {
+    await expect(validateAudio(toneWav({ seconds: 5 }))).resolves.toMatchObject({ seconds: 5 });
+  });
+
+  test('lists every problem of a recording', async () => {
+    const audio = await inspectAudio(withEncoding(toneWav({ seconds: 1, sampleRate: 1000, channels: 3 }), WavFormat.ALAW, 16));
+
+    expect(findAudioProblems(audio).map(problem => problem.reason))
+      .toEqual(['unsupported_encoding', 'too_short', 'low_sample_rate', 'too_many_channels']);
+    expect(findAudioProblems(audio, { minDuration: 0, minSampleRate: 1000, maxChannels: 3 }).map(problem => problem.reason))
+      .toEqual(['unsupported_encoding']);
+  });
+
+  test('throws an InvalidAudioError with the problems and the inspection', async () => {
+    const error = await validateAudio(toneWav({ seconds: 2, sampleRate: 1000 })).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(InvalidAudioError);
+    expect(error.reason).toBe('too_short');
+    expect(error.problems.map(problem => problem.reason)).toEqual(['too_short', 'low_sample_rate']);
+    expect(error.audio).toMatchObject({ seconds: 2 });
+    expect(error.field).toBe('audio');
+  });
+
+  test('accepts a truncated recording only when allowed', async () => {
+    const truncated = toneWav({ seconds: 8 }).subarray(0, 44 + 4 * 8000);
+
+    await expect(validateAudio(truncated)).rejects.toThrow(expect.objectContaining({ reason: 'truncated' }));
+    await expect(validateAudio(truncated, { allowTruncated: true })).resolves.toMatchObject({ seconds: 4 });
+  });
+
+  describe('before uploading', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+      server = await startServer((req, res) => sendJson(res, 200, { id: 'rec-1' }));
+      client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false });
+    });
+
+    afterEach(async () => {
+      client.close();
+      await server.close();
+    });
+
+    test('rejects an invalid recording without uploading it', async () => {
+      await expect(client.analyzeRecording({ buffer: toneWav({ seconds: 1 }), site: 'heart', validate: true }))
+        .rejects.toThrow(InvalidAudioError);
+      expect(server.requests).toHaveLength(0);
+    });
+
+    test.each(MALFORMED_FMT)('rejects a recording with %s as InvalidAudioError', async (_, fields) => {
+      const wav = withFmt(toneWav({ seconds: 5, channels: 2 }), fields);
+
+      await expect(client.analyzeRecording({ buffer: wav, site: 'heart', validate: true }))
+        .rejects.toMatchObject({ name: 'InvalidAudioError', reason: 'malformed' });
+      expect(server.requests).toHaveLength(0);
+    });
+
+    test('uploads a valid recording from a stream, with the validation limits given', async () => {
+      const wav = toneWav({ seconds: 1 });
+
+      await expect(client.analyzeRecording({ stream: Readable.from([wav]), site: 'heart', validate: { minDuration: 1 } }))
+        .resolves.toEqual({ id: 'rec-1' });
+      expect(server.requests).toHaveLength(1);
+      expect(server.requests[0].body).toContain('filename="recording"');
+    });
+
+    test('uploads recordings in other containers unchecked', async () => {
+      const mp3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(64)]);
+
+      await expect(client.analyzeRecording({ buffer: mp3, site: 'heart', validate: true })).resolves.toEqual({ id: 'rec-1' });
+    });
+  });
+});
+
+/**
+ * Root mean square of samples, skipping the edges where the resampling filter has no full window
+ * @param {Float32Array} samples - Samples
+ * @returns {number} - RMS amplitude
+ */
+const rms = (samples) => {
+  const edge = Math.floor(samples.length / 10);
+  let sum    = 0;
+  for (let i = edge; i < samples.length - edge; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / (samples.length - 2 * edge));
+};
+
+describe('audio normalization', () => {
+  test('keeps a tone below the new Nyquist frequency when resampling', () => {
+    const up   = resample(tone({ seconds: 1, sampleRate: 4000, frequency: 200 }), 4000, 8000);
+    const down = resample(tone({ seconds: 1, sampleRate: 8000, frequency: 200 }), 8000, 4000);
+
+    expect(up).toHaveLength(8000);
+    expect(down).toHaveLength(4000);
+    expect(rms(up)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+    expect(rms(down)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  });
+
+  test('removes frequencies above the new Nyquist frequency when downsampling', () => {
+    const down = resample(tone({ seconds: 1, sampleRate: 8000, frequency: 3000 }), 8000, 4000);
+
+    expect(rms(down)).toBeLessThan(0.01);
+  });
+
+  test('downmixes by averaging and upmixes by copying', () => {
+    const left  = Float32Array.from([1, 0.5]);
+    const right = Float32Array.from([0, -0.5]);
+
+    expect(remix([left, right], 1)).toEqual([Float32Array.from([0.5, 0])]);
+    expect(remix([left], 2)).toEqual([left, left]);
+    expect(() => remix([left, right, left], 2)).toThrow(ValidationError);
+  });
+
+  test.each([8, 16, 24, 32])('encodes %i-bit PCM that decodes to the same samples', (bitDepth) => {
+    const samples = Float32Array.from([0, 0.25, -0.25, 0.99, -1]);
+    const decoded = decodeWav(encodeWav([samples], 8000, bitDepth));
+
+    expect(decoded).toMatchObject({ format: WavFormat.PCM, bitDepth, sampleRate: 8000, channels: 1 });
+    decoded.channelData[0].forEach((value, i) => expect(value).toBeCloseTo(samples[i], bitDepth === 8 ? 1 : 3));
+  });
+
+  test('clips samples outside -1..1 and rejects other bit depths', () => {
+    const decoded = decodeWav(encodeWav([Float32Array.from([2, -2])], 8000));
+
+    expect(decoded.channelData[0][0]).toBeCloseTo(1, 3);
+    expect(decoded.channelData[0][1]).toBe(-1);
+    expect(() => encodeWav([Float32Array.from([0])], 8000, 12)).toThrow(ValidationError);
+  });
+
+  test('converts to mono 16-bit PCM at 8 kHz by default', async () => {
+    const converted = await toAnalysisWav(toneWav({ seconds: 2, sampleRate: 44100, channels: 2, bitDepth: 24 }));
+
+    expect(parseWav(converted)).toMatchObject({ format: WavFormat.PCM, sampleRate: 8000, channels: 1, bitDepth: 16 });
+    expect(decodeWav(converted).channelData[0]).toHaveLength(16000);
+  });
+
+  test('lets the event loop run while converting', async () => {
+    let ticks = 0;
+    const tick = () => {
+      ticks++;
+      immediate = setImmediate(tick);
+    };
+    let immediate = setImmediate(tick);
+
+    try {
+      await toAnalysisWav(toneWav({ seconds: 1, sampleRate: 8000 }), { sampleRate: 44100 });
+    } finally {
+      clearImmediate(immediate);
+    }
+
+    // 44100 output samples are resampled in chunks of 4096
+    expect(ticks).toBeGreaterThanOrEqual(10);
+  });
+
+  test('converts float recordings and to a given format', () => {
+    const float = toneWav({ seconds: 1, sampleRate: 8000 });
+    const info  = parseWav(float);
+    const data  = Buffer.alloc(info.dataSize * 2);
+    decodeWav(float).channelData[0].forEach((value, i) => data.writeFloatLE(value, i * 4));
+    const header = Buffer.from(float.subarray(0, 44));
+    header.writeUInt16LE(WavFormat.IEEE_FLOAT, 20);
+    header.writeUInt32LE(32000, 28);
+    header.writeUInt16LE(4, 32);
+    header.writeUInt16LE(32, 34);
+    header.writeUInt32LE(data.length, 40);
+
+    const converted = convertWav(Buffer.concat([header, data]), { sampleRate: 4000, bitDepth: 8 });
+
+    expect(parseWav(converted)).toMatchObject({ format: WavFormat.PCM, sampleRate: 4000, channels: 1, bitDepth: 8 });
+    expect(rms(decodeWav(converted).channelData[0])).toBeCloseTo(0.5 / Math.SQRT2, 1);
+  });
+
+  test('returns a recording already in the target format unchanged', () => {
+    const wav = toneWav({ seconds: 1, sampleRate: 8000 });
+
+    expect(convertWav(wav)).toBe(wav);
+  });
+
+  describe('before uploading', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+      server = await startServer((req, res) => sendJson(res, 200, { id: 'rec-1' }));
+      client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false });
+    });
+
+    afterEach(async () => {
+      client.close();
+      await server.close();
+    });
+
+    test('uploads the converted recording under a .wav name', async () => {
+      const file = path.join(os.tmpdir(), `theodor-normalize-${process.pid}.WAVE`);
+      fs.writeFileSync(file, toneWav({ seconds: 3, sampleRate: 16000, channels: 2 }));
+
+      try {
+        await client.analyzeRecording({ filePath: file, site: 'lung', normalize: true });
+      } finally {
+        fs.unlinkSync(file);
+      }
+
+      const body = server.requests[0].body;
+      expect(body).toContain(`filename="theodor-normalize-${process.pid}.wav"`);
+      expect(body).toContain('Content-Type: audio/wav');
+      // 3 seconds of mono 16-bit audio at 8 kHz with its 44-byte header, plus the other parts of the form
+      const length = Number(server.requests[0].headers['content-length']);
+      expect(length).toBeGreaterThan(48044);
+      expect(length).toBeLessThan(48044 + 1000);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const { TheodorClient, AuthStrategy } = require('../src');
+const { createAuthStrategy, normalizeToken } = require('../src/auth');
+const { AuthenticationError, ValidationError, TheodorApiError } = require('../src/errors');
+const { startServer, sendJson } = require('./helpers/server');
+
+describe('createAuthStrategy', () => {
+  const provider = async () => 'token';
+
+  test.each([
+    ['key', { type: AuthStrategy.STATIC, apiKey: 'key' }],
+    [provider, { type: AuthStrategy.PROVIDER, tokenProvider: provider }],
+    [{ tokenProvider: provider, apiKey: 'key' }, { type: AuthStrategy.PROVIDER, tokenProvider: provider }],
+    [{ apiKey: 'key', loginId: 'ana', password: 'pw' }, { type: AuthStrategy.STATIC, apiKey: 'key' }],
+    [{ loginId: 'ana', password: 'pw' }, { type: AuthStrategy.CREDENTIALS, loginId: 'ana', password: 'pw' }],
+    [{ username: 'ana', password: 'pw' }, { type: AuthStrategy.CREDENTIALS, loginId: 'ana', password: 'pw' }]
+  ])('selects the strategy (%#)', (auth, strategy) => {
+    expect(createAuthStrategy(auth)).toEqual(strategy);
+  });
+
+  test.each(['', null, {}, { loginId: 'ana' }, { tokenProvider: 'token' }, 42])('rejects %p', (auth) => {
+    expect(() => createAuthStrategy(auth)).toThrow(expect.objectContaining({ name: 'ValidationError', field: 'auth' }));
+  });
+});
+
+describe('normalizeToken', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts a token string', () => {
+    expect(normalizeToken('abc')).toEqual({ token: 'abc', refreshToken: null, expiresAt: null });
+  });
+
+  test('reads the token, refresh token and expiry time', () => {
+    expect(normalizeToken({ accessToken: 'abc', refreshToken: 'r1', expiresAt: '2030-01-01T00:00:00Z' }))
+      .toEqual({ token: 'abc', refreshToken: 'r1', expiresAt: Date.UTC(2030, 0, 1) });
+    expect(normalizeToken({ token: 'abc', expiresAt: new Date(5000) }).expiresAt).toBe(5000);
+  });
+
+  test('converts seconds until expiry to an expiry time', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    expect(normalizeToken({ token: 'abc', expiresIn: 60 }).expiresAt).toBe(61000);
+  });
+
+  test('ignores an expiry time that is not a date', () => {
+    expect(normalizeToken({ token: 'abc', expiresAt: 'soon' }).expiresAt).toBeNull();
+  });
+
+  test.each([undefined, '', {}, { token: 42 }, { refreshToken: 'r1' }])('throws without a token (%p)', (result) => {
+    expect(() => normalizeToken(result)).toThrow(ValidationError);
+  });
+});
+
+/**
+ * Stand-in for the user endpoints that accepts the tokens in `valid`
+ * @param {Object} state - { valid: Set<string>, logins: number, logoutStatus: number }
+ */
+const usersApi = state => (req, res) => {
+  switch (req.path) {
+    case '/api/v4/users/login':
+      if (req.json.login_id !== 'ana' || req.json.password !== 'pw') {
+        return sendJson(res, 401, { message: 'Invalid credentials' });
+      }
+      state.logins++;
+      state.valid.add(`login-${state.logins}`);
+      return sendJson(res, 200, { token: `login-${state.logins}` });
+    case '/api/v4/users/logout':
+      return sendJson(res, state.logoutStatus || 200, {});
+    default:
+      if (!state.valid.has((req.headers.authorization || '').replace('Bearer ', ''))) {
+        return sendJson(res, 401, { message: 'Invalid token' });
+      }
+      return sendJson(res, 200, req.path === '/api/v4/users/me'
+        ? { id: 'u1', email: 'ana@example.com' }
+        : { id: req.path.split('/').pop(), authorization: req.headers.authorization });
+  }
+};
+
+describe('client authentication', () => {
+  let server;
+  let client;
+  let state;
+
+  beforeEach(async () => {
+    state  = { valid: new Set(['key']), logins: 0 };
+    server = await startServer(usersApi(state));
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const create = options => new TheodorClient({ baseUrl: server.url, useWebSocket: false, logger: false, retry: false, ...options });
+
+  describe('token provider', () => {
+    test('requests wait for the first token', async () => {
+      const provider = jest.fn(async () => {
+        state.valid.add('provided');
+        return { token: 'provided', expiresIn: 3600 };
+      });
+      client = create({ auth: provider });
+
+      const [first, second] = await Promise.all([client.getRecording('r1'), client.getRecording('r2')]);
+
+      expect(first.authorization).toBe('Bearer provided');
+      expect(second.authorization).toBe('Bearer provided');
+      expect(provider).toHaveBeenCalledTimes(1);
+    });
+
+    test('asks for a new token shortly before the old one expires', async () => {
+      let count = 0;
+      const provider = jest.fn(async () => {
+        count++;
+        state.valid.add(`provided-${count}`);
+        // 10 seconds is within the renewal margin, so the next request renews it
+        return { token: `provided-${count}`, expiresIn: 10 };
+      });
+      client = create({ auth: { tokenProvider: provider } });
+
+      await expect(client.getRecording('r1')).resolves.toMatchObject({ authorization: 'Bearer provided-1' });
+      await expect(client.getRecording('r2')).resolves.toMatchObject({ authorization: 'Bearer provided-2' });
+      expect(provider).toHaveBeenCalledTimes(2);
+    });
+
+    test('asks again when the server rejects the token', async () => {
+      const tokens   = ['revoked', 'current'];
+      const provider = jest.fn(async () => tokens.shift());
+      state.valid.add('current');
+      client = create({ auth: provider });
+
+      await expect(client.getRecording('r1')).resolves.toMatchObject({ authorization: 'Bearer current' });
+      expect(provider).toHaveBeenCalledTimes(2);
+    });
+
+    test('reports a failing provider as AuthenticationError', async () => {
+      const failed = jest.fn();
+      client = create({ auth: jest.fn().mockRejectedValue(new Error('vault sealed')) });
+      client.on('auth_failed', failed);
+
+      const error = await client.getRecording('r1').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.message).toBe('Token provider failed: vault sealed');
+      expect(failed).toHaveBeenCalledWith(error);
+      expect(server.requests).toHaveLength(0);
+    });
+
+    test('rejects a provider result without a token', async () => {
+      client = create({ auth: async () => ({ expiresIn: 60 }) });
+
+      await expect(client.getRecording('r1')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('credentials', () => {
+    test('logs in on startup and again when the token is rejected', async () => {
+      const refreshed = jest.fn();
+      client = create({ auth: { loginId: 'ana', password: 'pw' } });
+      client.on('token_refreshed', refreshed);
+
+      await expect(client.getRecording('r1')).resolves.toMatchObject({ authorization: 'Bearer login-1' });
+      expect(server.requests[0].json).toEqual({ login_id: 'ana', password: 'pw' });
+
+      state.valid.delete('login-1');
+      await expect(client.getRecording('r2')).resolves.toMatchObject({ authorization: 'Bearer login-2' });
+      expect(state.logins).toBe(2);
+      expect(refreshed).toHaveBeenCalledTimes(2);
+    });
+
+    test('rejects requests with the login error when the credentials are wrong', async () => {
+      client = create({ auth: { loginId: 'ana', password: 'wrong' } });
+      client.on('auth_failed', () => {});
+
+      await expect(client.getRecording('r1')).rejects.toThrow(AuthenticationError);
+      expect(server.requests.every(req => req.path === '/api/v4/users/login')).toBe(true);
+    });
+
+    test('takes precedence over apiKey', async () => {
+      client = create({ apiKey: 'key', auth: { username: 'ana', password: 'pw' } });
+
+      await expect(client.getRecording('r1')).resolves.toMatchObject({ authorization: 'Bearer login-1' });
+    });
+  });
+
+  describe('getCurrentUser', () => {
+    test('returns the authenticated user', async () => {
+      client = create({ apiKey: 'key' });
+
+      await expect(client.getCurrentUser()).resolves.toEqual({ id: 'u1', email: 'ana@example.com' });
+      expect(server.requests[0].path).toBe('/api/v4/users/me');
+    });
+
+    test('throws AuthenticationError for a rejected token', async () => {
+      client = create({ apiKey: 'unknown' });
+      client.on('auth_failed', () => {});
+
+      await expect(client.getCurrentUser()).rejects.toThrow(AuthenticationError);
+    });
+  });
+
+  describe('logout', () => {
+    test('ends the session and forgets the tokens', async () => {
+      client = create({ auth: { loginId: 'ana', password: 'pw' } });
+      await client.getRecording('r1');
+
+      await client.logout();
+
+      const logout = server.requests.find(req => req.path === '/api/v4/users/logout');
+      expect(logout.headers.authorization).toBe('Bearer login-1');
+      expect(client.apiKey).toBe('');
+      expect(client.auth).toBeNull();
+
+      // Without a strategy the client no longer logs in by itself
+      client.on('auth_failed', () => {});
+      await expect(client.getRecording('r2')).rejects.toThrow(AuthenticationError);
+      expect(server.requests[server.requests.length - 1].headers.authorization).toBeUndefined();
+      expect(state.logins).toBe(1);
+    });
+
+    test('treats an expired session as logged out', async () => {
+      state.logoutStatus = 401;
+      client = create({ apiKey: 'key' });
+
+      await expect(client.logout()).resolves.toBeUndefined();
+      expect(client.apiKey).toBe('');
+    });
+
+    test('forgets the tokens when the server fails', async () => {
+      state.logoutStatus = 500;
+      client = create({ apiKey: 'key' });
+
+      await expect(client.logout()).rejects.toThrow(TheodorApiError);
+      expect(client.apiKey).toBe('');
+    });
+
+    test('sends nothing without a token', async () => {
+      client = create({ apiKey: '' });
+
+      await client.logout();
+      expect(server.requests).toHaveLength(0);
+    });
+  });
+});
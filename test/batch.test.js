@@ -0,0 +1,113 @@
+const { TheodorClient } = require('../src');
+const { AbortError, ValidationError } = require('../src/errors');
+const { startServer, sendJson } = require('./helpers/server');
+
+const item = data => ({ data, mimeType: 'audio/wav', size: 3 });
+
+describe('TheodorClient.analyzeBatch', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const createClient = () => new TheodorClient({
+    apiKey:       'key',
+    baseUrl:      server.url,
+    useWebSocket: false,
+    retry:        false,
+    logger:       false
+  });
+
+  test('never runs more than concurrency uploads at once and reports progress', async () => {
+    let active    = 0;
+    let maxActive = 0;
+    server = await startServer((req, res) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      setTimeout(() => {
+        active--;
+        sendJson(res, 200, { id: `rec-${req.json.data}` });
+      }, 20);
+    });
+    client = createClient();
+
+    const progress = [];
+    const result = await client.analyzeBatch(['a', 'b', 'c', 'd', 'e'].map(item), {
+      site:        'heart',
+      concurrency: 2,
+      onProgress:  payload => progress.push(payload.completed)
+    });
+
+    expect(maxActive).toBe(2);
+    expect(result.succeeded).toBe(5);
+    expect(result.results.map(r => r.recording.id)).toEqual(['rec-a', 'rec-b', 'rec-c', 'rec-d', 'rec-e']);
+    expect(progress).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('keeps going after a failed item by default', async () => {
+    server = await startServer((req, res) => {
+      if (req.json.data === 'bad') {
+        sendJson(res, 400, { message: 'Invalid audio' });
+      } else {
+        sendJson(res, 200, { id: 'rec' });
+      }
+    });
+    client = createClient();
+
+    const result = await client.analyzeBatch([item('bad'), item('good')], { site: 'heart', concurrency: 1 });
+
+    expect(result.results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+    expect(result.results[0].error.status).toBe(400);
+  });
+
+  test('stopOnError aborts the uploads in flight and cancels the rest', async () => {
+    server = await startServer((req, res) => {
+      if (req.json.data === 'bad') {
+        setTimeout(() => sendJson(res, 400, { message: 'Invalid audio' }), 20);
+      }
+      // Other uploads never get a response; only aborting ends them
+    });
+    client = createClient();
+
+    const started = Date.now();
+    const result  = await client.analyzeBatch([item('bad'), item('slow'), item('never')], {
+      site:        'heart',
+      concurrency: 2,
+      stopOnError: true
+    });
+
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(result.results.map(r => r.status)).toEqual(['rejected', 'cancelled', 'cancelled']);
+    expect(result.results[1].error).toBeInstanceOf(AbortError);
+    expect(result).toMatchObject({ succeeded: 0, failed: 1, cancelled: 2 });
+    expect(server.requests).toHaveLength(2);
+  });
+
+  test('aborting the signal cancels the items in flight', async () => {
+    server = await startServer(() => {
+      // Never responds
+    });
+    client = createClient();
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const result = await client.analyzeBatch([item('a'), item('b'), item('c')], {
+      site:        'heart',
+      concurrency: 2,
+      signal:      controller.signal
+    });
+
+    expect(result.cancelled).toBe(3);
+  });
+
+  test('validates its arguments', async () => {
+    server = await startServer(() => {});
+    client = createClient();
+
+    await expect(client.analyzeBatch('a')).rejects.toThrow(ValidationError);
+    await expect(client.analyzeBatch([], { concurrency: 0.5 })).rejects.toThrow(ValidationError);
+  });
+});
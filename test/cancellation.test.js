@@ -0,0 +1,128 @@
+const { TheodorClient } = require('../src');
+const { AbortError, PredictionTimeoutError, RequestTimeoutError } = require('../src/errors');
+const { startServer, sendJson } = require('./helpers/server');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tracks the timers started from now on
+ * @returns {function(): number} - Number of tracked timers that have neither fired nor been cleared
+ */
+const trackTimers = () => {
+  const pending = new Set();
+  const { setTimeout: start, clearTimeout: clear } = global;
+
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms, ...args) => {
+    const timer = start(() => {
+      pending.delete(timer);
+      callback(...args);
+    }, ms);
+    pending.add(timer);
+    return timer;
+  });
+  jest.spyOn(global, 'clearTimeout').mockImplementation((timer) => {
+    pending.delete(timer);
+    clear(timer);
+  });
+
+  return () => pending.size;
+};
+
+describe('cancellation and timeouts', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    client.close();
+    await server.close();
+  });
+
+  const createClient = (options = {}) => new TheodorClient({
+    apiKey:       'key',
+    baseUrl:      server.url,
+    useWebSocket: false,
+    retry:        false,
+    logger:       false,
+    ...options
+  });
+
+  test('aborting waitForPrediction aborts the poll request in flight', async () => {
+    server = await startServer(() => {
+      // Never responds
+    });
+    client = createClient();
+
+    const controller = new AbortController();
+    const wait = client.waitForPrediction('rec-1', { signal: controller.signal });
+    await delay(50);
+    controller.abort();
+
+    await expect(wait).rejects.toThrow(AbortError);
+    await delay(50);
+    expect(server.requests).toHaveLength(1);
+    expect(server.requests[0].abandoned).toBe(true);
+  });
+
+  test('aborting waitForPrediction clears the timer between polls', async () => {
+    server = await startServer((req, res) => sendJson(res, 200, { id: 'rec-1', status: 'processing' }));
+    client = createClient();
+
+    const pendingTimers = trackTimers();
+    const controller    = new AbortController();
+    const wait = client.waitForPrediction('rec-1', { signal: controller.signal, timeout: 60000 });
+    await delay(100);
+    controller.abort();
+
+    await expect(wait).rejects.toThrow(AbortError);
+    expect(pendingTimers()).toBe(0);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('the prediction timeout stops polling', async () => {
+    server = await startServer((req, res) => sendJson(res, 200, { id: 'rec-1', status: 'processing' }));
+    client = createClient();
+
+    const pendingTimers = trackTimers();
+    await expect(client.waitForPrediction('rec-1', { timeout: 2100 })).rejects.toThrow(PredictionTimeoutError);
+    expect(pendingTimers()).toBe(0);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('waitForPrediction resolves once the recording is classified', async () => {
+    server = await startServer((req, res) => sendJson(res, 200, { id: 'rec-1', status: 'classified', murmur: 'normal' }));
+    client = createClient();
+
+    await expect(client.waitForPrediction('rec-1')).resolves.toMatchObject({ id: 'rec-1', murmur: 'normal' });
+  });
+
+  test('an already aborted signal rejects before any request', async () => {
+    server = await startServer((req, res) => sendJson(res, 200, {}));
+    client = createClient();
+
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(client.getExam('exam-1', { signal: controller.signal })).rejects.toThrow(AbortError);
+    await expect(client.analyzeBase64({
+      data: 'AAAA', mimeType: 'audio/wav', size: 3, site: 'heart', signal: controller.signal
+    })).rejects.toThrow(AbortError);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('a per-call timeout overrides the client default', async () => {
+    server = await startServer((req, res) => setTimeout(() => sendJson(res, 200, { id: 'exam-1' }), 150));
+    client = createClient();
+
+    await expect(client.getExam('exam-1', { timeout: 50 })).rejects.toThrow(RequestTimeoutError);
+  });
+
+  test('uploads do not use the client default timeout', async () => {
+    server = await startServer((req, res) => setTimeout(() => sendJson(res, 200, { id: 'rec-1' }), 150));
+    client = createClient({ timeout: 50 });
+
+    const upload = { data: 'AAAA', mimeType: 'audio/wav', size: 3, site: 'heart' };
+    await expect(client.analyzeBase64(upload)).resolves.toEqual({ id: 'rec-1' });
+    await expect(client.analyzeBase64({ ...upload, requestTimeout: 50 })).rejects.toThrow(RequestTimeoutError);
+  });
+});
@@ -0,0 +1,132 @@
+const { Recording, Report, Exam, Finding, VitalParameter, toDate, parsePredictions } = require('../src/entities');
+const recording = require('./fixtures/recording');
+
+describe('entities', () => {
+  describe('Recording', () => {
+    test('normalizes a recording payload', () => {
+      const model = new Recording(recording);
+
+      expect(model).toMatchObject({
+        id:        'rec-1',
+        examId:    'exam-1',
+        status:    'classified',
+        murmur:    'murmur',
+        heartRate: 72,
+        timestamp: new Date('2024-03-01T10:00:00Z')
+      });
+      expect(model.files[0]).toMatchObject({ name: 'aortic.wav', mimeType: 'audio/wav', seconds: 10 });
+      expect(model.report).toBeInstanceOf(Report);
+      expect(model.hasMurmur()).toBe(true);
+      expect(model.isClassified()).toBe(true);
+      expect(model.raw).toBe(recording);
+      expect(Object.keys(JSON.parse(JSON.stringify(model)))).not.toContain('raw');
+    });
+
+    test('reads the snake_case, camelCase and misspelled fields of exam audio entries', () => {
+      const model = new Recording({
+        audio_id:                   'rec-2',
+        classification_status:      'pending',
+        murmur_average_predictions: '[71.952, 0.338, 27.71]',
+        S1_durarion:                '0.11',
+        heartToneTimeVariance:      3,
+        created_at:                 1709287200,
+        update_at:                  1709287200000,
+        report:                     JSON.stringify({ sound_quality: 4 })
+      });
+
+      expect(model).toMatchObject({
+        id:                       'rec-2',
+        status:                   'pending',
+        murmurAveragePredictions: [71.952, 0.338, 27.71],
+        s1Duration:               0.11,
+        s2Duration:               null,
+        heartToneTimeVariance:    3,
+        createdAt:                new Date('2024-03-01T10:00:00Z'),
+        updatedAt:                new Date('2024-03-01T10:00:00Z')
+      });
+      expect(model.report.soundQuality).toBe(4);
+      expect(model.isClassified()).toBe(false);
+    });
+
+    test('finds findings and vital parameters by API or normalized key', () => {
+      const model = Recording.from(recording);
+
+      expect(model.getFinding('systolic_murmur')).toBeInstanceOf(Finding);
+      expect(model.getFinding('systolicMurmur').confidenceScore).toBe(87);
+      expect(model.getFinding('diastolic_murmur')).toBeNull();
+      expect(model.getVital('finding:HeartRate')).toMatchObject({ normalizedKey: 'heart_rate', value: 72 });
+    });
+
+    test('falls back to the heart rate of the recording', () => {
+      const model = new Recording({ id: 'rec-3', hr: '64' });
+
+      expect(model.getVital('heart_rate')).toBeInstanceOf(VitalParameter);
+      expect(model.getVital('HeartRate').value).toBe(64);
+      expect(model.getVital('respiratory_rate')).toBeNull();
+    });
+
+    test('parses its segmentation', () => {
+      const model = new Recording({ segmentation: JSON.stringify({ S1: [[0, 0.1]], S2: [[0.3, 0.4]] }) });
+
+      expect(model.getSegmentation().map(event => event.type)).toEqual(['S1', 'S2']);
+    });
+
+    test('returns an existing model from from()', () => {
+      const model = new Recording(recording);
+
+      expect(Recording.from(model)).toBe(model);
+    });
+  });
+
+  describe('Report', () => {
+    test('prefers detailed findings over summary findings', () => {
+      const report = Report.from(recording.report);
+
+      expect(report.getFinding('systolicMurmur').message).toBe('Grade 2/6');
+      expect(report.summary[0].codes).toEqual(['C0232257']);
+      expect(report.date).toEqual(new Date('2024-03-01T10:00:05Z'));
+    });
+
+    test('returns null for missing or undecodable reports', () => {
+      expect(Report.from(null)).toBeNull();
+      expect(Report.from('{not json')).toBeNull();
+      expect(Report.from('"text"')).toBeNull();
+    });
+  });
+
+  describe('Exam', () => {
+    test('normalizes the PascalCase exam payload with its recordings', () => {
+      const exam = Exam.from({
+        Id:               'exam-1',
+        PatientId:        'p-1',
+        Age:              '54',
+        VisitDate:        '2024-03-01',
+        ExamAudioEntries: [recording, { id: 'rec-2', murmur: 'normal' }]
+      });
+
+      expect(exam).toMatchObject({ id: 'exam-1', patientId: 'p-1', age: 54, visitDate: new Date('2024-03-01') });
+      expect(exam.recordings.map(entry => entry.id)).toEqual(['rec-1', 'rec-2']);
+      expect(exam.getRecording('rec-2').murmur).toBe('normal');
+      expect(exam.getRecording('rec-9')).toBeNull();
+      expect(exam.hasMurmur()).toBe(true);
+    });
+  });
+
+  describe('helpers', () => {
+    test('converts timestamps in seconds, milliseconds and date strings', () => {
+      expect(toDate(1709287200)).toEqual(new Date('2024-03-01T10:00:00Z'));
+      expect(toDate('1709287200000')).toEqual(new Date('2024-03-01T10:00:00Z'));
+      expect(toDate('2024-03-01T10:00:00Z')).toEqual(new Date('2024-03-01T10:00:00Z'));
+      expect(toDate(0)).toBeNull();
+      expect(toDate('yesterday')).toBeNull();
+    });
+
+    test('parses predictions given as JSON, plain lists and arrays', () => {
+      expect(parsePredictions('[71.952, 0.338, 27.71]')).toEqual([71.952, 0.338, 27.71]);
+      expect(parsePredictions('[71.952 0.338 27.71]')).toEqual([71.952, 0.338, 27.71]);
+      expect(parsePredictions(['1', 2, 'x'])).toEqual([1, 2]);
+      expect(parsePredictions('')).toEqual([]);
+      expect(parsePredictions(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,301 @@
+const { TheodorClient } = require('../src');
+const { AbortError, LimitExceededError, NotFoundError, ValidationError } = require('../src/errors');
+const { startServer, sendJson } = require('./helpers/server');
+
+const EXAMS = [
+  { Id: 'e1', PatientId: 'P-1', VisitDate: '2024-01-10T10:00:00Z', Diagnosis: 'Aortic stenosis', ExamAudioEntries: [{ id: 'r1', site: 'aortic', murmur: 'murmur' }] },
+  { Id: 'e2', PatientId: 'P-2', VisitDate: '2024-02-10T10:00:00Z', Diagnosis: 'Healthy', ExamAudioEntries: [{ id: 'r2', site: 'mitral', murmur: 'normal' }] },
+  { Id: 'e3', PatientId: 'P-1', VisitDate: '2024-03-10T10:00:00Z', Complaint: 'Dyspnea', ExamAudioEntries: [{ id: 'r3', site: 'mitral', murmur: 'murmur' }] },
+  { Id: 'e4', PatientId: 'P-3', VisitDate: '2024-04-10T10:00:00Z', EchoDiagnoses: 'aortic stenosis, mild', ExamAudioEntries: [] },
+  { Id: 'e5', PatientId: 'P-1', VisitDate: '2024-05-10T10:00:00Z', Diagnosis: 'Follow-up', ExamAudioEntries: [{ id: 'r5', site: 'aortic', murmur: 'normal' }] }
+];
+
+/**
+ * Stand-in for GET /exams and GET /exams/:id
+ * @param {Object} [behavior] - { search: 'filter' | 'ignore' | 'reject', omitEntries: boolean }
+ */
+const examsApi = (behavior = {}) => (req, res) => {
+  if (req.path.startsWith('/api/v4/exams/')) {
+    const exam = EXAMS.find(candidate => candidate.Id === decodeURIComponent(req.path.split('/').pop()));
+    return exam ? sendJson(res, 200, exam) : sendJson(res, 404, { message: 'Not found' });
+  }
+
+  const query = req.query.get('search_query');
+  if (query && behavior.search === 'reject') {
+    return sendJson(res, 400, { message: 'Unknown parameter search_query' });
+  }
+
+  let exams = EXAMS;
+  if (query && behavior.search === 'filter') {
+    exams = exams.filter(exam => JSON.stringify(exam).toLowerCase().includes(query.toLowerCase()));
+  }
+
+  const page     = Number(req.query.get('page'));
+  const pageSize = Number(req.query.get('page_size'));
+  const slice    = exams.slice(page * pageSize, (page + 1) * pageSize)
+    .map(exam => (behavior.omitEntries ? { ...exam, ExamAudioEntries: undefined } : exam));
+
+  sendJson(res, 200, {
+    exams:   slice,
+    Total:   exams.length,
+    Request: behavior.search === 'filter' ? { SearchQuery: query } : {}
+  });
+};
+
+const ids = exams => exams.map(exam => exam.Id);
+
+describe('exam listing and search', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const start = async (behavior) => {
+    server = await startServer(examsApi(behavior));
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false });
+  };
+
+  const examRequests = () => server.requests.filter(req => req.path === '/api/v4/exams');
+
+  test('iterate() follows the pages until Total exams were returned', async () => {
+    await start();
+
+    const exams = [];
+    for await (const exam of client.exams.iterate({ pageSize: 2 })) {
+      exams.push(exam);
+    }
+
+    expect(ids(exams)).toEqual(['e1', 'e2', 'e3', 'e4', 'e5']);
+    expect(examRequests().map(req => req.query.get('page'))).toEqual(['0', '1', '2']);
+  });
+
+  test('listAll() throws past maxItems unless truncating', async () => {
+    await start();
+
+    await expect(client.exams.listAll({ pageSize: 2, maxItems: 3 })).rejects.toThrow(LimitExceededError);
+    expect(ids(await client.exams.listAll({ pageSize: 2, maxItems: 3, truncate: true }))).toEqual(['e1', 'e2', 'e3']);
+  });
+
+  test('filters by patient and date range', async () => {
+    await start({ search: 'ignore' });
+
+    const exams = await client.searchExams({ patientId: 'P-1', from: '2024-02-01', to: '2024-04-30' });
+
+    expect(ids(exams)).toEqual(['e3']);
+    expect(examRequests()[0].query.get('search_query')).toBe('P-1');
+  });
+
+  test('matches diagnosis text in the diagnosis and the echo diagnoses', async () => {
+    await start();
+
+    expect(ids(await client.searchExams({ diagnosis: 'STENOSIS' }))).toEqual(['e1', 'e4']);
+  });
+
+  test('filters the query locally when the server does not echo it', async () => {
+    await start({ search: 'ignore' });
+
+    expect(ids(await client.searchExams({ query: 'dyspnea' }))).toEqual(['e3']);
+  });
+
+  test('trusts the server text search when it echoes the query', async () => {
+    await start({ search: 'filter' });
+
+    // e5 mentions "aortic" only as a recording site, which the local filter does not search
+    expect(ids(await client.searchExams({ query: 'aortic' }))).toEqual(['e1', 'e4', 'e5']);
+  });
+
+  test('falls back to local filtering when the server rejects the search query', async () => {
+    await start({ search: 'reject' });
+
+    expect(ids(await client.searchExams({ query: 'follow' }))).toEqual(['e5']);
+    expect(client.exams.serverSearch).toBe(false);
+
+    await client.searchExams({ query: 'follow' });
+    expect(examRequests().filter(req => req.query.has('search_query'))).toHaveLength(1);
+  });
+
+  test('fetches exams whose recordings the listing omitted for site and murmur filters', async () => {
+    await start({ omitEntries: true });
+
+    expect(ids(await client.searchExams({ site: 'aortic', hasMurmur: true }))).toEqual(['e1']);
+    expect(server.requests.filter(req => req.path.startsWith('/api/v4/exams/'))).toHaveLength(5);
+  });
+
+  test('withRecordings() only fetches exams without audio entries', async () => {
+    await start();
+
+    const listed = { Id: 'e2', PatientId: 'P-2' };
+    expect(await client.exams.withRecordings(EXAMS[0])).toBe(EXAMS[0]);
+    expect(await client.exams.withRecordings(listed)).toEqual(EXAMS[1]);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('rejects invalid dates', async () => {
+    await start();
+
+    await expect(client.searchExams({ from: 'yesterday' })).rejects.toThrow(ValidationError);
+  });
+});
+
+/**
+ * Stand-in listing `count` generated exams
+ * @param {number} count - Number of exams
+ * @param {Object} [behavior] - { total: false to leave out Total, tokens: true to page by next token only }
+ */
+const pagedApi = (count, behavior = {}) => (req, res) => {
+  const pageSize = Number(req.query.get('page_size'));
+  const offset   = behavior.tokens ? Number(req.query.get('next') || 0) : Number(req.query.get('page')) * pageSize;
+  const exams    = Array.from({ length: Math.max(0, Math.min(pageSize, count - offset)) }, (_, i) => ({ Id: `e${offset + i}` }));
+
+  sendJson(res, 200, {
+    exams,
+    Total: behavior.total === false ? undefined : count,
+    next:  behavior.tokens && offset + exams.length < count ? String(offset + exams.length) : undefined
+  });
+};
+
+describe('exam pagination', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const start = async (api) => {
+    server = await startServer(api);
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false, retry: false });
+  };
+
+  const pageRequests = () => server.requests.map(req => [req.query.get('page'), req.query.get('next')]);
+
+  test('stops after a short page when the server reports no total', async () => {
+    await start(pagedApi(5, { total: false }));
+
+    expect(ids(await client.exams.listAll({ pageSize: 2 }))).toEqual(['e0', 'e1', 'e2', 'e3', 'e4']);
+    expect(pageRequests()).toEqual([['0', null], ['1', null], ['2', null]]);
+  });
+
+  test('stops at an empty page when the last page is full', async () => {
+    await start(pagedApi(4, { total: false }));
+
+    expect(await client.exams.listAll({ pageSize: 2 })).toHaveLength(4);
+    expect(server.requests).toHaveLength(3);
+  });
+
+  test('sends the next token of the previous page', async () => {
+    await start(pagedApi(5, { tokens: true, total: false }));
+
+    expect(ids(await client.exams.listAll({ pageSize: 2 }))).toEqual(['e0', 'e1', 'e2', 'e3', 'e4']);
+    expect(pageRequests()).toEqual([['0', null], ['1', '2'], ['2', '4']]);
+  });
+
+  test('fetches no more pages than are consumed', async () => {
+    await start(pagedApi(10));
+
+    for await (const exam of client.exams.iterate({ pageSize: 3 })) {
+      if (exam.Id === 'e4') {
+        break;
+      }
+    }
+    expect(server.requests).toHaveLength(2);
+  });
+
+  test('starts at the given page and yields whole responses', async () => {
+    await start(pagedApi(5));
+
+    const pages = [];
+    for await (const response of client.exams.pages({ pageSize: 2, startPage: 1 })) {
+      pages.push(ids(response.exams));
+    }
+    expect(pages).toEqual([['e2', 'e3'], ['e4']]);
+  });
+
+  test('yields nothing for an empty listing', async () => {
+    await start(pagedApi(0));
+
+    await expect(client.exams.listAll()).resolves.toEqual([]);
+    expect(server.requests).toHaveLength(1);
+    expect(server.requests[0].query.get('page_size')).toBe('100');
+  });
+
+  test('reports the limit and the total when there are too many exams', async () => {
+    await start(pagedApi(5));
+
+    await expect(client.exams.listAll({ pageSize: 2, maxItems: 3 })).rejects.toMatchObject({ limit: 3, total: 5 });
+  });
+
+  test('stops when the signal is aborted', async () => {
+    await start(pagedApi(10));
+    const controller = new AbortController();
+
+    const iterate = async () => {
+      for await (const exam of client.exams.iterate({ pageSize: 2, signal: controller.signal })) {
+        if (exam.Id === 'e1') {
+          controller.abort();
+        }
+      }
+    };
+    await expect(iterate()).rejects.toThrow(AbortError);
+    expect(server.requests).toHaveLength(1);
+  });
+});
+
+describe('exam updates', () => {
+  let server;
+  let client;
+  let exams;
+
+  beforeEach(async () => {
+    exams  = new Map([['e1', { Id: 'e1', Diagnosis: 'Suspected stenosis' }]]);
+    server = await startServer((req, res) => {
+      const id = decodeURIComponent(req.path.split('/').pop());
+      if (!exams.has(id)) {
+        return sendJson(res, 404, { message: 'Exam not found' });
+      }
+      if (req.method === 'DELETE') {
+        exams.delete(id);
+        res.writeHead(204);
+        return res.end();
+      }
+      exams.set(id, { ...exams.get(id), ...req.json });
+      sendJson(res, 200, exams.get(id));
+    });
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false, retry: false });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  test('sends the fields as named by the API', async () => {
+    const updated = await client.updateExam('e1', { diagnosis: 'Aortic stenosis', echo_diagnoses: 'AS, mild', History: 'None' });
+
+    expect(server.requests[0].method).toBe('PATCH');
+    expect(server.requests[0].path).toBe('/api/v4/exams/e1');
+    expect(server.requests[0].json).toEqual({ Diagnosis: 'Aortic stenosis', EchoDiagnoses: 'AS, mild', History: 'None' });
+    expect(updated.Diagnosis).toBe('Aortic stenosis');
+  });
+
+  test('rejects fields that cannot be updated', async () => {
+    await expect(client.updateExam('e1', { PatientId: 'P-9' }))
+      .rejects.toThrow('Field PatientId cannot be updated. Must be one of: diagnosis, complaint, history, echoDiagnoses');
+    await expect(client.updateExam('e1', {})).rejects.toMatchObject({ field: 'fields' });
+    await expect(client.updateExam('', { diagnosis: 'x' })).rejects.toMatchObject({ field: 'examId' });
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('deletes an exam', async () => {
+    await expect(client.deleteExam('e1')).resolves.toBeUndefined();
+
+    expect(server.requests[0].method).toBe('DELETE');
+    expect(exams.has('e1')).toBe(false);
+    await expect(client.deleteExam('e1')).rejects.toThrow(NotFoundError);
+    await expect(client.getExam('e1')).rejects.toThrow(NotFoundError);
+  });
+});
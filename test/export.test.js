@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { TheodorClient } = require('../src');
+const { exportRows, createExportStream, exportRecordings } = require('../src/export');
+const { ValidationError } = require('../src/errors');
+const { streamToBuffer } = require('../src/audio');
+const recording = require('./fixtures/recording');
+const { readParquet } = require('./helpers/parquet');
+const { startServer, sendJson } = require('./helpers/server');
+
+const EXAMS = [
+  {
+    Id: 'exam-1', PatientId: 'P-1', Age: 61, Sex: 'female', VisitDate: '2024-03-01T09:00:00Z', Diagnosis: 'Stenosis, "mild"',
+    ExamAudioEntries: [recording, { id: 'rec-2', site: 'heart', murmur: 'normal', timestamp: 1709370000 }]
+  },
+  { Id: 'exam-2', PatientId: 'P-2', VisitDate: '2024-04-01T09:00:00Z', ExamAudioEntries: [] },
+  {
+    Id: 'exam-3', PatientId: 'P-3', VisitDate: '2024-05-01T09:00:00Z',
+    ExamAudioEntries: [{ id: 'rec-3', site: 'lung', status: 'pending', created_at: '2024-05-01T09:05:00Z' }]
+  }
+];
+
+/**
+ * Stand-in for GET /exams, paged by page and page_size
+ */
+const examsApi = (req, res) => {
+  const page     = Number(req.query.get('page'));
+  const pageSize = Number(req.query.get('page_size'));
+  sendJson(res, 200, { exams: EXAMS.slice(page * pageSize, (page + 1) * pageSize), Total: EXAMS.length });
+};
+
+describe('export', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startServer(examsApi);
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const collect = async (rows) => {
+    const result = [];
+    for await (const row of rows) {
+      result.push(row);
+    }
+    return result;
+  };
+
+  test('flattens every recording of every exam, page by page', async () => {
+    const rows = await collect(exportRows(client, { pageSize: 2 }));
+
+    expect(rows.map(row => row.recording_id)).toEqual(['rec-1', 'rec-2', 'rec-3']);
+    expect(rows[0]).toMatchObject({
+      exam_id:       'exam-1',
+      patient_id:    'P-1',
+      age:           61,
+      murmur:        'murmur',
+      hr:            72,
+      findings:      'systolic_murmur',
+      finding_codes: 'C0232257;SNOMED:31574009'
+    });
+    expect(rows[2]).toMatchObject({ murmur: null, timestamp: new Date('2024-05-01T09:05:00Z') });
+    expect(server.requests.map(req => req.query.get('page'))).toEqual(['0', '1']);
+    expect(server.requests[0].query.get('order_by')).toBe('created_at');
+  });
+
+  test('selects columns, finding confidences and custom columns', async () => {
+    const rows = await collect(exportRows(client, {
+      columns: ['recording_id', 'finding:SystolicMurmur', { name: 'patient', value: (rec, exam) => `${exam.patientId}/${rec.id}` }]
+    }));
+
+    expect(rows[0]).toEqual({ 'recording_id': 'rec-1', 'finding:SystolicMurmur': 87, 'patient': 'P-1/rec-1' });
+    expect(rows[1]['finding:SystolicMurmur']).toBeNull();
+  });
+
+  test('filters by recording time', async () => {
+    const rows = await collect(exportRows(client, { from: '2024-03-02T00:00:00Z', to: new Date('2024-04-30T00:00:00Z') }));
+
+    expect(rows.map(row => row.recording_id)).toEqual(['rec-2']);
+  });
+
+  test('writes CSV with escaped cells and ISO dates', async () => {
+    const csv = (await streamToBuffer(createExportStream(client, { columns: ['recording_id', 'timestamp', 'diagnosis', 'hr'] }))).toString();
+
+    expect(csv.split('\r\n')).toEqual([
+      'recording_id,timestamp,diagnosis,hr',
+      'rec-1,2024-03-01T10:00:00.000Z,"Stenosis, ""mild""",72',
+      'rec-2,2024-03-02T09:00:00.000Z,"Stenosis, ""mild""",',
+      'rec-3,2024-05-01T09:05:00.000Z,,',
+      ''
+    ]);
+  });
+
+  test('uses another CSV delimiter', async () => {
+    const csv = (await streamToBuffer(createExportStream(client, { columns: ['recording_id', 'diagnosis'], delimiter: ';' }))).toString();
+
+    expect(csv.split('\r\n')[1]).toBe('rec-1;"Stenosis, ""mild"""');
+  });
+
+  test('writes NDJSON', async () => {
+    const ndjson = (await streamToBuffer(createExportStream(client, { format: 'NDJSON', columns: ['recording_id', 'sound_quality'] }))).toString();
+
+    expect(ndjson.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+      { recording_id: 'rec-1', sound_quality: null },
+      { recording_id: 'rec-2', sound_quality: null },
+      { recording_id: 'rec-3', sound_quality: null }
+    ]);
+  });
+
+  test('writes Parquet with typed columns in row groups', async () => {
+    const buffer  = await streamToBuffer(createExportStream(client, {
+      format:       'parquet',
+      columns:      ['recording_id', 'hr', 'timestamp', { name: 'classified', type: 'boolean', value: rec => rec.isClassified() }],
+      rowGroupSize: 2
+    }));
+    const parquet = readParquet(buffer);
+
+    expect(parquet.numRows).toBe(3);
+    expect(parquet.rowGroups).toEqual([2, 1]);
+    expect(parquet.schema.map(column => column.name)).toEqual(['recording_id', 'hr', 'timestamp', 'classified']);
+    expect(parquet.rows).toEqual([
+      { recording_id: 'rec-1', hr: 72, timestamp: Date.parse('2024-03-01T10:00:00Z'), classified: true },
+      { recording_id: 'rec-2', hr: null, timestamp: Date.parse('2024-03-02T09:00:00Z'), classified: true },
+      { recording_id: 'rec-3', hr: null, timestamp: Date.parse('2024-05-01T09:05:00Z'), classified: false }
+    ]);
+  });
+
+  test('writes a file in the format of its extension', async () => {
+    const file = path.join(os.tmpdir(), `theodor-export-${process.pid}.ndjson`);
+
+    try {
+      await exportRecordings(client, file, { columns: ['recording_id'] });
+      expect(fs.readFileSync(file, 'utf8')).toBe('{"recording_id":"rec-1"}\n{"recording_id":"rec-2"}\n{"recording_id":"rec-3"}\n');
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  test('writes to a stream as CSV by default', async () => {
+    const target = new PassThrough();
+    const output = streamToBuffer(target);
+
+    await exportRecordings(client, target, { columns: ['recording_id'] });
+
+    expect((await output).toString()).toBe('recording_id\r\nrec-1\r\nrec-2\r\nrec-3\r\n');
+  });
+
+  test('rejects unknown formats and columns before fetching', () => {
+    expect(() => createExportStream(client, { format: 'xlsx' })).toThrow(ValidationError);
+    expect(() => createExportStream(client, { columns: ['shoe_size'] })).toThrow(ValidationError);
+    expect(() => createExportStream(client, { columns: [{ name: 'custom' }] })).toThrow(ValidationError);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test.each([
+    [{ from: 'yesterday' }, 'from'],
+    [{ from: '2024-01-01', to: 'not a date' }, 'to']
+  ])('rejects invalid dates before fetching (%#)', async (options, field) => {
+    expect(() => createExportStream(client, options)).toThrow(expect.objectContaining({ name: 'ValidationError', field }));
+    await expect(exportRows(client, options).next()).rejects.toMatchObject({ name: 'ValidationError', field });
+    expect(server.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,158 @@
+const { toFhir, toFhirBundle, FhirPusher } = require('../src');
+const { AbortError, FhirError, ValidationError } = require('../src/errors');
+const { startServer, sendJson, waitFor } = require('./helpers/server');
+const recording = require('./fixtures/recording');
+
+const transactionResponse = { resourceType: 'Bundle', type: 'transaction-response', entry: [] };
+
+describe('toFhir', () => {
+  test('maps findings, vital parameters and the audio to linked resources', () => {
+    const { diagnosticReport, observations, media } = toFhir(recording, { patientRef: 'Patient/123' });
+
+    expect(observations).toHaveLength(2);
+    const [finding, heartRate] = observations;
+    expect(finding.code.coding).toEqual(expect.arrayContaining([
+      { system: 'http://www.nlm.nih.gov/research/umls', code: 'C0232257' },
+      { system: 'http://snomed.info/sct', code: '31574009' }
+    ]));
+    expect(finding.subject).toEqual({ reference: 'Patient/123' });
+    expect(finding.note).toEqual([{ text: 'Grade 2/6' }]);
+    expect(heartRate.code.coding[0]).toMatchObject({ system: 'http://loinc.org', code: '8867-4' });
+    expect(heartRate.valueQuantity).toMatchObject({ value: 72, code: '/min' });
+
+    expect(media.content).toMatchObject({ contentType: 'audio/wav', title: 'aortic.wav', size: 160044 });
+    expect(diagnosticReport.status).toBe('preliminary');
+    expect(diagnosticReport.result).toEqual(observations.map(observation => ({ reference: observation.fullUrl })));
+    expect(diagnosticReport.media[0].link.reference).toBe(media.fullUrl);
+    expect(diagnosticReport.conclusion).toBe('Systolic ejection murmur');
+  });
+
+  test('requires a recording ID and a patient reference', () => {
+    expect(() => toFhir({ status: 'classified' }, { patientRef: 'Patient/1' })).toThrow(ValidationError);
+    expect(() => toFhir(recording)).toThrow(expect.objectContaining({ field: 'patientRef' }));
+  });
+});
+
+describe('toFhirBundle', () => {
+  test('creates a transaction with a conditional create per resource', () => {
+    const bundle = toFhirBundle(recording, { patientRef: 'Patient/123' });
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'transaction' });
+    expect(bundle.entry.map(entry => entry.resource.resourceType))
+      .toEqual(['Observation', 'Observation', 'Media', 'DiagnosticReport']);
+
+    for (const entry of bundle.entry) {
+      const identifier = entry.resource.identifier[0];
+      expect(entry.fullUrl).toMatch(/^urn:uuid:/);
+      expect(entry.request).toEqual({
+        method:      'POST',
+        url:         entry.resource.resourceType,
+        ifNoneExist: `identifier=${encodeURIComponent(identifier.system)}|${encodeURIComponent(identifier.value)}`
+      });
+    }
+    expect(bundle.entry[3].request.ifNoneExist)
+      .toBe('identifier=https%3A%2F%2Ftheodor.ai%2Ffhir%2Frecording|rec-1');
+  });
+
+  test('gives resources the same identifiers on every export', () => {
+    const first  = toFhirBundle(recording, { patientRef: 'Patient/123' });
+    const second = toFhirBundle(recording, { patientRef: 'Patient/123' });
+
+    expect(second.entry.map(entry => entry.request.ifNoneExist)).toEqual(first.entry.map(entry => entry.request.ifNoneExist));
+    expect(second.entry[0].fullUrl).not.toBe(first.entry[0].fullUrl);
+  });
+});
+
+describe('FhirPusher', () => {
+  test('requires a base URL', () => {
+    expect(() => new FhirPusher({})).toThrow(ValidationError);
+  });
+});
+
+describe('FhirPusher against a stand-in server', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('posts the transaction bundle to the base URL', async () => {
+    server = await startServer((req, res) => sendJson(res, 200, transactionResponse));
+    const pusher = new FhirPusher({
+      baseUrl:  `${server.url}/fhir/`,
+      token:    'secret',
+      defaults: { patientRef: 'Patient/123', encounterRef: 'Encounter/9' }
+    });
+
+    const response = await pusher.push(recording);
+
+    expect(response).toEqual(transactionResponse);
+    expect(server.requests).toHaveLength(1);
+    const [request] = server.requests;
+    expect(request.method).toBe('POST');
+    expect(request.path).toBe('/fhir');
+    expect(request.headers['content-type']).toMatch(/^application\/fhir\+json/);
+    expect(request.headers.authorization).toBe('Bearer secret');
+    expect(request.json.type).toBe('transaction');
+    expect(request.json.entry[0].resource.encounter).toEqual({ reference: 'Encounter/9' });
+  });
+
+  test('retries server errors with the same bundle', async () => {
+    let attempts = 0;
+    server = await startServer((req, res) => {
+      attempts++;
+      if (attempts === 1) {
+        sendJson(res, 503, undefined, { 'Retry-After': '0' });
+      } else {
+        sendJson(res, 200, transactionResponse);
+      }
+    });
+    const pusher = new FhirPusher({ baseUrl: server.url, logger: false });
+
+    await expect(pusher.push(recording, { patientRef: 'Patient/123' })).resolves.toEqual(transactionResponse);
+    expect(server.requests).toHaveLength(2);
+    expect(server.requests[1].body).toBe(server.requests[0].body);
+  });
+
+  test('stops waiting between attempts when the signal is aborted', async () => {
+    server = await startServer((req, res) => sendJson(res, 503, undefined, { 'Retry-After': '30' }));
+    const pusher     = new FhirPusher({ baseUrl: server.url, logger: false });
+    const controller = new AbortController();
+
+    const push = pusher.push(recording, { patientRef: 'Patient/123', signal: controller.signal });
+    await waitFor(() => server.requests.length === 1);
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(push).rejects.toThrow(AbortError);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('does not retry a rejected transaction', async () => {
+    server = await startServer((req, res) => sendJson(res, 422, { resourceType: 'OperationOutcome', issue: [] }));
+    const pusher = new FhirPusher({ baseUrl: server.url, retry: { initialDelay: 1 } });
+
+    await expect(pusher.push(recording, { patientRef: 'Patient/123' })).rejects.toThrow(FhirError);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('maps an OperationOutcome to a FhirError', async () => {
+    const outcome = {
+      resourceType: 'OperationOutcome',
+      issue:        [
+        { severity: 'error', code: 'invalid', diagnostics: 'Observation.subject: unknown patient' },
+        { severity: 'error', code: 'required', details: { text: 'DiagnosticReport.code is required' } }
+      ]
+    };
+    server = await startServer((req, res) => sendJson(res, 400, outcome));
+    const pusher = new FhirPusher({ baseUrl: server.url });
+
+    const error = await pusher.push(recording, { patientRef: 'Patient/404' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(FhirError);
+    expect(error).toMatchObject({ code: 'FHIR_ERROR', status: 400, outcome });
+    expect(error.issues).toEqual(['Observation.subject: unknown patient', 'DiagnosticReport.code is required']);
+    expect(error.message).toBe('FHIR server error (400): Observation.subject: unknown patient; DiagnosticReport.code is required');
+  });
+});
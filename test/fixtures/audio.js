@@ -0,0 +1,37 @@
+/**
+ * Synthetic recordings for audio tests
+ */
+const { encodeWav } = require('../../src/audio');
+
+/**
+ * Generates a sine tone
+ * @param {Object} [options] - Tone options
+ * @param {number} [options.seconds=5] - Duration in seconds
+ * @param {number} [options.sampleRate=4000] - Sample rate in Hz
+ * @param {number} [options.frequency=100] - Frequency in Hz
+ * @param {number} [options.amplitude=0.5] - Peak amplitude, 0 to 1
+ * @returns {Float32Array} - Samples
+ */
+function tone({ seconds = 5, sampleRate = 4000, frequency = 100, amplitude = 0.5 } = {}) {
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+}
+
+/**
+ * Encodes a sine tone as a PCM WAV file
+ * @param {Object} [options] - Tone options, plus `channels` (default 1) and `bitDepth` (default 16)
+ * @returns {Buffer} - WAV file contents
+ */
+function toneWav(options = {}) {
+  const samples  = tone(options);
+  const channels = Array.from({ length: options.channels || 1 }, () => samples);
+  return encodeWav(channels, options.sampleRate || 4000, options.bitDepth || 16);
+}
+
+module.exports = {
+  tone,
+  toneWav
+};
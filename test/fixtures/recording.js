@@ -0,0 +1,39 @@
+/**
+ * Classified heart recording as returned by GET /recordings/:id
+ */
+module.exports = {
+  id:        'rec-1',
+  exam_id:   'exam-1',
+  site:      'heart',
+  location:  'aortic',
+  device:    'eko-core',
+  status:    'classified',
+  murmur:    'murmur',
+  rhythm:    'regular',
+  hr:        72,
+  timestamp: '2024-03-01T10:00:00Z',
+  metadata:  {
+    files: [{ name: 'aortic.wav', mime_type: 'audio/wav', size: 160044, seconds: 10, device: 'eko-core' }]
+  },
+  report: {
+    language: 'en',
+    date:     '2024-03-01T10:00:05Z',
+    summary:  [
+      { key: 'systolicMurmur', name: 'Systolic murmur', professional_name: 'Systolic ejection murmur', codes: ['C0232257'] }
+    ],
+    findings: [
+      {
+        key:               'systolicMurmur',
+        name:              'Systolic murmur',
+        professional_name: 'Systolic ejection murmur',
+        codes:             ['C0232257', 'SNOMED:31574009'],
+        conf:              87,
+        confidence:        'High',
+        message:           'Grade 2/6'
+      }
+    ],
+    vital_parameters: [
+      { key: 'heartRate', value: 72 }
+    ]
+  }
+};
@@ -0,0 +1,176 @@
+/**
+ * Minimal Parquet reader for checking the files written by the SDK: Thrift compact metadata,
+ * RLE definition levels and PLAIN values without compression
+ */
+
+/**
+ * Reads Thrift compact protocol structures from a buffer
+ */
+class ThriftReader {
+  /**
+   * @param {Buffer} buffer - Data
+   * @param {number} [offset=0] - Position of the first struct
+   */
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  varint() {
+    let result = 0;
+    let factor = 1;
+    let byte;
+    do {
+      byte    = this.buffer[this.offset++];
+      result += (byte & 0x7f) * factor;
+      factor *= 128;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  zigzag() {
+    const value = this.varint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  value(type) {
+    switch (type) {
+      case 1:
+        return true;
+      case 2:
+        return false;
+      case 3:
+        return this.buffer.readInt8(this.offset++);
+      case 4:
+      case 5:
+      case 6:
+        return this.zigzag();
+      case 7: {
+        const value = this.buffer.readDoubleLE(this.offset);
+        this.offset += 8;
+        return value;
+      }
+      case 8: {
+        const length = this.varint();
+        const value  = this.buffer.toString('utf8', this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+      }
+      case 9:
+      case 10: {
+        const header = this.buffer[this.offset++];
+        const size   = (header >> 4) === 15 ? this.varint() : header >> 4;
+        // Booleans in lists take one byte each
+        return Array.from({ length: size }, () => ((header & 0x0f) <= 2 ? this.buffer[this.offset++] === 1 : this.value(header & 0x0f)));
+      }
+      case 12:
+        return this.struct();
+      default:
+        throw new Error(`Unsupported Thrift type ${type} at ${this.offset}`);
+    }
+  }
+
+  /**
+   * @returns {Object} - Field values by field ID
+   */
+  struct() {
+    const fields = {};
+    let lastId   = 0;
+
+    for (;;) {
+      const header = this.buffer[this.offset++];
+      if (header === 0) {
+        return fields;
+      }
+      const id = header >> 4 ? lastId + (header >> 4) : this.zigzag();
+      fields[id] = this.value(header & 0x0f);
+      lastId = id;
+    }
+  }
+}
+
+/**
+ * Decodes the values of one data page
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Offset of the page header
+ * @param {number} physicalType - Parquet physical type
+ * @returns {Array<*>} - Values, null where not defined
+ */
+function readPage(buffer, offset, physicalType) {
+  const reader = new ThriftReader(buffer, offset);
+  const header = reader.struct();
+  const count  = header[5][1];
+
+  // Definition levels: 4-byte length, then RLE runs of (run length << 1) followed by the level
+  let position    = reader.offset;
+  const levelsEnd = position + 4 + buffer.readUInt32LE(position);
+  const levels    = [];
+  const levelData = new ThriftReader(buffer, position + 4);
+  while (levelData.offset < levelsEnd) {
+    const run   = levelData.varint() >> 1;
+    const level = buffer[levelData.offset++];
+    levels.push(...new Array(run).fill(level));
+  }
+
+  position = levelsEnd;
+  let bit  = 0;
+  return levels.slice(0, count).map((level) => {
+    if (level === 0) {
+      return null;
+    }
+    switch (physicalType) {
+      case 0: {
+        const value = Boolean(buffer[position + (bit >> 3)] & (1 << (bit & 7)));
+        bit++;
+        return value;
+      }
+      case 2: {
+        const value = buffer.readInt32LE(position + 4) * 0x100000000 + buffer.readUInt32LE(position);
+        position += 8;
+        return value;
+      }
+      case 5: {
+        const value = buffer.readDoubleLE(position);
+        position += 8;
+        return value;
+      }
+      default: {
+        const length = buffer.readUInt32LE(position);
+        const value  = buffer.toString('utf8', position + 4, position + 4 + length);
+        position += 4 + length;
+        return value;
+      }
+    }
+  });
+}
+
+/**
+ * Reads a Parquet file with a flat schema
+ * @param {Buffer} buffer - File contents
+ * @returns {{numRows: number, rowGroups: Array<number>, schema: Array<Object>, rows: Array<Object>}} - Row count,
+ *   rows per row group, schema elements of the columns ({ name, type, convertedType }) and the rows
+ */
+function readParquet(buffer) {
+  const magic = 'PAR1';
+  if (buffer.toString('latin1', 0, 4) !== magic || buffer.toString('latin1', buffer.length - 4) !== magic) {
+    throw new Error('Not a Parquet file');
+  }
+
+  const footerLength = buffer.readUInt32LE(buffer.length - 8);
+  const metadata     = new ThriftReader(buffer, buffer.length - 8 - footerLength).struct();
+  const schema       = metadata[2].slice(1).map(element => ({ name: element[4], type: element[1], convertedType: element[6] }));
+  const rows         = [];
+
+  for (const group of metadata[4]) {
+    const columns = group[1].map((chunk, index) => readPage(buffer, chunk[3][9], schema[index].type));
+    for (let row = 0; row < group[3]; row++) {
+      rows.push(Object.fromEntries(schema.map((column, index) => [column.name, columns[index][row]])));
+    }
+  }
+
+  return { numRows: metadata[3], rowGroups: metadata[4].map(group => group[3]), schema, rows };
+}
+
+module.exports = {
+  readParquet
+};
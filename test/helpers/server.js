@@ -0,0 +1,134 @@
+/**
+ * Local stand-in for the Theodor API and other HTTP servers the SDK talks to
+ */
+const http = require('http');
+const WebSocket = require('ws');
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every 10 milliseconds
+ * @param {number} [timeout=2000] - Milliseconds before the wait fails
+ * @returns {Promise<*>} - The first truthy result of the condition
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const result = condition();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeout}ms: ${condition}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Starts an HTTP server on a free port that records every request
+ * @param {function(Object, http.ServerResponse): void} handler - Called with the recorded request
+ *   ({ method, url, path, query, headers, body, json, abandoned }) and the response; `abandoned` becomes
+ *   true when the client closes the connection before a response was sent
+ * @param {Object} [options] - Server options
+ * @param {boolean} [options.websocket=false] - Also accept WebSocket connections on /api/v4/websocket
+ * @param {function(Object, WebSocket): void} [options.onMessage] - Answers a WebSocket message; by default every
+ *   message is answered with status OK
+ * @returns {Promise<{url: string, requests: Array<Object>, sockets: Array<WebSocket>, messages: Array<Object>,
+ *   broadcast: Function, close: Function}>} - Running server; `sockets` and `messages` hold the WebSocket
+ *   connections in the order they were opened and the messages received from them
+ */
+function startServer(handler, options = {}) {
+  const requests = [];
+  const sockets  = [];
+  const messages = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body    = Buffer.concat(chunks).toString('utf8');
+      const request = {
+        method:    req.method,
+        url:       req.url,
+        path:      req.url.split('?')[0],
+        query:     new URL(req.url, 'http://localhost').searchParams,
+        headers:   req.headers,
+        body,
+        json:      null,
+        abandoned: false
+      };
+      res.on('close', () => {
+        request.abandoned = !res.writableEnded;
+      });
+      try {
+        request.json = body ? JSON.parse(body) : null;
+      } catch (error) {
+        // Multipart and other bodies stay as text
+      }
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  const wss = options.websocket ? new WebSocket.Server({ server, path: '/api/v4/websocket' }) : null;
+  if (wss) {
+    wss.on('connection', (socket, req) => {
+      socket.url = req.url;
+      sockets.push(socket);
+      socket.on('message', (data) => {
+        const message = { ...JSON.parse(data.toString()), socket };
+        messages.push(message);
+        if (options.onMessage) {
+          options.onMessage(message, socket);
+        } else {
+          socket.send(JSON.stringify({ status: 'OK', seq_reply: message.seq }));
+        }
+      });
+    });
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url:       `http://127.0.0.1:${server.address().port}`,
+        requests,
+        sockets,
+        messages,
+        broadcast: (message) => {
+          for (const socket of sockets) {
+            if (socket.readyState === WebSocket.OPEN) {
+              socket.send(JSON.stringify(message));
+            }
+          }
+        },
+        close:     () => new Promise((done) => {
+          if (wss) {
+            sockets.forEach(socket => socket.terminate());
+            wss.close();
+          }
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} [body] - Response body
+ * @param {Object} [headers] - Additional headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+module.exports = {
+  startServer,
+  sendJson,
+  waitFor
+};
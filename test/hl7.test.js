@@ -0,0 +1,151 @@
+const net = require('net');
+const { toOruR01, parseHl7, buildAck, parseAck, MllpClient, MllpServer } = require('../src');
+const { escapeHl7, unescapeHl7 } = require('../src/hl7');
+const { Hl7Error, ValidationError, RequestTimeoutError } = require('../src/errors');
+const recording = require('./fixtures/recording');
+
+const exam = { Id: 'exam-1', PatientId: 'P-1042', Age: 64, Sex: 'female' };
+
+const findSegments = (message, name) => parseHl7(message).filter(segment => segment[0] === name);
+
+describe('toOruR01', () => {
+  test('serializes a recording with its patient and observations', () => {
+    const message = toOruR01(recording, exam, { messageControlId: 'MSG1', sendingFacility: 'CARDIO' });
+    const [msh]   = findSegments(message, 'MSH');
+    const [pid]   = findSegments(message, 'PID');
+    const [obr]   = findSegments(message, 'OBR');
+    const obx     = findSegments(message, 'OBX');
+
+    expect(message.split('\r')[0]).toMatch(/^MSH\|\^~\\&\|THEODOR\|CARDIO\|/);
+    expect(msh[9]).toBe('ORU^R01^ORU_R01');
+    expect(msh[10]).toBe('MSG1');
+    expect(msh[12]).toBe('2.5.1');
+    expect(pid[3]).toBe('P-1042');
+    expect(pid[8]).toBe('F');
+    expect(obr[3]).toBe('rec-1^THEODOR');
+    expect(obr[25]).toBe('P');
+    expect(obx.map(segment => segment[3].split('^')[0]))
+      .toEqual(['murmur', 'rhythm', '8867-4', '30525-0', 'finding', 'confidence']);
+    expect(obx.every(segment => segment[11] === 'P')).toBe(true);
+  });
+
+  test('always sends the required patient name (PID-5)', () => {
+    const [unnamed] = findSegments(toOruR01(recording, exam), 'PID');
+    const [named]   = findSegments(toOruR01(recording, exam, { patientName: { family: 'Doe', given: 'Jane' } }), 'PID');
+    const [family]  = findSegments(toOruR01(recording, exam, { patientName: 'O^Neil' }), 'PID');
+
+    expect(unnamed[5]).toBe('^');
+    expect(named[5]).toBe('Doe^Jane');
+    expect(family[5]).toBe('O\\S\\Neil');
+  });
+
+  test('requires a recording ID and a patient ID', () => {
+    expect(() => toOruR01({ murmur: 'normal' }, exam)).toThrow(ValidationError);
+    expect(() => toOruR01(recording)).toThrow(expect.objectContaining({ field: 'patientId' }));
+    expect(() => toOruR01(recording, null, { patientId: 'P-1' })).not.toThrow();
+  });
+});
+
+describe('escaping and acknowledgments', () => {
+  test('escapes and unescapes the delimiters', () => {
+    const value = 'a|b^c&d~e\\f';
+
+    expect(escapeHl7(value)).toBe('a\\F\\b\\S\\c\\T\\d\\R\\e\\E\\f');
+    expect(unescapeHl7(escapeHl7(value))).toBe(value);
+  });
+
+  test('acknowledges a message to its sender', () => {
+    const message = toOruR01(recording, exam, { messageControlId: 'MSG1', receivingApplication: 'EHR' });
+    const ack     = buildAck(message, 'AE', 'Unknown patient');
+    const [msh]   = findSegments(ack, 'MSH');
+
+    expect(msh[3]).toBe('EHR');
+    expect(msh[5]).toBe('THEODOR');
+    expect(msh[9]).toBe('ACK^R01^ACK');
+    expect(parseAck(ack)).toEqual({ code: 'AE', controlId: 'MSG1', text: 'Unknown patient' });
+  });
+});
+
+describe('MLLP', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    client.close();
+    await server.close();
+  });
+
+  const start = async (handler) => {
+    server = new MllpServer({ handler, logger: false });
+    const { port } = await server.listen(0, '127.0.0.1');
+    client = new MllpClient({ host: '127.0.0.1', port, timeout: 1000, logger: false });
+  };
+
+  test('delivers messages in order and resolves with the positive acknowledgment', async () => {
+    const received = [];
+    await start(async (message, segments) => {
+      received.push(segments[0][10]);
+    });
+
+    const [first, second] = await Promise.all([
+      client.send(toOruR01(recording, exam, { messageControlId: 'A' })),
+      client.send(toOruR01(recording, exam, { messageControlId: 'B' }))
+    ]);
+
+    expect(received).toEqual(['A', 'B']);
+    expect(first).toMatchObject({ code: 'AA', controlId: 'A' });
+    expect(second).toMatchObject({ code: 'AA', controlId: 'B' });
+  });
+
+  test('throws an Hl7Error when the handler rejects the message', async () => {
+    await start(async () => {
+      throw new Error('Unknown patient');
+    });
+
+    const error = await client.send(toOruR01(recording, exam)).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(Hl7Error);
+    expect(error.ackCode).toBe('AE');
+    expect(error.message).toContain('Unknown patient');
+  });
+
+  test('rejects unparseable messages with AR', async () => {
+    await start();
+
+    await expect(client.send('not hl7')).rejects.toMatchObject({ ackCode: 'AR' });
+  });
+
+  test('gives up on a connection that does not open in time', async () => {
+    await start();
+    const socket = new net.Socket();
+    jest.spyOn(net, 'connect').mockReturnValueOnce(socket);
+    client = new MllpClient({ host: '127.0.0.1', port: 2575, connectTimeout: 50, logger: false });
+
+    const error = await client.send(toOruR01(recording, exam)).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(RequestTimeoutError);
+    expect(error.timeout).toBe(50);
+    expect(socket.destroyed).toBe(true);
+  });
+
+  test('drops a partial acknowledgment when the connection is closed', async () => {
+    // Follows the acknowledgment with the start of a negative one that never ends
+    const stale = `\x0bMSH|^~\\&|||||||ACK^R01^ACK|X|P|2.5.1\rMSA|AE|OLD\r`;
+    const raw   = net.createServer((socket) => {
+      socket.on('data', (chunk) => {
+        const message = chunk.toString('utf8', 1, chunk.indexOf(0x1c));
+        socket.write(`\x0b${buildAck(message)}\x1c\r${stale}`);
+      });
+    });
+    await new Promise(resolve => raw.listen(0, '127.0.0.1', resolve));
+    server = { close: () => new Promise(resolve => raw.close(resolve)) };
+    client = new MllpClient({ host: '127.0.0.1', port: raw.address().port, timeout: 1000, logger: false });
+
+    await expect(client.send(toOruR01(recording, exam, { messageControlId: 'A' }))).resolves.toMatchObject({ code: 'AA' });
+    client.close();
+
+    await expect(client.send(toOruR01(recording, exam, { messageControlId: 'B' })))
+      .resolves.toMatchObject({ code: 'AA', controlId: 'B' });
+  });
+});
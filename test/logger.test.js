@@ -0,0 +1,53 @@
+const { Logger, createLogger } = require('../src/logger');
+const { ValidationError } = require('../src/errors');
+
+describe('Logger', () => {
+  test('writes records at or above its level', () => {
+    const records = [];
+    const logger  = new Logger({ level: 'info', write: record => records.push(record) });
+
+    logger.debug('hidden');
+    logger.info('shown', { recordingId: 'r1' });
+
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ level: 'info', msg: 'shown', recordingId: 'r1' });
+  });
+
+  test('serializes errors and bound child fields', () => {
+    const records = [];
+    const logger  = new Logger({ write: record => records.push(record) }).child({ requestId: 'abc' });
+
+    logger.error('failed', { error: Object.assign(new Error('boom'), { code: 'X', status: 500 }) });
+
+    expect(records[0]).toMatchObject({
+      requestId: 'abc',
+      error:     { name: 'Error', message: 'boom', code: 'X', status: 500 }
+    });
+  });
+
+  test('throws a ValidationError for an unknown level', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrow(ValidationError);
+    expect(() => new Logger({ level: 'verbose' })).toThrow(expect.objectContaining({ field: 'level' }));
+  });
+});
+
+describe('createLogger', () => {
+  test('silences output when logger is false', () => {
+    expect(createLogger({ logger: false }).isLevelEnabled('error')).toBe(false);
+  });
+
+  test('passes fields first to pino-style loggers', () => {
+    const calls  = [];
+    const target = {
+      levels: { values: {} },
+      debug:  (...args) => calls.push(args),
+      info:   (...args) => calls.push(args),
+      warn:   (...args) => calls.push(args),
+      error:  (...args) => calls.push(args)
+    };
+
+    createLogger({ logger: target }).warn('slow', { ms: 10 });
+
+    expect(calls).toEqual([[{ ms: 10 }, 'slow']]);
+  });
+});
@@ -0,0 +1,173 @@
+const { Readable } = require('stream');
+const { renderPhonocardiogram } = require('../src');
+const { waveformEnvelope, loadWaveform, phonocardiogramSvg } = require('../src/phonocardiogram');
+const { SOUND_EVENT_COLORS } = require('../src/segmentation');
+const { Recording } = require('../src/entities');
+const { ValidationError } = require('../src/errors');
+const { tone, toneWav } = require('./fixtures/audio');
+
+const recording = {
+  id:           'rec-1',
+  segmentation: {
+    S1: [[0.5, 0.6], [1.5, 1.6], [4.5, 4.6]],
+    S2: [[0.9, 0.98]],
+    M:  [[0.62, 0.85, 'Grade <2> & "soft"']]
+  }
+};
+
+/**
+ * Shaded event regions of an SVG document
+ * @param {string} svg - SVG document
+ * @returns {Array<{x: number, width: number, fill: string, title: string}>} - Regions in document order
+ */
+const regions = svg => [...svg.matchAll(/<rect x="([\d.]+)" y="\d+" width="([\d.]+)" height="[\d.]+" fill="(#\w+)" fill-opacity="0.3"><title>(.*?)<\/title>/g)]
+  .map(([, x, width, fill, title]) => ({ x: Number(x), width: Number(width), fill, title }));
+
+/**
+ * Labels of the time axis
+ * @param {string} svg - SVG document
+ * @returns {Array<string>} - Tick labels
+ */
+const ticks = svg => [...svg.matchAll(/>([\d.]+) s<\/text>/g)].map(match => match[1]);
+
+/**
+ * Legend entries
+ * @param {string} svg - SVG document
+ * @returns {Array<string>} - Legend labels
+ */
+const legend = svg => [...svg.matchAll(/<text x="\d+" y="12" fill="#424242">(.*?)<\/text>/g)].map(match => match[1]);
+
+describe('waveformEnvelope', () => {
+  test('keeps the minimum and maximum of each point', () => {
+    const envelope = waveformEnvelope(new Float32Array([0.1, -0.5, 0.3, 0.2, -0.1, 0.9]), 3);
+
+    expect(envelope.min.map(value => Number(value.toFixed(2)))).toEqual([-0.5, 0.2, -0.1]);
+    expect(envelope.max.map(value => Number(value.toFixed(2)))).toEqual([0.1, 0.3, 0.9]);
+  });
+
+  test('uses one point per sample when there are fewer samples than points', () => {
+    const envelope = waveformEnvelope(new Float32Array([0.5, -0.5]), 100);
+
+    expect(envelope.max).toEqual([0.5, -0.5]);
+  });
+
+  test('returns a flat point for an empty signal', () => {
+    expect(waveformEnvelope(new Float32Array(0), 10)).toEqual({ min: [0], max: [0] });
+  });
+});
+
+describe('loadWaveform', () => {
+  test('scales the envelope to the loudest sample', async () => {
+    const waveform = await loadWaveform(toneWav({ seconds: 2, amplitude: 0.1 }), { points: 200 });
+
+    expect(waveform).toMatchObject({ start: 0, end: 2, duration: 2 });
+    expect(waveform.envelope.max).toHaveLength(200);
+    expect(Math.max(...waveform.envelope.max)).toBeCloseTo(1);
+    expect(Math.min(...waveform.envelope.min)).toBeCloseTo(-1, 2);
+  });
+
+  test('cuts the window and clamps it to the recording', async () => {
+    const waveform = await loadWaveform(toneWav({ seconds: 2 }), { start: 1.5, end: 10, points: 50 });
+
+    expect(waveform).toMatchObject({ start: 1.5, end: 2, duration: 2 });
+  });
+
+  test('leaves silence flat', async () => {
+    const waveform = await loadWaveform(toneWav({ seconds: 1, amplitude: 0 }), { points: 10 });
+
+    expect(waveform.envelope.max.every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('renderPhonocardiogram', () => {
+  test('shades the sound events over the waveform', async () => {
+    const svg = await renderPhonocardiogram(toneWav({ seconds: 5 }), recording, { width: 1000, height: 200 });
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1000 200"')).toBe(true);
+    expect(svg.endsWith('</svg>')).toBe(true);
+    expect(svg).toContain('<polygon points="0,');
+
+    const shaded = regions(svg);
+    expect(shaded).toHaveLength(5);
+    expect(shaded[0]).toEqual({ x: 100, width: 20, fill: SOUND_EVENT_COLORS.S1, title: 'S1 0.500-0.600 s' });
+    expect(shaded.find(region => region.fill === SOUND_EVENT_COLORS.M).title)
+      .toBe('Grade &lt;2&gt; &amp; &quot;soft&quot; 0.620-0.850 s');
+  });
+
+  test('lists the event types shown in the legend', async () => {
+    const svg = await renderPhonocardiogram(toneWav({ seconds: 5 }), recording);
+
+    expect(legend(svg)).toEqual(['S1', 'S2', 'Murmur']);
+  });
+
+  test('draws only the events inside the window', async () => {
+    const svg = await renderPhonocardiogram(toneWav({ seconds: 5 }), recording, { window: { start: 1, end: 2 } });
+
+    expect(regions(svg)).toEqual([{ x: 500, width: 100, fill: SOUND_EVENT_COLORS.S1, title: 'S1 1.500-1.600 s' }]);
+    expect(legend(svg)).toEqual(['S1']);
+    expect(ticks(svg)).toEqual(['1', '1.1', '1.2', '1.3', '1.4', '1.5', '1.6', '1.7', '1.8', '1.9', '2']);
+  });
+
+  test('labels the time axis at most twelve times', async () => {
+    const svg = await renderPhonocardiogram(toneWav({ seconds: 30, sampleRate: 1000 }), null);
+
+    expect(ticks(svg)).toEqual(['0', '5', '10', '15', '20', '25', '30']);
+  });
+
+  test('draws only the events without audio', async () => {
+    const svg = await renderPhonocardiogram(null, recording, { width: 460 });
+
+    expect(svg).not.toContain('<polygon');
+    expect(svg).toContain('<line x1="0" y1="100" x2="460" y2="100" stroke="#b0bec5"/>');
+    // The events end at 4.6 s, so that is the length shown
+    expect(ticks(svg).pop()).toBe('4.5');
+    expect(regions(svg).pop()).toMatchObject({ x: 450, width: 10 });
+  });
+
+  test('draws only the waveform without a recording', async () => {
+    const svg = await renderPhonocardiogram(toneWav({ seconds: 1 }), null);
+
+    expect(regions(svg)).toHaveLength(0);
+    expect(legend(svg)).toHaveLength(0);
+  });
+
+  test('leaves out the legend and axis', async () => {
+    const svg = await renderPhonocardiogram(toneWav({ seconds: 5 }), recording, { legend: false, axis: false, height: 100 });
+
+    expect(legend(svg)).toHaveLength(0);
+    expect(ticks(svg)).toHaveLength(0);
+    expect(svg).toContain('<rect x="0" y="0" width="1000" height="100" fill="#ffffff"');
+  });
+
+  test('accepts the recording model and a stream of audio', async () => {
+    const svg = await renderPhonocardiogram(Readable.from([toneWav({ seconds: 5 })]), Recording.from(recording));
+    expect(regions(svg)).toHaveLength(5);
+  });
+
+  test.each([
+    [toneWav({ seconds: 1 }), recording, { window: { start: -1 } }, 'window'],
+    [toneWav({ seconds: 1 }), recording, { window: { start: 2, end: 1 } }, 'window'],
+    [toneWav({ seconds: 1 }), recording, { window: { end: 0 } }, 'window'],
+    [null, null, {}, 'audio']
+  ])('rejects invalid input (%#)', async (audio, rec, options, field) => {
+    const error = await renderPhonocardiogram(audio, rec, options).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.field).toBe(field);
+  });
+});
+
+describe('phonocardiogramSvg', () => {
+  test('draws an envelope with the loudest values at the edges of the plot', () => {
+    const samples  = tone({ seconds: 1, frequency: 10, amplitude: 1 });
+    const envelope = waveformEnvelope(samples, 4);
+    const svg      = phonocardiogramSvg({ envelope, start: 0, end: 1, events: [] }, { width: 300, height: 118, legend: false });
+
+    // 100 pixels of plot around y = 50, scaled to 90 %
+    const points = svg.match(/<polygon points="([^"]+)"/)[1].split(' ').map(point => point.split(',').map(Number));
+    expect(points).toHaveLength(8);
+    expect(points[0]).toEqual([0, 5]);
+    expect(points[points.length - 1]).toEqual([0, 95]);
+    expect(points[3][0]).toBe(300);
+  });
+});
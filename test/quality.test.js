@@ -0,0 +1,121 @@
+const { assessQuality, scoreQuality, bandpass } = require('../src/quality');
+const { encodeWav } = require('../src/audio');
+const { ValidationError } = require('../src/errors');
+const { tone, toneWav } = require('./fixtures/audio');
+
+const SAMPLE_RATE = 4000;
+
+/**
+ * Synthetic heart recording: S1 and S2 bursts of 80 Hz at 75 beats per minute over white noise
+ * @param {Object} [options] - { amplitude, noise, seconds }
+ * @returns {Buffer} - WAV file contents
+ */
+const heartWav = ({ amplitude = 0.5, noise = 0.002, seconds = 5 } = {}) => {
+  let seed = 1;
+  const random  = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648 - 0.5;
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+
+  for (let i = 0; i < samples.length; i++) {
+    const beat  = (i / SAMPLE_RATE) % 0.8;
+    const sound = beat < 0.06 || (beat > 0.3 && beat < 0.35);
+    samples[i]  = (sound ? amplitude * Math.sin(2 * Math.PI * 80 * i / SAMPLE_RATE) : 0) + noise * random();
+  }
+  return encodeWav([samples], SAMPLE_RATE);
+};
+
+const metrics = overrides => ({
+  duration:        10,
+  clippingRatio:   0,
+  silenceRatio:    0,
+  silentSegments:  [],
+  rmsDb:           -20,
+  snrDb:           40,
+  bandEnergyRatio: 0.9,
+  ...overrides
+});
+
+describe('quality assessment', () => {
+  test('scores a clean recording 5', async () => {
+    const quality = await assessQuality(heartWav());
+
+    expect(quality).toMatchObject({ score: 5, backgroundNoise: 0, acceptable: true, reasons: [], site: 'heart' });
+    expect(quality.metrics).toMatchObject({ duration: 5, clippingRatio: 0, silenceRatio: 0 });
+    expect(quality.metrics.bandEnergyRatio).toBeGreaterThan(0.9);
+  });
+
+  test('deducts points for clipping', async () => {
+    const quality = await assessQuality(heartWav({ amplitude: 3 }));
+
+    expect(quality.score).toBe(3);
+    expect(quality.reasons).toEqual([expect.stringMatching(/^Heavy clipping/)]);
+    expect(quality.metrics.clippingRatio).toBeGreaterThan(0.01);
+  });
+
+  test('reports background noise', async () => {
+    const quality = await assessQuality(heartWav({ noise: 2 }));
+
+    expect(quality.backgroundNoise).toBeGreaterThanOrEqual(4);
+    expect(quality.reasons).toContainEqual(expect.stringMatching(/background noise/));
+    expect(quality.acceptable).toBe(false);
+  });
+
+  test('finds silent segments and a low level', async () => {
+    const quality = await assessQuality(encodeWav([new Float32Array(SAMPLE_RATE * 5)], SAMPLE_RATE));
+
+    expect(quality.score).toBe(0);
+    expect(quality.metrics.silentSegments).toEqual([{ start: 0, end: 5 }]);
+    expect(quality.reasons).toContainEqual(expect.stringMatching(/^Mostly silent/));
+    expect(quality.reasons).toContainEqual(expect.stringMatching(/^Very low level/));
+  });
+
+  test('ignores the short pauses between heart sounds', async () => {
+    const quality = await assessQuality(heartWav({ noise: 0 }));
+
+    expect(quality.metrics.silentSegments).toEqual([]);
+  });
+
+  test('measures the energy in the band of the site', async () => {
+    const wav = toneWav({ seconds: 5, sampleRate: 8000, frequency: 1500 });
+
+    expect((await assessQuality(wav, { site: 'heart' })).metrics.bandEnergyRatio).toBeLessThan(0.25);
+    expect((await assessQuality(wav, { site: 'lung' })).metrics.bandEnergyRatio).toBeGreaterThan(0.5);
+  });
+
+  test('rejects an unknown site', async () => {
+    await expect(assessQuality(heartWav(), { site: 'knee' })).rejects.toThrow(ValidationError);
+  });
+
+  test('band-limits a signal', () => {
+    const rms = samples => Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+
+    expect(rms(bandpass(tone({ frequency: 100 }), SAMPLE_RATE, 20, 600))).toBeCloseTo(0.5 / Math.SQRT2, 1);
+    expect(rms(bandpass(tone({ frequency: 1800 }), SAMPLE_RATE, 20, 600))).toBeLessThan(0.02);
+  });
+
+  test.each([
+    [{ clippingRatio: 0.005 }, 4, /^Some clipping/],
+    [{ silenceRatio: 0.3 }, 4, /^Long silent segments/],
+    [{ rmsDb: -40 }, 4, /^Low level/],
+    [{ snrDb: 8 }, 4, /^Noticeable background noise/],
+    [{ snrDb: 4 }, 3, /^High background noise/],
+    [{ bandEnergyRatio: 0.1 }, 4, /outside the heart sound band/]
+  ])('scores %o as %i', (overrides, score, reason) => {
+    const quality = scoreQuality(metrics(overrides), 'heart');
+
+    expect(quality.score).toBe(score);
+    expect(quality.reasons).toEqual([expect.stringMatching(reason)]);
+  });
+
+  test('uses the SNR limit of the site', () => {
+    expect(scoreQuality(metrics({ snrDb: 8 }), 'lung').score).toBe(5);
+    expect(scoreQuality(metrics({ snrDb: 8 }), 'heart').score).toBe(4);
+  });
+
+  test('does not go below 0', () => {
+    const quality = scoreQuality(metrics({ clippingRatio: 0.5, silenceRatio: 0.9, rmsDb: -90, snrDb: 0, bandEnergyRatio: 0 }), 'heart');
+
+    expect(quality.score).toBe(0);
+    expect(quality.reasons).toHaveLength(5);
+    expect(quality.backgroundNoise).toBe(5);
+  });
+});
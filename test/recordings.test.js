@@ -0,0 +1,143 @@
+const { TheodorClient } = require('../src');
+const { NotFoundError, ValidationError } = require('../src/errors');
+const { startServer, sendJson, waitFor } = require('./helpers/server');
+
+/**
+ * Stand-in for the recording endpoints, backed by a map of recordings
+ * @param {Map<string, Object>} recordings - Recordings by ID
+ */
+const recordingsApi = recordings => (req, res) => {
+  if (req.path === '/api/v4/recordings') {
+    const examId = req.query.get('exam_id');
+    const listed = [...recordings.values()].filter(recording => !examId || recording.exam_id === examId);
+    return sendJson(res, 200, { recordings: listed, Total: listed.length, Request: {} });
+  }
+
+  const id = decodeURIComponent(req.path.split('/').pop());
+  if (!recordings.has(id)) {
+    return sendJson(res, 404, { message: 'Recording not found' });
+  }
+
+  switch (req.method) {
+    case 'PATCH':
+      recordings.set(id, { ...recordings.get(id), ...req.json });
+      return sendJson(res, 200, recordings.get(id));
+    case 'DELETE':
+      recordings.delete(id);
+      res.writeHead(204);
+      return res.end();
+    default:
+      return sendJson(res, 200, recordings.get(id));
+  }
+};
+
+describe('recordings', () => {
+  let server;
+  let client;
+  let recordings;
+
+  beforeEach(async () => {
+    recordings = new Map([
+      ['r1', { id: 'r1', exam_id: 'e1', location: 'aortic', status: 'pending' }],
+      ['r2', { id: 'r2', exam_id: 'e2', location: 'mitral', status: 'classified' }]
+    ]);
+    server = await startServer(recordingsApi(recordings), { websocket: true });
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, logger: false, retry: false });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  test('lists recordings with paging and an exam filter', async () => {
+    const response = await client.listRecordings({ examId: 'e1', pageSize: 10, next: 'token' });
+
+    expect(response.recordings.map(recording => recording.id)).toEqual(['r1']);
+    const { query } = server.requests[0];
+    expect(Object.fromEntries(query)).toEqual({
+      page:            '0',
+      page_size:       '10',
+      order_by:        'created_at',
+      order_direction: '0',
+      exam_id:         'e1',
+      next:            'token'
+    });
+  });
+
+  test('encodes the ID in the path', async () => {
+    recordings.set('a/b c', { id: 'a/b c' });
+
+    await expect(client.getRecording('a/b c')).resolves.toEqual({ id: 'a/b c' });
+    expect(server.requests[0].path).toBe('/api/v4/recordings/a%2Fb%20c');
+  });
+
+  test('updates the location and moves a recording to another exam', async () => {
+    const updated = await client.updateRecording('r1', { location: 'pulmonic', examId: 'e2', device: undefined });
+
+    expect(server.requests[0].method).toBe('PATCH');
+    expect(server.requests[0].json).toEqual({ location: 'pulmonic', exam_id: 'e2' });
+    expect(updated).toMatchObject({ id: 'r1', location: 'pulmonic', exam_id: 'e2' });
+  });
+
+  test.each([
+    [{ status: 'classified' }, 'status'],
+    [{}, 'fields'],
+    [{ location: undefined }, 'fields'],
+    [null, 'fields']
+  ])('rejects updates of fields that cannot be changed (%#)', async (fields, field) => {
+    const error = await client.updateRecording('r1', fields).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.field).toBe(field);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('names the updatable fields when one cannot be changed', async () => {
+    await expect(client.updateRecording('r1', { murmur: 'normal' }))
+      .rejects.toThrow('Field murmur cannot be updated. Must be one of: location, device, examId');
+  });
+
+  test.each([undefined, '', null, {}])('requires an ID (%p)', async (id) => {
+    await expect(client.getRecording(id)).rejects.toMatchObject({ name: 'ValidationError', field: 'recordingId' });
+    await expect(client.deleteRecording(id)).rejects.toMatchObject({ field: 'recordingId' });
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('deletes a recording', async () => {
+    await expect(client.deleteRecording('r1')).resolves.toBeUndefined();
+
+    expect(server.requests[0].method).toBe('DELETE');
+    expect(recordings.has('r1')).toBe(false);
+  });
+
+  test('reports a missing recording as NotFoundError', async () => {
+    await expect(client.updateRecording('r9', { location: 'aortic' })).rejects.toThrow(NotFoundError);
+    await expect(client.deleteRecording('r9')).rejects.toThrow(NotFoundError);
+  });
+
+  test('rejects a wait for a recording the server reports as deleted', async () => {
+    const deleted = jest.fn();
+    client.on('recording_deleted', deleted);
+    await waitFor(() => server.messages.some(message => message.action === 'authentication_challenge'));
+
+    const wait = client.waitForPrediction('r1');
+    await waitFor(() => server.requests.some(req => req.path === '/api/v4/recordings/r1'));
+    server.broadcast({ event: 'audio_recording_deleted', data: { id: 'r1' } });
+
+    await expect(wait).rejects.toThrow(NotFoundError);
+    expect(deleted).toHaveBeenCalledWith({ id: 'r1' });
+    expect(client.pendingPredictions.has('r1')).toBe(false);
+  });
+
+  test('emits updates reported by the server', async () => {
+    const updated = jest.fn();
+    client.on('recording_updated', updated);
+    await waitFor(() => server.messages.some(message => message.action === 'authentication_challenge'));
+
+    server.broadcast({ event: 'audio_recording_updated', data: { id: 'r2', location: 'tricuspid' } });
+
+    await waitFor(() => updated.mock.calls.length === 1);
+    expect(updated).toHaveBeenCalledWith({ id: 'r2', location: 'tricuspid' });
+  });
+});
@@ -0,0 +1,84 @@
+const { renderReport } = require('../src');
+const { ValidationError } = require('../src/errors');
+const recording = require('./fixtures/recording');
+
+const exam = { Id: 'exam-1', PatientId: 'P-1042', Age: 64, Sex: 'female', VisitDate: '2024-03-01T09:30:00Z' };
+
+describe('renderReport', () => {
+  test('renders an HTML document with the patient, findings and vitals', async () => {
+    const html = await renderReport(recording, { exam, timeZone: 'UTC' });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/i);
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('P-1042');
+    expect(html).toContain('Systolic ejection murmur');
+    expect(html).toContain('Findings');
+  });
+
+  test('uses the texts of the locale', async () => {
+    const html = await renderReport(recording, { locale: 'de-CH', timeZone: 'Europe/Zurich' });
+
+    expect(html).toContain('<html lang="de-CH">');
+    expect(html).toContain('Befunde');
+  });
+
+  test('escapes HTML in recording data', async () => {
+    const html = await renderReport({ ...recording, location: '<script>alert(1)</script>' });
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+  });
+
+  test('shows confidences on their 0-100 scale', async () => {
+    const html = await renderReport({
+      ...recording,
+      murmur_certainty: 0.5,
+      report:           { ...recording.report, findings: [{ ...recording.report.findings[0], conf: 1 }] }
+    });
+
+    expect(html).toContain('<td>1 %</td>');
+    expect(html).toContain('<td>0.5 %</td>');
+    expect(await renderReport({ ...recording, murmur_certainty: 71.952 })).toContain('<td>72 %</td>');
+  });
+
+  test('leaves out the timeline when the segmentation cannot be read', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    const html = await renderReport({ ...recording, segmentation: '{"S1": [' }, { logger });
+
+    expect(html).toContain('Systolic ejection murmur');
+    expect(html).not.toContain('Waveform');
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(JSON.stringify(logger.warn.mock.calls[0])).toContain('segmentation cannot be read');
+  });
+
+  test('takes only hex colors as primary color', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    const injected = await renderReport(recording, { branding: { primaryColor: 'red; } body { display: none' }, logger });
+    expect(injected).not.toContain('display: none');
+    expect(injected).toContain('color: #1a73e8;');
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+
+    expect(await renderReport(recording, { branding: { primaryColor: '#C00' } })).toContain('color: #C00;');
+  });
+
+  test('renders a PDF', async () => {
+    const pdf = await renderReport(recording, { format: 'pdf', exam });
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.subarray(-6).toString()).toMatch(/%%EOF\s*$/);
+  });
+
+  test('throws a ValidationError for an invalid locale or time zone', async () => {
+    await expect(renderReport(recording, { locale: 'not a locale!' }))
+      .rejects.toMatchObject({ name: 'ValidationError', field: 'locale' });
+    await expect(renderReport(recording, { timeZone: 'Mars/Olympus_Mons' }))
+      .rejects.toMatchObject({ name: 'ValidationError', field: 'timeZone' });
+  });
+
+  test('validates the format and the recording', async () => {
+    await expect(renderReport(recording, { format: 'docx' })).rejects.toThrow(ValidationError);
+    await expect(renderReport(null)).rejects.toMatchObject({ field: 'recording' });
+  });
+});
@@ -0,0 +1,163 @@
+const { RetryPolicy, parseRetryAfter, generateIdempotencyKey } = require('../src/retry');
+const { TheodorClient } = require('../src');
+const { NetworkError, TheodorApiError, ValidationError } = require('../src/errors');
+const { startServer, sendJson } = require('./helpers/server');
+
+const apiError = (status, headers = {}) => new TheodorApiError('failed', { status, headers });
+
+describe('RetryPolicy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries retryable statuses and network errors until maxAttempts', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+
+    expect(policy.shouldRetry(apiError(503), 1)).toBe(true);
+    expect(policy.shouldRetry(new NetworkError('down'), 2)).toBe(true);
+    expect(policy.shouldRetry(apiError(503), 3)).toBe(false);
+    expect(policy.shouldRetry(apiError(400), 1)).toBe(false);
+  });
+
+  test('does not retry non-idempotent or non-replayable requests', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.shouldRetry(apiError(503), 1, { idempotent: false })).toBe(false);
+    expect(policy.shouldRetry(apiError(503), 1, { replayable: false })).toBe(false);
+  });
+
+  test('disables retries with false', () => {
+    expect(new RetryPolicy(false).maxAttempts).toBe(1);
+  });
+
+  test('computes fixed, linear and exponential delays capped by maxDelay', () => {
+    const options = { jitter: 'none', initialDelay: 100, maxDelay: 250 };
+
+    expect(new RetryPolicy({ ...options, backoff: 'fixed' }).getDelay(apiError(500), 3)).toBe(100);
+    expect(new RetryPolicy({ ...options, backoff: 'linear' }).getDelay(apiError(500), 2)).toBe(200);
+    expect(new RetryPolicy({ ...options, backoff: 'exponential', factor: 2 }).getDelay(apiError(500), 2)).toBe(200);
+    expect(new RetryPolicy({ ...options, backoff: 'exponential', factor: 2 }).getDelay(apiError(500), 3)).toBe(250);
+    expect(new RetryPolicy({ ...options, backoff: attempt => attempt * 7 }).getDelay(apiError(500), 3)).toBe(21);
+  });
+
+  test('keeps full jitter between 0 and the delay', () => {
+    const policy = new RetryPolicy({ backoff: 'fixed', initialDelay: 1000, jitter: 'full' });
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(policy.getDelay(apiError(500), 1)).toBe(0);
+    Math.random.mockReturnValue(0.999999);
+    expect(policy.getDelay(apiError(500), 1)).toBe(1000);
+  });
+
+  test('keeps equal jitter between half the delay and the delay', () => {
+    const policy = new RetryPolicy({ backoff: 'fixed', initialDelay: 1000, jitter: 'equal' });
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(policy.getDelay(apiError(500), 1)).toBe(500);
+    Math.random.mockReturnValue(0.999999);
+    expect(policy.getDelay(apiError(500), 1)).toBe(1000);
+  });
+
+  test('honors Retry-After on 429 and 503 up to maxRetryAfter', () => {
+    const policy = new RetryPolicy({ maxRetryAfter: 5000 });
+
+    expect(policy.getDelay(apiError(429, { 'retry-after': '2' }), 1)).toBe(2000);
+    expect(policy.getDelay(apiError(503, { 'retry-after': '10' }), 1)).toBeNull();
+    expect(new RetryPolicy({ respectRetryAfter: false, jitter: 'none', initialDelay: 10 })
+      .getDelay(apiError(429, { 'retry-after': '2' }), 1)).toBe(10);
+  });
+
+  test('throws a ValidationError for an unknown backoff or jitter when created', () => {
+    expect(() => new RetryPolicy({ backoff: 'quadratic' })).toThrow(ValidationError);
+    expect(() => new RetryPolicy({ backoff: 'quadratic' })).toThrow(expect.objectContaining({ field: 'retry' }));
+    expect(() => new RetryPolicy({ jitter: 'some' })).toThrow(ValidationError);
+  });
+
+  test('rejects an invalid retry option when the client is created', () => {
+    expect(() => new TheodorClient({ useWebSocket: false, retry: { backoff: 'quadratic' } }))
+      .toThrow(ValidationError);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses delta seconds', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(0)).toBe(0);
+  });
+
+  test('parses HTTP dates relative to now', () => {
+    const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+    expect(parseRetryAfter(new Date(Date.now() - 10000).toUTCString())).toBe(0);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('generateIdempotencyKey', () => {
+  test('returns distinct v4 UUIDs', () => {
+    const key = generateIdempotencyKey();
+
+    expect(key).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(generateIdempotencyKey()).not.toBe(key);
+  });
+});
+
+describe('TheodorClient retries', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('sends the same idempotency key on every attempt of an upload', async () => {
+    let attempts = 0;
+    server = await startServer((req, res) => {
+      attempts += 1;
+      if (attempts < 3) {
+        sendJson(res, 503, { message: 'busy' }, { 'Retry-After': '0' });
+      } else {
+        sendJson(res, 200, { id: 'rec-1' });
+      }
+    });
+
+    const client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false });
+    const recording = await client.analyzeBase64({ data: 'AAAA', mimeType: 'audio/wav', size: 3, site: 'heart' });
+
+    expect(recording).toEqual({ id: 'rec-1' });
+    expect(server.requests).toHaveLength(3);
+    const keys = server.requests.map(req => req.headers['idempotency-key']);
+    expect(keys[0]).toBeTruthy();
+    expect(new Set(keys).size).toBe(1);
+  });
+
+  test('uses a caller-supplied idempotency key', async () => {
+    server = await startServer((req, res) => sendJson(res, 200, { id: 'rec-1' }));
+
+    const client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false });
+    await client.analyzeBase64({ data: 'AAAA', mimeType: 'audio/wav', size: 3, site: 'heart', idempotencyKey: 'upload-42' });
+
+    expect(server.requests[0].headers['idempotency-key']).toBe('upload-42');
+  });
+
+  test('gives up after maxAttempts and throws the typed error', async () => {
+    server = await startServer((req, res) => sendJson(res, 500, { message: 'broken' }));
+
+    const client = new TheodorClient({
+      apiKey:       'key',
+      baseUrl:      server.url,
+      useWebSocket: false,
+      retry:        { maxAttempts: 2, initialDelay: 1 }
+    });
+
+    await expect(client.analyzeBase64({ data: 'AAAA', mimeType: 'audio/wav', size: 3, site: 'heart' }))
+      .rejects.toMatchObject({ status: 500, code: 'SERVER_ERROR' });
+    expect(server.requests).toHaveLength(2);
+  });
+});
@@ -0,0 +1,80 @@
+const { parseSegmentation, SoundTimeline } = require('../src/segmentation');
+const { SegmentationType } = require('../src/constants');
+const { ValidationError } = require('../src/errors');
+const { Recording } = require('../src/entities');
+
+describe('parseSegmentation', () => {
+  test('parses a recording into a sorted timeline', () => {
+    const timeline = parseSegmentation({
+      id:           'rec-1',
+      segmentation: {
+        S1: [[0.8, 0.9], [0.0, 0.1]],
+        S2: [[0.35, 0.42]],
+        M:  [[0.12, 0.3, 'Holosystolic']]
+      }
+    });
+
+    expect(timeline).toBeInstanceOf(SoundTimeline);
+    expect(timeline.map(event => [event.type, event.start])).toEqual([
+      ['S1', 0], ['M', 0.12], ['S2', 0.35], ['S1', 0.8]
+    ]);
+    expect(timeline.murmurs).toEqual([{ type: 'M', start: 0.12, end: 0.3, label: 'Holosystolic' }]);
+    expect(timeline.s1.map(event => event.label)).toEqual(['S1', 'S1']);
+    expect(timeline.types()).toEqual(['S1', 'M', 'S2']);
+    expect(timeline.duration).toBe(0.9);
+  });
+
+  test('decodes JSON payloads, also when encoded twice', () => {
+    const segmentation = { I: [[0, 1.5]], E: [[1.5, 3]] };
+
+    expect(parseSegmentation(JSON.stringify(JSON.stringify(segmentation))).map(event => event.label))
+      .toEqual(['Inspiration', 'Expiration']);
+    expect(parseSegmentation({ segmentation: JSON.stringify(segmentation) })).toHaveLength(2);
+  });
+
+  test('accepts objects, string times, single segments and flat lists', () => {
+    expect(parseSegmentation({ W: [{ start: '1.5', end: '2' }], C: [0.5, 0.6] }).map(event => [event.type, event.start]))
+      .toEqual([['C', 0.5], ['W', 1.5]]);
+    expect(parseSegmentation([{ type: 'BS', start: 3 }, { type: 'S2', start: 1, end: 1.1 }]))
+      .toEqual([
+        { type: 'S2', start: 1, end: 1.1, label: 'S2' },
+        { type: 'BS', start: 3, end: 3, label: 'Bowel sound' }
+      ]);
+  });
+
+  test('skips segments without valid times', () => {
+    const timeline = parseSegmentation({ S1: [[0.5, 0.2], ['x', 1], null, [0.1, 0.2]], S2: 'not a list' });
+
+    expect(timeline).toEqual([{ type: 'S1', start: 0.1, end: 0.2, label: 'S1' }]);
+  });
+
+  test('returns an empty timeline while there is no segmentation', () => {
+    expect(parseSegmentation({ id: 'rec-1', segmentation: null })).toHaveLength(0);
+    expect(parseSegmentation({ segmentation: '' })).toHaveLength(0);
+    expect(parseSegmentation(undefined).duration).toBe(0);
+  });
+
+  test('does not take list fields of a recording for segments', () => {
+    expect(parseSegmentation({ id: 'r1', times: [0.1, 0.2], tags: [[1, 2]] })).toHaveLength(0);
+    expect(parseSegmentation({ id: 'r1', status: 'pending', findings: [[0, 1]] })).toHaveLength(0);
+    expect(Recording.from({ id: 'r1', status: 'pending', tags: [[1, 2]] }).getSegmentation()).toHaveLength(0);
+  });
+
+  test('keeps segment types it does not know inside a segmentation payload', () => {
+    expect(parseSegmentation({ segmentation: { S3: [[0.2, 0.25]] } }).map(event => event.type)).toEqual(['S3']);
+    expect(parseSegmentation({ S1: [[0, 0.1]], S3: [[0.2, 0.25]] }).map(event => event.type)).toEqual(['S1', 'S3']);
+  });
+
+  test('throws a ValidationError for invalid JSON', () => {
+    expect(() => parseSegmentation('{"S1": [')).toThrow(ValidationError);
+    expect(() => parseSegmentation('{"S1": [')).toThrow(expect.objectContaining({ field: 'segmentation' }));
+  });
+
+  test('returns plain arrays from array methods', () => {
+    const timeline = parseSegmentation({ S1: [[0, 0.1]], S2: [[0.3, 0.4]] });
+
+    expect(timeline.ofType(SegmentationType.S2)).not.toBeInstanceOf(SoundTimeline);
+    expect(timeline.map(event => event.type)).not.toBeInstanceOf(SoundTimeline);
+    expect(JSON.parse(JSON.stringify(timeline))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,201 @@
+const zlib = require('zlib');
+const { computeSpectrogram, renderSpectrogramPng } = require('../src');
+const { spectrogramOf } = require('../src/spectrogram');
+const { encodePng } = require('../src/png');
+const { ValidationError } = require('../src/errors');
+const { tone, toneWav } = require('./fixtures/audio');
+
+/**
+ * Decodes a PNG written by encodePng, checking the signature and the CRC of every chunk
+ * @param {Buffer} png - PNG file contents
+ * @returns {{width: number, height: number, bitDepth: number, colorType: number, types: Array<string>, rows: Array<Buffer>}}
+ *   - Header fields, chunk types in order and the unfiltered RGB rows
+ */
+const decodePng = (png) => {
+  expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const body   = png.subarray(offset + 4, offset + 8 + length);
+    expect(png.readUInt32BE(offset + 8 + length)).toBe(zlib.crc32(body));
+    chunks.push({ type: body.toString('latin1', 0, 4), data: body.subarray(4) });
+    offset += 12 + length;
+  }
+
+  const header = chunks[0].data;
+  const width  = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const raw    = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+  const stride = width * 3 + 1;
+  expect(raw.length).toBe(stride * height);
+
+  const rows = Array.from({ length: height }, (_, y) => {
+    expect(raw[y * stride]).toBe(0);
+    return raw.subarray(y * stride + 1, (y + 1) * stride);
+  });
+
+  return { width, height, bitDepth: header[8], colorType: header[9], types: chunks.map(chunk => chunk.type), rows };
+};
+
+/**
+ * Index of the largest value
+ * @param {ArrayLike<number>} values - Values
+ * @returns {number} - Index
+ */
+const argmax = values => values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+
+describe('spectrogram', () => {
+  // At 4000 Hz the heart window is 256 samples, so bins are 15.625 Hz apart and 500 Hz falls on bin 32
+  const sampleRate = 4000;
+
+  test('places a tone in its frequency bin at its level', () => {
+    const spectrogram = spectrogramOf(tone({ seconds: 1, sampleRate, frequency: 500, amplitude: 0.5 }), sampleRate);
+
+    expect(spectrogram.windowSize).toBe(256);
+    expect(spectrogram.hop).toBe(64);
+    expect(spectrogram.data).toHaveLength(Math.floor((4000 - 256) / 64) + 1);
+    expect(spectrogram.frequencies[0]).toBeCloseTo(31.25);
+    expect(spectrogram.frequencies[spectrogram.frequencies.length - 1]).toBeCloseTo(1000);
+    expect(spectrogram.times[0]).toBeCloseTo(128 / 4000);
+    expect(spectrogram.duration).toBe(1);
+
+    for (const row of spectrogram.data) {
+      expect(spectrogram.frequencies[argmax(row)]).toBeCloseTo(500);
+      // A half-scale sine is 6 dB below full scale
+      expect(Math.max(...row)).toBeCloseTo(20 * Math.log10(0.5), 1);
+    }
+  });
+
+  test('reports power on the linear scale', () => {
+    const samples = tone({ seconds: 1, sampleRate, frequency: 500, amplitude: 0.5 });
+    const log     = spectrogramOf(samples, sampleRate);
+    const linear  = spectrogramOf(samples, sampleRate, { scale: 'linear' });
+
+    expect(Math.max(...linear.data[0])).toBeCloseTo(0.25, 3);
+    expect(10 * Math.log10(linear.data[0][29])).toBeCloseTo(log.data[0][29], 3);
+  });
+
+  test('reports silence at the floor level', () => {
+    const spectrogram = spectrogramOf(new Float32Array(1000), sampleRate);
+
+    expect(spectrogram.data.every(row => row.every(value => value === -120))).toBe(true);
+  });
+
+  test('zero-pads a recording shorter than one window', () => {
+    const spectrogram = spectrogramOf(tone({ seconds: 0.01, sampleRate }), sampleRate);
+
+    expect(spectrogram.data).toHaveLength(1);
+    expect(spectrogram.duration).toBeCloseTo(0.01);
+  });
+
+  test('uses the site defaults and explicit options', () => {
+    const lung = spectrogramOf(new Float32Array(8000), 8000, { site: 'lung' });
+    expect(lung.windowSize).toBe(256);
+    expect(lung.frequencies[0]).toBeCloseTo(125);
+    expect(lung.frequencies[lung.frequencies.length - 1]).toBeCloseTo(4000);
+
+    const custom = spectrogramOf(new Float32Array(8000), 8000, { windowSize: 64, hop: 16, fMin: 0, fMax: 10000 });
+    expect(custom.hop).toBe(16);
+    expect(custom.frequencies).toHaveLength(33);
+    expect(custom.frequencies[custom.frequencies.length - 1]).toBe(4000);
+  });
+
+  test.each([
+    [{ site: 'knee' }, 'site'],
+    [{ windowSize: 100 }, 'windowSize'],
+    [{ windowSize: 8 }, 'windowSize'],
+    [{ hop: 1.5 }, 'hop'],
+    [{ scale: 'db' }, 'scale'],
+    [{ fMin: 600, fMax: 500 }, 'fMax']
+  ])('rejects invalid options (%#)', (options, field) => {
+    const error = (() => {
+      try {
+        spectrogramOf(new Float32Array(1000), sampleRate, options);
+      } catch (caught) {
+        return caught;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.field).toBe(field);
+  });
+
+  test('computes the spectrogram of a WAV file, mixing channels to mono', async () => {
+    const spectrogram = await computeSpectrogram(toneWav({ seconds: 1, sampleRate, frequency: 500, channels: 2 }));
+
+    expect(spectrogram.sampleRate).toBe(sampleRate);
+    expect(spectrogram.frequencies[argmax(spectrogram.data[10])]).toBeCloseTo(500);
+  });
+});
+
+describe('spectrogram PNG', () => {
+  const sampleRate = 4000;
+
+  test('encodes pixels with valid chunks', () => {
+    const pixels = new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+    const image  = decodePng(encodePng(pixels, 2, 2));
+
+    expect(image).toMatchObject({ width: 2, height: 2, bitDepth: 8, colorType: 2, types: ['IHDR', 'IDAT', 'IEND'] });
+    expect(Buffer.concat(image.rows)).toEqual(Buffer.from(pixels));
+  });
+
+  test('draws a tone as the brightest row, with low frequencies at the bottom', async () => {
+    const spectrogram = spectrogramOf(tone({ seconds: 1, sampleRate, frequency: 500 }), sampleRate);
+    const bins        = spectrogram.frequencies.length;
+    const image       = decodePng(await renderSpectrogramPng(spectrogram, { height: bins, colormap: 'grayscale' }));
+
+    expect(image.width).toBe(spectrogram.data.length);
+    expect(image.height).toBe(bins);
+
+    const toneRow = bins - 1 - spectrogram.frequencies.findIndex(frequency => Math.abs(frequency - 500) < 1);
+    const column  = image.rows.map(row => row[30]);
+    expect(argmax(column)).toBe(toneRow);
+    expect(column[toneRow]).toBe(255);
+  });
+
+  test('renders the same image from the log and linear scales', async () => {
+    const samples = tone({ seconds: 1, sampleRate, frequency: 300 });
+    const options = { width: 40, height: 32 };
+
+    const fromLog    = await renderSpectrogramPng(spectrogramOf(samples, sampleRate), options);
+    const fromLinear = await renderSpectrogramPng(spectrogramOf(samples, sampleRate, { scale: 'linear' }), options);
+    expect(fromLinear).toEqual(fromLog);
+  });
+
+  test('keeps a short event visible when downscaling', async () => {
+    const samples = new Float32Array(sampleRate * 4);
+    samples.set(tone({ seconds: 0.1, sampleRate, frequency: 500 }), sampleRate * 2);
+
+    const image  = decodePng(await renderSpectrogramPng(spectrogramOf(samples, sampleRate), { width: 20, height: 8, colormap: 'grayscale' }));
+    const column = x => Math.max(...image.rows.map(row => row[x * 3]));
+    const lit    = Array.from({ length: 20 }, (_, x) => x).filter(x => column(x) > 0);
+
+    expect(lit.length).toBeLessThanOrEqual(2);
+    expect(lit).toContain(10);
+    expect(column(10)).toBe(255);
+  });
+
+  test('renders silence in the darkest color', async () => {
+    const image = decodePng(await renderSpectrogramPng(spectrogramOf(new Float32Array(2000), sampleRate), { colormap: 'grayscale' }));
+
+    expect(image.rows.every(row => row.every(value => value === 0))).toBe(true);
+  });
+
+  test('renders audio directly with the default size', async () => {
+    const png   = await renderSpectrogramPng(toneWav({ seconds: 10, sampleRate: 8000 }), { site: 'lung', colormap: 'magma' });
+    const image = decodePng(png);
+
+    expect(image.width).toBe(1200);
+    expect(image.height).toBe(256);
+  });
+
+  test('rejects an unknown colormap', async () => {
+    const spectrogram = spectrogramOf(new Float32Array(1000), sampleRate);
+
+    await expect(renderSpectrogramPng(spectrogram, { colormap: 'jet' })).rejects.toMatchObject({
+      name:  'ValidationError',
+      field: 'colormap'
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { TheodorClient, RecordingEvent } = require('../src');
+const { AbortError, ValidationError } = require('../src/errors');
+const { startServer, sendJson, waitFor } = require('./helpers/server');
+
+/**
+ * Stand-in serving recordings from a map; recordings missing from it are not found
+ * @param {Map<string, Object>} recordings - Recordings by ID
+ */
+const recordingsApi = recordings => (req, res) => {
+  const id = req.path.split('/').pop();
+  if (recordings.has(id)) {
+    sendJson(res, 200, recordings.get(id));
+  } else {
+    sendJson(res, 404, { message: 'Recording not found' });
+  }
+};
+
+/**
+ * Collects the events of a stream until it ends
+ * @param {EventStream} stream - Stream
+ * @returns {Promise<Array<string>>} - Event types
+ */
+const collect = async (stream) => {
+  const types = [];
+  for await (const event of stream) {
+    types.push(event.type);
+  }
+  return types;
+};
+
+describe('event streams', () => {
+  let server;
+  let client;
+  let recordings;
+
+  beforeEach(async () => {
+    recordings = new Map();
+    server = await startServer(recordingsApi(recordings));
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, useWebSocket: false, logger: false, retry: false });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const recordingGets = id => server.requests.filter(req => req.path === `/api/v4/recordings/${id}`);
+
+  describe('events', () => {
+    test('yields events of the selected types in order', async () => {
+      const stream = client.events({ types: [RecordingEvent.UPLOADED, 'recording_classified'] });
+      const types  = collect(stream);
+
+      client.emit('audio_recording_uploaded', { audio_id: 'r1' });
+      client.emit('recording_created', { id: 'r1' });
+      client.emit('recording_classified', { id: 'r1', murmur: 'normal' });
+      stream.close();
+
+      await expect(types).resolves.toEqual(['uploaded', 'classified']);
+    });
+
+    test('filters by exam', async () => {
+      const stream = client.events({ examId: 'e1' });
+      const seen   = [];
+      stream.on('event', event => seen.push([event.recordingId, event.examId]));
+
+      client.emit('recording_created', { id: 'r1', exam_id: 'e1' });
+      client.emit('recording_created', { id: 'r2', exam_id: 'e2' });
+
+      expect(seen).toEqual([['r1', 'e1']]);
+    });
+
+    test('works as an event emitter', () => {
+      const stream = client.events({ types: ['created'] });
+      const seen   = jest.fn();
+      stream.on('event', seen);
+
+      expect(stream.listeners('event')).toEqual([seen]);
+      expect(stream.listenerCount('created')).toBe(0);
+      expect(client.listenerCount('recording_created')).toBe(1);
+
+      stream.close();
+      expect(client.listenerCount('recording_created')).toBe(0);
+    });
+
+    test('rejects unknown event types', () => {
+      expect(() => client.events({ types: ['classifed'] })).toThrow(ValidationError);
+    });
+
+    test('throws an AbortError when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const types      = collect(client.events({ signal: controller.signal }));
+
+      client.emit('recording_created', { id: 'r1' });
+      controller.abort();
+
+      await expect(types).rejects.toThrow(AbortError);
+      expect(client.listenerCount('recording_created')).toBe(0);
+    });
+
+    test('ends when the client is closed', async () => {
+      const types = collect(client.events());
+
+      client.emit('recording_created', { id: 'r1' });
+      client.close();
+
+      await expect(types).resolves.toEqual(['created']);
+    });
+  });
+
+  describe('watchRecording', () => {
+    test('streams the events of one recording and ends after its result', async () => {
+      recordings.set('r1', { id: 'r1', status: 'pending' });
+      const stream = client.watchRecording('r1');
+      const types  = collect(stream);
+      await waitFor(() => client.trackedRecordings.get('r1'));
+
+      client.emit('audio_recording_uploaded', { audio_id: 'r1' });
+      client.emit('audio_recording_uploaded', { audio_id: 'r2' });
+      client.emit('recording_classified', { id: 'r1', murmur: 'normal' });
+      client.emit('recording_updated', { id: 'r1' });
+
+      await expect(types).resolves.toEqual(['uploaded', 'classified']);
+      expect(client.trackedRecordings.has('r1')).toBe(false);
+    });
+
+    test('yields a result that arrived before the watch started', async () => {
+      recordings.set('r1', { id: 'r1', status: 'classified', murmur: 'normal' });
+
+      await expect(collect(client.watchRecording('r1'))).resolves.toEqual(['classified']);
+    });
+
+    test('stays open when the recording is not readable yet', async () => {
+      const stream = client.watchRecording('r1');
+      const types  = collect(stream);
+      await waitFor(() => recordingGets('r1').length === 1);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(stream.ended).toBe(false);
+      expect(client.trackedRecordings.has('r1')).toBe(true);
+
+      client.emit('recording_classified', { id: 'r1', murmur: 'normal' });
+      await expect(types).resolves.toEqual(['classified']);
+    });
+
+    test('ends with a deleted event when a recording that was seen is not found', async () => {
+      recordings.set('r1', { id: 'r1', status: 'pending' });
+      client.trackRecording('r1');
+      await client.reconcileRecordings();
+      recordings.delete('r1');
+
+      await expect(collect(client.watchRecording('r1'))).resolves.toEqual(['deleted']);
+    });
+
+    test('skips the fetch with checkCurrent: false', async () => {
+      const stream = client.watchRecording('r1', { checkCurrent: false });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      stream.close();
+
+      expect(recordingGets('r1')).toHaveLength(0);
+    });
+
+    test('leaves a recording tracked by the caller tracked', async () => {
+      recordings.set('r1', { id: 'r1', status: 'pending' });
+      client.trackRecording('r1');
+
+      const stream = client.watchRecording('r1');
+      await waitFor(() => recordingGets('r1').length === 1);
+      stream.close();
+
+      expect(client.trackedRecordings.has('r1')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TheodorClient } = require('../src');
+const { AuthenticationError } = require('../src/errors');
+const { startServer, sendJson, waitFor } = require('./helpers/server');
+
+/**
+ * Stand-in that accepts only the token "fresh" and issues it for the refresh token "r1"
+ * @param {Object} [options] - { refreshPath, refreshStatus, refreshDelay, freshRejected }
+ */
+const authApi = (options = {}) => (req, res) => {
+  if (req.path === `/api/v4${options.refreshPath || '/users/refresh'}`) {
+    const respond = () => (req.json && req.json.refresh_token === 'r1' && !options.refreshStatus
+      ? sendJson(res, 200, { token: 'fresh', refreshToken: 'r2' })
+      : sendJson(res, options.refreshStatus || 401, { message: 'Invalid refresh token' }));
+    setTimeout(respond, options.refreshDelay || 0);
+    return;
+  }
+
+  if (req.headers.authorization !== 'Bearer fresh' || options.freshRejected) {
+    sendJson(res, 401, { message: 'Token expired' });
+    return;
+  }
+  sendJson(res, 200, { id: req.path.split('/').pop() });
+};
+
+describe('token refresh', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const start = async (api, options = {}) => {
+    server = await startServer(api);
+    client = new TheodorClient({
+      apiKey:       'stale',
+      refreshToken: 'r1',
+      baseUrl:      server.url,
+      useWebSocket: false,
+      logger:       false,
+      ...options
+    });
+  };
+
+  const refreshRequests = (refreshPath = '/users/refresh') => server.requests.filter(req => req.path === `/api/v4${refreshPath}`);
+  const apiRequests     = () => server.requests.filter(req => !req.path.startsWith('/api/v4/users/'));
+
+  test('replays a request that failed with 401 after refreshing the token', async () => {
+    await start(authApi());
+    const refreshed = jest.fn();
+    client.on('token_refreshed', refreshed);
+
+    await expect(client.getExam('e1')).resolves.toEqual({ id: 'e1' });
+
+    expect(refreshRequests()).toHaveLength(1);
+    expect(refreshRequests()[0].json).toEqual({ refresh_token: 'r1' });
+    expect(apiRequests().map(req => req.headers.authorization)).toEqual(['Bearer stale', 'Bearer fresh']);
+    expect(refreshed).toHaveBeenCalledTimes(1);
+    expect(refreshed).toHaveBeenCalledWith({ token: 'fresh', refreshToken: 'r2' });
+    expect(client.apiKey).toBe('fresh');
+    expect(client.refreshToken).toBe('r2');
+  });
+
+  test('shares one refresh between concurrent requests', async () => {
+    await start(authApi({ refreshDelay: 50 }));
+    const refreshed = jest.fn();
+    client.on('token_refreshed', refreshed);
+
+    const exams = await Promise.all(['e1', 'e2', 'e3'].map(id => client.getExam(id)));
+
+    expect(exams).toEqual([{ id: 'e1' }, { id: 'e2' }, { id: 'e3' }]);
+    expect(refreshRequests()).toHaveLength(1);
+    expect(refreshed).toHaveBeenCalledTimes(1);
+  });
+
+  test('posts to a configured refresh path', async () => {
+    await start(authApi({ refreshPath: '/auth/token/refresh' }), { refreshTokenPath: '/auth/token/refresh' });
+
+    await expect(client.getExam('e1')).resolves.toEqual({ id: 'e1' });
+    expect(refreshRequests('/auth/token/refresh')).toHaveLength(1);
+    expect(refreshRequests()).toHaveLength(0);
+  });
+
+  test('builds a multipart upload again with the new token', async () => {
+    await start(authApi());
+    const file = path.join(os.tmpdir(), `theodor-refresh-${process.pid}.wav`);
+    fs.writeFileSync(file, Buffer.alloc(64));
+
+    try {
+      await expect(client.analyzeRecording({ filePath: file, site: 'heart' })).resolves.toEqual({ id: 'analyse' });
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    const uploads = apiRequests();
+    expect(uploads.map(req => req.headers.authorization)).toEqual(['Bearer stale', 'Bearer fresh']);
+    // The second attempt sends a new form with its own boundary but the same parts
+    expect(uploads[1].body).toContain('name="site"');
+    expect(uploads[1].body.length).toBe(uploads[0].body.length);
+  });
+
+  test('emits auth_failed and rejects with the original error when the refresh is rejected', async () => {
+    await start(authApi({ refreshStatus: 401 }));
+    const failed = jest.fn();
+    client.on('auth_failed', failed);
+
+    const error = await client.getExam('e1').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AuthenticationError);
+    expect(error.status).toBe(401);
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(failed.mock.calls[0][0]).toBeInstanceOf(AuthenticationError);
+    expect(apiRequests()).toHaveLength(1);
+  });
+
+  test('emits auth_failed without a refresh token', async () => {
+    await start(authApi(), { refreshToken: undefined });
+    const failed = jest.fn();
+    client.on('auth_failed', failed);
+
+    await expect(client.getExam('e1')).rejects.toThrow(AuthenticationError);
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(refreshRequests()).toHaveLength(0);
+  });
+
+  test('replays only once when the renewed token is rejected as well', async () => {
+    await start(authApi({ freshRejected: true }));
+    const failed = jest.fn();
+    client.on('auth_failed', failed);
+
+    await expect(client.getExam('e1')).rejects.toThrow(AuthenticationError);
+    expect(apiRequests()).toHaveLength(2);
+    expect(refreshRequests()).toHaveLength(1);
+    expect(failed).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WebSocket authentication', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const challenges = () => server.messages.filter(message => message.action === 'authentication_challenge');
+
+  test('authenticates the open connection again after a refresh', async () => {
+    server = await startServer(authApi(), { websocket: true });
+    client = new TheodorClient({ apiKey: 'stale', refreshToken: 'r1', baseUrl: server.url, logger: false });
+    await waitFor(() => challenges().length === 1);
+
+    await client.getExam('e1');
+    await waitFor(() => challenges().length === 2);
+
+    expect(challenges().map(message => message.data.token)).toEqual(['stale', 'fresh']);
+    expect(server.sockets).toHaveLength(1);
+  });
+
+  test('refreshes the token when the server rejects it', async () => {
+    server = await startServer(authApi(), {
+      websocket: true,
+      onMessage: (message, socket) => {
+        const rejected = message.action === 'authentication_challenge' && message.data.token !== 'fresh';
+        socket.send(JSON.stringify(rejected
+          ? { status: 'FAIL', seq_reply: message.seq, error: { message: 'Invalid token' } }
+          : { status: 'OK', seq_reply: message.seq }));
+      }
+    });
+    client = new TheodorClient({ apiKey: 'stale', refreshToken: 'r1', baseUrl: server.url, logger: false });
+    const refreshed = jest.fn();
+    client.on('token_refreshed', refreshed);
+
+    await waitFor(() => challenges().length === 2);
+
+    expect(challenges().map(message => message.data.token)).toEqual(['stale', 'fresh']);
+    expect(refreshed).toHaveBeenCalledTimes(1);
+  });
+});
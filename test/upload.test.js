@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { TheodorClient } = require('../src');
+const { ValidationError, TheodorApiError } = require('../src/errors');
+const { startServer, sendJson } = require('./helpers/server');
+
+// Header of a WAV file without its fmt and data chunks, enough to be recognized
+const WAV_HEADER = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE'), Buffer.alloc(20)]);
+
+/**
+ * Headers of the upload_file part of a multipart body
+ * @param {Object} req - Recorded request
+ * @returns {string} - Content-Disposition and Content-Type lines
+ */
+const filePart = (req) => {
+  const start = req.body.indexOf('name="upload_file"');
+  return req.body.slice(start, req.body.indexOf('\r\n\r\n', start));
+};
+
+describe('uploads', () => {
+  let server;
+  let client;
+  let status;
+
+  beforeEach(async () => {
+    status = 200;
+    server = await startServer((req, res) => sendJson(res, status, status === 200 ? { id: 'rec-1' } : { message: 'Unavailable' }));
+    client = new TheodorClient({
+      apiKey:       'key',
+      baseUrl:      server.url,
+      useWebSocket: false,
+      logger:       false,
+      retry:        { maxAttempts: 2, initialDelay: 1, jitter: 'none' }
+    });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  describe('sources', () => {
+    test('uploads a file with its basename and type', async () => {
+      const file = path.join(os.tmpdir(), `theodor-upload-${process.pid}.mp3`);
+      fs.writeFileSync(file, Buffer.alloc(32));
+
+      try {
+        await expect(client.analyzeRecording({ filePath: file, site: 'heart', examId: 'e1' })).resolves.toEqual({ id: 'rec-1' });
+      } finally {
+        fs.unlinkSync(file);
+      }
+
+      const [upload] = server.requests;
+      expect(upload.path).toBe('/api/v4/recordings/analyse');
+      expect(filePart(upload)).toContain(`filename="${path.basename(file)}"`);
+      expect(filePart(upload)).toContain('Content-Type: audio/mpeg');
+      expect(upload.body).toContain('name="exam_id"\r\n\r\ne1');
+      expect(Number(upload.headers['content-length'])).toBe(Buffer.byteLength(upload.body));
+    });
+
+    test('names a WAV buffer after its detected type', async () => {
+      await client.analyzeRecording({ buffer: WAV_HEADER, site: 'heart' });
+
+      expect(filePart(server.requests[0])).toContain('filename="recording.wav"');
+      expect(filePart(server.requests[0])).toContain('Content-Type: audio/wav');
+    });
+
+    test('accepts a Uint8Array and an explicit filename and type', async () => {
+      const bytes = new Uint8Array([0x49, 0x44, 0x33, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+      await client.analyzeRecording({ buffer: bytes, filename: 'take.bin', contentType: 'audio/x-custom', site: 'lung' });
+
+      expect(filePart(server.requests[0])).toContain('filename="take.bin"');
+      expect(filePart(server.requests[0])).toContain('Content-Type: audio/x-custom');
+    });
+
+    test('uploads a stream', async () => {
+      const stream = Readable.from([WAV_HEADER]);
+      await client.analyzeRecording({ stream, filename: 'stream.wav', size: WAV_HEADER.length, site: 'heart' });
+
+      expect(filePart(server.requests[0])).toContain('filename="stream.wav"');
+      expect(server.requests[0].body).toContain('WAVE');
+    });
+
+    test('does not retry an upload from a stream', async () => {
+      status = 503;
+
+      await expect(client.analyzeRecording({ stream: Readable.from([WAV_HEADER]), site: 'heart' }))
+        .rejects.toThrow(TheodorApiError);
+      expect(server.requests).toHaveLength(1);
+    });
+
+    test('sends a buffer again on retry', async () => {
+      status = 503;
+
+      await expect(client.analyzeRecording({ buffer: WAV_HEADER, site: 'heart' })).rejects.toThrow(TheodorApiError);
+      expect(server.requests).toHaveLength(2);
+      expect(server.requests[1].body.length).toBe(server.requests[0].body.length);
+      expect(server.requests[1].headers['idempotency-key']).toBe(server.requests[0].headers['idempotency-key']);
+    });
+
+    test.each([
+      [{}, 'filePath'],
+      [{ buffer: WAV_HEADER, stream: Readable.from([]) }, 'stream'],
+      [{ buffer: Buffer.alloc(0) }, 'buffer'],
+      [{ buffer: 'RIFF' }, 'buffer'],
+      [{ stream: {} }, 'stream']
+    ])('rejects invalid sources (%#)', async (source, field) => {
+      const error = await client.analyzeRecording({ ...source, site: 'heart' }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.field).toBe(field);
+      expect(server.requests).toHaveLength(0);
+    });
+  });
+
+  describe('progress', () => {
+    test('reports the completed upload before resolving', async () => {
+      const buffer   = Buffer.concat([WAV_HEADER, Buffer.alloc(256 * 1024)]);
+      const reported = [];
+      const emitted  = jest.fn();
+      client.on('upload_progress', emitted);
+
+      await client.analyzeRecording({
+        buffer,
+        site:             'heart',
+        examId:           'e1',
+        onUploadProgress: progress => reported.push(progress)
+      });
+
+      const total = Number(server.requests[0].headers['content-length']);
+      const last  = reported[reported.length - 1];
+      expect(reported.length).toBeGreaterThan(0);
+      expect(last).toEqual({ loaded: total, total, percent: 100, filename: 'recording.wav', examId: 'e1' });
+      expect(reported.map(progress => progress.loaded)).toEqual([...reported.map(progress => progress.loaded)].sort((a, b) => a - b));
+      expect(emitted).toHaveBeenCalledTimes(reported.length);
+
+      // Progress events that axios delivers late are dropped after the completed upload was reported
+      const count = reported.length;
+      await new Promise(resolve => setTimeout(resolve, 400));
+      expect(reported).toHaveLength(count);
+    });
+
+    test('reports progress of a base64 upload', async () => {
+      const reported = [];
+
+      await client.analyzeBase64({
+        data:             WAV_HEADER.toString('base64'),
+        mimeType:         'audio/wav',
+        size:             WAV_HEADER.length,
+        filename:         'b64.wav',
+        site:             'heart',
+        onUploadProgress: progress => reported.push(progress)
+      });
+
+      const last = reported[reported.length - 1];
+      expect(last.filename).toBe('b64.wav');
+      expect(last.percent).toBe(100);
+      expect(last.loaded).toBe(Buffer.byteLength(server.requests[0].body));
+    });
+  });
+});
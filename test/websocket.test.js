@@ -0,0 +1,168 @@
+const { TheodorClient } = require('../src');
+const { NotFoundError } = require('../src/errors');
+const { startServer, sendJson, waitFor } = require('./helpers/server');
+
+/**
+ * Stand-in serving recordings from a map; recordings missing from it are not found
+ * @param {Map<string, Object>} recordings - Recordings by ID
+ */
+const recordingsApi = recordings => (req, res) => {
+  const id = req.path.split('/').pop();
+  if (recordings.has(id)) {
+    sendJson(res, 200, recordings.get(id));
+  } else {
+    sendJson(res, 404, { message: 'Recording not found' });
+  }
+};
+
+describe('WebSocket events', () => {
+  let server;
+  let client;
+  let recordings;
+
+  beforeEach(async () => {
+    recordings = new Map();
+    server = await startServer(recordingsApi(recordings), { websocket: true });
+    client = new TheodorClient({ apiKey: 'key', baseUrl: server.url, logger: false, retry: false });
+    await waitFor(() => server.messages.some(message => message.action === 'authentication_challenge'));
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  const recordingGets = id => server.requests.filter(req => req.path === `/api/v4/recordings/${id}`);
+
+  test('reports a gap in the event sequence', async () => {
+    const missed = jest.fn();
+    client.on('missed_events', missed);
+
+    server.broadcast({ event: 'hello', seq: 0, data: { connection_id: 'c1' } });
+    server.broadcast({ event: 'audio_recording_uploaded', seq: 1, data: { audio_id: 'a' } });
+    server.broadcast({ event: 'audio_recording_uploaded', seq: 4, data: { audio_id: 'b' } });
+    await waitFor(() => missed.mock.calls.length === 1);
+
+    expect(missed).toHaveBeenCalledWith({ expected: 2, received: 4, missed: 2 });
+    expect(client.ws.connectionId).toBe('c1');
+    expect(client.ws.serverSequence).toBe(5);
+  });
+
+  test('keeps the sequence when an event has no sequence number', async () => {
+    const missed   = jest.fn();
+    const uploaded = jest.fn();
+    client.on('missed_events', missed);
+    client.on('audio_recording_uploaded', uploaded);
+
+    server.broadcast({ event: 'hello', seq: 0, data: { connection_id: 'c1' } });
+    server.broadcast({ event: 'audio_recording_uploaded', data: { audio_id: 'a' } });
+    await waitFor(() => uploaded.mock.calls.length === 1);
+    expect(client.ws.serverSequence).toBe(1);
+
+    server.broadcast({ event: 'audio_recording_uploaded', seq: 2, data: { audio_id: 'b' } });
+    await waitFor(() => missed.mock.calls.length === 1);
+    expect(missed).toHaveBeenCalledWith({ expected: 1, received: 2, missed: 1 });
+  });
+
+  test('reports a new sequence as a gap of unknown size', async () => {
+    const missed = jest.fn();
+    client.on('missed_events', missed);
+
+    server.broadcast({ event: 'hello', seq: 0, data: { connection_id: 'c1' } });
+    server.broadcast({ event: 'audio_recording_uploaded', seq: 1, data: { audio_id: 'a' } });
+    server.broadcast({ event: 'hello', seq: 0, data: { connection_id: 'c2' } });
+    await waitFor(() => missed.mock.calls.length === 1);
+
+    expect(missed).toHaveBeenCalledWith({ expected: 2, received: 0, missed: null });
+  });
+
+  describe('reconciliation after a gap', () => {
+    const gap = () => {
+      server.broadcast({ event: 'hello', seq: 0, data: { connection_id: 'c1' } });
+      server.broadcast({ event: 'processing_queue_state_changed', seq: 3, data: {} });
+    };
+
+    test('recovers a classification whose event was missed', async () => {
+      recordings.set('r1', { id: 'r1', status: 'pending' });
+      const classified = jest.fn();
+      client.on('recording_classified', classified);
+
+      const wait = client.waitForPrediction('r1');
+      await waitFor(() => recordingGets('r1').length === 1);
+      recordings.set('r1', { id: 'r1', status: 'classified', murmur: 'normal' });
+      gap();
+
+      await expect(wait).resolves.toMatchObject({ id: 'r1', status: 'classified' });
+      expect(classified).toHaveBeenCalledWith(expect.objectContaining({ id: 'r1' }));
+      expect(recordingGets('r1')).toHaveLength(2);
+    });
+
+    test('announces a tracked recording\'s result once', async () => {
+      recordings.set('r1', { id: 'r1', status: 'classified', murmur: 'normal' });
+      const classified = jest.fn();
+      client.on('recording_classified', classified);
+      client.trackRecording('r1');
+
+      await expect(client.reconcileRecordings()).resolves.toEqual({ checked: 1, recovered: 1 });
+      await expect(client.reconcileRecordings()).resolves.toEqual({ checked: 1, recovered: 0 });
+      expect(classified).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps waiting for a recording that is not readable yet', async () => {
+      const deleted = jest.fn();
+      client.on('recording_deleted', deleted);
+
+      const wait    = client.waitForPrediction('r1');
+      const settled = jest.fn();
+      wait.then(settled, settled);
+      await waitFor(() => recordingGets('r1').length === 1);
+
+      await expect(client.reconcileRecordings()).resolves.toEqual({ checked: 1, recovered: 0 });
+      expect(deleted).not.toHaveBeenCalled();
+      expect(settled).not.toHaveBeenCalled();
+      expect(client.pendingPredictions.has('r1')).toBe(true);
+
+      recordings.set('r1', { id: 'r1', status: 'classified', murmur: 'normal' });
+      await client.reconcileRecordings();
+      await expect(wait).resolves.toMatchObject({ id: 'r1' });
+    });
+
+    test('keeps a tracked recording that is not readable yet', async () => {
+      const deleted = jest.fn();
+      client.on('recording_deleted', deleted);
+      client.trackRecording('r1');
+
+      await expect(client.reconcileRecordings()).resolves.toEqual({ checked: 1, recovered: 0 });
+      expect(deleted).not.toHaveBeenCalled();
+      expect(client.trackedRecordings.has('r1')).toBe(true);
+    });
+
+    test('rejects the wait for a recording that was deleted after it was seen', async () => {
+      recordings.set('r1', { id: 'r1', status: 'pending' });
+      const deleted = jest.fn();
+      client.on('recording_deleted', deleted);
+
+      const wait = client.waitForPrediction('r1');
+      await waitFor(() => recordingGets('r1').length === 1);
+      recordings.delete('r1');
+      gap();
+
+      await expect(wait).rejects.toThrow(NotFoundError);
+      expect(deleted).toHaveBeenCalledWith({ id: 'r1' });
+      expect(client.pendingPredictions.has('r1')).toBe(false);
+    });
+
+    test('treats a recording named in an event as seen', async () => {
+      const deleted = jest.fn();
+      client.on('recording_deleted', deleted);
+      client.trackRecording('r1');
+
+      server.broadcast({ event: 'audio_recording_uploaded', seq: 0, data: { audio_id: 'r1' } });
+      await waitFor(() => client.trackedRecordings.get('r1'));
+      await client.reconcileRecordings();
+
+      expect(deleted).toHaveBeenCalledWith({ id: 'r1' });
+      expect(client.trackedRecordings.has('r1')).toBe(false);
+    });
+  });
+});